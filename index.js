@@ -6,10 +6,28 @@ require("dotenv").config();
  * Caddie.AI Backend (Deploy-ready)
  * - Works on Render (PORT from env, binds 0.0.0.0)
  * - Health: /health and /api/health
- * - Vision: POST /api/openai/vision (supports base64 JSON OR multipart file upload)
+ * - Vision: POST /api/openai/vision (supports base64 JSON OR multipart file upload;
+ *   images are type-checked, stripped of EXIF and downscaled before the model sees them)
  * - Complete: POST /api/openai/complete
+ * - Streaming (SSE): POST /api/openai/complete/stream, POST /api/openai/vision/stream
+ * - LLM usage: every completion metered per user (services/llmUsage.js); over-quota → 429
+ * - LLM calls go through services/llmProvider.js (LLM_PROVIDER=openai | openai_compatible | mock)
  * - Courses: GET /api/courses (local fallback)
+ * - GeoJSON: GET /api/courses/:id/geojson, GET /api/courses/:id/holes/:n/geojson (tees, greens, hazards, centerlines)
+ * - GIS review: GET /api/courses/:id/kml|gpx (and /holes/:n/kml|gpx), styled by POI source / synthesized tees
+ * - Offline pack: GET /api/courses/:id/offline-pack (gzip, ETag/304), GET /api/courses/:id/offline-pack/status?etag=
  * - Round engine: GET /api/course-context/:courseId (course + holes + tees, no POI bulk)
+ * - Course payload caching: GET /api/courses/:id and /api/course-context/:courseId send strong ETags (304 on
+ *   If-None-Match) and are cached per course data_version (services/courseDataVersion.js)
+ * - Hole hazards: GET /api/course-context/:courseId/holes/:n/hazards?teeSetId=|lat=&lon= (carry, lateral, in-play, severity;
+ *   front/back edge carries for outlined hazards)
+ * - Hole distances: POST /api/course-context/:courseId/holes/:n/distances { lat, lon } (green front/center/back, hazard carries, layups)
+ * - Hole detection: POST /api/course-context/:courseId/locate { lat, lon, heading?, currentHole? } (hole + tee/fairway/green)
+ * - Rounds: POST/GET /api/rounds, GET /api/rounds/:id, POST /api/rounds/:id/finish|abandon
+ * - Handicap: GET /api/user/handicap, GET /api/user/handicap/course
+ * - Caddie: POST /api/caddie/recommend (server-built prompt, engine fallback), POST /api/caddie/club-selection,
+ *   POST /api/caddie/strategy (expected-strokes club + target line)
+ * - Plays-like: POST /api/plays-like (wind, air density, elevation; pluggable weather/elevation providers)
  * - Analytics: POST /api/analytics/events, GET /api/analytics/events/recent
  * - Recommendation analytics: POST /api/analytics/recommendation, POST /api/analytics/feedback,
  *   GET /api/analytics/recommendation/recent, GET /api/analytics/recommendation/summary
@@ -17,10 +35,16 @@ require("dotenv").config();
 
 const express = require("express");
 const cors = require("cors");
-const fetch = require("node-fetch"); // v2
 const multer = require("multer");
 const fs = require("fs");
 const path = require("path");
+const responseSchemas = require("./services/responseSchemas");
+const llmProvider = require("./services/llmProvider");
+const { streamCompletion, writeEvent } = require("./services/completionStream");
+const promptRegistry = require("./services/promptRegistry");
+const llmUsage = require("./services/llmUsage");
+const imagePreprocess = require("./services/imagePreprocess");
+const { optionalAuthenticate } = require("./routes/auth");
 let Pool = null;
 try {
   ({ Pool } = require("pg"));
@@ -30,6 +54,14 @@ try {
 
 const app = express();
 
+// Proxies in front of the app (Render: one). req.ip is then the address the
+// nearest trusted proxy saw; anonymous LLM quotas are keyed on it.
+const TRUST_PROXY = process.env.TRUST_PROXY || "1";
+app.set(
+  "trust proxy",
+  /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === "true" ? true : TRUST_PROXY === "false" ? false : TRUST_PROXY
+);
+
 // CORS
 app.use(
   cors({
@@ -43,7 +75,6 @@ app.use(
 app.use(express.json({ limit: "35mb" }));
 app.use(express.urlencoded({ extended: true, limit: "35mb" }));
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const DATABASE_URL = process.env.DATABASE_URL || null;
 
 // Multer (memory) for multipart image uploads: field name "image"
@@ -213,7 +244,15 @@ function normalizeRecommendationEvent(body) {
       elevationSourceQuality: safeTrim(diagnostics.elevationSourceQuality, 40),
       photoIncluded: Boolean(diagnostics.photoIncluded),
       photoReferenced: Boolean(diagnostics.photoReferenced),
-      requestDurationMs: Number.isFinite(diagnostics.requestDurationMs) ? diagnostics.requestDurationMs : null
+      requestDurationMs: Number.isFinite(diagnostics.requestDurationMs) ? diagnostics.requestDurationMs : null,
+      model: safeTrim(diagnostics.model, 80),
+      taskType: safeTrim(diagnostics.taskType, 40),
+      // Only recordRecommendationEvent() may label an event "server".
+      source: "client",
+      cacheStatus: ["hit", "miss", "bypass"].includes(diagnostics.cacheStatus) ? diagnostics.cacheStatus : null,
+      promptTemplateId: safeTrim(diagnostics.promptTemplateId, 60),
+      promptVersion: Number.isInteger(diagnostics.promptVersion) ? diagnostics.promptVersion : null,
+      promptExperiment: safeTrim(diagnostics.promptExperiment, 80)
     }
   };
 }
@@ -320,6 +359,38 @@ async function persistRecommendationFeedback(feedback) {
   return true;
 }
 
+/**
+ * Buffer and persist one normalized recommendation event. Persistence
+ * failures are swallowed — the local buffer still has the event.
+ */
+async function storeRecommendationEvent(normalized) {
+  appendRecommendationEventLocal(normalized);
+  let persisted = false;
+  try {
+    persisted = await persistRecommendationEvent(normalized);
+  } catch (err) {
+    if (!persistenceUnavailableLogged) {
+      persistenceUnavailableLogged = true;
+      console.warn("Recommendation persistence unavailable:", err.message);
+    }
+  }
+  return { persisted, recommendationId: normalized.recommendationId };
+}
+
+/**
+ * Entry point for routes that generate recommendations server-side
+ * (routes/caddie.js); they reach it through
+ * `app.get("recordRecommendationEvent")` so server-built and
+ * client-reported events land in the same table. Only events recorded
+ * here are labelled `diagnostics.source: "server"`.
+ */
+async function recordRecommendationEvent(body) {
+  const normalized = normalizeRecommendationEvent(body || {});
+  normalized.diagnostics.source = "server";
+  return storeRecommendationEvent(normalized);
+}
+app.set("recordRecommendationEvent", recordRecommendationEvent);
+
 function requestMeta(req) {
   const body = req.body || {};
   return {
@@ -393,12 +464,6 @@ const DEPLOY_VERSION = "2026-05-12-profile-sync.1";
 const DEPLOY_TIMESTAMP = new Date().toISOString();
 app.get("/version", (req, res) => res.json({ version: DEPLOY_VERSION, deployedAt: DEPLOY_TIMESTAMP }));
 
-function toDataUrlFromBase64(base64OrDataUrl) {
-  if (!base64OrDataUrl || typeof base64OrDataUrl !== "string") return null;
-  if (base64OrDataUrl.startsWith("data:image/")) return base64OrDataUrl;
-  return `data:image/jpeg;base64,${base64OrDataUrl}`;
-}
-
 function parseMaybeJSON(value) {
   if (value == null) return null;
   if (typeof value === "object") return value;
@@ -460,17 +525,7 @@ app.post("/api/analytics/recommendation", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Missing required recommendation fields" });
     }
 
-    appendRecommendationEventLocal(normalized);
-    let persisted = false;
-    try {
-      persisted = await persistRecommendationEvent(normalized);
-    } catch (err) {
-      if (!persistenceUnavailableLogged) {
-        persistenceUnavailableLogged = true;
-        console.warn("Recommendation persistence unavailable:", err.message);
-      }
-    }
-
+    const { persisted } = await storeRecommendationEvent(normalized);
     return res.json({ ok: true, persisted, recommendationId: normalized.recommendationId });
   } catch (err) {
     console.error("recommendation analytics failed:", err.message);
@@ -545,7 +600,7 @@ app.get("/api/analytics/recommendation/summary", async (req, res) => {
   const userId = req.query.userId ? String(req.query.userId) : null;
   const recommendationType = req.query.recommendationType === "putt" ? "putt" : req.query.recommendationType === "shot" ? "shot" : null;
 
-  const computeSummary = (events) => {
+  const computeSummary = (events, feedback) => {
     const total = events.length;
     const shot = events.filter((e) => e.recommendationType === "shot").length;
     const putt = events.filter((e) => e.recommendationType === "putt").length;
@@ -562,7 +617,8 @@ app.get("/api/analytics/recommendation/summary", async (req, res) => {
       puttRecommendations: putt,
       normalizationRate: total > 0 ? normalized / total : 0,
       fallbackRate: total > 0 ? fallback / total : 0,
-      avgRequestDurationMs
+      avgRequestDurationMs,
+      byPromptVariant: promptRegistry.summarizeByPromptVariant(events, feedback)
     };
   };
 
@@ -590,7 +646,19 @@ app.get("/api/analytics/recommendation/summary", async (req, res) => {
         output: row.output_json,
         diagnostics: row.diagnostics_json
       }));
-      return res.json({ ok: true, ...computeSummary(events), source: "database" });
+      let feedback = [];
+      if (events.length > 0) {
+        try {
+          const fb = await dbPool.query(
+            "SELECT recommendation_id, helpful FROM recommendation_feedback WHERE recommendation_id = ANY($1)",
+            [events.map((e) => e.recommendationId)]
+          );
+          feedback = fb.rows.map((row) => ({ recommendationId: row.recommendation_id, helpful: row.helpful }));
+        } catch (err) {
+          console.warn("Feedback query failed for summary:", err.message);
+        }
+      }
+      return res.json({ ok: true, ...computeSummary(events, feedback), source: "database" });
     } catch (err) {
       console.warn("DB query failed for summary, falling back to buffer:", err.message);
     }
@@ -604,7 +672,7 @@ app.get("/api/analytics/recommendation/summary", async (req, res) => {
       return true;
     });
   }
-  return res.json({ ok: true, ...computeSummary(events), source: "memory" });
+  return res.json({ ok: true, ...computeSummary(events, recommendationFeedbackBuffer), source: "memory" });
 });
 
 app.post("/api/feedback/caddie", (req, res) => {
@@ -803,6 +871,15 @@ app.use("/api/admin", adminRouter);
 const shotOutcomesRouter = require("./routes/shotOutcomes");
 app.use("/api/shot-outcomes", shotOutcomesRouter);
 
+const roundsRouter = require("./routes/rounds");
+app.use("/api/rounds", roundsRouter);
+
+const caddieRouter = require("./routes/caddie");
+app.use("/api/caddie", caddieRouter);
+
+const playsLikeRouter = require("./routes/playsLike");
+app.use("/api/plays-like", playsLikeRouter);
+
 const authRouter = require("./routes/auth");
 app.use("/auth", authRouter);
 app.use("/api/auth", authRouter);
@@ -813,6 +890,9 @@ const userProfileRouter = require("./routes/userProfile");
 app.use("/user", userProfileRouter);
 app.use("/api/user", userProfileRouter);
 
+const handicapRouter = require("./routes/handicap");
+app.use("/api/user", handicapRouter);
+
 async function ensureAuthSchema() {
   if (!dbPool) return false;
   try {
@@ -902,40 +982,189 @@ async function ensureUserProfileSchema() {
 }
 
 // Text-only OpenAI endpoint
-app.post("/api/openai/complete", async (req, res) => {
+const RAW_COMPLETION_MODEL = "gpt-4o-mini";
+
+/**
+ * One chat completion against the fixed model used by the raw
+ * /api/openai/* endpoints, via the configured LLM provider. Throws with
+ * `detail` on provider errors.
+ */
+async function requestChatCompletion(messages, meter = null) {
+  const result = await llmProvider.getProvider().chat({ model: RAW_COMPLETION_MODEL, messages });
+  if (meter) meter.record(result);
+  return result.content;
+}
+
+/** Schema repair retry (see responseSchemas.validateResponse), metered like the first call. */
+function schemaRetry(meter) {
+  return ({ systemPrompt, userPrompt }) =>
+    requestChatCompletion(
+      [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userPrompt }
+      ],
+      meter
+    );
+}
+
+/**
+ * Quota gate + usage meter for one /api/openai/* request. Sends the 429
+ * and returns null when the caller is over budget.
+ */
+async function beginMetering(req, res, { endpoint, taskType, correlationId }) {
+  const caller = llmUsage.callerIdentity(req);
+  const quota = await llmUsage.checkQuota(dbPool, caller.userKey);
+  if (!quota.allowed) {
+    const { retryAfterSeconds, body } = llmUsage.quotaExceededResponse(quota);
+    console.warn(`[USAGE] quota exceeded (${quota.period}) key=${caller.userKey} endpoint=${endpoint}`);
+    res.set("Retry-After", String(retryAfterSeconds));
+    res.status(429).json({ ...body, correlationId });
+    return null;
+  }
+  return llmUsage.createMeter(dbPool, { ...caller, endpoint, taskType: taskType || null, correlationId });
+}
+
+/**
+ * Read `responseSchema` from the request. Returns `{ name }` (null when
+ * not requested) or `{ error }`.
+ */
+function parseResponseSchemaName(raw) {
+  if (raw == null || raw === "") return { name: null };
+  const name = String(raw).trim();
+  if (!responseSchemas.getSchema(name)) {
+    return { error: `Unknown responseSchema. Expected one of: ${responseSchemas.SCHEMA_NAMES.join(", ")}` };
+  }
+  return { name };
+}
+
+/**
+ * Send model output back to the client. Without a schema the raw string
+ * is passed through as before (`validationStatus: "unvalidated"`). With
+ * one, the output is validated/repaired and either a parsed object is
+ * returned or a 502 — never a broken `resultJSON`.
+ */
+async function sendModelResult(res, { content, schemaName, prompt = null, meter = null, diagnostics, correlationId }) {
+  const promptInfo = promptSummary(prompt);
+  if (!schemaName) {
+    return res.json({ resultJSON: content, validationStatus: "unvalidated", prompt: promptInfo, diagnostics, correlationId });
+  }
+  const checked = await responseSchemas.validateResponse({
+    schemaName,
+    content,
+    retry: schemaRetry(meter)
+  });
+  if (checked.validationStatus === "invalid") {
+    console.warn(`[SCHEMA] ${schemaName} output invalid cid=${correlationId || "-"}: ${checked.errors.slice(0, 3).join("; ")}`);
+    return res.status(502).json({
+      error: "Model response failed validation",
+      validationStatus: "invalid",
+      validationErrors: checked.errors.slice(0, 10),
+      responseSchema: schemaName,
+      diagnostics,
+      correlationId
+    });
+  }
+  return res.json({
+    resultJSON: JSON.stringify(checked.value),
+    result: checked.value,
+    validationStatus: checked.validationStatus,
+    repair: checked.repair,
+    responseSchema: schemaName,
+    prompt: promptInfo,
+    diagnostics,
+    correlationId
+  });
+}
+
+/**
+ * Resolve `promptTemplate` (+ `templateVars`, sticky on `userId`) from the
+ * prompt registry. Returns `{ prompt }` (null when not requested) or `{ error }`.
+ */
+function resolveRequestedPrompt(templateId, { stickyKey, variables }) {
+  if (templateId == null || templateId === "") return { prompt: null };
+  const id = String(templateId).trim();
+  if (!promptRegistry.hasTemplate(id)) {
+    return { error: `Unknown promptTemplate. Expected one of: ${promptRegistry.TEMPLATE_IDS.join(", ")}` };
+  }
+  const vars = variables && typeof variables === "object" && !Array.isArray(variables) ? variables : {};
+  return { prompt: promptRegistry.resolvePrompt(id, { userId: stickyKey, variables: vars }) };
+}
+
+/**
+ * A/B bucket key for registry prompts: the signed-in user, else the same
+ * IP key metering uses. Never a client-supplied userId, which would let a
+ * caller pick their own experiment arm.
+ */
+function promptStickyKey(req) {
+  return llmUsage.callerIdentity(req).userKey;
+}
+
+function promptSummary(prompt) {
+  return prompt ? { templateId: prompt.templateId, version: prompt.version, experiment: prompt.experiment } : null;
+}
+
+/**
+ * Messages for a text completion: verbatim `system`/`user`, or a
+ * registry template when `promptTemplate` is given (an explicit `user`
+ * still wins over the template's). Returns `{ messages, prompt }` or `{ error }`.
+ */
+function completeInput(req) {
+  const body = req.body || {};
+  const resolved = resolveRequestedPrompt(body.promptTemplate, { stickyKey: promptStickyKey(req), variables: body.templateVars });
+  if (resolved.error) return { error: resolved.error };
+  const prompt = resolved.prompt;
+  return {
+    prompt,
+    messages: [
+      { role: "system", content: (prompt && prompt.systemPrompt) || body.system || "You are a helpful assistant." },
+      { role: "user", content: body.user || (prompt && prompt.userPrompt) || "" }
+    ]
+  };
+}
+
+/**
+ * Text completion.
+ *
+ *  POST /api/openai/complete
+ *  { "system": "...", "user": "...", "responseSchema"?: "shot_recommendation" | "putt_read" | "lie_analysis" }
+ */
+app.post("/api/openai/complete", optionalAuthenticate, async (req, res) => {
   try {
     const body = req.body || {};
     const correlationId = req.get("X-Correlation-ID") || body.correlationId || null;
-    const system = body.system;
-    const user = body.user;
 
-    if (!OPENAI_API_KEY) {
-      return res.status(500).json({ error: "Missing OPENAI_API_KEY", correlationId });
+    const providerProblem = llmProvider.getProvider().configError();
+    if (providerProblem) {
+      return res.status(500).json({ error: providerProblem, correlationId });
     }
 
-    const r = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: { Authorization: `Bearer ${OPENAI_API_KEY}`, "Content-Type": "application/json" },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        messages: [
-          { role: "system", content: system || "You are a helpful assistant." },
-          { role: "user", content: user || "" }
-        ]
-      })
+    const schema = parseResponseSchemaName(body.responseSchema);
+    if (schema.error) return res.status(400).json({ error: schema.error, correlationId });
+
+    const input = completeInput(req);
+    if (input.error) return res.status(400).json({ error: input.error, correlationId });
+
+    const meter = await beginMetering(req, res, {
+      endpoint: "openai_complete",
+      taskType: schema.name || (input.prompt && input.prompt.templateId),
+      correlationId
     });
+    if (!meter) return;
 
-    const data = await r.json();
-    if (data.error) {
-      return res.status(500).json({
-        error: "OpenAI call failed",
-        detail: safeTrim(data?.error?.message || data?.error?.type || "provider_error", 200),
-        correlationId
-      });
+    let content;
+    try {
+      content = await requestChatCompletion(input.messages, meter);
+    } catch (err) {
+      return res.status(500).json({ error: "OpenAI call failed", detail: err.detail, correlationId });
     }
 
-    const content = data?.choices?.[0]?.message?.content ?? "";
-    return res.json({ resultJSON: content, correlationId });
+    return await sendModelResult(res, {
+      content: content ?? "",
+      schemaName: schema.name,
+      prompt: input.prompt,
+      meter,
+      correlationId
+    });
   } catch (err) {
     const correlationId = req.get("X-Correlation-ID") || req.body?.correlationId || null;
     console.error("Server error:", err.message);
@@ -943,6 +1172,76 @@ app.post("/api/openai/complete", async (req, res) => {
   }
 });
 
+/**
+ * Parse a vision request (JSON base64 or multipart) into chat messages.
+ * The image is cleaned and shrunk first (services/imagePreprocess.js).
+ * Returns `{ messages, schemaName, prompt, image }` or `{ error, status }`.
+ */
+async function visionInput(req) {
+  // context can come from JSON body or multipart field
+  const contextRaw = (req.body && req.body.context) || (req.body && req.body.system) || null;
+  const ctx = parseMaybeJSON(contextRaw);
+
+  const schema = parseResponseSchemaName(
+    (req.body && req.body.responseSchema) || (ctx && typeof ctx === "object" && ctx.responseSchema)
+  );
+  if (schema.error) return { error: schema.error, status: 400 };
+
+  // Multipart file, else JSON base64 / data URL. The declared type is
+  // ignored; preprocessImage sniffs the bytes.
+  const imageBytes =
+    req.file && req.file.buffer ? req.file.buffer : imagePreprocess.decodeBase64Image(req.body && req.body.image);
+  if (!imageBytes) {
+    return { error: "Missing or invalid image. Send base64 in JSON or upload multipart field 'image'.", status: 400 };
+  }
+
+  let image;
+  try {
+    image = await imagePreprocess.preprocessImage(imageBytes);
+  } catch (err) {
+    if (!err.imageInput) throw err;
+    return { error: err.message, status: err.statusCode };
+  }
+
+  // A verbatim `system` from the client is still honoured; otherwise the
+  // prompt comes from the registry (lie_analysis unless another template
+  // is named).
+  const ctxObj = ctx && typeof ctx === "object" ? ctx : {};
+  let prompt = null;
+  if (!ctxObj.system) {
+    const resolved = resolveRequestedPrompt(
+      (req.body && req.body.promptTemplate) || ctxObj.promptTemplate || "lie_analysis",
+      {
+        stickyKey: promptStickyKey(req),
+        variables: parseMaybeJSON(req.body && req.body.templateVars) || ctxObj.templateVars
+      }
+    );
+    if (resolved.error) return { error: resolved.error, status: 400 };
+    prompt = resolved.prompt;
+  }
+
+  const systemPrompt = ctxObj.system || prompt.systemPrompt;
+  const userPrompt =
+    ctxObj.user || (prompt && prompt.userPrompt) || "Return JSON only with isOnGreen, lie, and confidence fields (0-1).";
+  const userPromptWithImageEvidence = `${userPrompt}\n\nWhen relevant, cite photo-visible evidence (lie, stance constraints, obstacles, landing window) instead of generic assumptions.`;
+
+  return {
+    schemaName: schema.name,
+    prompt,
+    image: image.diagnostics,
+    messages: [
+      { role: "system", content: systemPrompt },
+      {
+        role: "user",
+        content: [
+          { type: "text", text: userPromptWithImageEvidence },
+          { type: "image_url", image_url: { url: image.dataUrl } }
+        ]
+      }
+    ]
+  };
+}
+
 /**
  * Vision endpoint (JSON base64 OR multipart upload)
  *
@@ -950,83 +1249,41 @@ app.post("/api/openai/complete", async (req, res) => {
  *  POST /api/openai/vision
  *  { "context": {...} or "{\"system\":\"...\"}", "image": "<base64>" or "data:image/jpeg;base64,..." }
  *
+ * Both modes accept `responseSchema` (top-level field or inside context),
+ * e.g. "lie_analysis" — see services/responseSchemas.js.
+ *
  * Multipart mode:
  *  POST /api/openai/vision (form-data)
  *  fields:
  *   - context: (optional) JSON string
  *   - image: file
  */
-app.post("/api/openai/vision", upload.single("image"), async (req, res) => {
+app.post("/api/openai/vision", upload.single("image"), optionalAuthenticate, async (req, res) => {
   try {
     const correlationId = req.get("X-Correlation-ID") || req.body?.correlationId || null;
 
-    if (!OPENAI_API_KEY) {
-      return res.status(500).json({ error: "Missing OPENAI_API_KEY", correlationId });
-    }
-
-    // context can come from JSON body or multipart field
-    const contextRaw = (req.body && req.body.context) || (req.body && req.body.system) || null;
-    const ctx = parseMaybeJSON(contextRaw);
-
-    let dataUrl = null;
-
-    // If multipart file provided
-    if (req.file && req.file.buffer) {
-      const mime = req.file.mimetype || "image/jpeg";
-      const b64 = req.file.buffer.toString("base64");
-      dataUrl = `data:${mime};base64,${b64}`;
-    } else {
-      // JSON base64 mode
-      const imageRaw = req.body && req.body.image;
-      dataUrl = toDataUrlFromBase64(imageRaw);
-    }
-
-    if (!dataUrl) {
-      return res.status(400).json({
-        error: "Missing or invalid image. Send base64 in JSON or upload multipart field 'image'.",
-        correlationId
-      });
+    const providerProblem = llmProvider.getProvider().configError();
+    if (providerProblem) {
+      return res.status(500).json({ error: providerProblem, correlationId });
     }
 
-    const systemPrompt =
-      (ctx && typeof ctx === "object" && ctx.system) ||
-      "You are a golf course analysis AI. Analyze this photo and return JSON only.";
+    const input = await visionInput(req);
+    if (input.error) return res.status(input.status).json({ error: input.error, correlationId });
 
-    const userPrompt =
-      (ctx && typeof ctx === "object" && ctx.user) ||
-      "Return JSON only with isOnGreen, lie, and confidence fields (0-1).";
-    const userPromptWithImageEvidence = `${userPrompt}\n\nWhen relevant, cite photo-visible evidence (lie, stance constraints, obstacles, landing window) instead of generic assumptions.`;
-
-    const payload = {
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemPrompt },
-        {
-          role: "user",
-          content: [
-            { type: "text", text: userPromptWithImageEvidence },
-            { type: "image_url", image_url: { url: dataUrl } }
-          ]
-        }
-      ]
-    };
-
-    const r = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: { Authorization: `Bearer ${OPENAI_API_KEY}`, "Content-Type": "application/json" },
-      body: JSON.stringify(payload)
+    const meter = await beginMetering(req, res, {
+      endpoint: "openai_vision",
+      taskType: input.schemaName || (input.prompt && input.prompt.templateId),
+      correlationId
     });
+    if (!meter) return;
 
-    const data = await r.json();
-    if (data.error) {
-      return res.status(500).json({
-        error: "OpenAI vision call failed",
-        detail: safeTrim(data?.error?.message || data?.error?.type || "provider_error", 200),
-        correlationId
-      });
+    let content;
+    try {
+      content = await requestChatCompletion(input.messages, meter);
+    } catch (err) {
+      return res.status(500).json({ error: "OpenAI vision call failed", detail: err.detail, correlationId });
     }
 
-    const content = data?.choices?.[0]?.message?.content;
     if (!content) {
       return res.status(500).json({
         error: "Unexpected OpenAI response shape",
@@ -1035,7 +1292,14 @@ app.post("/api/openai/vision", upload.single("image"), async (req, res) => {
       });
     }
 
-    return res.json({ resultJSON: content, correlationId });
+    return await sendModelResult(res, {
+      content,
+      schemaName: input.schemaName,
+      prompt: input.prompt,
+      meter,
+      diagnostics: { image: input.image },
+      correlationId
+    });
   } catch (err) {
     const correlationId = req.get("X-Correlation-ID") || req.body?.correlationId || null;
     console.error("Vision server error:", err.message);
@@ -1043,6 +1307,112 @@ app.post("/api/openai/vision", upload.single("image"), async (req, res) => {
   }
 });
 
+/**
+ * Streaming variants (Server-Sent Events). Same request bodies as the
+ * endpoints above, plus an optional `recommendationEvent` (the
+ * POST /api/analytics/recommendation payload) to log with the final
+ * text. Event format: services/completionStream.js.
+ *
+ *  POST /api/openai/complete/stream
+ *  POST /api/openai/vision/stream
+ */
+function parseRecommendationEvent(raw) {
+  const parsed = typeof raw === "string" ? parseMaybeJSON(raw) : raw;
+  return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+}
+
+app.post("/api/openai/complete/stream", optionalAuthenticate, async (req, res) => {
+  const body = req.body || {};
+  const correlationId = req.get("X-Correlation-ID") || body.correlationId || null;
+  try {
+    const provider = llmProvider.getProvider();
+    const providerProblem = provider.configError();
+    if (providerProblem) {
+      return res.status(500).json({ error: providerProblem, correlationId });
+    }
+
+    const schema = parseResponseSchemaName(body.responseSchema);
+    if (schema.error) return res.status(400).json({ error: schema.error, correlationId });
+
+    const input = completeInput(req);
+    if (input.error) return res.status(400).json({ error: input.error, correlationId });
+
+    const meter = await beginMetering(req, res, {
+      endpoint: "openai_complete_stream",
+      taskType: schema.name || (input.prompt && input.prompt.templateId),
+      correlationId
+    });
+    if (!meter) return;
+
+    await streamCompletion({
+      res,
+      provider,
+      model: RAW_COMPLETION_MODEL,
+      messages: input.messages,
+      prompt: promptSummary(input.prompt),
+      schemaName: schema.name,
+      retry: schemaRetry(meter),
+      meter,
+      correlationId,
+      userId: req.authUser ? req.authUser.id : null,
+      recommendationEvent: parseRecommendationEvent(body.recommendationEvent),
+      recordEvent: recordRecommendationEvent
+    });
+  } catch (err) {
+    console.error("Stream server error:", err.message);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: "OpenAI call failed", detail: "server_error", correlationId });
+    }
+    if (!res.writableEnded) writeEvent(res, "failure", { error: "OpenAI call failed", detail: "server_error", correlationId });
+    res.end();
+  }
+});
+
+app.post("/api/openai/vision/stream", upload.single("image"), optionalAuthenticate, async (req, res) => {
+  const correlationId = req.get("X-Correlation-ID") || req.body?.correlationId || null;
+  try {
+    const provider = llmProvider.getProvider();
+    const providerProblem = provider.configError();
+    if (providerProblem) {
+      return res.status(500).json({ error: providerProblem, correlationId });
+    }
+
+    const input = await visionInput(req);
+    if (input.error) return res.status(input.status).json({ error: input.error, correlationId });
+
+    const meter = await beginMetering(req, res, {
+      endpoint: "openai_vision_stream",
+      taskType: input.schemaName || (input.prompt && input.prompt.templateId),
+      correlationId
+    });
+    if (!meter) return;
+
+    await streamCompletion({
+      res,
+      provider,
+      model: RAW_COMPLETION_MODEL,
+      messages: input.messages,
+      prompt: promptSummary(input.prompt),
+      schemaName: input.schemaName,
+      retry: schemaRetry(meter),
+      meter,
+      correlationId,
+      userId: req.authUser ? req.authUser.id : null,
+      recommendationEvent: parseRecommendationEvent(req.body && req.body.recommendationEvent),
+      recordEvent: recordRecommendationEvent,
+      photoIncluded: true,
+      image: input.image
+    });
+  } catch (err) {
+    console.error("Vision stream server error:", err.message);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: "Vision call failed", detail: "server_error", correlationId });
+    }
+    if (!res.writableEnded) writeEvent(res, "failure", { error: "Vision call failed", detail: "server_error", correlationId });
+    res.end();
+  }
+});
+
 const PORT = process.env.PORT || 8080;
 
 function startServer() {
@@ -0,0 +1,87 @@
+-- 010_rounds.sql
+-- First-class rounds.
+--
+-- Design rationale:
+--   • `id` is TEXT (not UUID) so the iOS client can keep generating its
+--     own round ids offline. The same ids have been flowing into
+--     `shot_outcomes.round_id` since migration 005, and they must keep
+--     resolving after the upgrade below.
+--   • `course_name` / `tee_name` / `hole_count` are snapshotted at
+--     start so a round stays readable even if re-ingestion renames or
+--     removes the tee set (FKs are ON DELETE SET NULL for that reason).
+--   • status lifecycle: in_progress → completed | abandoned.
+--     `imported` marks rounds we only know about from shot outcomes
+--     (backfilled here, or posted before the client started the round).
+--     Starting a round with the same id claims an `imported` row.
+--
+-- shot_outcomes.round_id stays TEXT but now references rounds(id).
+-- Orphan round ids are backfilled first so the FK can be validated.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS rounds (
+  id           TEXT PRIMARY KEY,
+  user_id      UUID REFERENCES users(id) ON DELETE CASCADE,
+  course_id    UUID REFERENCES golf_courses(id) ON DELETE SET NULL,
+  tee_set_id   UUID REFERENCES golf_tees(id) ON DELETE SET NULL,
+  course_name  TEXT,
+  tee_name     TEXT,
+  hole_count   INT,
+  status       TEXT NOT NULL DEFAULT 'in_progress'
+               CHECK (status IN ('in_progress', 'completed', 'abandoned', 'imported')),
+  started_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  ended_at     TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rounds_user_started
+  ON rounds (user_id, started_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_rounds_status
+  ON rounds (status);
+
+-- Backfill: one `imported` round per distinct round id already referenced
+-- by shot_outcomes. user/course are linked best-effort — shot_outcomes
+-- stores them as free TEXT (user UUID or anonymous id, course UUID or
+-- external course_id).
+WITH orphan AS (
+  SELECT so.round_id,
+         MIN(so.user_id)     AS user_ref,
+         MIN(so.course_id)   AS course_ref,
+         MIN(so.recorded_at) AS started_at,
+         MAX(so.recorded_at) AS ended_at
+  FROM shot_outcomes so
+  WHERE so.round_id IS NOT NULL
+  GROUP BY so.round_id
+)
+INSERT INTO rounds (id, user_id, course_id, course_name, status, started_at, ended_at)
+SELECT o.round_id,
+       (SELECT u.id FROM users u
+         WHERE u.id::text = o.user_ref OR u.anonymous_user_id = o.user_ref
+         LIMIT 1),
+       gc.id,
+       gc.course_name,
+       'imported',
+       o.started_at,
+       o.ended_at
+FROM orphan o
+LEFT JOIN LATERAL (
+  SELECT id, course_name FROM golf_courses
+   WHERE id::text = o.course_ref OR course_id = o.course_ref
+   LIMIT 1
+) gc ON TRUE
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE shot_outcomes
+  DROP CONSTRAINT IF EXISTS shot_outcomes_round_fk;
+
+ALTER TABLE shot_outcomes
+  ADD CONSTRAINT shot_outcomes_round_fk
+  FOREIGN KEY (round_id) REFERENCES rounds(id) ON DELETE SET NULL;
+
+INSERT INTO schema_migrations (name)
+  VALUES ('010_rounds')
+  ON CONFLICT DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- 011_round_hole_scores.sql
+-- Hole-by-hole scorecard capture for rounds (migration 010).
+--
+-- Design rationale:
+--   • One row per (round, hole); the client upserts as the golfer walks
+--     off each green and may correct earlier holes later.
+--   • Only raw inputs are stored. Gross/net/Stableford are derived on read
+--     (services/scorecard.js) from golf_course_holes par + stroke index and
+--     rounds.course_handicap, so a corrected stroke index or handicap never
+--     leaves stale totals behind.
+--   • fairway_hit / gir are nullable: "not recorded" is different from
+--     "missed", and par 3s have no fairway at all.
+
+BEGIN;
+
+ALTER TABLE rounds
+  ADD COLUMN IF NOT EXISTS course_handicap INT NULL;
+
+CREATE TABLE IF NOT EXISTS round_hole_scores (
+  round_id         TEXT NOT NULL REFERENCES rounds(id) ON DELETE CASCADE,
+  hole_number      INT NOT NULL CHECK (hole_number BETWEEN 1 AND 18),
+  strokes          INT NOT NULL CHECK (strokes BETWEEN 1 AND 20),
+  putts            INT NULL CHECK (putts >= 0),
+  fairway_hit      BOOLEAN NULL,
+  gir              BOOLEAN NULL,
+  penalty_strokes  INT NOT NULL DEFAULT 0 CHECK (penalty_strokes >= 0),
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (round_id, hole_number)
+);
+
+INSERT INTO schema_migrations (name)
+  VALUES ('011_round_hole_scores')
+  ON CONFLICT DO NOTHING;
+
+COMMIT;
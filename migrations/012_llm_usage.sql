@@ -0,0 +1,43 @@
+-- 012_llm_usage.sql
+-- Token usage for every LLM completion the backend makes.
+--
+-- Design rationale:
+--   • One row per upstream call (schema-repair retries are their own
+--     row). Cache hits cost nothing and are not recorded.
+--   • `user_key` is who the call is charged to for quotas: the
+--     authenticated user id, else the client-asserted userId, else
+--     `ip:<addr>` for fully anonymous /api/openai/* calls. `user_id` is
+--     only set when it came from a token, so spend-by-user reporting
+--     can tell the two apart.
+--   • `cost_usd` is computed at insert time from the price table in
+--     services/llmUsage.js and is NULL for models without a price, so a
+--     later price change never rewrites history.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id                 BIGSERIAL PRIMARY KEY,
+  user_key           TEXT NOT NULL,
+  user_id            TEXT NULL,
+  endpoint           TEXT NOT NULL,
+  task_type          TEXT NULL,
+  model              TEXT NOT NULL,
+  prompt_tokens      INT NOT NULL DEFAULT 0 CHECK (prompt_tokens >= 0),
+  completion_tokens  INT NOT NULL DEFAULT 0 CHECK (completion_tokens >= 0),
+  total_tokens       INT NOT NULL DEFAULT 0 CHECK (total_tokens >= 0),
+  cost_usd           NUMERIC(12, 6) NULL,
+  correlation_id     TEXT NULL,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user_key_created
+  ON llm_usage (user_key, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created
+  ON llm_usage (created_at DESC);
+
+INSERT INTO schema_migrations (name)
+  VALUES ('012_llm_usage')
+  ON CONFLICT DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,34 @@
+-- 013_hole_elevation.sql
+-- Ground elevation for hole geometry (tees, greens, hazards).
+--
+-- Design rationale:
+--   • Filled by scripts/annotate-elevation.js from the configured
+--     elevation provider (DEM tiles on disk, normally). NULL means "not
+--     annotated yet", never "sea level".
+--   • `elevation_source` is the provider's quality tag (`dem_local`,
+--     `dem_90m`, ...) so a later pass with a finer DEM can tell which
+--     rows it should replace.
+--   • Meters above the DEM's vertical datum. Only differences between
+--     points on the same course are used, so the datum doesn't matter.
+--   • Synthesized tees are re-projected by scripts/synthesize-hole-tees.js;
+--     it clears the elevation of any tee whose coordinate moved.
+
+BEGIN;
+
+ALTER TABLE golf_hole_pois
+  ADD COLUMN IF NOT EXISTS elevation_m REAL NULL;
+
+ALTER TABLE golf_hole_pois
+  ADD COLUMN IF NOT EXISTS elevation_source TEXT NULL;
+
+ALTER TABLE golf_hole_tees
+  ADD COLUMN IF NOT EXISTS elevation_m REAL NULL;
+
+ALTER TABLE golf_hole_tees
+  ADD COLUMN IF NOT EXISTS elevation_source TEXT NULL;
+
+INSERT INTO schema_migrations (name)
+  VALUES ('013_hole_elevation')
+  ON CONFLICT DO NOTHING;
+
+COMMIT;
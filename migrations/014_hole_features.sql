@@ -0,0 +1,57 @@
+-- 014_hole_features.sql
+-- Polygon / linestring geometry for hole features: greens, fairways,
+-- bunkers, water, tree lines, OB lines.
+--
+-- Design rationale:
+--   • golf_hole_pois stays the point table every consumer already reads.
+--     A feature either outlines one of those POIs (`poi_id`) or stands on
+--     its own (a fairway, or a hazard only the outline source knows about).
+--   • `coordinates` is the outer ring / line as GeoJSON-ordered [lon, lat]
+--     pairs, read directly by the carry math in services/holeGeometry.js.
+--     `geom` is the same shape for spatial queries and is derived from it.
+--   • `feature_type` is a normalized hazard type (hazardClassifier
+--     HAZARD_TYPES) or one of green / fairway / tee.
+--   • `source_type` follows golf_hole_pois: source_osm from the enricher
+--     (one row per OSM way per hole), source_admin_verified from admin
+--     uploads. OSM rows are re-imported idempotently on (course, hole, osm_id).
+--   • `hole_number` is nullable for course-wide features (a boundary fence).
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS golf_hole_features (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  course_id UUID NOT NULL REFERENCES golf_courses(id) ON DELETE CASCADE,
+  hole_number INT NULL CHECK (hole_number BETWEEN 1 AND 18),
+  feature_type TEXT NOT NULL,
+  geometry_kind TEXT NOT NULL CHECK (geometry_kind IN ('polygon', 'linestring')),
+  coordinates JSONB NOT NULL,
+  geom GEOGRAPHY(GEOMETRY, 4326),
+  poi_id UUID NULL REFERENCES golf_hole_pois(id) ON DELETE SET NULL,
+  label TEXT NULL,
+  source_type TEXT NOT NULL DEFAULT 'source_osm',
+  confidence REAL NULL,
+  osm_id TEXT NULL,
+  osm_tags JSONB NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_golf_hole_features_course_hole
+  ON golf_hole_features (course_id, hole_number);
+
+CREATE INDEX IF NOT EXISTS idx_golf_hole_features_geom
+  ON golf_hole_features USING GIST (geom);
+
+CREATE INDEX IF NOT EXISTS idx_golf_hole_features_poi
+  ON golf_hole_features (poi_id)
+  WHERE poi_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_golf_hole_features_osm_unique
+  ON golf_hole_features (course_id, hole_number, osm_id)
+  WHERE osm_id IS NOT NULL;
+
+INSERT INTO schema_migrations (name)
+  VALUES ('014_hole_features')
+  ON CONFLICT DO NOTHING;
+
+COMMIT;
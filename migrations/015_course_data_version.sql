@@ -0,0 +1,30 @@
+-- 015_course_data_version.sql
+-- Per-course data version for ETags and the course payload cache.
+--
+-- Design rationale:
+--   • One counter per course instead of max(updated_at) over six tables:
+--     reading it is a single indexed row, so GET /api/courses/:id and
+--     /api/course-context/:courseId can answer 304 (or serve a cached
+--     payload) without assembling anything.
+--   • Bumped by every writer of course geometry — scripts/ingest.js,
+--     synthesize-hole-tees.js, annotate-elevation.js, the OSM enricher and
+--     the admin feature endpoints (services/courseDataVersion.js). A writer
+--     that forgets to bump serves stale payloads, so new writers must call
+--     bumpCourseDataVersion().
+--   • `data_updated_at` is informational (when the version last moved);
+--     nothing compares it.
+--   • Starts at 1 for existing rows; the value only ever increases.
+
+BEGIN;
+
+ALTER TABLE golf_courses
+  ADD COLUMN IF NOT EXISTS data_version BIGINT NOT NULL DEFAULT 1;
+
+ALTER TABLE golf_courses
+  ADD COLUMN IF NOT EXISTS data_updated_at TIMESTAMPTZ NULL;
+
+INSERT INTO schema_migrations (name)
+  VALUES ('015_course_data_version')
+  ON CONFLICT DO NOTHING;
+
+COMMIT;
@@ -5,6 +5,10 @@ const router = express.Router();
 
 const { buildCoverageReport, rankWeakest, rankStrongest } = require("../scripts/audit-hazard-coverage");
 const { enrichCourse } = require("../services/osmEnricher");
+const { normalizeFeatureInput, toGeoJsonGeometry } = require("../services/holeGeometry");
+const responseCache = require("../services/responseCache");
+const { bumpCourseDataVersion, coursePayloadCache, COURSE_CACHE_ENABLED } = require("../services/courseDataVersion");
+const llmUsage = require("../services/llmUsage");
 
 router.get("/dashboard", async (req, res) => {
   const pool = req.app.get("dbPool");
@@ -84,8 +88,20 @@ router.get("/dashboard", async (req, res) => {
     ).catch(() => ({ rows: [{ n: 0 }] }));
     result.totalPutts = puttCount.rows[0]?.n ?? 0;
 
-    if (result.totalUsers > 0) {
-      result.avgRoundsPerUser = result.totalRounds / result.totalUsers;
+    // Rounds come from the rounds table (migration 010). Abandoned rounds are
+    // excluded; per-user average only counts rounds with a known owner.
+    const roundsResult = await pool.query(
+      `SELECT
+        COUNT(*)::int AS total,
+        COUNT(*) FILTER (WHERE user_id IS NOT NULL)::int AS owned,
+        COUNT(DISTINCT user_id)::int AS users
+       FROM rounds
+       WHERE status <> 'abandoned'`
+    ).catch(() => ({ rows: [{ total: 0, owned: 0, users: 0 }] }));
+    const rr = roundsResult.rows[0] || {};
+    result.totalRounds = rr.total || 0;
+    if (rr.users > 0) {
+      result.avgRoundsPerUser = rr.owned / rr.users;
     }
 
     // ── Shot outcome aggregates ────────────────────────────────────────────
@@ -535,6 +551,37 @@ router.get("/synthesis-status/:jobId", (req, res) => {
   return res.json(job);
 });
 
+// ── LLM response cache (per instance, in memory) ────────────────────────────
+
+router.get("/llm-cache", (req, res) => {
+  return res.json({ ok: true, ...responseCache.defaultCache.metrics() });
+});
+
+// ── Course payload cache (per instance; services/courseDataVersion.js) ──────
+
+router.get("/course-cache", (req, res) => {
+  return res.json({ ok: true, ...coursePayloadCache.metrics(), enabled: COURSE_CACHE_ENABLED });
+});
+
+// ── LLM spend (llm_usage, migration 012) ────────────────────────────────────
+//
+// Tokens and USD by day, model, task type and top users over the last N days.
+
+router.get("/llm-usage", async (req, res) => {
+  const pool = req.app.get("dbPool");
+  const days = Math.min(Math.max(parseInt(req.query.days || "30", 10) || 30, 1), 365);
+  if (!pool) return res.json({ ok: true, source: "no-db", windowDays: days, limits: llmUsage.quotaLimits() });
+
+  try {
+    const summary = await llmUsage.summarizeUsage(pool, { days });
+    return res.json({ ok: true, source: "database", limits: llmUsage.quotaLimits(), ...summary });
+  } catch (err) {
+    // Likely table-missing — migration 012 not applied yet.
+    console.warn("[ADMIN] llm-usage fallback:", err.message);
+    return res.json({ ok: true, source: "fallback", windowDays: days, limits: llmUsage.quotaLimits() });
+  }
+});
+
 // ── Per-course hole audit (for debugging specific courses like Herndon) ─────
 
 router.get("/course-audit/:courseId", async (req, res) => {
@@ -1061,6 +1108,8 @@ router.get("/osm-batch-status", async (req, res) => {
  *   - inserted (only when apply=1)
  *   - insertedByType, insertedByHole
  *   - proposedRows[]  (what would be / was inserted)
+ *   - featuresProposed / featuresInserted, proposedFeatures[]  (way outlines
+ *     for golf_hole_features; only written once migration 014 is applied)
  */
 router.post("/enrich-osm/:courseId", async (req, res) => {
   const pool = req.app.get("dbPool");
@@ -1084,4 +1133,119 @@ router.post("/enrich-osm/:courseId", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/courses/:courseId/features
+ *
+ * Upload polygon / line outlines (greens, fairways, bunkers, water, tree
+ * lines, OB) into golf_hole_features. Body is a GeoJSON Feature or
+ * FeatureCollection; each feature's properties:
+ *   - featureType  normalized hazard type, or green / fairway / tee (required)
+ *   - holeNumber   1-18; omit for course-wide features
+ *   - label        optional
+ *   - poiId        optional golf_hole_pois id the outline belongs to
+ *
+ * All-or-nothing: any invalid feature rejects the upload with its index.
+ * Rows are tagged source_type='source_admin_verified'.
+ */
+router.post("/courses/:courseId/features", async (req, res) => {
+  const pool = req.app.get("dbPool");
+  if (!pool) return res.status(503).json({ error: "Database unavailable" });
+
+  const courseUuid = String(req.params.courseId || "").trim();
+  const body = req.body || {};
+  const raw = body.type === "FeatureCollection" ? body.features : [body];
+  if (!Array.isArray(raw) || raw.length === 0) {
+    return res.status(400).json({ error: "Body must be a GeoJSON Feature or a non-empty FeatureCollection." });
+  }
+  if (raw.length > 500) return res.status(400).json({ error: "At most 500 features per upload." });
+
+  const features = [];
+  for (let i = 0; i < raw.length; i++) {
+    const parsed = normalizeFeatureInput(raw[i]);
+    if (parsed.error) return res.status(400).json({ error: `features[${i}]: ${parsed.error}` });
+    features.push(parsed.value);
+  }
+
+  const inserted = [];
+  const client = await pool.connect();
+  try {
+    const course = await client.query(`SELECT id FROM golf_courses WHERE id::text = $1`, [courseUuid]);
+    if (course.rows.length === 0) return res.status(404).json({ error: "Course not found" });
+
+    const poiIds = [...new Set(features.map((f) => f.poiId).filter(Boolean))];
+    if (poiIds.length > 0) {
+      const pois = await client.query(
+        `SELECT id::text AS id FROM golf_hole_pois WHERE course_id = $1 AND id = ANY($2::uuid[])`,
+        [courseUuid, poiIds]
+      );
+      const known = new Set(pois.rows.map((r) => r.id));
+      const missing = poiIds.find((id) => !known.has(id));
+      if (missing) return res.status(400).json({ error: `poiId ${missing} does not belong to this course.` });
+    }
+
+    await client.query("BEGIN");
+    for (const f of features) {
+      const r = await client.query(
+        `INSERT INTO golf_hole_features
+           (course_id, hole_number, feature_type, geometry_kind, coordinates, geom,
+            poi_id, label, source_type, confidence, updated_at)
+         VALUES ($1, $2, $3, $4, $5::jsonb, ST_GeomFromGeoJSON($6)::geography,
+                 $7, $8, 'source_admin_verified', 1.0, now())
+         RETURNING id::text AS id`,
+        [
+          courseUuid,
+          f.holeNumber,
+          f.featureType,
+          f.kind,
+          JSON.stringify(f.coordinates),
+          JSON.stringify(toGeoJsonGeometry(f)),
+          f.poiId,
+          f.label
+        ]
+      );
+      inserted.push({ id: r.rows[0].id, holeNumber: f.holeNumber, featureType: f.featureType, geometryKind: f.kind });
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (err.code === "42P01") {
+      return res.status(503).json({ error: "golf_hole_features missing — apply migration 014_hole_features" });
+    }
+    console.error("[ADMIN] features upload error:", err.message);
+    return res.status(500).json({ error: "Feature upload failed", detail: err.message });
+  } finally {
+    client.release();
+  }
+  await bumpCourseDataVersion(pool, courseUuid);
+  console.log(`[ADMIN] features course=${courseUuid} inserted=${inserted.length}`);
+  return res.status(201).json({ courseId: courseUuid, inserted });
+});
+
+/**
+ * DELETE /api/admin/courses/:courseId/features/:featureId
+ *
+ * Remove one outline. The POI it belonged to is untouched.
+ */
+router.delete("/courses/:courseId/features/:featureId", async (req, res) => {
+  const pool = req.app.get("dbPool");
+  if (!pool) return res.status(503).json({ error: "Database unavailable" });
+
+  try {
+    const r = await pool.query(
+      `DELETE FROM golf_hole_features WHERE course_id::text = $1 AND id::text = $2`,
+      [String(req.params.courseId), String(req.params.featureId)]
+    );
+    if (r.rowCount === 0) return res.status(404).json({ error: "Feature not found" });
+  } catch (err) {
+    if (err.code === "42P01") {
+      return res.status(503).json({ error: "golf_hole_features missing — apply migration 014_hole_features" });
+    }
+    console.error("[ADMIN] features delete error:", err.message);
+    return res.status(500).json({ error: "Feature delete failed", detail: err.message });
+  }
+  await bumpCourseDataVersion(pool, String(req.params.courseId));
+  console.log(`[ADMIN] features course=${req.params.courseId} deleted=${req.params.featureId}`);
+  return res.json({ deleted: true });
+});
+
 module.exports = router;
@@ -123,6 +123,27 @@ async function authenticate(req, res, next) {
   next();
 }
 
+/**
+ * Optional auth for endpoints that still accept anonymous callers
+ * (/api/openai/*). A valid, unrevoked token sets `req.authUser = { id }`;
+ * a missing or bad token leaves the request anonymous instead of
+ * rejecting it, so older app builds keep working.
+ */
+async function optionalAuthenticate(req, _res, next) {
+  const token = bearerToken(req);
+  if (!token || !JWT_SECRET) return next();
+  try {
+    const payload = jwt.verify(token, JWT_SECRET, { issuer: "caddie.ai" });
+    const pool = getDbPool(req);
+    if (!(pool && (await tokenIsRevoked(pool, payload.jti)))) {
+      req.authUser = { id: payload.sub };
+    }
+  } catch {
+    // Treated as anonymous.
+  }
+  next();
+}
+
 function publicUserShape(row, identities = []) {
   return {
     id: row.id,
@@ -614,3 +635,4 @@ router.delete("/account", authenticate, async (req, res) => {
 
 module.exports = router;
 module.exports.authenticate = authenticate;
+module.exports.optionalAuthenticate = optionalAuthenticate;
@@ -0,0 +1,793 @@
+"use strict";
+
+/**
+ * Caddie — server-built AI recommendations.
+ *
+ * Endpoints (mounted at `/api/caddie`, all require a Bearer token):
+ *   POST /recommend      — shot recommendation
+ *     { courseId, holeNumber, teeSetId, position?: { lat, lon }, lie?,
+ *       playsLikeYards?, playerId?, sessionId?, taskType?, noCache? }
+ *   POST /club-selection — deterministic engine only (no LLM), see handler
+ *   POST /strategy       — expected-strokes club + target line for a tee
+ *     shot or layup (services/strategyOptimizer.js)
+ *     { courseId, holeNumber, teeSetId?, position?: { lat, lon }, lie?, clubs? }
+ *   POST /putt           — green read from a photo (JSON base64 `image` or
+ *     multipart field "image")
+ *     { courseId, holeNumber, ball: { lat, lon },
+ *       pin?: { lat, lon } | "front" | "center" | "back", sessionId? }
+ *
+ * Unlike /api/openai/complete, the client never sends prompt text. The
+ * prompt is assembled from the round-engine payload, hazards relative to
+ * the ball, and the caller's bag (services/shotRecommendation.js); the
+ * model is chosen by modelRouter from the task type.
+ *
+ * If the model call fails, exceeds CADDIE_LLM_TIMEOUT_MS, returns
+ * output that doesn't validate, or the user is over their LLM quota
+ * (services/llmUsage.js), /recommend answers from the deterministic
+ * engine (services/clubSelection.js) instead of erroring, and records
+ * fallbackOccurred / fallbackReason. The engine works on plays-like
+ * distance: `playsLikeYards` when sent, else the measured distance plus the
+ * tee set's elevation adjustment off the tee. Token usage is metered per user.
+ *
+ * The system prompt comes from the prompt registry
+ * (services/promptRegistry.js) with a sticky per-user A/B variant; the
+ * template id/version is returned and logged with the event.
+ *
+ * Completions are cached on the normalized shot context
+ * (services/responseCache.js), so a repeat question from about the same
+ * spot is answered instantly. `noCache: true` or a `Cache-Control:
+ * no-cache` header skips the cache; the response's `cache` field says
+ * which path was taken.
+ *
+ * `context.hazardsInPlay` is evaluated for the club that was finally
+ * recommended: each hazard carries the chance the player's shot finds it
+ * (`inPlayProbability`), from their profile carries and shot_outcomes miss
+ * history (services/shotDispersion.js); `context.shotPattern` is the
+ * landing pattern used. Without a known carry for the club it falls back
+ * to the generic reach filter.
+ *
+ * Every successful recommendation is logged to recommendation_events via
+ * the recorder index.js registers as `app.get("recordRecommendationEvent")`,
+ * so server-side and client-reported recommendations land in one table.
+ * Logging failures never fail the request.
+ */
+
+const express = require("express");
+const multer = require("multer");
+const { randomUUID } = require("crypto");
+
+const router = express.Router();
+
+const authModule = require("./auth");
+const authenticate = authModule.authenticate;
+const { loadRoundContext } = require("../services/courseDataVersion");
+const openaiService = require("../services/openaiService");
+const shotRecommendation = require("../services/shotRecommendation");
+const clubSelection = require("../services/clubSelection");
+const shotDispersion = require("../services/shotDispersion");
+const strategyOptimizer = require("../services/strategyOptimizer");
+const responseCache = require("../services/responseCache");
+const promptRegistry = require("../services/promptRegistry");
+const llmUsage = require("../services/llmUsage");
+const responseSchemas = require("../services/responseSchemas");
+const imagePreprocess = require("../services/imagePreprocess");
+const puttRead = require("../services/puttRead");
+const { normalizeHazardType } = require("../services/hazardClassifier");
+
+// How long /recommend waits for the model before using the engine.
+const LLM_TIMEOUT_MS = Number(process.env.CADDIE_LLM_TIMEOUT_MS) || 12000;
+const MAX_HAZARDS = 30;
+
+// Green photos for /putt; same cap as /api/openai/vision.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }
+});
+
+function getDbPool(req) {
+  return req.app.get("dbPool") || null;
+}
+
+function safeStr(value, max = 200) {
+  if (value == null) return null;
+  const s = String(value).trim();
+  if (!s) return null;
+  return s.length > max ? s.slice(0, max) : s;
+}
+
+/**
+ * Parse `position`. Returns `{ value }` (null when absent) or `{ error }`.
+ */
+function parsePosition(raw) {
+  if (raw == null) return { value: null };
+  const lat = Number(raw.lat ?? raw.latitude);
+  const lon = Number(raw.lon ?? raw.lng ?? raw.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return { error: "position must be { lat, lon }." };
+  }
+  return { value: { lat, lon } };
+}
+
+/**
+ * Optional `playsLikeYards` override. Returns `{ value }` (null when
+ * absent) or `{ error }`.
+ */
+function parsePlaysLike(raw) {
+  if (raw == null) return { value: null };
+  const value = Number(raw);
+  if (!(Number.isFinite(value) && value > 0 && value <= 700)) {
+    return { error: "playsLikeYards must be between 1 and 700." };
+  }
+  return { value };
+}
+
+/** Multipart fields arrive as strings; JSON bodies as objects. */
+function parseJsonField(value) {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Parse raw-mode `hazards`: ball-relative `{ type, carryDistance,
+ * lateralOffset }` (hazardEngine shape). Returns `{ value }` or `{ error }`.
+ */
+function parseHazards(raw) {
+  if (raw == null) return { value: [] };
+  if (!Array.isArray(raw) || raw.length > MAX_HAZARDS) {
+    return { error: `hazards must be an array of at most ${MAX_HAZARDS} items.` };
+  }
+  const value = [];
+  for (const h of raw) {
+    const carryDistance = Number(h && h.carryDistance);
+    const lateralOffset = Number(h && h.lateralOffset);
+    if (!Number.isFinite(carryDistance) || !Number.isFinite(lateralOffset)) {
+      return { error: "each hazard needs numeric carryDistance and lateralOffset." };
+    }
+    value.push({
+      type: normalizeHazardType(h.type) || safeStr(h.type, 40) || "other",
+      carryDistance,
+      lateralOffset
+    });
+  }
+  return { value };
+}
+
+/**
+ * Reject after `ms` with `code = "LLM_TIMEOUT"`. The underlying request
+ * is not aborted; its result is simply ignored.
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      reject(Object.assign(new Error(`LLM call exceeded ${ms}ms`), { code: "LLM_TIMEOUT" }));
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function recommendationFromSelection(selection) {
+  const best = selection.recommended;
+  const side = best.targetLine.side;
+  return {
+    club: best.club,
+    targetDescription:
+      side === "center" ? "Center of the target" : `${Math.abs(best.targetLine.aimOffsetYards)} yds ${side} of center`,
+    shotShape: null,
+    recommendationText: selection.explanation,
+    confidence: null,
+    hazardWarnings: best.threat
+      ? [`${best.threat.type.replace(/_/g, " ")} at ${best.threat.carryDistance}`]
+      : []
+  };
+}
+
+/**
+ * Hazards re-scored for the club being hit. Returns null when the club's
+ * carry isn't known, leaving the generic in-play list in place.
+ */
+function evaluateShotPattern(hazards, clubName, { clubs, history, lie, aimOffsetYards = 0 }) {
+  const pattern = clubName ? shotDispersion.patternForClub(clubName, { clubs, history, lie }) : null;
+  if (!pattern) return null;
+  const inPlay = shotDispersion
+    .applyPattern(hazards, pattern, aimOffsetYards)
+    .filter((h) => h.isInPlay)
+    .sort((a, b) => b.inPlayProbability - a.inPlayProbability);
+  return { pattern: { ...pattern, aimOffsetYards }, hazards: inPlay };
+}
+
+function shotContextShape(shot, evaluated = null) {
+  return {
+    holeNumber: shot.holeNumber,
+    par: shot.par,
+    holeYardage: shot.holeYardage,
+    lie: shot.lie,
+    distanceToGreen: shot.distanceToGreen,
+    distanceToFront: shot.distanceToFront,
+    distanceToBack: shot.distanceToBack,
+    hazardsInPlay: evaluated ? evaluated.hazards : shot.hazards,
+    shotPattern: evaluated ? evaluated.pattern : null
+  };
+}
+
+async function logRecommendation(req, event) {
+  const record = req.app.get("recordRecommendationEvent");
+  if (typeof record !== "function") return false;
+  try {
+    const result = await record(event);
+    return Boolean(result && result.persisted);
+  } catch (err) {
+    console.warn("[CADDIE] recommendation logging failed:", err.message);
+    return false;
+  }
+}
+
+// ----------------------------------------------------------------
+// Handlers (exported for unit testing without auth middleware in path)
+// ----------------------------------------------------------------
+async function handleRecommend(req, res) {
+  const startedAt = Date.now();
+  const pool = getDbPool(req);
+  if (!pool) return res.status(503).json({ ok: false, error: "Database unavailable." });
+
+  const body = req.body || {};
+  const correlationId = req.get("X-Correlation-ID") || body.correlationId || null;
+  const courseId = safeStr(body.courseId || body.course_id, 64);
+  const teeSetId = safeStr(body.teeSetId || body.tee_set_id, 64);
+  const holeNumber = Number(body.holeNumber ?? body.hole_number);
+  if (!courseId) return res.status(400).json({ ok: false, error: "courseId is required." });
+  if (!teeSetId) return res.status(400).json({ ok: false, error: "teeSetId is required." });
+  if (!Number.isInteger(holeNumber) || holeNumber < 1 || holeNumber > 18) {
+    return res.status(400).json({ ok: false, error: "holeNumber must be between 1 and 18." });
+  }
+
+  const position = parsePosition(body.position);
+  if (position.error) return res.status(400).json({ ok: false, error: position.error });
+  const playsLike = parsePlaysLike(body.playsLikeYards);
+  if (playsLike.error) return res.status(400).json({ ok: false, error: playsLike.error });
+
+  const lie = (safeStr(body.lie, 40) || (position.value ? "fairway" : "tee")).toLowerCase();
+  if (!shotRecommendation.LIES.has(lie)) {
+    return res.status(400).json({
+      ok: false,
+      error: `lie must be one of ${[...shotRecommendation.LIES].join(", ")}`
+    });
+  }
+
+  const userId = req.authUser.id;
+  const playerId = safeStr(body.playerId, 120);
+  if (playerId && playerId !== String(userId)) {
+    return res.status(403).json({ ok: false, error: "playerId does not match the signed-in user." });
+  }
+
+  let context;
+  try {
+    context = await loadRoundContext(pool, courseId);
+  } catch (err) {
+    console.error("[CADDIE] course context failed:", err.message);
+    return res.status(500).json({ ok: false, error: "Failed to load course." });
+  }
+  if (!context) return res.status(404).json({ ok: false, error: "Course not found." });
+
+  const [profile, history] = await Promise.all([
+    shotRecommendation.loadProfile(pool, userId),
+    shotDispersion.loadShotHistory(pool, userId)
+  ]);
+  const clubs = shotRecommendation.profileClubs(profile);
+
+  const built = shotRecommendation.buildShotContext({
+    context,
+    holeNumber,
+    teeSetId,
+    position: position.value,
+    lie,
+    clubs,
+    history
+  });
+  if (built.error) return res.status(built.status).json({ ok: false, error: built.error });
+  const shot = built.shot;
+
+  const taskType = shotRecommendation.taskTypeForShot(lie, safeStr(body.taskType, 32));
+  const prompt = promptRegistry.resolvePrompt("shot_recommendation", {
+    userId,
+    variables: shotRecommendation.promptVariables(shot, profile)
+  });
+  const { systemPrompt, userPrompt } = shotRecommendation.buildShotPrompts(shot, { systemPrompt: prompt.systemPrompt });
+  const cacheKey = responseCache.shotCacheKey(shot, { taskType, systemPrompt });
+  const noCache = body.noCache === true || /no-cache/i.test(req.get("Cache-Control") || "");
+
+  let completion = null;
+  let parsed = null;
+  let fallbackReason = null;
+  const quota = await llmUsage.checkQuota(pool, String(userId));
+  if (!quota.allowed) {
+    // Over budget: the engine still answers, the model is not called.
+    fallbackReason = "quota_exceeded";
+    console.warn(`[CADDIE] LLM quota exceeded (${quota.period}) user=${userId} cid=${correlationId || "-"}`);
+  } else {
+    try {
+      const call = openaiService.generateCaddieResponse({ taskType, systemPrompt, userPrompt, correlationId, cacheKey, noCache });
+      // Metered even if we stop waiting for it — the tokens are spent either way.
+      const meter = llmUsage.createMeter(pool, {
+        userKey: String(userId),
+        userId: String(userId),
+        endpoint: "caddie_recommend",
+        taskType,
+        correlationId
+      });
+      call.then((c) => meter.record(c)).catch(() => {});
+      completion = await withTimeout(call, LLM_TIMEOUT_MS);
+      parsed = shotRecommendation.parseShotRecommendation(completion.content);
+      if (parsed.error) {
+        // Don't replay output we couldn't use.
+        responseCache.defaultCache.delete(cacheKey);
+        fallbackReason = `invalid_response:${parsed.error}`;
+        console.warn(`[CADDIE] invalid model output (${parsed.error}) model=${completion.model} cid=${correlationId || "-"}`);
+      }
+    } catch (err) {
+      fallbackReason = err.code === "LLM_TIMEOUT" ? "timeout" : "provider_error";
+      console.error(`[CADDIE] model call failed (${fallbackReason}):`, err.message);
+    }
+  }
+
+  // LLM unavailable or unusable → deterministic engine. The response
+  // shape is identical; `source` and `fallbackReason` tell them apart.
+  let recommendation;
+  let aiClub = null;
+  let normalization = { normalized: false, reason: null };
+  let candidates;
+  let aimOffsetYards = 0;
+  if (fallbackReason) {
+    const selection = clubSelection.selectClub({
+      distanceYards: playsLike.value ?? shot.playsLikeDistance,
+      clubs,
+      hazards: shot.hazards,
+      lie
+    });
+    if (!selection.recommended) {
+      console.error(`[CADDIE] engine fallback (${fallbackReason}) selected no club cid=${correlationId || "-"}`);
+      return res.status(422).json({ ok: false, error: selection.explanation, fallbackReason, correlationId });
+    }
+    recommendation = recommendationFromSelection(selection);
+    candidates = selection.candidates.map((c) => c.club);
+    aimOffsetYards = selection.recommended.targetLine.aimOffsetYards;
+  } else {
+    aiClub = parsed.recommendation.club;
+    const reconciled = shotRecommendation.reconcileClub(aiClub, clubs, shot.distanceToGreen);
+    recommendation = { ...parsed.recommendation, club: reconciled.club };
+    normalization = reconciled;
+    candidates = reconciled.candidates;
+  }
+
+  const evaluated = evaluateShotPattern(shot.measuredHazards, recommendation.club, { clubs, history, lie, aimOffsetYards });
+
+  const source = fallbackReason ? "engine" : "llm";
+  const model = completion && !fallbackReason ? completion.model : null;
+  const cacheStatus = (completion && completion.cacheStatus) || null;
+  const recommendationId = `rec_${randomUUID()}`;
+  const requestDurationMs = Date.now() - startedAt;
+
+  const logged = await logRecommendation(req, {
+    recommendationId,
+    userId: String(userId),
+    sessionId: safeStr(body.sessionId, 120),
+    recommendationType: lie === "green" ? "putt" : "shot",
+    context: {
+      courseName: shot.courseName,
+      city: shot.city,
+      state: shot.state,
+      holeNumber: shot.holeNumber,
+      distanceToTarget: shot.distanceToGreen,
+      lie: shot.lie,
+      shotType: taskType,
+      hazards: shot.hazards.map((h) => `${h.type} ${h.carryDistance}y`)
+    },
+    profile: { clubs: clubs.map((c) => ({ clubName: c.name, carryYards: c.carryYards })) },
+    output: {
+      aiSelectedClub: aiClub,
+      finalRecommendedClub: recommendation.club,
+      recommendationText: recommendation.recommendationText,
+      normalizationOccurred: normalization.normalized,
+      normalizationReason: normalization.reason,
+      fallbackOccurred: Boolean(fallbackReason),
+      fallbackReason,
+      topCandidateClubs: candidates
+    },
+    diagnostics: {
+      targetDistanceYards: shot.distanceToGreen,
+      photoIncluded: false,
+      requestDurationMs,
+      model,
+      taskType,
+      source: "server",
+      cacheStatus,
+      promptTemplateId: prompt.templateId,
+      promptVersion: prompt.version,
+      promptExperiment: prompt.experiment
+    }
+  });
+
+  return res.json({
+    ok: true,
+    recommendationId,
+    recommendation,
+    source,
+    fallbackReason,
+    context: shotContextShape(shot, evaluated),
+    model,
+    taskType,
+    cache: cacheStatus,
+    prompt: { templateId: prompt.templateId, version: prompt.version, experiment: prompt.experiment },
+    durationMs: requestDurationMs,
+    logged,
+    correlationId
+  });
+}
+
+function puttContextShape(putt) {
+  return {
+    holeNumber: putt.holeNumber,
+    par: putt.par,
+    distanceFeet: putt.distanceFeet,
+    greenDepthYards: putt.greenDepthYards,
+    depthMeasuredFrom: putt.depthMeasuredFrom,
+    pinLocation: putt.pinLocation,
+    pin: putt.pin,
+    ball: putt.ball,
+    direction: putt.direction
+  };
+}
+
+/**
+ * POST /putt — structured green read from a photo.
+ *
+ * There is no engine fallback for a read: model failures answer 502
+ * (504 on timeout) and an exhausted quota answers 429, as on
+ * /api/openai/*. Successful reads are logged as recommendationType "putt".
+ */
+async function handlePutt(req, res) {
+  const startedAt = Date.now();
+  const pool = getDbPool(req);
+  if (!pool) return res.status(503).json({ ok: false, error: "Database unavailable." });
+
+  const body = req.body || {};
+  const correlationId = req.get("X-Correlation-ID") || body.correlationId || null;
+  const courseId = safeStr(body.courseId || body.course_id, 64);
+  const holeNumber = Number(body.holeNumber ?? body.hole_number);
+  if (!courseId) return res.status(400).json({ ok: false, error: "courseId is required." });
+  if (!Number.isInteger(holeNumber) || holeNumber < 1 || holeNumber > 18) {
+    return res.status(400).json({ ok: false, error: "holeNumber must be between 1 and 18." });
+  }
+
+  const ball = parsePosition(parseJsonField(body.ball));
+  if (ball.error || !ball.value) return res.status(400).json({ ok: false, error: "ball must be { lat, lon }." });
+
+  let pin = parseJsonField(body.pin);
+  if (pin != null && typeof pin !== "string") {
+    const parsedPin = parsePosition(pin);
+    if (parsedPin.error) return res.status(400).json({ ok: false, error: "pin must be { lat, lon } or one of front, center, back." });
+    pin = parsedPin.value;
+  }
+
+  const imageBytes = req.file && req.file.buffer ? req.file.buffer : imagePreprocess.decodeBase64Image(body.image);
+  if (!imageBytes) {
+    return res.status(400).json({ ok: false, error: "A green photo is required (JSON base64 `image` or multipart field 'image')." });
+  }
+
+  let context;
+  try {
+    context = await loadRoundContext(pool, courseId);
+  } catch (err) {
+    console.error("[CADDIE] course context failed:", err.message);
+    return res.status(500).json({ ok: false, error: "Failed to load course." });
+  }
+  if (!context) return res.status(404).json({ ok: false, error: "Course not found." });
+
+  const built = puttRead.buildPuttContext({ context, holeNumber, ball: ball.value, pin });
+  if (built.error) return res.status(built.status).json({ ok: false, error: built.error });
+  const putt = built.putt;
+
+  let image;
+  try {
+    image = await imagePreprocess.preprocessImage(imageBytes);
+  } catch (err) {
+    if (!err.imageInput) console.error("[CADDIE] image preprocessing failed:", err.message);
+    return res
+      .status(err.imageInput ? err.statusCode : 500)
+      .json({ ok: false, error: err.imageInput ? err.message : "Failed to process image." });
+  }
+
+  const userId = req.authUser.id;
+  const quota = await llmUsage.checkQuota(pool, String(userId));
+  if (!quota.allowed) {
+    const { retryAfterSeconds, body: quotaBody } = llmUsage.quotaExceededResponse(quota);
+    console.warn(`[CADDIE] LLM quota exceeded (${quota.period}) user=${userId} cid=${correlationId || "-"}`);
+    res.set("Retry-After", String(retryAfterSeconds));
+    return res.status(429).json({ ok: false, ...quotaBody, correlationId });
+  }
+
+  const taskType = "putting";
+  const prompt = promptRegistry.resolvePrompt("putt_read", { userId, variables: puttRead.promptVariables(putt) });
+  const meter = llmUsage.createMeter(pool, {
+    userKey: String(userId),
+    userId: String(userId),
+    endpoint: "caddie_putt",
+    taskType,
+    correlationId
+  });
+  const metered = (call) => {
+    call.then((c) => meter.record(c)).catch(() => {});
+    return withTimeout(call, LLM_TIMEOUT_MS);
+  };
+
+  let completion;
+  let checked;
+  try {
+    completion = await metered(
+      openaiService.generateCaddieResponse({
+        taskType,
+        systemPrompt: prompt.systemPrompt,
+        userPrompt: prompt.userPrompt,
+        imageDataUrl: image.dataUrl,
+        correlationId
+      })
+    );
+    checked = await responseSchemas.validateResponse({
+      schemaName: "putt_read",
+      content: completion.content,
+      retry: async (repair) => (await metered(openaiService.generateCaddieResponse({ taskType, ...repair, correlationId }))).content
+    });
+  } catch (err) {
+    const timedOut = err.code === "LLM_TIMEOUT";
+    console.error(`[CADDIE] putt read failed (${timedOut ? "timeout" : "provider_error"}):`, err.message);
+    return res.status(timedOut ? 504 : 502).json({
+      ok: false,
+      error: timedOut ? "Putt read timed out." : "Putt read failed.",
+      correlationId
+    });
+  }
+  if (checked.validationStatus === "invalid") {
+    console.warn(`[CADDIE] invalid putt read model=${completion.model} cid=${correlationId || "-"}: ${checked.errors.slice(0, 3).join("; ")}`);
+    return res.status(502).json({
+      ok: false,
+      error: "Model response failed validation",
+      validationErrors: checked.errors.slice(0, 10),
+      correlationId
+    });
+  }
+
+  const read = { ...checked.value, aimOffset: puttRead.aimOffset(checked.value) };
+  const recommendationId = `rec_${randomUUID()}`;
+  const requestDurationMs = Date.now() - startedAt;
+
+  const logged = await logRecommendation(req, {
+    recommendationId,
+    userId: String(userId),
+    sessionId: safeStr(body.sessionId, 120),
+    recommendationType: "putt",
+    context: {
+      courseName: putt.courseName,
+      city: putt.city,
+      state: putt.state,
+      holeNumber: putt.holeNumber,
+      distanceToTarget: putt.distanceYards,
+      lie: "green",
+      shotType: taskType,
+      hazards: []
+    },
+    output: {
+      aiSelectedClub: null,
+      finalRecommendedClub: "Putter",
+      recommendationText: read.recommendationText,
+      normalizationOccurred: false,
+      normalizationReason: null,
+      fallbackOccurred: false,
+      fallbackReason: null,
+      topCandidateClubs: []
+    },
+    diagnostics: {
+      targetDistanceYards: putt.distanceYards,
+      photoIncluded: true,
+      requestDurationMs,
+      model: completion.model,
+      taskType,
+      source: "server",
+      promptTemplateId: prompt.templateId,
+      promptVersion: prompt.version,
+      promptExperiment: prompt.experiment
+    }
+  });
+
+  return res.json({
+    ok: true,
+    recommendationId,
+    read,
+    validationStatus: checked.validationStatus,
+    context: puttContextShape(putt),
+    model: completion.model,
+    taskType,
+    prompt: { templateId: prompt.templateId, version: prompt.version, experiment: prompt.experiment },
+    diagnostics: { image: image.diagnostics },
+    durationMs: requestDurationMs,
+    logged,
+    correlationId
+  });
+}
+
+/**
+ * POST /club-selection — run the deterministic engine directly.
+ *
+ * Either course mode `{ courseId, holeNumber, teeSetId, position?, lie? }`
+ * (distance + hazards resolved like /recommend) or raw mode
+ * `{ distanceYards, hazards?, lie? }`. `playsLikeYards` overrides the
+ * distance in both; `clubs` overrides the profile bag.
+ */
+async function handleClubSelection(req, res) {
+  const pool = getDbPool(req);
+  if (!pool) return res.status(503).json({ ok: false, error: "Database unavailable." });
+
+  const body = req.body || {};
+  const position = parsePosition(body.position);
+  if (position.error) return res.status(400).json({ ok: false, error: position.error });
+
+  const courseMode = body.courseId != null || body.course_id != null;
+  const lie = (safeStr(body.lie, 40) || (courseMode && !position.value ? "tee" : "fairway")).toLowerCase();
+  if (!shotRecommendation.LIES.has(lie)) {
+    return res.status(400).json({
+      ok: false,
+      error: `lie must be one of ${[...shotRecommendation.LIES].join(", ")}`
+    });
+  }
+
+  const parsedPlaysLike = parsePlaysLike(body.playsLikeYards);
+  if (parsedPlaysLike.error) return res.status(400).json({ ok: false, error: parsedPlaysLike.error });
+  const playsLike = parsedPlaysLike.value;
+
+  const clubs = Array.isArray(body.clubs)
+    ? shotRecommendation.profileClubs({ clubs: body.clubs })
+    : shotRecommendation.profileClubs(await shotRecommendation.loadProfile(pool, req.authUser.id));
+  const history = await shotDispersion.loadShotHistory(pool, req.authUser.id);
+
+  let shot = null;
+  let distanceYards;
+  let hazards;
+  if (courseMode) {
+    const courseId = safeStr(body.courseId || body.course_id, 64);
+    const teeSetId = safeStr(body.teeSetId || body.tee_set_id, 64);
+    const holeNumber = Number(body.holeNumber ?? body.hole_number);
+    if (!courseId) return res.status(400).json({ ok: false, error: "courseId is required." });
+    if (!teeSetId) return res.status(400).json({ ok: false, error: "teeSetId is required." });
+    if (!Number.isInteger(holeNumber) || holeNumber < 1 || holeNumber > 18) {
+      return res.status(400).json({ ok: false, error: "holeNumber must be between 1 and 18." });
+    }
+    let context;
+    try {
+      context = await loadRoundContext(pool, courseId);
+    } catch (err) {
+      console.error("[CADDIE] course context failed:", err.message);
+      return res.status(500).json({ ok: false, error: "Failed to load course." });
+    }
+    if (!context) return res.status(404).json({ ok: false, error: "Course not found." });
+    const built = shotRecommendation.buildShotContext({
+      context,
+      holeNumber,
+      teeSetId,
+      position: position.value,
+      lie,
+      clubs,
+      history
+    });
+    if (built.error) return res.status(built.status).json({ ok: false, error: built.error });
+    shot = built.shot;
+    distanceYards = playsLike ?? shot.playsLikeDistance;
+    hazards = shot.hazards;
+  } else {
+    const distance = playsLike ?? Number(body.distanceYards);
+    if (!Number.isFinite(distance) || distance <= 0 || distance > 700) {
+      return res.status(400).json({ ok: false, error: "distanceYards must be between 1 and 700." });
+    }
+    const parsedHazards = parseHazards(body.hazards);
+    if (parsedHazards.error) return res.status(400).json({ ok: false, error: parsedHazards.error });
+    distanceYards = distance;
+    hazards = parsedHazards.value;
+  }
+
+  const selection = clubSelection.selectClub({ distanceYards, clubs, hazards, lie });
+  const best = selection.recommended;
+  const evaluated = best
+    ? evaluateShotPattern(shot ? shot.measuredHazards : hazards, best.club, {
+        clubs,
+        history,
+        lie,
+        aimOffsetYards: best.targetLine.aimOffsetYards
+      })
+    : null;
+  return res.json({
+    ok: true,
+    ...selection,
+    hazardsInPlay: evaluated ? evaluated.hazards : null,
+    shotPattern: evaluated ? evaluated.pattern : null,
+    context: shot ? shotContextShape(shot, evaluated) : null
+  });
+}
+
+/**
+ * POST /strategy — simulate the caller's pattern with every club and aim
+ * line against the hole and return the lowest expected strokes. The bag
+ * comes from the profile (or `clubs`), the spread from shot_outcomes.
+ */
+async function handleStrategy(req, res) {
+  const pool = getDbPool(req);
+  if (!pool) return res.status(503).json({ ok: false, error: "Database unavailable." });
+
+  const body = req.body || {};
+  const courseId = safeStr(body.courseId || body.course_id, 64);
+  const teeSetId = safeStr(body.teeSetId || body.tee_set_id, 64);
+  const holeNumber = Number(body.holeNumber ?? body.hole_number);
+  if (!courseId) return res.status(400).json({ ok: false, error: "courseId is required." });
+  if (!Number.isInteger(holeNumber) || holeNumber < 1 || holeNumber > 18) {
+    return res.status(400).json({ ok: false, error: "holeNumber must be between 1 and 18." });
+  }
+  const position = parsePosition(body.position);
+  if (position.error) return res.status(400).json({ ok: false, error: position.error });
+  if (!teeSetId && !position.value) {
+    return res.status(400).json({ ok: false, error: "teeSetId or position is required." });
+  }
+
+  const lie = (safeStr(body.lie, 40) || (position.value ? "fairway" : "tee")).toLowerCase();
+  if (!shotRecommendation.LIES.has(lie)) {
+    return res.status(400).json({
+      ok: false,
+      error: `lie must be one of ${[...shotRecommendation.LIES].join(", ")}`
+    });
+  }
+
+  const userId = req.authUser.id;
+  const [profile, history] = await Promise.all([
+    Array.isArray(body.clubs) ? { clubs: body.clubs } : shotRecommendation.loadProfile(pool, userId),
+    shotDispersion.loadShotHistory(pool, userId)
+  ]);
+  const clubs = shotRecommendation.profileClubs(profile);
+
+  let context;
+  try {
+    context = await loadRoundContext(pool, courseId);
+  } catch (err) {
+    console.error("[CADDIE] course context failed:", err.message);
+    return res.status(500).json({ ok: false, error: "Failed to load course." });
+  }
+  if (!context) return res.status(404).json({ ok: false, error: "Course not found." });
+
+  const built = strategyOptimizer.optimizeStrategy({
+    context,
+    holeNumber,
+    teeSetId,
+    position: position.value,
+    lie,
+    clubs,
+    history
+  });
+  if (built.error) return res.status(built.status).json({ ok: false, error: built.error });
+  return res.json({ ok: true, ...built.result });
+}
+
+router.post("/recommend", authenticate, handleRecommend);
+router.post("/club-selection", authenticate, handleClubSelection);
+router.post("/strategy", authenticate, handleStrategy);
+router.post("/putt", authenticate, upload.single("image"), handlePutt);
+
+module.exports = router;
+// Expose helpers + bare handlers for unit testing.
+module.exports.__test = {
+  handleRecommend,
+  handleClubSelection,
+  handleStrategy,
+  handlePutt,
+  parsePosition,
+  parseHazards,
+  LLM_TIMEOUT_MS
+};
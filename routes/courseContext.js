@@ -3,17 +3,45 @@
 /**
  * GET /api/course-context/:courseId
  * Single round-engine payload: course, holes (with green_center), tees. No POI bulk.
+ * Strong ETag + 304, served from the per-course payload cache
+ * (services/courseDataVersion.js).
+ *
+ * GET /api/course-context/:courseId/holes/:n/hazards?teeSetId=
+ * GET /api/course-context/:courseId/holes/:n/hazards?lat=&lon=[&teeSetId=]
+ * Hazards for one hole with carry, lateral offset (negative = left), in-play
+ * flag and severity, measured from the tee set's coordinate or from a GPS
+ * position (services/holeHazards.js). `distanceFromTee` is from whichever
+ * origin was used. `&club=` judges in-play by that club's pattern and adds
+ * `inPlayProbability`: the signed-in caller's carry and shot history when
+ * a bearer token is sent, the default bag otherwise.
+ *
+ * POST /api/course-context/:courseId/holes/:n/distances
+ *   { lat, lon, teeSetId? }  (or { position: { lat, lon } })
+ * Green front/center/back, reach/carry for each hazard ahead and layup
+ * points, all from the golfer's live position (services/holeDistances.js).
+ *
+ * POST /api/course-context/:courseId/locate
+ *   { lat, lon, heading?, currentHole?, holesInRound? }
+ * Which hole (and tee / fairway / green) the golfer is on, for auto-advance
+ * (services/holeDetection.js).
  */
 
 const express = require("express");
 const router = express.Router();
 const courseIntelligence = require("../services/courseIntelligence");
+const { buildHoleHazards } = require("../services/holeHazards");
+const { buildHoleDistances } = require("../services/holeDistances");
+const { detectHole } = require("../services/holeDetection");
+const { patternForClub, loadShotHistory } = require("../services/shotDispersion");
+const { loadProfile, profileClubs } = require("../services/shotRecommendation");
+const { optionalAuthenticate } = require("./auth");
+const { loadCoursePayload, loadRoundContext, ifNoneMatch, sendCoursePayload } = require("../services/courseDataVersion");
 
 function getDbPool(req) {
   return req.app.get("dbPool") || null;
 }
 
-router.get("/:courseId", async (req, res) => {
+async function handleCourseContext(req, res) {
   const pool = getDbPool(req);
   if (!pool) {
     console.error("[COURSE_CONTEXT] Database pool unavailable");
@@ -22,17 +50,179 @@ router.get("/:courseId", async (req, res) => {
   const requestedId = req.params.courseId;
   console.log(`[COURSE_CONTEXT] requested courseId: ${requestedId}`);
   try {
-    const payload = await courseIntelligence.getRoundCourseContext(pool, requestedId);
-    if (!payload) {
+    const entry = await loadCoursePayload(
+      pool,
+      requestedId,
+      "context",
+      (uuid) => courseIntelligence.getRoundCourseContext(pool, uuid),
+      { fresh: ifNoneMatch(req) }
+    );
+    if (!entry) {
       console.warn(`[COURSE_CONTEXT] No course found for courseId: ${requestedId}`);
       return res.status(404).json({ error: "Course not found" });
     }
-    console.log(`[COURSE_CONTEXT] resolved courseId: ${payload.course.id} name: ${payload.course.name} holes: ${payload.holes.length} tees: ${payload.tees.length}`);
-    return res.json(payload);
+    console.log(`[COURSE_CONTEXT] resolved courseId: ${entry.courseId} version: ${entry.version ?? "n/a"} cache: ${entry.notModified ? "not modified" : entry.cached ? "hit" : "miss"}`);
+    return sendCoursePayload(req, res, entry);
   } catch (err) {
     console.error(`[COURSE_CONTEXT] error for courseId ${requestedId}: ${err.message}`);
     return res.status(500).json({ error: "Failed to load course context" });
   }
-});
+}
+
+/**
+ * Optional `lat`/`lon` query pair. Returns `{ value }` (null when both are
+ * absent) or `{ error }`.
+ */
+function parsePositionQuery(query) {
+  const hasLat = query.lat != null && query.lat !== "";
+  const hasLon = query.lon != null && query.lon !== "";
+  if (!hasLat && !hasLon) return { value: null };
+  const lat = Number(query.lat);
+  const lon = Number(query.lon);
+  if (!hasLat || !hasLon || !Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return { error: "lat and lon must both be valid coordinates." };
+  }
+  return { value: { lat, lon } };
+}
+
+// ----------------------------------------------------------------
+// Handler (exported for unit testing)
+// ----------------------------------------------------------------
+async function handleHoleHazards(req, res) {
+  const pool = getDbPool(req);
+  if (!pool) {
+    console.error("[COURSE_CONTEXT] Database pool unavailable");
+    return res.status(503).json({ error: "Database unavailable" });
+  }
+  const holeNumber = Number(req.params.n);
+  if (!Number.isInteger(holeNumber) || holeNumber < 1 || holeNumber > 18) {
+    return res.status(400).json({ error: "Hole number must be between 1 and 18." });
+  }
+  const position = parsePositionQuery(req.query || {});
+  if (position.error) return res.status(400).json({ error: position.error });
+  const teeSetId = req.query && req.query.teeSetId ? String(req.query.teeSetId) : null;
+  let pattern = null;
+  if (req.query && req.query.club) {
+    let clubs = [];
+    let history = null;
+    if (req.authUser) {
+      const [profile, shots] = await Promise.all([
+        loadProfile(pool, req.authUser.id),
+        loadShotHistory(pool, req.authUser.id)
+      ]);
+      clubs = profileClubs(profile);
+      history = shots;
+    }
+    pattern = patternForClub(String(req.query.club).slice(0, 40), { clubs, history, lie: position.value ? "fairway" : "tee" });
+    if (!pattern) return res.status(400).json({ error: "club has no known carry." });
+  }
+
+  const requestedId = req.params.courseId;
+  let context;
+  try {
+    context = await loadRoundContext(pool, requestedId);
+  } catch (err) {
+    console.error(`[COURSE_CONTEXT] hazards error for courseId ${requestedId}: ${err.message}`);
+    return res.status(500).json({ error: "Failed to load course context" });
+  }
+  if (!context) return res.status(404).json({ error: "Course not found" });
+
+  const built = buildHoleHazards({ context, holeNumber, teeSetId, position: position.value, pattern });
+  if (built.error) return res.status(built.status).json({ error: built.error });
+
+  const r = built.result;
+  console.log(`[COURSE_CONTEXT] hazards courseId: ${r.courseId} hole: ${holeNumber} from: ${r.origin.measuredFrom} hazards: ${r.hazards.length} inPlay: ${r.inPlayCount}`);
+  return res.json(r);
+}
+
+async function handleHoleDistances(req, res) {
+  const pool = getDbPool(req);
+  if (!pool) {
+    console.error("[COURSE_CONTEXT] Database pool unavailable");
+    return res.status(503).json({ error: "Database unavailable" });
+  }
+  const holeNumber = Number(req.params.n);
+  if (!Number.isInteger(holeNumber) || holeNumber < 1 || holeNumber > 18) {
+    return res.status(400).json({ error: "Hole number must be between 1 and 18." });
+  }
+  const body = req.body || {};
+  const position = parsePositionQuery(body.position && typeof body.position === "object" ? body.position : body);
+  if (position.error) return res.status(400).json({ error: position.error });
+  if (!position.value) return res.status(400).json({ error: "lat and lon are required." });
+  const teeSetId = body.teeSetId ? String(body.teeSetId) : null;
+
+  const requestedId = req.params.courseId;
+  let context;
+  try {
+    context = await loadRoundContext(pool, requestedId);
+  } catch (err) {
+    console.error(`[COURSE_CONTEXT] distances error for courseId ${requestedId}: ${err.message}`);
+    return res.status(500).json({ error: "Failed to load course context" });
+  }
+  if (!context) return res.status(404).json({ error: "Course not found" });
+
+  const built = buildHoleDistances({ context, holeNumber, position: position.value, teeSetId });
+  if (built.error) return res.status(built.status).json({ error: built.error });
+  return res.json(built.result);
+}
+
+/** Optional number in [min, max]; `{ value }` (null when absent) or `{ error }`. */
+function optionalNumber(raw, name, min, max, { integer = false } = {}) {
+  if (raw == null || raw === "") return { value: null };
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+    return { error: `${name} must be ${integer ? "an integer " : ""}between ${min} and ${max}.` };
+  }
+  return { value: n };
+}
+
+async function handleLocate(req, res) {
+  const pool = getDbPool(req);
+  if (!pool) {
+    console.error("[COURSE_CONTEXT] Database pool unavailable");
+    return res.status(503).json({ error: "Database unavailable" });
+  }
+  const body = req.body || {};
+  const position = parsePositionQuery(body.position && typeof body.position === "object" ? body.position : body);
+  if (position.error) return res.status(400).json({ error: position.error });
+  if (!position.value) return res.status(400).json({ error: "lat and lon are required." });
+  const heading = optionalNumber(body.heading, "heading", 0, 360);
+  const currentHole = optionalNumber(body.currentHole, "currentHole", 1, 18, { integer: true });
+  const holesInRound = optionalNumber(body.holesInRound, "holesInRound", 1, 18, { integer: true });
+  for (const parsed of [heading, currentHole, holesInRound]) {
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+  }
+
+  const requestedId = req.params.courseId;
+  let context;
+  try {
+    context = await loadRoundContext(pool, requestedId);
+  } catch (err) {
+    console.error(`[COURSE_CONTEXT] locate error for courseId ${requestedId}: ${err.message}`);
+    return res.status(500).json({ error: "Failed to load course context" });
+  }
+  if (!context) return res.status(404).json({ error: "Course not found" });
+
+  const located = detectHole({
+    context,
+    position: position.value,
+    heading: heading.value,
+    currentHole: currentHole.value,
+    holesInRound: holesInRound.value
+  });
+  return res.json(located);
+}
+
+router.get("/:courseId", handleCourseContext);
+router.post("/:courseId/locate", handleLocate);
+router.get("/:courseId/holes/:n/hazards", optionalAuthenticate, handleHoleHazards);
+router.post("/:courseId/holes/:n/distances", handleHoleDistances);
 
 module.exports = router;
+// Expose bare handler for unit testing.
+module.exports.__test = {
+  handleCourseContext,
+  handleHoleHazards,
+  handleHoleDistances,
+  handleLocate
+};
@@ -5,13 +5,37 @@
  * - Google Places: autocomplete, details, nearby
  * - Course matching: resolve
  * - Course intelligence: GET /:id, /:id/tees, /:id/holes, /:id/holes/:number/layout
+ *   (GET /:id: strong ETag + 304, cached per course data version;
+ *   services/courseDataVersion.js)
+ * - GeoJSON export: GET /:id/geojson, /:id/holes/:number/geojson
+ *   (tees, green front/center/back, hazards, centerlines, outlines;
+ *   services/courseGeoJson.js)
+ * - KML / GPX export for GIS review: GET /:id/{kml,gpx}, /:id/holes/:number/{kml,gpx}
+ *   (styled by POI source and synthesized tees; services/courseExport.js)
+ * - Offline pack: GET /:id/offline-pack (gzip JSON when accepted; ETag from the
+ *   data version, If-None-Match → 304), GET /:id/offline-pack/status?etag= (is a
+ *   downloaded pack stale?) — services/offlinePack.js
+ * Exports and the offline pack are cached per course data version like
+ * GET /:id, so a 304 or a repeat download is one version lookup.
  */
 
+const zlib = require("zlib");
 const express = require("express");
 const router = express.Router();
 const googlePlaces = require("../services/googlePlaces");
 const courseMatching = require("../services/courseMatching");
 const courseIntelligence = require("../services/courseIntelligence");
+const { buildCourseGeoJson } = require("../services/courseGeoJson");
+const { FORMATS, exportFileName } = require("../services/courseExport");
+const { OFFLINE_PACK_VERSION, buildOfflinePack, packEtag, packEtagMatches } = require("../services/offlinePack");
+const {
+  loadCourseEntry,
+  loadCoursePayload,
+  currentCourseEtag,
+  bodyEntry,
+  ifNoneMatch,
+  sendCoursePayload
+} = require("../services/courseDataVersion");
 
 function getDbPool(req) {
   return req.app.get("dbPool") || null;
@@ -145,22 +169,30 @@ router.post("/resolve", async (req, res) => {
 
 // --- Course Intelligence ---
 
-router.get("/:id", async (req, res) => {
+async function handleCourse(req, res) {
   const pool = getDbPool(req);
   if (!pool) {
     return res.status(503).json({ error: "Database unavailable" });
   }
   try {
-    const payload = await courseIntelligence.getFullCoursePayload(pool, req.params.id);
-    if (!payload) {
+    const entry = await loadCoursePayload(
+      pool,
+      req.params.id,
+      "course",
+      (uuid) => courseIntelligence.getFullCoursePayload(pool, uuid),
+      { fresh: ifNoneMatch(req) }
+    );
+    if (!entry) {
       return res.status(404).json({ error: "Course not found" });
     }
-    return res.json(payload);
+    return sendCoursePayload(req, res, entry);
   } catch (err) {
     console.error("Course fetch error:", err.message);
     return res.status(500).json({ error: "Failed to fetch course" });
   }
-});
+}
+
+router.get("/:id", handleCourse);
 
 router.get("/:id/tees", async (req, res) => {
   const pool = getDbPool(req);
@@ -226,4 +258,160 @@ router.get("/:id/holes/:number/layout", async (req, res) => {
   }
 });
 
+// --- GeoJSON / KML / GPX export ---
+
+function exportHandler(format) {
+  return (req, res) => handleExport(format, req, res);
+}
+
+async function handleExport(format, req, res) {
+  const pool = getDbPool(req);
+  if (!pool) {
+    return res.status(503).json({ error: "Database unavailable" });
+  }
+  let holeNumber = null;
+  if (req.params.number != null) {
+    holeNumber = Number(req.params.number);
+    if (!Number.isInteger(holeNumber) || holeNumber < 1 || holeNumber > 18) {
+      return res.status(400).json({ error: "Hole number must be between 1 and 18." });
+    }
+  }
+  try {
+    let notBuilt = null;
+    const kind = holeNumber ? `${format}:hole:${holeNumber}` : format;
+    const entry = await loadCourseEntry(pool, req.params.id, kind, async (uuid) => {
+      const context = await courseIntelligence.getRoundCourseContext(pool, uuid);
+      if (!context) return null;
+      const built = buildCourseGeoJson(context, { holeNumber });
+      if (built.error) {
+        notBuilt = built;
+        return null;
+      }
+      const { render, contentType } = FORMATS[format];
+      return bodyEntry(render(built.result), {
+        contentType,
+        // KML / GPX are files reviewers open in desktop GIS
+        fileName: format !== "geojson" ? exportFileName(built.result, format) : null
+      });
+    }, { fresh: ifNoneMatch(req) });
+    if (notBuilt) return res.status(notBuilt.status).json({ error: notBuilt.error });
+    if (!entry) return res.status(404).json({ error: "Course not found" });
+    return sendCoursePayload(req, res, entry);
+  } catch (err) {
+    console.error(`${format.toUpperCase()} export error:`, err.message);
+    return res.status(500).json({ error: `Failed to export ${format}` });
+  }
+}
+
+const handleGeoJson = exportHandler("geojson");
+const handleKml = exportHandler("kml");
+const handleGpx = exportHandler("gpx");
+
+router.get("/:id/geojson", handleGeoJson);
+router.get("/:id/holes/:number/geojson", handleGeoJson);
+router.get("/:id/kml", handleKml);
+router.get("/:id/holes/:number/kml", handleKml);
+router.get("/:id/gpx", handleGpx);
+router.get("/:id/holes/:number/gpx", handleGpx);
+
+// --- Offline pack ---
+
+/**
+ * The course's pack, serialized and gzipped once per data version; just
+ * `{ etag, notModified }` when `fresh` accepts its ETag. Sends the 503 /
+ * 404 itself and returns null then.
+ */
+async function loadOfflinePack(req, res, { fresh = null } = {}) {
+  const pool = getDbPool(req);
+  if (!pool) {
+    res.status(503).json({ error: "Database unavailable" });
+    return null;
+  }
+  const entry = await loadCourseEntry(
+    pool,
+    req.params.id,
+    "offline-pack",
+    async (uuid) => {
+      const context = await courseIntelligence.getRoundCourseContext(pool, uuid);
+      if (!context) return null;
+      const pack = buildOfflinePack(context);
+      const body = JSON.stringify(pack);
+      return { etag: `"${pack.content_hash}"`, body, gzipped: zlib.gzipSync(body) };
+    },
+    { fresh, layout: OFFLINE_PACK_VERSION }
+  );
+  if (!entry) {
+    res.status(404).json({ error: "Course not found" });
+    return null;
+  }
+  return entry;
+}
+
+async function handleOfflinePack(req, res) {
+  try {
+    const ifNoneMatchHeader = req.get("If-None-Match");
+    const pack = await loadOfflinePack(req, res, { fresh: (etag) => packEtagMatches(ifNoneMatchHeader, etag) });
+    if (!pack) return res;
+    const gzip = /\bgzip\b/i.test(req.get("Accept-Encoding") || "");
+    // Revalidate every time; an unchanged pack costs a 304
+    res.set("Cache-Control", "private, no-cache");
+    res.set("Vary", "Accept-Encoding");
+    res.set("ETag", packEtag(pack.etag, gzip ? "gzip" : null));
+    if (pack.notModified || packEtagMatches(ifNoneMatchHeader, pack.etag)) {
+      return res.status(304).end();
+    }
+    if (!gzip) return res.type("application/json").send(pack.body);
+    res.set("Content-Encoding", "gzip");
+    return res.type("application/json").send(pack.gzipped);
+  } catch (err) {
+    console.error("Offline pack error:", err.message);
+    return res.status(500).json({ error: "Failed to build offline pack" });
+  }
+}
+
+/**
+ * Is a downloaded pack current? `?etag=` is the ETag the download came
+ * with (either encoding, quotes optional). Answered from the course's data
+ * version without building the pack; before migration 015 the tag is the
+ * content hash, so the pack is built to compare.
+ */
+async function handleOfflinePackStatus(req, res) {
+  const raw = String((req.query && req.query.etag) || "").trim();
+  if (!raw || raw.length > 200) {
+    return res.status(400).json({ error: "etag must be the ETag the pack was downloaded with." });
+  }
+  const held = /^(W\/)?"/.test(raw) ? raw : `"${raw}"`;
+  const pool = getDbPool(req);
+  if (!pool) return res.status(503).json({ error: "Database unavailable" });
+  try {
+    let current = await currentCourseEtag(pool, req.params.id, "offline-pack", { layout: OFFLINE_PACK_VERSION });
+    if (!current) return res.status(404).json({ error: "Course not found" });
+    if (!current.etag) {
+      current = await loadOfflinePack(req, res);
+      if (!current) return res;
+    }
+    return res.json({
+      courseId: current.courseId,
+      version: OFFLINE_PACK_VERSION,
+      etag: current.etag,
+      stale: !packEtagMatches(held, current.etag)
+    });
+  } catch (err) {
+    console.error("Offline pack status error:", err.message);
+    return res.status(500).json({ error: "Failed to check offline pack" });
+  }
+}
+
+router.get("/:id/offline-pack", handleOfflinePack);
+router.get("/:id/offline-pack/status", handleOfflinePackStatus);
+
 module.exports = router;
+// Expose bare handlers for unit testing.
+module.exports.__test = {
+  handleCourse,
+  handleGeoJson,
+  handleKml,
+  handleGpx,
+  handleOfflinePack,
+  handleOfflinePackStatus
+};
@@ -0,0 +1,260 @@
+"use strict";
+
+/**
+ * Handicap — WHS Handicap Index and course handicap for the signed-in user.
+ *
+ * Endpoints (mounted at `/api/user`, all require a Bearer token):
+ *   GET /handicap         — Handicap Index from my completed rounds
+ *                           (?gender=men|women, default men)
+ *   GET /handicap/course  — course handicap for a tee set
+ *                           (?teeSetId=&gender=&nine=front|back&handicapIndex=)
+ *                           handicapIndex defaults to my computed index.
+ *
+ * Nothing is stored: the index is recomputed from rounds + round_hole_scores
+ * on every call (services/handicap.js), so an edited score or a corrected
+ * tee rating is reflected immediately. Only `completed` rounds with a tee
+ * set count; partial rounds and unrated tees are reported under `skipped`.
+ *
+ * Migration window: if `rounds` / `round_hole_scores` are missing the index
+ * endpoint returns 503. The course endpoint still works when the caller
+ * passes `handicapIndex` explicitly, since it only needs golf_tees.
+ */
+
+const express = require("express");
+
+const router = express.Router();
+
+const authModule = require("./auth");
+const authenticate = authModule.authenticate;
+const handicap = require("../services/handicap");
+const { tableExists, __resetTableCache } = require("../services/schemaProbe");
+
+const TEE_RATING_COLUMNS = `t.slope, t.slope_front, t.slope_back,
+       t.course_rating, t.course_rating_front, t.course_rating_back,
+       t.women_slope, t.women_slope_front, t.women_slope_back,
+       t.women_course_rating, t.women_course_rating_front, t.women_course_rating_back`;
+
+const GENDER_ALIASES = {
+  men: "men",
+  man: "men",
+  male: "men",
+  m: "men",
+  women: "women",
+  woman: "women",
+  female: "women",
+  f: "women",
+  w: "women"
+};
+
+function getDbPool(req) {
+  return req.app.get("dbPool") || null;
+}
+
+/**
+ * Parse `?gender=`. Returns `{ value }` or `{ error }`.
+ */
+function parseGender(raw) {
+  if (raw == null || raw === "") return { value: "men" };
+  const value = GENDER_ALIASES[String(raw).trim().toLowerCase()];
+  if (!value) return { error: "gender must be men or women." };
+  return { value };
+}
+
+async function roundsStoreReady(pool) {
+  return (await tableExists(pool, "rounds")) && (await tableExists(pool, "round_hole_scores"));
+}
+
+/**
+ * Load the caller's completed rounds in the shape computeHandicap() wants.
+ */
+async function loadHandicapRounds(pool, userId) {
+  const roundsResult = await pool.query(
+    `SELECT r.id, COALESCE(r.ended_at, r.started_at) AS played_at, gc.num_holes,
+            ${TEE_RATING_COLUMNS}
+     FROM rounds r
+     JOIN golf_courses gc ON gc.id = r.course_id
+     JOIN golf_tees t ON t.id = r.tee_set_id
+     WHERE r.user_id = $1 AND r.status = 'completed'
+     ORDER BY played_at`,
+    [userId]
+  );
+  if (roundsResult.rows.length === 0) return [];
+
+  const scoresResult = await pool.query(
+    `SELECT s.round_id, s.hole_number, s.strokes, h.par, h.handicap
+     FROM round_hole_scores s
+     JOIN rounds r ON r.id = s.round_id
+     JOIN golf_course_holes h ON h.course_id = r.course_id AND h.hole_number = s.hole_number
+     WHERE r.user_id = $1 AND r.status = 'completed'`,
+    [userId]
+  );
+  const holesByRound = new Map();
+  for (const row of scoresResult.rows) {
+    if (!holesByRound.has(row.round_id)) holesByRound.set(row.round_id, []);
+    holesByRound.get(row.round_id).push({
+      holeNumber: row.hole_number,
+      par: Number(row.par),
+      strokeIndex: row.handicap != null ? Number(row.handicap) : null,
+      strokes: row.strokes
+    });
+  }
+
+  return roundsResult.rows.map((row) => ({
+    roundId: row.id,
+    playedAt: row.played_at,
+    numHoles: row.num_holes,
+    tee: row,
+    holes: holesByRound.get(row.id) || []
+  }));
+}
+
+async function computeForUser(pool, userId, gender) {
+  const rounds = await loadHandicapRounds(pool, userId);
+  return handicap.computeHandicap(rounds, { gender });
+}
+
+// ----------------------------------------------------------------
+// Handlers (exported for unit testing without auth middleware in path)
+// ----------------------------------------------------------------
+async function handleGetHandicap(req, res) {
+  const pool = getDbPool(req);
+  if (!pool) return res.status(503).json({ ok: false, error: "Database unavailable." });
+
+  const gender = parseGender(req.query.gender);
+  if (gender.error) return res.status(400).json({ ok: false, error: gender.error });
+
+  if (!(await roundsStoreReady(pool))) {
+    return res.status(503).json({ ok: false, error: "Round storage not ready. Please retry shortly." });
+  }
+
+  try {
+    const result = await computeForUser(pool, req.authUser.id, gender.value);
+    return res.json({
+      ok: true,
+      gender: gender.value,
+      handicapIndex: result.handicapIndex,
+      lowHandicapIndex: result.lowHandicapIndex,
+      cap: result.cap,
+      differentialCount: result.differentials.length,
+      differentials: result.differentials,
+      skipped: result.skipped
+    });
+  } catch (err) {
+    console.error("[HANDICAP] index failed:", err.message);
+    return res.status(500).json({ ok: false, error: "Failed to compute handicap." });
+  }
+}
+
+async function handleGetCourseHandicap(req, res) {
+  const pool = getDbPool(req);
+  if (!pool) return res.status(503).json({ ok: false, error: "Database unavailable." });
+
+  const teeSetId = req.query.teeSetId ? String(req.query.teeSetId).trim() : "";
+  if (!teeSetId) return res.status(400).json({ ok: false, error: "teeSetId is required." });
+
+  const gender = parseGender(req.query.gender);
+  if (gender.error) return res.status(400).json({ ok: false, error: gender.error });
+
+  const nine = req.query.nine ? String(req.query.nine).trim().toLowerCase() : null;
+  if (nine && nine !== "front" && nine !== "back") {
+    return res.status(400).json({ ok: false, error: "nine must be front or back." });
+  }
+
+  let handicapIndex = null;
+  if (req.query.handicapIndex != null && req.query.handicapIndex !== "") {
+    handicapIndex = Number(req.query.handicapIndex);
+    if (!Number.isFinite(handicapIndex) || handicapIndex < -10 || handicapIndex > handicap.MAX_HANDICAP_INDEX) {
+      return res.status(400).json({
+        ok: false,
+        error: `handicapIndex must be between -10 and ${handicap.MAX_HANDICAP_INDEX}.`
+      });
+    }
+    handicapIndex = Math.round(handicapIndex * 10) / 10;
+  }
+
+  try {
+    const teeResult = await pool.query(
+      `SELECT t.id, t.tee_name, t.course_id, gc.num_holes, ${TEE_RATING_COLUMNS}
+       FROM golf_tees t
+       JOIN golf_courses gc ON gc.id = t.course_id
+       WHERE t.id::text = $1
+       LIMIT 1`,
+      [teeSetId]
+    );
+    const tee = teeResult.rows[0];
+    if (!tee) return res.status(404).json({ ok: false, error: "Tee set not found." });
+
+    const holesResult = await pool.query(
+      "SELECT hole_number, par FROM golf_course_holes WHERE course_id = $1",
+      [tee.course_id]
+    );
+
+    const isNineHoleCourse = tee.num_holes === 9;
+    if (isNineHoleCourse && nine === "back") {
+      return res.status(400).json({ ok: false, error: "This is a 9-hole course; there is no back nine." });
+    }
+    const segment = isNineHoleCourse ? "front" : nine || "18";
+    const inSegment = (n) => segment === "18" || (segment === "front" ? n <= 9 : n >= 10);
+    const segmentHoles = holesResult.rows.filter((h) => inSegment(h.hole_number));
+    const holes = segment === "18" ? 18 : 9;
+    if (segmentHoles.length !== holes) {
+      return res.status(422).json({ ok: false, error: "Course is missing par for some holes." });
+    }
+    const par = segmentHoles.reduce((sum, h) => sum + Number(h.par), 0);
+
+    const rating = handicap.ratingForSegment({ tee, numHoles: tee.num_holes }, segment, gender.value);
+    if (!rating) {
+      return res.status(422).json({
+        ok: false,
+        error: `Tee set has no ${gender.value}'s ${segment === "18" ? "" : `${segment}-nine `}rating.`
+      });
+    }
+
+    let source = "query";
+    if (handicapIndex == null) {
+      if (!(await roundsStoreReady(pool))) {
+        return res.status(503).json({ ok: false, error: "Round storage not ready. Pass handicapIndex." });
+      }
+      const result = await computeForUser(pool, req.authUser.id, gender.value);
+      if (result.handicapIndex == null) {
+        return res.status(409).json({
+          ok: false,
+          error: "Not enough completed rounds for a Handicap Index. Pass handicapIndex."
+        });
+      }
+      handicapIndex = result.handicapIndex;
+      source = "computed";
+    }
+
+    return res.json({
+      ok: true,
+      teeSetId: tee.id,
+      teeName: tee.tee_name,
+      gender: gender.value,
+      segment,
+      holes,
+      par,
+      slope: rating.slope,
+      courseRating: rating.courseRating,
+      handicapIndex,
+      handicapIndexSource: source,
+      courseHandicap: handicap.courseHandicap(handicapIndex, rating, par, holes)
+    });
+  } catch (err) {
+    console.error("[HANDICAP] course handicap failed:", err.message);
+    return res.status(500).json({ ok: false, error: "Failed to compute course handicap." });
+  }
+}
+
+router.get("/handicap", authenticate, handleGetHandicap);
+router.get("/handicap/course", authenticate, handleGetCourseHandicap);
+
+module.exports = router;
+// Expose helpers + bare handlers for unit testing.
+module.exports.__test = {
+  handleGetHandicap,
+  handleGetCourseHandicap,
+  parseGender,
+  // Internal: reset the cached table-exists flags between tests.
+  __resetTableCache
+};
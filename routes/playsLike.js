@@ -0,0 +1,155 @@
+"use strict";
+
+/**
+ * Plays-like distance.
+ *
+ * Endpoint (mounted at `/api/plays-like`, requires a Bearer token):
+ *   POST /  { from: { lat, lon }, to: { lat, lon }, timestamp?,
+ *             weather?: { temperatureF|temperatureC, windSpeedMph|windSpeedMps,
+ *                         windFromDeg, pressureHpa?, relativeHumidity? },
+ *             elevation?: { fromMeters, toMeters } }
+ *
+ * Returns the straight-line and plays-like yardage, the adjustment from
+ * each factor, the conditions used, and `weatherSourceQuality` /
+ * `elevationSourceQuality` — the same fields recommendation diagnostics
+ * carry, so the phone can log the server's numbers instead of its own.
+ *
+ * `timestamp` defaults to now; weather is looked up for that hour at the
+ * `from` point. Client-supplied `weather` / `elevation` skip the
+ * providers (services/weatherProvider.js, services/elevationProvider.js).
+ */
+
+const express = require("express");
+
+const router = express.Router();
+
+const authModule = require("./auth");
+const authenticate = authModule.authenticate;
+const playsLike = require("../services/playsLike");
+const { haversineMeters, METERS_TO_YARDS } = require("../services/hazardEngine");
+
+const MAX_SHOT_YARDS = 700;
+// Far enough back for a round logged late; far enough ahead for a tee time.
+const MAX_TIMESTAMP_SKEW_MS = 366 * 24 * 60 * 60 * 1000;
+
+function parsePoint(raw, name) {
+  const lat = Number(raw && (raw.lat ?? raw.latitude));
+  const lon = Number(raw && (raw.lon ?? raw.lng ?? raw.longitude));
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return { error: `${name} must be { lat, lon }.` };
+  }
+  return { value: { lat, lon } };
+}
+
+function optionalNumber(value) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+/**
+ * Client weather in golfer or SI units → weatherProvider shape.
+ * Returns `{ value }` (null when absent, or when no field is a number, so
+ * the provider is used) or `{ error }`.
+ */
+function parseWeather(raw) {
+  if (raw == null) return { value: null };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { error: "weather must be an object." };
+
+  const tempF = optionalNumber(raw.temperatureF);
+  const tempC = optionalNumber(raw.temperatureC);
+  const windMph = optionalNumber(raw.windSpeedMph);
+  const windMps = optionalNumber(raw.windSpeedMps);
+  const windFromDeg = optionalNumber(raw.windFromDeg);
+  const pressureHpa = optionalNumber(raw.pressureHpa);
+  const relativeHumidity = optionalNumber(raw.relativeHumidity);
+  if ([tempF, tempC, windMph, windMps, windFromDeg, pressureHpa, relativeHumidity].includes(undefined)) {
+    return { error: "weather fields must be numbers." };
+  }
+  if ([tempF, tempC, windMph, windMps, windFromDeg, pressureHpa, relativeHumidity].every((v) => v == null)) {
+    return { value: null };
+  }
+
+  const temperatureC = tempC != null ? tempC : tempF != null ? (tempF - 32) / 1.8 : null;
+  const windSpeedMps = windMps != null ? windMps : windMph != null ? windMph / 2.23694 : null;
+  if (temperatureC != null && (temperatureC < -30 || temperatureC > 55)) return { error: "temperature is out of range." };
+  if (windSpeedMps != null && (windSpeedMps < 0 || windSpeedMps > 60)) return { error: "wind speed is out of range." };
+  if ((windSpeedMps != null) !== (windFromDeg != null)) {
+    return { error: "weather needs both wind speed and windFromDeg, or neither." };
+  }
+  if (pressureHpa != null && (pressureHpa < 500 || pressureHpa > 1100)) return { error: "pressureHpa is out of range." };
+  if (relativeHumidity != null && (relativeHumidity < 0 || relativeHumidity > 100)) {
+    return { error: "relativeHumidity must be between 0 and 100." };
+  }
+
+  return {
+    value: {
+      temperatureC,
+      windSpeedMps,
+      windFromDeg: windFromDeg != null ? ((windFromDeg % 360) + 360) % 360 : null,
+      pressureHpa,
+      relativeHumidity,
+      observedAt: null
+    }
+  };
+}
+
+function parseElevation(raw) {
+  if (raw == null) return { value: null };
+  const fromMeters = optionalNumber(raw.fromMeters);
+  const toMeters = optionalNumber(raw.toMeters);
+  if (fromMeters == null || toMeters == null || Math.abs(fromMeters) > 9000 || Math.abs(toMeters) > 9000) {
+    return { error: "elevation must be { fromMeters, toMeters }." };
+  }
+  return { value: { fromMeters, toMeters } };
+}
+
+// ----------------------------------------------------------------
+// Handler (exported for unit testing without auth middleware in path)
+// ----------------------------------------------------------------
+async function handlePlaysLike(req, res) {
+  const body = req.body || {};
+  const from = parsePoint(body.from, "from");
+  if (from.error) return res.status(400).json({ ok: false, error: from.error });
+  const to = parsePoint(body.to, "to");
+  if (to.error) return res.status(400).json({ ok: false, error: to.error });
+  const yards = haversineMeters(from.value.lat, from.value.lon, to.value.lat, to.value.lon) * METERS_TO_YARDS;
+  if (yards > MAX_SHOT_YARDS) {
+    return res.status(400).json({ ok: false, error: `from and to are more than ${MAX_SHOT_YARDS} yds apart.` });
+  }
+
+  const time = body.timestamp != null ? new Date(body.timestamp) : new Date();
+  if (Number.isNaN(time.getTime()) || Math.abs(time.getTime() - Date.now()) > MAX_TIMESTAMP_SKEW_MS) {
+    return res.status(400).json({ ok: false, error: "timestamp must be an ISO date within a year of now." });
+  }
+
+  const weather = parseWeather(body.weather);
+  if (weather.error) return res.status(400).json({ ok: false, error: weather.error });
+  const elevation = parseElevation(body.elevation);
+  if (elevation.error) return res.status(400).json({ ok: false, error: elevation.error });
+
+  let result;
+  try {
+    result = await playsLike.resolvePlaysLike({
+      from: from.value,
+      to: to.value,
+      time,
+      weather: weather.value,
+      elevation: elevation.value
+    });
+  } catch (err) {
+    console.error("[PLAYS_LIKE] failed:", err.message);
+    return res.status(500).json({ ok: false, error: "Failed to compute plays-like distance." });
+  }
+
+  return res.json({ ok: true, timestamp: time.toISOString(), ...result });
+}
+
+router.post("/", authenticate, handlePlaysLike);
+
+module.exports = router;
+// Expose helpers + bare handler for unit testing.
+module.exports.__test = {
+  handlePlaysLike,
+  parseWeather
+};
@@ -0,0 +1,540 @@
+"use strict";
+
+/**
+ * Rounds — start, list, resume and close a round of golf.
+ *
+ * Endpoints (mounted at `/api/rounds`, all require a Bearer token):
+ *   POST /               — start a round { courseId, teeSetId, id?, startedAt?, courseHandicap? }
+ *   GET  /               — list my rounds (?status=in_progress|completed|abandoned&limit=)
+ *   GET  /:id            — one of my rounds
+ *   POST /:id/finish     — mark an in-progress round completed
+ *   POST /:id/abandon    — mark an in-progress round abandoned
+ *   GET  /:id/scorecard  — per-hole scores with gross/net/Stableford totals
+ *   POST /:id/scores     — upsert one hole { holeNumber, strokes, putts?, fairwayHit?,
+ *                          gir?, penaltyStrokes? } or many { holes: [...] };
+ *                          optional `courseHandicap` updates the round.
+ *                          Returns the recomputed scorecard.
+ *
+ * Round ids:
+ *   • The client may supply its own `id` (iOS generates them offline and
+ *     has been sending them as `shot_outcomes.round_id`). Otherwise the
+ *     server mints `rnd_<uuid>`.
+ *   • Starting is idempotent: re-POSTing an id the caller already owns
+ *     returns the existing round. An `imported` round (known only from
+ *     shot outcomes, no owner yet) is claimed by the first start.
+ *   • Another user's id is a 409 — never leak or overwrite their round.
+ *
+ * Course + tee set are resolved through `getRoundCourseContext` so a round
+ * can only be started against a tee set the round engine can actually serve.
+ *
+ * Scoring: only raw per-hole inputs are stored (round_hole_scores). Par and
+ * stroke index come from golf_course_holes and the totals are recomputed
+ * on every read by services/scorecard.js.
+ *
+ * Migration window: if `rounds` / `round_hole_scores` are missing (010/011
+ * not applied yet) every endpoint returns 503 so the client keeps the
+ * round local-only.
+ */
+
+const express = require("express");
+const { randomUUID } = require("crypto");
+
+const router = express.Router();
+
+const authModule = require("./auth");
+const authenticate = authModule.authenticate;
+const courseIntelligence = require("../services/courseIntelligence");
+const { buildScorecard } = require("../services/scorecard");
+const { tableExists, __resetTableCache } = require("../services/schemaProbe");
+
+const ROUND_STATUSES = new Set(["in_progress", "completed", "abandoned", "imported"]);
+
+const ROUND_COLUMNS = `id, user_id, course_id, tee_set_id, course_name, tee_name, hole_count,
+       course_handicap, status, started_at, ended_at, created_at, updated_at`;
+
+// WHS caps the Handicap Index at 54.0; a course handicap can run a little
+// past that on very hard tees, and plus handicaps go negative.
+const COURSE_HANDICAP_MIN = -10;
+const COURSE_HANDICAP_MAX = 72;
+
+function getDbPool(req) {
+  return req.app.get("dbPool") || null;
+}
+
+function safeStr(value, max = 200) {
+  if (value == null) return null;
+  const s = String(value).trim();
+  if (!s) return null;
+  return s.length > max ? s.slice(0, max) : s;
+}
+
+function safeInt(value) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  return Math.trunc(n);
+}
+
+function safeBool(value) {
+  if (typeof value === "boolean") return value;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return null;
+}
+
+/**
+ * Parse an optional course handicap. Returns `{ value }` (value may be
+ * undefined when absent) or `{ error }`.
+ */
+function parseCourseHandicap(raw) {
+  if (raw === undefined) return { value: undefined };
+  if (raw === null) return { value: null };
+  const n = safeInt(raw);
+  if (n == null || n < COURSE_HANDICAP_MIN || n > COURSE_HANDICAP_MAX) {
+    return { error: `courseHandicap must be an integer between ${COURSE_HANDICAP_MIN} and ${COURSE_HANDICAP_MAX}.` };
+  }
+  return { value: n };
+}
+
+function roundShape(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    courseId: row.course_id,
+    teeSetId: row.tee_set_id,
+    courseName: row.course_name,
+    teeName: row.tee_name,
+    holeCount: row.hole_count,
+    courseHandicap: row.course_handicap ?? null,
+    status: row.status,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Shared preamble for every handler: pool + table present.
+ * Returns the pool, or null after having already sent the error response.
+ */
+async function requireRoundsStore(req, res) {
+  const pool = getDbPool(req);
+  if (!pool) {
+    res.status(503).json({ ok: false, error: "Database unavailable." });
+    return null;
+  }
+  if (!(await tableExists(pool, "rounds")) || !(await tableExists(pool, "round_hole_scores"))) {
+    res.status(503).json({ ok: false, error: "Round storage not ready. Please retry shortly." });
+    return null;
+  }
+  return pool;
+}
+
+async function loadOwnedRound(pool, roundId, userId) {
+  const r = await pool.query(
+    `SELECT ${ROUND_COLUMNS} FROM rounds WHERE id = $1 AND user_id = $2 LIMIT 1`,
+    [roundId, userId]
+  );
+  return r.rows[0] || null;
+}
+
+// ----------------------------------------------------------------
+// Handlers (exported for unit testing without auth middleware in path)
+// ----------------------------------------------------------------
+async function handleStartRound(req, res) {
+  const pool = await requireRoundsStore(req, res);
+  if (!pool) return;
+
+  const body = req.body || {};
+  const courseId = safeStr(body.courseId || body.course_id, 64);
+  const teeSetId = safeStr(body.teeSetId || body.tee_set_id, 64);
+  if (!courseId) return res.status(400).json({ ok: false, error: "courseId is required." });
+  if (!teeSetId) return res.status(400).json({ ok: false, error: "teeSetId is required." });
+
+  const handicap = parseCourseHandicap(body.courseHandicap ?? body.course_handicap);
+  if (handicap.error) return res.status(400).json({ ok: false, error: handicap.error });
+
+  const startedAtRaw = body.startedAt || body.started_at;
+  const startedAt = startedAtRaw ? new Date(startedAtRaw) : new Date();
+  if (Number.isNaN(startedAt.getTime())) {
+    return res.status(400).json({ ok: false, error: "startedAt is invalid." });
+  }
+
+  let context;
+  try {
+    context = await courseIntelligence.getRoundCourseContext(pool, courseId);
+  } catch (err) {
+    console.error("[ROUNDS] course context failed:", err.message);
+    return res.status(500).json({ ok: false, error: "Failed to load course." });
+  }
+  if (!context) return res.status(404).json({ ok: false, error: "Course not found." });
+
+  const tee = context.tees.find((t) => String(t.id) === teeSetId);
+  if (!tee) {
+    return res.status(400).json({ ok: false, error: "teeSetId does not belong to this course." });
+  }
+
+  const roundId = safeStr(body.id || body.roundId, 64) || `rnd_${randomUUID()}`;
+  const userId = req.authUser.id;
+
+  try {
+    // Insert, or claim an ownerless `imported` stub with the same id.
+    const inserted = await pool.query(
+      `
+      INSERT INTO rounds (id, user_id, course_id, tee_set_id, course_name, tee_name,
+                          hole_count, course_handicap, status, started_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $9, 'in_progress', $8, now())
+      ON CONFLICT (id) DO UPDATE SET
+        user_id     = EXCLUDED.user_id,
+        course_id   = EXCLUDED.course_id,
+        tee_set_id  = EXCLUDED.tee_set_id,
+        course_name = EXCLUDED.course_name,
+        tee_name    = EXCLUDED.tee_name,
+        hole_count  = EXCLUDED.hole_count,
+        course_handicap = EXCLUDED.course_handicap,
+        status      = 'in_progress',
+        started_at  = LEAST(rounds.started_at, EXCLUDED.started_at),
+        ended_at    = NULL,
+        updated_at  = now()
+      WHERE rounds.status = 'imported' AND rounds.user_id IS NULL
+      RETURNING ${ROUND_COLUMNS};
+      `,
+      [
+        roundId,
+        userId,
+        context.course.id,
+        tee.id,
+        context.course.name,
+        tee.name,
+        context.holes.length,
+        startedAt,
+        handicap.value ?? null
+      ]
+    );
+    if (inserted.rowCount > 0) {
+      return res.status(201).json({ ok: true, round: roundShape(inserted.rows[0]) });
+    }
+
+    const existing = await loadOwnedRound(pool, roundId, userId);
+    if (existing) {
+      return res.json({ ok: true, round: roundShape(existing), existing: true });
+    }
+    return res.status(409).json({ ok: false, error: "Round id already in use." });
+  } catch (err) {
+    console.error("[ROUNDS] start failed:", err.message);
+    return res.status(500).json({ ok: false, error: "Failed to start round." });
+  }
+}
+
+async function handleListRounds(req, res) {
+  const pool = await requireRoundsStore(req, res);
+  if (!pool) return;
+
+  const status = safeStr(req.query.status, 32);
+  if (status && !ROUND_STATUSES.has(status)) {
+    return res.status(400).json({
+      ok: false,
+      error: `status must be one of ${[...ROUND_STATUSES].join(", ")}`
+    });
+  }
+  const rawLimit = parseInt(req.query.limit || "50", 10);
+  const limit = Number.isFinite(rawLimit) ? Math.min(Math.max(rawLimit, 1), 200) : 50;
+
+  const params = [req.authUser.id];
+  let where = "user_id = $1";
+  if (status) {
+    params.push(status);
+    where += ` AND status = $${params.length}`;
+  }
+  params.push(limit);
+
+  try {
+    const r = await pool.query(
+      `SELECT ${ROUND_COLUMNS} FROM rounds
+       WHERE ${where}
+       ORDER BY started_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    const rounds = r.rows.map(roundShape);
+    return res.json({ ok: true, rounds, count: rounds.length });
+  } catch (err) {
+    console.error("[ROUNDS] list failed:", err.message);
+    return res.status(500).json({ ok: false, error: "Failed to load rounds." });
+  }
+}
+
+async function handleGetRound(req, res) {
+  const pool = await requireRoundsStore(req, res);
+  if (!pool) return;
+
+  const roundId = safeStr(req.params.id, 64);
+  if (!roundId) return res.status(400).json({ ok: false, error: "round id is required." });
+
+  try {
+    const row = await loadOwnedRound(pool, roundId, req.authUser.id);
+    if (!row) return res.status(404).json({ ok: false, error: "Round not found." });
+    return res.json({ ok: true, round: roundShape(row) });
+  } catch (err) {
+    console.error("[ROUNDS] get failed:", err.message);
+    return res.status(500).json({ ok: false, error: "Failed to load round." });
+  }
+}
+
+/**
+ * Close an in-progress round. Completed/abandoned rounds are terminal:
+ * repeating the same transition is a no-op 200, a different one is 409.
+ */
+function makeCloseHandler(targetStatus) {
+  return async function handleCloseRound(req, res) {
+    const pool = await requireRoundsStore(req, res);
+    if (!pool) return;
+
+    const roundId = safeStr(req.params.id, 64);
+    if (!roundId) return res.status(400).json({ ok: false, error: "round id is required." });
+
+    const endedAtRaw = req.body && (req.body.endedAt || req.body.ended_at);
+    const endedAt = endedAtRaw ? new Date(endedAtRaw) : new Date();
+    if (Number.isNaN(endedAt.getTime())) {
+      return res.status(400).json({ ok: false, error: "endedAt is invalid." });
+    }
+
+    try {
+      const updated = await pool.query(
+        `UPDATE rounds
+            SET status = $3, ended_at = $4, updated_at = now()
+          WHERE id = $1 AND user_id = $2 AND status = 'in_progress'
+          RETURNING ${ROUND_COLUMNS}`,
+        [roundId, req.authUser.id, targetStatus, endedAt]
+      );
+      if (updated.rowCount > 0) {
+        return res.json({ ok: true, round: roundShape(updated.rows[0]) });
+      }
+
+      const existing = await loadOwnedRound(pool, roundId, req.authUser.id);
+      if (!existing) return res.status(404).json({ ok: false, error: "Round not found." });
+      if (existing.status === targetStatus) {
+        return res.json({ ok: true, round: roundShape(existing) });
+      }
+      return res.status(409).json({
+        ok: false,
+        error: `Round is ${existing.status} and cannot be marked ${targetStatus}.`
+      });
+    } catch (err) {
+      console.error(`[ROUNDS] ${targetStatus} failed:`, err.message);
+      return res.status(500).json({ ok: false, error: "Failed to update round." });
+    }
+  };
+}
+
+const handleFinishRound = makeCloseHandler("completed");
+const handleAbandonRound = makeCloseHandler("abandoned");
+
+// ----------------------------------------------------------------
+// Scorecard
+// ----------------------------------------------------------------
+
+/**
+ * Load par / stroke index for the round's course plus golf_courses.num_holes,
+ * which decides whether the card is a 9 or 18.
+ */
+async function loadCourseHoles(pool, courseUuid) {
+  const r = await pool.query(
+    `SELECT gc.num_holes, h.hole_number, h.par, h.handicap
+     FROM golf_courses gc
+     JOIN golf_course_holes h ON h.course_id = gc.id
+     WHERE gc.id = $1
+     ORDER BY h.hole_number`,
+    [courseUuid]
+  );
+  return {
+    numHoles: r.rows[0] ? r.rows[0].num_holes : 0,
+    holes: r.rows.map((row) => ({ hole_number: row.hole_number, par: row.par, handicap: row.handicap }))
+  };
+}
+
+async function loadScores(pool, roundId) {
+  const r = await pool.query(
+    `SELECT hole_number, strokes, putts, fairway_hit, gir, penalty_strokes
+     FROM round_hole_scores
+     WHERE round_id = $1
+     ORDER BY hole_number`,
+    [roundId]
+  );
+  return r.rows;
+}
+
+async function scorecardFor(pool, round) {
+  const [course, scores] = await Promise.all([
+    loadCourseHoles(pool, round.course_id),
+    loadScores(pool, round.id)
+  ]);
+  return buildScorecard({
+    holes: course.holes,
+    scores,
+    courseHandicap: round.course_handicap,
+    numHoles: course.numHoles
+  });
+}
+
+/**
+ * Validate one hole entry. Returns `{ entry }` or `{ error }`.
+ */
+function normalizeHoleScore(raw, holeCount) {
+  if (raw == null || typeof raw !== "object") return { error: "hole entry must be an object." };
+  const holeNumber = safeInt(raw.holeNumber ?? raw.hole_number);
+  if (holeNumber == null || holeNumber < 1 || holeNumber > holeCount) {
+    return { error: `holeNumber must be between 1 and ${holeCount}.` };
+  }
+  const strokes = safeInt(raw.strokes);
+  if (strokes == null || strokes < 1 || strokes > 20) {
+    return { error: `hole ${holeNumber}: strokes must be between 1 and 20.` };
+  }
+  const putts = safeInt(raw.putts);
+  if (putts != null && (putts < 0 || putts > strokes)) {
+    return { error: `hole ${holeNumber}: putts must be between 0 and strokes.` };
+  }
+  const penaltyStrokes = safeInt(raw.penaltyStrokes ?? raw.penalty_strokes) ?? 0;
+  if (penaltyStrokes < 0 || penaltyStrokes >= strokes) {
+    return { error: `hole ${holeNumber}: penaltyStrokes must be between 0 and strokes - 1.` };
+  }
+  if ((putts ?? 0) + penaltyStrokes > strokes) {
+    return { error: `hole ${holeNumber}: putts + penaltyStrokes cannot exceed strokes.` };
+  }
+  return {
+    entry: {
+      holeNumber,
+      strokes,
+      putts,
+      fairwayHit: safeBool(raw.fairwayHit ?? raw.fairway_hit),
+      gir: safeBool(raw.gir),
+      penaltyStrokes
+    }
+  };
+}
+
+async function handleGetScorecard(req, res) {
+  const pool = await requireRoundsStore(req, res);
+  if (!pool) return;
+
+  const roundId = safeStr(req.params.id, 64);
+  if (!roundId) return res.status(400).json({ ok: false, error: "round id is required." });
+
+  try {
+    const round = await loadOwnedRound(pool, roundId, req.authUser.id);
+    if (!round) return res.status(404).json({ ok: false, error: "Round not found." });
+    if (!round.course_id) {
+      return res.status(409).json({ ok: false, error: "Round has no course to score against." });
+    }
+    const scorecard = await scorecardFor(pool, round);
+    return res.json({ ok: true, roundId: round.id, scorecard });
+  } catch (err) {
+    console.error("[ROUNDS] scorecard failed:", err.message);
+    return res.status(500).json({ ok: false, error: "Failed to load scorecard." });
+  }
+}
+
+async function handlePostScores(req, res) {
+  const pool = await requireRoundsStore(req, res);
+  if (!pool) return;
+
+  const roundId = safeStr(req.params.id, 64);
+  if (!roundId) return res.status(400).json({ ok: false, error: "round id is required." });
+
+  const body = req.body || {};
+  const rawEntries = Array.isArray(body.holes) ? body.holes : [body];
+  if (rawEntries.length === 0 || rawEntries.length > 18) {
+    return res.status(400).json({ ok: false, error: "Send between 1 and 18 hole entries." });
+  }
+  const handicap = parseCourseHandicap(body.courseHandicap ?? body.course_handicap);
+  if (handicap.error) return res.status(400).json({ ok: false, error: handicap.error });
+
+  try {
+    const round = await loadOwnedRound(pool, roundId, req.authUser.id);
+    if (!round) return res.status(404).json({ ok: false, error: "Round not found." });
+    if (round.status === "abandoned") {
+      return res.status(409).json({ ok: false, error: "Round is abandoned." });
+    }
+    if (!round.course_id) {
+      return res.status(409).json({ ok: false, error: "Round has no course to score against." });
+    }
+
+    const course = await loadCourseHoles(pool, round.course_id);
+    const holeCount = course.numHoles || course.holes.length;
+    const entries = [];
+    for (const raw of rawEntries) {
+      const parsed = normalizeHoleScore(raw, holeCount);
+      if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+      entries.push(parsed.entry);
+    }
+
+    // Handicap and hole rows land together or not at all, so a failure
+    // partway never leaves a half-written card.
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      if (handicap.value !== undefined) {
+        await client.query(
+          "UPDATE rounds SET course_handicap = $2, updated_at = now() WHERE id = $1",
+          [round.id, handicap.value]
+        );
+      }
+      for (const e of entries) {
+        await client.query(
+          `
+          INSERT INTO round_hole_scores (round_id, hole_number, strokes, putts, fairway_hit,
+                                         gir, penalty_strokes, updated_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, now())
+          ON CONFLICT (round_id, hole_number) DO UPDATE SET
+            strokes         = EXCLUDED.strokes,
+            putts           = EXCLUDED.putts,
+            fairway_hit     = EXCLUDED.fairway_hit,
+            gir             = EXCLUDED.gir,
+            penalty_strokes = EXCLUDED.penalty_strokes,
+            updated_at      = now();
+          `,
+          [round.id, e.holeNumber, e.strokes, e.putts, e.fairwayHit, e.gir, e.penaltyStrokes]
+        );
+      }
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+    if (handicap.value !== undefined) round.course_handicap = handicap.value;
+
+    const scorecard = await scorecardFor(pool, round);
+    return res.json({ ok: true, roundId: round.id, scorecard });
+  } catch (err) {
+    console.error("[ROUNDS] score upsert failed:", err.message);
+    return res.status(500).json({ ok: false, error: "Failed to save scores." });
+  }
+}
+
+router.post("/", authenticate, handleStartRound);
+router.get("/", authenticate, handleListRounds);
+router.get("/:id", authenticate, handleGetRound);
+router.post("/:id/finish", authenticate, handleFinishRound);
+router.post("/:id/abandon", authenticate, handleAbandonRound);
+router.get("/:id/scorecard", authenticate, handleGetScorecard);
+router.post("/:id/scores", authenticate, handlePostScores);
+
+module.exports = router;
+// Expose helpers + bare handlers for unit testing.
+module.exports.__test = {
+  handleStartRound,
+  handleListRounds,
+  handleGetRound,
+  handleFinishRound,
+  handleAbandonRound,
+  handleGetScorecard,
+  handlePostScores,
+  normalizeHoleScore,
+  roundShape,
+  ROUND_STATUSES,
+  // Internal: reset the cached table-exists flags between tests.
+  __resetTableCache
+};
@@ -10,6 +10,10 @@
  * iOS posts fire-and-forget; failures must NEVER block the local UX. The endpoints accept
  * partial payloads (only `recommendation_id`, `shot_result`, `success`, `recorded_at`
  * are strictly required — everything else is best-effort metadata).
+ *
+ * `round_id` references `rounds(id)` since migration 010. Outcomes may arrive before
+ * the client has started the round server-side, so an unknown round id gets an
+ * ownerless `imported` stub instead of failing the FK.
  */
 
 const express = require("express");
@@ -114,6 +118,19 @@ async function ensureTable(pool) {
   `);
 }
 
+async function ensureRoundStub(pool, roundId, recordedAt) {
+  try {
+    await pool.query(
+      `INSERT INTO rounds (id, status, started_at)
+       VALUES ($1, 'imported', $2)
+       ON CONFLICT (id) DO NOTHING`,
+      [roundId, recordedAt]
+    );
+  } catch {
+    // rounds table missing (pre-010) — there is no FK to satisfy yet.
+  }
+}
+
 router.post("/", async (req, res) => {
   const pool = req.app.get("dbPool");
   if (!pool) {
@@ -130,6 +147,7 @@ router.post("/", async (req, res) => {
 
   try {
     await ensureTable(pool);
+    if (r.roundId) await ensureRoundStub(pool, r.roundId, r.recordedAt);
     await pool.query(
       `
         INSERT INTO shot_outcomes (
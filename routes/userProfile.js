@@ -44,6 +44,7 @@ const router = express.Router();
 
 const authModule = require("./auth");
 const authenticate = authModule.authenticate;
+const { tableExists, __resetTableCache } = require("../services/schemaProbe");
 
 // Fields that must NEVER be persisted as part of a profile JSON, even
 // if the client tries to send them. Stripped silently.
@@ -109,28 +110,6 @@ function normalizeDecision(raw) {
   return ALLOWED_DECISIONS.has(lower) ? lower : "unspecified";
 }
 
-/**
- * Check whether the user_profiles table exists. Caches a positive
- * result for the lifetime of the process (Render restart resets it).
- * On a negative result we re-check on every request so a freshly
- * applied migration becomes visible without a restart.
- */
-let __userProfilesTablePresent = false;
-async function userProfilesTableExists(pool) {
-  if (__userProfilesTablePresent) return true;
-  if (!pool) return false;
-  try {
-    const r = await pool.query(
-      "SELECT to_regclass('public.user_profiles') AS t"
-    );
-    const ok = Boolean(r.rows[0] && r.rows[0].t);
-    if (ok) __userProfilesTablePresent = true;
-    return ok;
-  } catch {
-    return false;
-  }
-}
-
 // ----------------------------------------------------------------
 // Handlers (exported for unit testing without auth middleware in path)
 // ----------------------------------------------------------------
@@ -139,7 +118,7 @@ async function handleGetProfile(req, res) {
   if (!pool) {
     return res.status(503).json({ ok: false, error: "Database unavailable." });
   }
-  const hasTable = await userProfilesTableExists(pool);
+  const hasTable = await tableExists(pool, "user_profiles");
   if (!hasTable) {
     // Migration window: act like the user has no profile yet rather
     // than 5xx. iOS treats null profile as "fresh server" and skips
@@ -211,7 +190,7 @@ async function handlePutProfile(req, res) {
     cleaned.last_client_updated_at = clientUpdatedAt;
   }
 
-  const hasTable = await userProfilesTableExists(pool);
+  const hasTable = await tableExists(pool, "user_profiles");
   if (!hasTable) {
     return res.status(503).json({
       ok: false,
@@ -259,7 +238,5 @@ module.exports.__test = {
   ALLOWED_DECISIONS,
   MAX_PAYLOAD_BYTES,
   // Internal: reset the cached table-exists flag between tests.
-  __resetTableCache: () => {
-    __userProfilesTablePresent = false;
-  }
+  __resetTableCache
 };
@@ -0,0 +1,99 @@
+"use strict";
+
+/**
+ * Annotate hole geometry with ground elevation.
+ *
+ * Fills golf_hole_pois.elevation_m and golf_hole_tees.elevation_m
+ * (migration 013) from an elevation provider — by default the DEM tiles
+ * under DEM_DIR (services/demTiles.js). Only rows without a height are
+ * looked up unless --force is given, so the script is safe to re-run after
+ * ingest, OSM enrichment or tee synthesis.
+ *
+ * Usage:
+ *   node scripts/annotate-elevation.js [--dry-run] [--force] [--course-id <uuid>]
+ *                                      [--provider dem|open_meteo|file]
+ *
+ * --provider defaults to ELEVATION_PROVIDER when set, else `dem`.
+ *
+ * Programmatic:
+ *   const { runAnnotation } = require("./annotate-elevation");
+ *   await runAnnotation(pool, { courseId, provider, dryRun, force });
+ */
+
+const path = require("path");
+
+const { annotateCourseElevation } = require("../services/courseElevation");
+const { bumpCourseDataVersion } = require("../services/courseDataVersion");
+const { createElevationProviderFromEnv } = require("../services/elevationProvider");
+
+/**
+ * Run annotation for all courses or a single course.
+ * @param {import("pg").Pool} pool
+ * @param {object} options
+ * @param {object} options.provider        elevation provider
+ * @param {string} [options.courseId]      UUID to filter a single course
+ * @param {boolean} [options.dryRun]
+ * @param {boolean} [options.force]
+ * @returns {Promise<object>} stats
+ */
+async function runAnnotation(pool, options) {
+  const { provider, courseId = null, dryRun = false, force = false } = options;
+
+  const coursesRes = await pool.query(
+    `SELECT gc.id, gc.course_name FROM golf_courses gc ${courseId ? "WHERE gc.id = $1" : ""} ORDER BY gc.course_name`,
+    courseId ? [courseId] : []
+  );
+  console.log(`[ELEVATION] Annotating ${coursesRes.rows.length} courses with provider=${provider.name}...`);
+
+  const totals = { courses: 0, annotated: 0, missing: 0, coursesWithoutCoverage: 0 };
+  for (const course of coursesRes.rows) {
+    const stats = await annotateCourseElevation(pool, { courseId: course.id, provider, force, dryRun });
+    const annotated = stats.pois.annotated + stats.tees.annotated;
+    const missing = stats.pois.missing + stats.tees.missing;
+    if (!dryRun && annotated > 0) await bumpCourseDataVersion(pool, course.id);
+    totals.courses++;
+    totals.annotated += annotated;
+    totals.missing += missing;
+    if (missing > 0 && annotated === 0) totals.coursesWithoutCoverage++;
+    if (annotated + missing > 0) {
+      console.log(`[ELEVATION] ${course.course_name}: ${annotated} annotated, ${missing} without coverage`);
+    }
+  }
+
+  console.log(`\n[ELEVATION] ═══════════════════════════════════════`);
+  console.log(`[ELEVATION] Complete.`);
+  console.log(`[ELEVATION] Points annotated:          ${totals.annotated}`);
+  console.log(`[ELEVATION] Points without coverage:   ${totals.missing}`);
+  console.log(`[ELEVATION] Courses with no DEM cover: ${totals.coursesWithoutCoverage}`);
+  if (dryRun) console.log(`[ELEVATION] ⚠️  DRY RUN — no database changes made`);
+  console.log(`[ELEVATION] ═══════════════════════════════════════`);
+
+  return totals;
+}
+
+// CLI entry point
+if (require.main === module) {
+  require("dotenv").config({ path: path.resolve(__dirname, "../.env") });
+  const { Pool } = require("pg");
+
+  const argValue = (flag) => {
+    const idx = process.argv.indexOf(flag);
+    return idx >= 0 ? process.argv[idx + 1] : null;
+  };
+  const dryRun = process.argv.includes("--dry-run");
+  const force = process.argv.includes("--force");
+  const courseId = argValue("--course-id");
+  const kind = argValue("--provider") || process.env.ELEVATION_PROVIDER || "dem";
+  const provider = createElevationProviderFromEnv({ ...process.env, ELEVATION_PROVIDER: kind });
+
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  runAnnotation(pool, { provider, courseId, dryRun, force })
+    .then(() => pool.end())
+    .catch((err) => {
+      console.error("[ELEVATION] Fatal error:", err.message);
+      pool.end().then(() => process.exit(1));
+    });
+}
+
+module.exports = { runAnnotation };
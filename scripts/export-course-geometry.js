@@ -0,0 +1,95 @@
+"use strict";
+
+/**
+ * Export a course's round-engine geometry as KML, GPX or GeoJSON for
+ * review in Google Earth / QGIS — the same documents
+ * GET /api/courses/:id/{kml,gpx,geojson} serve (services/courseExport.js).
+ *
+ * Tees are styled by is_synthesized and hazards / outlines by source_type,
+ * so what synthesize-hole-tees.js and the OSM enricher produced stands out
+ * from native data.
+ *
+ * Usage:
+ *   node scripts/export-course-geometry.js --course-id <uuid|slug>
+ *                                          [--format kml|gpx|geojson] [--hole <n>]
+ *                                          [--out <file>|-]
+ *
+ * --format defaults to kml. --out defaults to <course-slug>[-hole-N].<ext>
+ * in the current directory; `-` writes to stdout.
+ *
+ * Programmatic:
+ *   const { exportCourse } = require("./export-course-geometry");
+ *   const { fileName, body } = await exportCourse(pool, { courseId, format, holeNumber });
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const courseIntelligence = require("../services/courseIntelligence");
+const { buildCourseGeoJson } = require("../services/courseGeoJson");
+const { FORMATS, exportFileName } = require("../services/courseExport");
+
+/**
+ * @param {import("pg").Pool} pool
+ * @param {object} options
+ * @param {string} options.courseId           UUID or slug
+ * @param {string} [options.format="kml"]     kml | gpx | geojson
+ * @param {number|null} [options.holeNumber]  one hole only
+ * @returns {Promise<{ fileName: string, body: string, featureCount: number }>}
+ */
+async function exportCourse(pool, { courseId, format = "kml", holeNumber = null }) {
+  if (!FORMATS[format]) throw new Error(`Unknown format "${format}" (expected ${Object.keys(FORMATS).join(", ")})`);
+  const context = await courseIntelligence.getRoundCourseContext(pool, courseId);
+  if (!context) throw new Error(`Course not found: ${courseId}`);
+  const built = buildCourseGeoJson(context, { holeNumber });
+  if (built.error) throw new Error(built.error);
+  return {
+    fileName: exportFileName(built.result, format),
+    body: FORMATS[format].render(built.result),
+    featureCount: built.result.features.length
+  };
+}
+
+// CLI entry point
+if (require.main === module) {
+  require("dotenv").config({ path: path.resolve(__dirname, "../.env") });
+  const { Pool } = require("pg");
+
+  const argValue = (flag) => {
+    const idx = process.argv.indexOf(flag);
+    return idx >= 0 ? process.argv[idx + 1] : null;
+  };
+  const courseId = argValue("--course-id");
+  const format = (argValue("--format") || "kml").toLowerCase();
+  const hole = argValue("--hole");
+  const out = argValue("--out");
+  if (!courseId) {
+    console.error("Usage: node scripts/export-course-geometry.js --course-id <uuid|slug> [--format kml|gpx|geojson] [--hole <n>] [--out <file>|-]");
+    process.exit(2);
+  }
+  const holeNumber = hole != null ? Number(hole) : null;
+  if (holeNumber != null && (!Number.isInteger(holeNumber) || holeNumber < 1 || holeNumber > 18)) {
+    console.error("[EXPORT] --hole must be an integer 1-18");
+    process.exit(2);
+  }
+
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  exportCourse(pool, { courseId, format, holeNumber })
+    .then(({ fileName, body, featureCount }) => {
+      if (out === "-") {
+        process.stdout.write(body);
+      } else {
+        const target = out || fileName;
+        fs.writeFileSync(target, body);
+        console.error(`[EXPORT] ${featureCount} features → ${target}`);
+      }
+      return pool.end();
+    })
+    .catch((err) => {
+      console.error("[EXPORT] Fatal error:", err.message);
+      pool.end().then(() => process.exit(1));
+    });
+}
+
+module.exports = { exportCourse };
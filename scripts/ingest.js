@@ -27,6 +27,7 @@ const { parse: createCsvParseStream } = require("csv-parse");
 const { Pool } = require("pg");
 const fetch = require("node-fetch");
 const { runMigrations } = require("./run-migrations");
+const { bumpAllCourseDataVersions } = require("../services/courseDataVersion");
 const { Readable } = require("stream");
 
 require("dotenv").config();
@@ -613,6 +614,9 @@ async function runIngestion(pool, options = {}) {
         WHERE gc.club_id = c.id AND gc.lat IS NULL
       `);
       console.log("✓ Course centers updated (green centroid or club fallback)");
+      // Any course may have changed; cached course payloads must rebuild.
+      const bumped = await bumpAllCourseDataVersions(pool);
+      console.log(`✓ Course data versions bumped (${bumped.toLocaleString()} courses)`);
     } else if (DRY_RUN) {
       console.log("\n[DRY RUN] Would precompute course centers from green POIs");
     }
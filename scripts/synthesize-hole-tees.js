@@ -12,6 +12,10 @@
  *   4. If no tee POIs exist, infer direction from all non-green POIs on the hole
  *      (hazards, fairway markers). Falls back to due-north ONLY if no POIs at all.
  *
+ * Tees whose coordinate changes lose their elevation; re-run
+ * scripts/annotate-elevation.js afterwards to fill it back in. Each course
+ * written gets its data_version bumped so cached course payloads rebuild.
+ *
  * Usage:
  *   node scripts/synthesize-hole-tees.js [--dry-run] [--course-id <uuid>]
  *
@@ -22,8 +26,8 @@
 
 const path = require("path");
 const fs = require("fs");
-
-const YARDS_TO_METERS = 0.9144;
+const { bumpCourseDataVersion } = require("../services/courseDataVersion");
+const { YARDS_TO_METERS } = require("../services/hazardEngine");
 
 function toRad(deg) { return deg * Math.PI / 180; }
 function toDeg(rad) { return rad * 180 / Math.PI; }
@@ -100,6 +104,20 @@ async function runSynthesis(pool, options = {}) {
     await pool.query(migrationSql);
   }
 
+  // Re-projected tees keep their height only if they didn't move (mig 013).
+  let hasElevation = false;
+  try {
+    await pool.query("SELECT elevation_m FROM golf_hole_tees LIMIT 0");
+    hasElevation = true;
+  } catch { /* migration 013 not applied */ }
+  const elevationReset = hasElevation
+    ? `,
+            elevation_m = CASE WHEN golf_hole_tees.lat = EXCLUDED.lat AND golf_hole_tees.lon = EXCLUDED.lon
+                               THEN golf_hole_tees.elevation_m END,
+            elevation_source = CASE WHEN golf_hole_tees.lat = EXCLUDED.lat AND golf_hole_tees.lon = EXCLUDED.lon
+                                    THEN golf_hole_tees.elevation_source END`
+    : "";
+
   const courseWhere = courseFilter
     ? `WHERE gc.id = $1`
     : "";
@@ -184,6 +202,7 @@ async function runSynthesis(pool, options = {}) {
     }
 
     let courseHasTeePois = false;
+    let courseWritten = 0;
 
     for (const holeNum of Object.keys(holeGeom).map(Number).sort((a, b) => a - b)) {
       const geom = holeGeom[holeNum];
@@ -244,13 +263,15 @@ async function runSynthesis(pool, options = {}) {
             location = EXCLUDED.location,
             yardage = EXCLUDED.yardage,
             is_synthesized = EXCLUDED.is_synthesized,
-            updated_at = now()
+            updated_at = now()${elevationReset}
         `, [courseId, holeNum, ts.teeSetId, ts.teeName, teeCoord.lat, teeCoord.lon, yardage, isSynthesized]);
 
         totalInserted++;
+        courseWritten++;
       }
     }
 
+    if (courseWritten > 0) await bumpCourseDataVersion(pool, courseId);
     if (courseHasTeePois) coursesWithTeePois++;
     else coursesWithoutTeePois++;
   }
@@ -0,0 +1,242 @@
+"use strict";
+
+/**
+ * Deterministic club selection — the non-AI decision engine.
+ *
+ * Given a plays-like distance, the player's carries and ball-relative
+ * hazards (hazardEngine.computeHazardsForTee output), rank every club ×
+ * aim line and explain the winner. Used directly by
+ * POST /api/caddie/club-selection and as the fallback when the LLM in
+ * POST /api/caddie/recommend fails, times out or returns junk.
+ *
+ * Model (deliberately simple and explainable):
+ *   - Each club lands at carry × lie factor, inside an ellipse whose depth
+ *     and half-width scale with carry (longer clubs spray more).
+ *   - A hazard contributes severity × overlap, where overlap falls off
+ *     linearly with distance from the landing point in each axis.
+ *     Severity comes from hazardClassifier.HAZARD_SEVERITY.
+ *   - Score = |distance gap| + RISK_WEIGHT × risk (+ a small nudge against
+ *     off-center aims). Lowest score wins.
+ */
+
+const { HAZARD_SEVERITY } = require("./hazardClassifier");
+
+// Typical mid-handicap carries, used when the profile has no bag.
+const DEFAULT_BAG = Object.freeze([
+  { name: "Driver", carryYards: 230 },
+  { name: "3 Wood", carryYards: 210 },
+  { name: "5 Wood", carryYards: 195 },
+  { name: "4 Hybrid", carryYards: 180 },
+  { name: "5 Iron", carryYards: 170 },
+  { name: "6 Iron", carryYards: 160 },
+  { name: "7 Iron", carryYards: 150 },
+  { name: "8 Iron", carryYards: 140 },
+  { name: "9 Iron", carryYards: 130 },
+  { name: "Pitching Wedge", carryYards: 120 },
+  { name: "Gap Wedge", carryYards: 105 },
+  { name: "Sand Wedge", carryYards: 90 },
+  { name: "Lob Wedge", carryYards: 70 }
+]);
+
+// Carry retained from each lie.
+const LIE_CARRY_FACTOR = Object.freeze({
+  tee: 1.0,
+  fairway: 1.0,
+  fringe: 1.0,
+  first_cut: 0.97,
+  rough: 0.92,
+  sand: 0.9,
+  deep_rough: 0.8,
+  recovery: 0.75
+});
+
+const RISK_WEIGHT = 30; // 1.0 severity full overlap ≈ missing by 30 yds
+const OFF_CENTER_PENALTY = 2;
+const HAZARD_RADIUS_YARDS = 10; // POIs are points; treat them as ~20 yd features
+const DEFAULT_SEVERITY = 0.3;
+const MAX_CANDIDATES = 3;
+
+function severityOf(type) {
+  return HAZARD_SEVERITY[type] ?? DEFAULT_SEVERITY;
+}
+
+function dispersion(carry) {
+  return {
+    depth: Math.max(8, carry * 0.06),
+    halfWidth: Math.max(10, carry * 0.08)
+  };
+}
+
+function overlap(delta, limit) {
+  const d = Math.abs(delta);
+  return d >= limit ? 0 : 1 - d / limit;
+}
+
+/**
+ * Risk of a landing zone, plus the hazards that contribute to it.
+ */
+function landingRisk(landingYards, aimOffsetYards, spread, hazards) {
+  let risk = 0;
+  const threats = [];
+  for (const h of hazards) {
+    const along = overlap(h.carryDistance - landingYards, spread.depth + HAZARD_RADIUS_YARDS);
+    const across = overlap(h.lateralOffset - aimOffsetYards, spread.halfWidth + HAZARD_RADIUS_YARDS);
+    const contribution = severityOf(h.type) * along * across;
+    if (contribution > 0) {
+      risk += contribution;
+      threats.push({ hazard: h, contribution });
+    }
+  }
+  threats.sort((a, b) => b.contribution - a.contribution);
+  return { risk, threats };
+}
+
+function sideOf(lateral) {
+  if (lateral < -5) return "left";
+  if (lateral > 5) return "right";
+  return "center";
+}
+
+function describeCandidate(c, distanceYards, lie) {
+  const parts = [];
+  const lieNote = c.effectiveCarryYards !== c.carryYards ? `, ~${c.effectiveCarryYards} from the ${lie.replace("_", " ")}` : "";
+  parts.push(`${c.club} (${c.carryYards} carry${lieNote}) for ${distanceYards} plays-like`);
+  if (Math.abs(c.gapYards) >= 5) {
+    parts.push(c.gapYards > 0 ? `${c.gapYards} long` : `${-c.gapYards} short`);
+  }
+  if (c.targetLine.side !== "center") {
+    parts.push(`aim ${Math.abs(c.targetLine.aimOffsetYards)} yds ${c.targetLine.side}`);
+  }
+  if (c.threat) {
+    const t = c.threat;
+    const verb = c.targetLine.side !== "center" ? "to stay off" : "watch";
+    parts.push(`${verb} the ${t.type.replace(/_/g, " ")} ${sideOf(t.lateralOffset)} at ${t.carryDistance}`);
+  }
+  return `${parts.join("; ")}.`;
+}
+
+/**
+ * Clubs that can be hit from `lie`: the profile's clubs with a known carry,
+ * Driver only off the tee and never the Putter. When nothing in the profile
+ * is playable (no carries, or e.g. only Driver + Putter from the fairway)
+ * the same rules are applied to DEFAULT_BAG instead.
+ *
+ * @param {Array<{ name: string, carryYards: number|null }>} clubs
+ * @param {string} lie
+ * @returns {{ bag: Array<{ name: string, carryYards: number }>, bagSource: "profile"|"default" }}
+ */
+function playableBag(clubs, lie) {
+  const playable = (list) =>
+    list
+      .filter((c) => Number.isFinite(c.carryYards) && c.carryYards > 0)
+      // Driver only off the tee.
+      .filter((c) => lie === "tee" || !/driver/i.test(c.name))
+      .filter((c) => !/putter/i.test(c.name));
+  const fromProfile = playable(clubs || []);
+  if (fromProfile.length) return { bag: fromProfile, bagSource: "profile" };
+  return { bag: playable(DEFAULT_BAG), bagSource: "default" };
+}
+
+/**
+ * Rank clubs and aim lines for one shot.
+ *
+ * @param {object} input
+ * @param {number} input.distanceYards  plays-like distance to the target
+ * @param {Array<{ name: string, carryYards: number|null }>} [input.clubs]  profileClubs() output
+ * @param {Array<{ type: string, carryDistance: number, lateralOffset: number }>} [input.hazards]
+ *        ball-relative hazards (lateral: negative = left)
+ * @param {string} [input.lie="fairway"]
+ * @returns {{
+ *   distanceYards: number, lie: string, bagSource: "profile"|"default",
+ *   recommended: object|null, candidates: object[], explanation: string
+ * }}
+ */
+function selectClub({ distanceYards, clubs = [], hazards = [], lie = "fairway" }) {
+  const distance = Math.round(distanceYards);
+
+  if (lie === "green") {
+    const recommended = {
+      club: "Putter",
+      carryYards: null,
+      effectiveCarryYards: null,
+      gapYards: 0,
+      targetLine: { side: "center", aimOffsetYards: 0 },
+      risk: 0,
+      score: 0,
+      threat: null
+    };
+    return {
+      distanceYards: distance,
+      lie,
+      bagSource: clubs.length ? "profile" : "default",
+      recommended,
+      candidates: [recommended],
+      explanation: `Putter — ${distance} yds on the green.`
+    };
+  }
+
+  const { bag, bagSource } = playableBag(clubs, lie);
+
+  const factor = LIE_CARRY_FACTOR[lie] ?? 1.0;
+  const options = [];
+  for (const club of bag) {
+    const effective = Math.round(club.carryYards * factor);
+    const spread = dispersion(effective);
+    const step = Math.round(Math.min(spread.halfWidth, 15));
+    for (const aim of [0, -step, step]) {
+      const { risk, threats } = landingRisk(effective, aim, spread, hazards);
+      const gap = effective - distance;
+      options.push({
+        club: club.name,
+        carryYards: club.carryYards,
+        effectiveCarryYards: effective,
+        gapYards: gap,
+        targetLine: { side: sideOf(aim), aimOffsetYards: aim },
+        risk: Math.round(risk * 100) / 100,
+        score: Math.round((Math.abs(gap) + RISK_WEIGHT * risk + (aim === 0 ? 0 : OFF_CENTER_PENALTY)) * 10) / 10,
+        threat: threats[0] ? threats[0].hazard : null
+      });
+    }
+  }
+
+  // Best aim per club, then best clubs overall.
+  const bestByClub = new Map();
+  for (const o of options) {
+    const prev = bestByClub.get(o.club);
+    if (!prev || o.score < prev.score) bestByClub.set(o.club, o);
+  }
+  const candidates = [...bestByClub.values()]
+    .sort((a, b) => a.score - b.score || Math.abs(a.gapYards) - Math.abs(b.gapYards))
+    .slice(0, MAX_CANDIDATES);
+
+  // An off-center aim that leaves no residual threat still gets an
+  // explanation: name the hazard it is steering away from.
+  for (const c of candidates) {
+    if (!c.threat && c.targetLine.side !== "center") {
+      const avoided = hazards
+        .filter((h) => sideOf(h.lateralOffset) !== c.targetLine.side && sideOf(h.lateralOffset) !== "center")
+        .sort((a, b) => Math.abs(a.carryDistance - c.effectiveCarryYards) - Math.abs(b.carryDistance - c.effectiveCarryYards));
+      c.threat = avoided[0] || null;
+    }
+    c.explanation = describeCandidate(c, distance, lie);
+  }
+
+  const recommended = candidates[0] || null;
+  return {
+    distanceYards: distance,
+    lie,
+    bagSource,
+    recommended,
+    candidates,
+    explanation: recommended ? recommended.explanation : "No club could be selected."
+  };
+}
+
+module.exports = {
+  selectClub,
+  playableBag,
+  dispersion,
+  DEFAULT_BAG,
+  LIE_CARRY_FACTOR,
+  HAZARD_RADIUS_YARDS
+};
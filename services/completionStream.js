@@ -0,0 +1,245 @@
+"use strict";
+
+/**
+ * Server-Sent Events variant of the /api/openai/* completions.
+ *
+ * The client POSTs the same body as the JSON endpoint and reads a
+ * text/event-stream back:
+ *
+ *   event: start  { correlationId, model }
+ *   event: delta  { text }                      one per upstream chunk
+ *   event: done   { resultJSON, validationStatus, ..., prompt, durationMs,
+ *                   diagnostics?, recommendationId, logged, correlationId }
+ *   event: failure  { error, detail?, correlationId }
+ *
+ * Server-side failures use `failure`, not `error`: EventSource fires its
+ * own `error` event when the connection drops, and clients need to tell
+ * the two apart.
+ *
+ * `done` carries the same fields as the non-streaming response, so a
+ * client can render deltas as they arrive and then swap in the
+ * validated result. When the body includes `recommendationEvent` (the
+ * POST /api/analytics/recommendation payload) the assembled text is
+ * logged into recommendation_events once the stream finishes.
+ *
+ * If the phone drops the connection the upstream request is aborted and
+ * nothing is logged.
+ */
+
+const responseSchemas = require("./responseSchemas");
+
+const HEARTBEAT_MS = 15000; // keeps proxies (Render, nginx) from idling the stream out
+
+/** Write one SSE event to an already-open stream. */
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Switch `res` to an SSE stream.
+ *
+ * @returns {{ send(event: string, data: object): void, end(): void, closed: boolean, signal: AbortSignal }}
+ */
+function openEventStream(res, { correlationId = null, heartbeatMs = HEARTBEAT_MS } = {}) {
+  const controller = new AbortController();
+  const stream = {
+    closed: false,
+    signal: controller.signal,
+    send(event, data) {
+      if (stream.closed) return;
+      writeEvent(res, event, data);
+    },
+    end() {
+      if (stream.closed) return;
+      stream.closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    }
+  };
+
+  const headers = {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  };
+  if (correlationId) headers["X-Correlation-ID"] = correlationId;
+  res.writeHead(200, headers);
+
+  const heartbeat = setInterval(() => {
+    if (!stream.closed) res.write(": ping\n\n");
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  res.on("close", () => {
+    if (stream.closed) return;
+    stream.closed = true;
+    clearInterval(heartbeat);
+    controller.abort();
+  });
+
+  return stream;
+}
+
+/**
+ * The text worth logging: the validated recommendation text when the
+ * schema has one, else the raw completion.
+ */
+function loggedText(content, result) {
+  if (result && typeof result.recommendationText === "string") return result.recommendationText;
+  return content;
+}
+
+/**
+ * Run one streamed completion end to end.
+ *
+ * @param {object} opts
+ * @param {object} opts.res                Express response
+ * @param {object} opts.provider           llmProvider provider
+ * @param {string} opts.model
+ * @param {Array}  opts.messages
+ * @param {string|null} [opts.schemaName]  validate/repair the final text (services/responseSchemas.js)
+ * @param {Function} [opts.retry]          schema repair retry, as for validateResponse
+ * @param {{ record(result): Promise }} [opts.meter]  llmUsage meter for the streamed call
+ * @param {string|null} [opts.correlationId]
+ * @param {string|null} [opts.userId]       authenticated caller; the logged event's userId
+ * @param {object|null} [opts.recommendationEvent]  client event payload to log with the final text
+ * @param {Function} [opts.recordEvent]    app.get("recordRecommendationEvent")
+ * @param {boolean} [opts.photoIncluded]
+ * @param {object|null} [opts.image]      imagePreprocess diagnostics, echoed in `done` and logged
+ * @param {{ templateId: string, version: number, experiment: string|null }|null} [opts.prompt]
+ *        registry prompt used, echoed in `done` and logged in diagnostics
+ */
+async function streamCompletion({
+  res,
+  provider,
+  model,
+  messages,
+  schemaName = null,
+  retry,
+  meter = null,
+  correlationId = null,
+  userId = null,
+  recommendationEvent = null,
+  recordEvent = null,
+  photoIncluded = false,
+  image = null,
+  prompt = null
+}) {
+  const stream = openEventStream(res, { correlationId });
+  const cid = correlationId || "-";
+  stream.send("start", { correlationId, model });
+
+  const started = Date.now();
+  let completion;
+  try {
+    completion = await provider.stream({
+      model,
+      messages,
+      signal: stream.signal,
+      onDelta: (text) => stream.send("delta", { text })
+    });
+  } catch (err) {
+    if (stream.closed) {
+      console.warn(`[STREAM] client disconnected cid=${cid}`);
+      return;
+    }
+    console.error(`[STREAM] model call failed cid=${cid}:`, err.message);
+    stream.send("failure", { error: "OpenAI call failed", detail: err.detail || "provider_error", correlationId });
+    return stream.end();
+  }
+  const durationMs = Date.now() - started;
+  if (meter) meter.record(completion);
+
+  if (stream.closed) {
+    console.warn(`[STREAM] client disconnected before done cid=${cid}`);
+    return;
+  }
+  if (!completion.content) {
+    stream.send("failure", { error: "Unexpected OpenAI response shape", detail: "missing_content", correlationId });
+    return stream.end();
+  }
+
+  let payload;
+  if (schemaName) {
+    let checked;
+    try {
+      checked = await responseSchemas.validateResponse({ schemaName, content: completion.content, retry });
+    } catch (err) {
+      console.error(`[STREAM] ${schemaName} validation failed cid=${cid}:`, err.message);
+      stream.send("failure", { error: "Model response failed validation", detail: "validation_error", responseSchema: schemaName, correlationId });
+      return stream.end();
+    }
+    if (checked.validationStatus === "invalid") {
+      console.warn(`[SCHEMA] ${schemaName} streamed output invalid cid=${cid}: ${checked.errors.slice(0, 3).join("; ")}`);
+      stream.send("failure", {
+        error: "Model response failed validation",
+        validationStatus: "invalid",
+        validationErrors: checked.errors.slice(0, 10),
+        responseSchema: schemaName,
+        correlationId
+      });
+      return stream.end();
+    }
+    payload = {
+      resultJSON: JSON.stringify(checked.value),
+      result: checked.value,
+      validationStatus: checked.validationStatus,
+      repair: checked.repair,
+      responseSchema: schemaName
+    };
+  } else {
+    payload = { resultJSON: completion.content, validationStatus: "unvalidated" };
+  }
+
+  let recommendationId = null;
+  let logged = false;
+  if (recommendationEvent && typeof recommendationEvent === "object" && typeof recordEvent === "function") {
+    // Who and where come from the server, never the client's payload.
+    const event = {
+      ...recommendationEvent,
+      userId,
+      output: {
+        ...(recommendationEvent.output || {}),
+        recommendationText: loggedText(completion.content, payload.result)
+      },
+      diagnostics: {
+        ...(recommendationEvent.diagnostics || {}),
+        model: completion.model,
+        requestDurationMs: durationMs,
+        photoIncluded,
+        ...(image ? { imageOriginalBytes: image.originalBytes, imageSentBytes: image.sentBytes } : {}),
+        ...(prompt
+          ? { promptTemplateId: prompt.templateId, promptVersion: prompt.version, promptExperiment: prompt.experiment }
+          : {}),
+        source: "server"
+      }
+    };
+    try {
+      const stored = await recordEvent(event);
+      recommendationId = stored.recommendationId;
+      logged = stored.persisted;
+    } catch (err) {
+      console.warn(`[STREAM] recommendation logging failed cid=${cid}:`, err.message);
+    }
+  }
+
+  stream.send("done", {
+    ...payload,
+    model: completion.model,
+    prompt,
+    durationMs,
+    diagnostics: image ? { image } : undefined,
+    recommendationId,
+    logged,
+    correlationId
+  });
+  stream.end();
+}
+
+module.exports = {
+  openEventStream,
+  streamCompletion,
+  writeEvent,
+  HEARTBEAT_MS
+};
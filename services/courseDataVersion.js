@@ -0,0 +1,307 @@
+"use strict";
+
+/**
+ * Per-course data version (golf_courses.data_version, migration 015), the
+ * strong ETags it drives and an in-process cache of assembled course
+ * payloads for GET /api/courses/:id, GET /api/course-context/:courseId,
+ * the offline pack and the GeoJSON / KML / GPX exports, plus the parsed
+ * round context the hazards / distances / locate and caddie endpoints read.
+ *
+ * All of them take a dozen queries to assemble and change only when
+ * course data is written, so:
+ *
+ *   - every writer of course geometry calls bumpCourseDataVersion() once
+ *     its rows are committed (ingest, tee synthesis, elevation annotation,
+ *     OSM enrichment, admin feature edits)
+ *   - loadCourseEntry() reads the version (one row) and serves the cached
+ *     entry when it was built at that version; otherwise it builds and
+ *     caches it. loadCoursePayload() is the JSON case. Keying on the
+ *     version rather than
+ *     invalidating by message keeps instances correct when another process
+ *     (a script, another instance) did the write
+ *   - the ETag is derived from the course id, its data version and the
+ *     payload's layout version (PAYLOAD_LAYOUT_VERSION unless the kind has
+ *     its own), so it is strong, agrees across instances, moves after a
+ *     deploy that changes the layout, and is known before anything is built
+ *   - loadCourseEntry() checks the client's tag right after reading the
+ *     version and skips the build when it still matches; sendCoursePayload()
+ *     then answers 304
+ *
+ * Before migration 015 the version reads as null: payloads are built on
+ * every request (as before) and the ETag is a SHA-256 of the served body.
+ *
+ * Env: COURSE_CACHE_ENABLED (default true), COURSE_CACHE_TTL_MS
+ * (default 1 h), COURSE_CACHE_MAX_ENTRIES (default 200).
+ */
+
+const { createHash } = require("crypto");
+const { createResponseCache } = require("./responseCache");
+const courseIntelligence = require("./courseIntelligence");
+
+const COURSE_CACHE_ENABLED = process.env.COURSE_CACHE_ENABLED !== "false";
+// Dropped on a bump. Per-hole export kinds aren't listed: a stale one is
+// never served (the version no longer matches) and it ages out.
+const PAYLOAD_KINDS = ["course", "context", "round-context", "offline-pack", "geojson", "kml", "gpx"];
+// Bump when a payload's layout changes so clients refetch at the same data version.
+const PAYLOAD_LAYOUT_VERSION = 1;
+
+// Versioned entries never go stale; the TTL and cap only bound memory.
+const coursePayloadCache = createResponseCache({
+  ttlMs: Number(process.env.COURSE_CACHE_TTL_MS) || 60 * 60 * 1000,
+  maxEntries: Number(process.env.COURSE_CACHE_MAX_ENTRIES) || 200
+});
+
+// Pools whose golf_courses has no data_version yet (42703 seen once).
+const poolsWithoutVersion = new WeakSet();
+
+function isMissingColumn(err) {
+  return err && err.code === "42703";
+}
+
+/**
+ * Resolve a UUID or external course_id and read its data version in one
+ * query.
+ *
+ * @returns {Promise<{ id: string, version: string|null }|null>} null when
+ *          the course doesn't exist; version null before migration 015
+ */
+async function readCourseVersion(pool, idOrSlug) {
+  const val = String(idOrSlug || "").trim();
+  if (!val) return null;
+  if (!poolsWithoutVersion.has(pool)) {
+    try {
+      const r = await pool.query(
+        `SELECT gc.id, gc.data_version
+         FROM golf_courses gc
+         WHERE gc.id::text = $1 OR gc.course_id = $1
+         ORDER BY (gc.id::text = $1) DESC
+         LIMIT 1`,
+        [val]
+      );
+      if (r.rows.length === 0) return null;
+      return { id: r.rows[0].id, version: String(r.rows[0].data_version) };
+    } catch (err) {
+      if (!isMissingColumn(err)) throw err;
+      console.warn("[COURSE_CACHE] golf_courses.data_version missing — apply migration 015_course_data_version; caching disabled");
+      poolsWithoutVersion.add(pool);
+    }
+  }
+  const id = await courseIntelligence.resolveCourseId(pool, val);
+  return id ? { id, version: null } : null;
+}
+
+function logBumpFailure(err, courses) {
+  if (isMissingColumn(err)) {
+    console.warn("[COURSE_CACHE] data_version bump skipped — migration 015_course_data_version not applied");
+  } else {
+    console.error(`[COURSE_CACHE] data_version bump failed courses=${courses}:`, err.message);
+  }
+}
+
+/**
+ * Mark courses' data as changed: bump data_version and drop this
+ * process's cached payloads. Call after the write commits — before
+ * migration 015 the UPDATE fails, and inside a transaction that would
+ * abort it.
+ *
+ * Never throws: the write it follows is already saved, and a failed bump
+ * only leaves other instances' cached payloads stale, so it is logged.
+ *
+ * @param {{ query: Function }} db         pool or client
+ * @param {string|string[]} courseIds      golf_courses.id values
+ * @returns {Promise<number>} courses bumped (0 before migration 015 or on failure)
+ */
+async function bumpCourseDataVersion(db, courseIds) {
+  const ids = [...new Set([].concat(courseIds || []).filter(Boolean).map(String))];
+  if (ids.length === 0) return 0;
+  for (const id of ids) {
+    for (const kind of PAYLOAD_KINDS) coursePayloadCache.delete(`${kind}:${id}`);
+  }
+  try {
+    const r = await db.query(
+      `UPDATE golf_courses
+       SET data_version = data_version + 1, data_updated_at = now()
+       WHERE id = ANY($1::uuid[])`,
+      [ids]
+    );
+    return r.rowCount || 0;
+  } catch (err) {
+    logBumpFailure(err, ids.join(","));
+    return 0;
+  }
+}
+
+/**
+ * Bump every course, for bulk writers (CSV ingestion) that touch too many
+ * to list. Never throws, as bumpCourseDataVersion().
+ *
+ * @returns {Promise<number>} courses bumped (0 before migration 015 or on failure)
+ */
+async function bumpAllCourseDataVersions(db) {
+  coursePayloadCache.clear();
+  try {
+    const r = await db.query(
+      `UPDATE golf_courses SET data_version = data_version + 1, data_updated_at = now()`
+    );
+    return r.rowCount || 0;
+  } catch (err) {
+    logBumpFailure(err, "all");
+    return 0;
+  }
+}
+
+/** Strong ETag for a course payload at a data version. */
+function versionEtag(kind, courseId, version, layout = PAYLOAD_LAYOUT_VERSION) {
+  return `"${courseId}-${kind}-v${version}.${layout}"`;
+}
+
+/**
+ * The ETag a course payload has right now, from the version lookup alone.
+ *
+ * @param {object} [opts]
+ * @param {number|string} [opts.layout]  as loadCourseEntry
+ * @returns {Promise<{ courseId, version, etag: string|null }|null>} null when
+ *          the course doesn't exist; etag null before migration 015 (it
+ *          depends on the body then)
+ */
+async function currentCourseEtag(pool, idOrSlug, kind, { layout = PAYLOAD_LAYOUT_VERSION } = {}) {
+  const resolved = await readCourseVersion(pool, idOrSlug);
+  if (!resolved) return null;
+  const { id, version } = resolved;
+  return { courseId: id, version, etag: version != null ? versionEtag(kind, id, version, layout) : null };
+}
+
+/**
+ * A serialized body and its content-hash ETag, plus whatever `fields` the
+ * sender needs (`contentType`, `fileName`; see sendCoursePayload). The hash
+ * is only served before migration 015; loadCourseEntry() replaces it with
+ * the version ETag.
+ */
+function bodyEntry(body, fields = {}) {
+  const etag = `"${createHash("sha256").update(body).digest("hex")}"`;
+  return { ...fields, etag, body };
+}
+
+/**
+ * A course's cache entry, from the cache when it was built at the course's
+ * current data version. When `fresh` accepts the version ETag nothing is
+ * built or read from the cache and the entry is `{ courseId, version,
+ * etag, notModified: true }`.
+ *
+ * @param {import("pg").Pool} pool
+ * @param {string} idOrSlug                 UUID or external course_id
+ * @param {string} kind                     cache namespace, e.g. "offline-pack" or "kml:hole:7"
+ * @param {(courseUuid: string) => Promise<object|null>} build
+ *        the entry's fields; null when there is nothing to serve (not cached)
+ * @param {object} [opts]
+ * @param {(etag: string) => boolean} [opts.fresh]  does the client already hold this ETag? (see ifNoneMatch)
+ * @param {number|string} [opts.layout]    layout version for the ETag; defaults to PAYLOAD_LAYOUT_VERSION
+ * @returns {Promise<{ courseId, version, etag, cached: boolean }|null>} with
+ *          the built fields; null when the course doesn't exist or build gave null
+ */
+async function loadCourseEntry(pool, idOrSlug, kind, build, { fresh = null, layout = PAYLOAD_LAYOUT_VERSION } = {}) {
+  const current = await currentCourseEtag(pool, idOrSlug, kind, { layout });
+  if (!current) return null;
+  const { courseId: id, version, etag } = current;
+  if (etag && fresh && fresh(etag)) return { courseId: id, version, etag, notModified: true, cached: false };
+
+  const cacheable = COURSE_CACHE_ENABLED && version != null;
+  const key = `${kind}:${id}`;
+  if (cacheable) {
+    const hit = coursePayloadCache.get(key);
+    if (hit && hit.version === version) return { ...hit, cached: true };
+  }
+
+  const built = await build(id);
+  if (!built) return null;
+  const entry = { ...built, courseId: id, version, etag: etag || built.etag };
+  if (cacheable) coursePayloadCache.set(key, entry);
+  return { ...entry, cached: false };
+}
+
+/**
+ * Serialized JSON course payload (loadCourseEntry() with bodyEntry()).
+ *
+ * @param {"course"|"context"} kind
+ * @param {(courseUuid: string) => Promise<object|null>} build
+ * @param {object} [opts]  as loadCourseEntry
+ * @returns {Promise<{ courseId, version, etag, body, cached: boolean }|null>}
+ *          null when the course doesn't exist; no body when notModified
+ */
+function loadCoursePayload(pool, idOrSlug, kind, build, opts) {
+  return loadCourseEntry(
+    pool,
+    idOrSlug,
+    kind,
+    async (uuid) => {
+      const payload = await build(uuid);
+      return payload ? bodyEntry(JSON.stringify(payload)) : null;
+    },
+    opts
+  );
+}
+
+/**
+ * The parsed getRoundCourseContext() object, cached per data version like
+ * the payloads, for the per-shot endpoints (hazards, distances, locate,
+ * the caddie). Every request shares the cached object: read it, never
+ * modify it.
+ *
+ * @returns {Promise<object|null>} null when the course doesn't exist
+ */
+async function loadRoundContext(pool, idOrSlug) {
+  const entry = await loadCourseEntry(pool, idOrSlug, "round-context", async (uuid) => {
+    const context = await courseIntelligence.getRoundCourseContext(pool, uuid);
+    return context ? { context } : null;
+  });
+  return entry ? entry.context : null;
+}
+
+/** Does an If-None-Match header name this ETag (or `*`)? Weak comparison, per RFC 9110. */
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  const opaque = etag.replace(/^W\//, "");
+  return String(ifNoneMatch)
+    .split(",")
+    .map((t) => t.trim().replace(/^W\//, ""))
+    .some((t) => t === "*" || t === opaque);
+}
+
+/** loadCourseEntry() `fresh` check against the request's If-None-Match. */
+function ifNoneMatch(req) {
+  const header = req.get("If-None-Match");
+  return (etag) => etagMatches(header, etag);
+}
+
+/**
+ * Send a bodyEntry(): ETag + revalidate-every-time caching, and 304 with
+ * no body when the client already has it. `contentType` defaults to JSON;
+ * `fileName` sends it as a download.
+ */
+function sendCoursePayload(req, res, entry) {
+  res.set("ETag", entry.etag);
+  res.set("Cache-Control", "private, no-cache");
+  if (etagMatches(req.get("If-None-Match"), entry.etag)) {
+    return res.status(304).end();
+  }
+  if (entry.fileName) res.set("Content-Disposition", `attachment; filename="${entry.fileName}"`);
+  return res.type(entry.contentType || "application/json").send(entry.body);
+}
+
+module.exports = {
+  readCourseVersion,
+  bumpCourseDataVersion,
+  bumpAllCourseDataVersions,
+  loadCourseEntry,
+  loadCoursePayload,
+  loadRoundContext,
+  bodyEntry,
+  versionEtag,
+  currentCourseEtag,
+  ifNoneMatch,
+  sendCoursePayload,
+  etagMatches,
+  PAYLOAD_LAYOUT_VERSION,
+  coursePayloadCache,
+  COURSE_CACHE_ENABLED
+};
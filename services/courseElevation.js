@@ -0,0 +1,142 @@
+"use strict";
+
+/**
+ * Elevation for hole geometry.
+ *
+ *   annotateCourseElevation()  looks up ground height for a course's POIs
+ *                              (golf_hole_pois) and per-tee coordinates
+ *                              (golf_hole_tees) and stores it in
+ *                              elevation_m / elevation_source (migration 013)
+ *   holeElevation()            per-hole summary for /api/course-context:
+ *                              green heights and each tee's rise to the
+ *                              green center, with the plays-like yardage
+ *                              that rise is worth
+ *
+ * Heights come from services/elevationProvider.js — in practice the `dem`
+ * provider reading tiles from DEM_DIR, since a course is hundreds of
+ * points. Deltas are "green minus tee": positive plays uphill.
+ */
+
+const { getElevationProvider } = require("./elevationProvider");
+const { elevationAdjustmentYards } = require("./playsLike");
+
+const ANNOTATE_BATCH = 500;
+const TABLES = ["golf_hole_pois", "golf_hole_tees"];
+
+function round1(n) {
+  return Math.round(n * 10) / 10 || 0;
+}
+
+/**
+ * Store elevations for one course's POIs and tees.
+ *
+ * @param {import("pg").Pool} pool
+ * @param {object} options
+ * @param {string} options.courseId            golf_courses.id
+ * @param {object} [options.provider]          elevation provider; defaults to the process-wide one
+ * @param {boolean} [options.force]            re-annotate rows that already have a height
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<object>} per-table { checked, annotated, missing }
+ */
+async function annotateCourseElevation(pool, { courseId, provider = getElevationProvider(), force = false, dryRun = false }) {
+  // Required here: courseIntelligence loads this module for holeElevation().
+  const { columnExists } = require("./courseIntelligence");
+  const stats = { courseId, provider: provider.name, source: provider.quality || provider.name };
+
+  for (const table of TABLES) {
+    const tableStats = { checked: 0, annotated: 0, missing: 0 };
+    stats[table === "golf_hole_pois" ? "pois" : "tees"] = tableStats;
+    if (!(await columnExists(pool, table, "elevation_m"))) {
+      throw Object.assign(new Error(`${table}.elevation_m is missing — run migration 013_hole_elevation`), {
+        statusCode: 503
+      });
+    }
+
+    const rows = (
+      await pool.query(
+        `SELECT id::text AS id, lat, lon
+         FROM ${table}
+         WHERE course_id = $1
+           AND lat IS NOT NULL AND lon IS NOT NULL
+           ${force ? "" : "AND elevation_m IS NULL"}
+         ORDER BY hole_number, id`,
+        [courseId]
+      )
+    ).rows;
+
+    for (let i = 0; i < rows.length; i += ANNOTATE_BATCH) {
+      const batch = rows.slice(i, i + ANNOTATE_BATCH);
+      const heights = await provider.elevations(batch.map((r) => ({ lat: Number(r.lat), lon: Number(r.lon) })));
+      const ids = [];
+      const values = [];
+      batch.forEach((r, j) => {
+        if (heights[j] == null) {
+          tableStats.missing++;
+          return;
+        }
+        ids.push(r.id);
+        values.push(heights[j]);
+      });
+      tableStats.checked += batch.length;
+      tableStats.annotated += ids.length;
+      if (dryRun || ids.length === 0) continue;
+
+      await pool.query(
+        `UPDATE ${table} t
+         SET elevation_m = v.elevation_m,
+             elevation_source = $3,
+             updated_at = now()
+         FROM unnest($1::uuid[], $2::real[]) AS v(id, elevation_m)
+         WHERE t.id = v.id`,
+        [ids, values, stats.source]
+      );
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Per-hole elevation summary.
+ *
+ * @param {object} input
+ * @param {{ center?: number, front?: number, back?: number, other?: number[] }} input.green
+ *        green POI heights by location label (meters, null when unknown)
+ * @param {Array<{ tee_set_id, tee_name, elevation_m }>} input.tees
+ * @param {string[]} [input.sources]  elevation_source values seen on the hole
+ */
+function holeElevation({ green = {}, tees = [], sources = [] }) {
+  const known = (v) => v != null && Number.isFinite(Number(v));
+  const labelled = [green.front, green.back, ...(green.other || [])].filter(known).map(Number);
+  // No Center POI: the payload's green center is an average, so average the heights too.
+  const center = known(green.center)
+    ? Number(green.center)
+    : labelled.length > 0
+      ? labelled.reduce((a, b) => a + b, 0) / labelled.length
+      : null;
+
+  return {
+    green_center_m: center != null ? round1(center) : null,
+    green_front_m: known(green.front) ? round1(Number(green.front)) : null,
+    green_back_m: known(green.back) ? round1(Number(green.back)) : null,
+    // Front → back rise across the green; positive slopes up away from the golfer.
+    green_slope_m: known(green.front) && known(green.back) ? round1(Number(green.back) - Number(green.front)) : null,
+    tees: tees.map((t) => {
+      const teeM = known(t.elevation_m) ? Number(t.elevation_m) : null;
+      const delta = teeM != null && center != null ? center - teeM : null;
+      return {
+        tee_set_id: t.tee_set_id,
+        tee_name: t.tee_name,
+        elevation_m: teeM != null ? round1(teeM) : null,
+        delta_to_green_m: delta != null ? round1(delta) : null,
+        plays_like_adjust_yards: delta != null ? Math.round(elevationAdjustmentYards(delta)) || 0 : null
+      };
+    }),
+    sources: [...new Set(sources.filter(Boolean))].sort()
+  };
+}
+
+module.exports = {
+  annotateCourseElevation,
+  holeElevation
+};
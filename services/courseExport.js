@@ -0,0 +1,219 @@
+"use strict";
+
+/**
+ * KML and GPX renderings of the course GeoJSON (services/courseGeoJson.js),
+ * for GIS review of ingested, synthesized and OSM-enriched geometry in
+ * Google Earth / QGIS. Served by GET /api/courses/:id/{kml,gpx} and written
+ * by scripts/export-course-geometry.js.
+ *
+ * Every feature gets a style key (styleKey) so reviewers can tell at a
+ * glance what produced it:
+ *   tee-mapped / tee-synthesized          golf_hole_tees.is_synthesized
+ *   hazard-<source_type>, outline-<source_type>
+ *                                         source_native / source_osm /
+ *                                         source_user_reported / source_admin_verified
+ *   green, centerline
+ * KML renders those as shared <Style>s (colour-coded); GPX, which has no
+ * styling, carries the key in <type> for categorized symbology. All other
+ * properties ride along as KML ExtendedData / GPX <desc>.
+ */
+
+// KML colours are aabbggrr.
+const KML_STYLES = Object.freeze({
+  "tee-mapped": { color: "ffffffff", icon: "placemark_square" },
+  "tee-synthesized": { color: "ffff00ff", icon: "placemark_square" },
+  green: { color: "ff00ff00", icon: "flag" },
+  "hazard-source_native": { color: "ffff8800", icon: "placemark_circle" },
+  "hazard-source_osm": { color: "ff0088ff", icon: "placemark_circle" },
+  "hazard-source_user_reported": { color: "ff00ffff", icon: "placemark_circle" },
+  "hazard-source_admin_verified": { color: "ff00cc00", icon: "placemark_circle" },
+  centerline: { color: "ccffffff", width: 2 },
+  "outline-source_native": { color: "ffff8800", width: 2 },
+  "outline-source_osm": { color: "ff0088ff", width: 2 },
+  "outline-source_user_reported": { color: "ff00ffff", width: 2 },
+  "outline-source_admin_verified": { color: "ff00cc00", width: 2 }
+});
+
+const ICON_BASE = "http://maps.google.com/mapfiles/kml/shapes/";
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/** Style key for a courseGeoJson feature (see module doc). */
+function styleKey(properties) {
+  const source = properties.source_type || "source_native";
+  switch (properties.kind) {
+    case "tee":
+      return properties.is_synthesized ? "tee-synthesized" : "tee-mapped";
+    case "hazard":
+      return `hazard-${source}`;
+    case "outline":
+      return `outline-${source}`;
+    default:
+      return properties.kind;
+  }
+}
+
+/** Human-readable placemark / waypoint name. */
+function featureName(p) {
+  switch (p.kind) {
+    case "tee":
+      return `${p.tee_name || "Tee"} tee${p.is_synthesized ? " (synthesized)" : ""}`;
+    case "green":
+      return `Green ${p.position}`;
+    case "hazard":
+      return `${p.normalized_type || p.type}${p.location_label ? ` ${p.location_label}` : ""}`;
+    case "centerline":
+      return `Centerline${p.length_yards ? ` ${p.length_yards}y` : ""}`;
+    case "outline":
+      return p.label || p.feature_type;
+    default:
+      return p.kind;
+  }
+}
+
+/** "source_osm · confidence 0.8" style summary of the review-relevant properties. */
+function describe(p) {
+  const parts = [];
+  if (p.source_type) parts.push(p.source_type);
+  if (p.confidence != null) parts.push(`confidence ${p.confidence}`);
+  if (p.kind === "tee" && p.yardage != null) parts.push(`${p.yardage} yds`);
+  if (p.id) parts.push(`id ${p.id}`);
+  return parts.join(" · ");
+}
+
+// ── KML ──────────────────────────────────────────────────────────────────
+
+function kmlCoordinates(positions) {
+  return positions.map(([lon, lat]) => `${lon},${lat}`).join(" ");
+}
+
+function kmlGeometry(geometry) {
+  if (geometry.type === "Point") {
+    return `<Point><coordinates>${kmlCoordinates([geometry.coordinates])}</coordinates></Point>`;
+  }
+  if (geometry.type === "LineString") {
+    return `<LineString><tessellate>1</tessellate><coordinates>${kmlCoordinates(geometry.coordinates)}</coordinates></LineString>`;
+  }
+  return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(geometry.coordinates[0])}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+}
+
+function kmlStyle(id, s) {
+  if (s.icon) {
+    return `<Style id="${id}"><IconStyle><color>${s.color}</color><Icon><href>${ICON_BASE}${s.icon}.png</href></Icon></IconStyle></Style>`;
+  }
+  // Outlines: coloured edge over a faint fill of the same colour
+  return `<Style id="${id}"><LineStyle><color>${s.color}</color><width>${s.width}</width></LineStyle>` +
+    `<PolyStyle><color>40${s.color.slice(2)}</color></PolyStyle></Style>`;
+}
+
+function kmlPlacemark(feature) {
+  const p = feature.properties;
+  const data = Object.entries(p)
+    .filter(([, v]) => v != null)
+    .map(([k, v]) => `<Data name="${escapeXml(k)}"><value>${escapeXml(v)}</value></Data>`)
+    .join("");
+  return `<Placemark><name>${escapeXml(featureName(p))}</name>` +
+    `<description>${escapeXml(describe(p))}</description>` +
+    `<styleUrl>#${styleKey(p)}</styleUrl>` +
+    `<ExtendedData>${data}</ExtendedData>` +
+    `${kmlGeometry(feature.geometry)}</Placemark>`;
+}
+
+/**
+ * @param {object} fc  buildCourseGeoJson() result
+ * @returns {string} KML 2.2 document: one folder per hole, plus "Course" for course-wide outlines
+ */
+function toKml(fc) {
+  const { course_name: courseName, hole_number: holeNumber } = fc.properties;
+  const folders = new Map();
+  for (const f of fc.features) {
+    const key = f.properties.hole_number;
+    if (!folders.has(key)) folders.set(key, []);
+    folders.get(key).push(f);
+  }
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "<Document>",
+    `<name>${escapeXml(courseName || fc.properties.course_id)}${holeNumber != null ? ` — hole ${holeNumber}` : ""}</name>`,
+    ...Object.entries(KML_STYLES).map(([id, s]) => kmlStyle(id, s))
+  ];
+  for (const [hole, features] of folders) {
+    lines.push(`<Folder><name>${hole == null ? "Course" : `Hole ${hole}`}</name>`);
+    for (const f of features) lines.push(kmlPlacemark(f));
+    lines.push("</Folder>");
+  }
+  lines.push("</Document>", "</kml>", "");
+  return lines.join("\n");
+}
+
+// ── GPX ──────────────────────────────────────────────────────────────────
+
+function gpxPoint(tag, [lon, lat], inner = "") {
+  return `<${tag} lat="${lat}" lon="${lon}">${inner}</${tag}>`;
+}
+
+function gpxLabels(p) {
+  const hole = p.hole_number != null ? `H${p.hole_number} ` : "";
+  return `<name>${escapeXml(hole + featureName(p))}</name><desc>${escapeXml(describe(p))}</desc>`;
+}
+
+/**
+ * @param {object} fc  buildCourseGeoJson() result
+ * @returns {string} GPX 1.1: tees / greens / hazards as waypoints,
+ *          centerlines as routes, outlines as tracks (GPX has no polygons)
+ */
+function toGpx(fc) {
+  const { course_name: courseName, course_id: courseId } = fc.properties;
+  const wpts = [];
+  const rtes = [];
+  const trks = [];
+  for (const f of fc.features) {
+    const p = f.properties;
+    const type = `<type>${escapeXml(styleKey(p))}</type>`;
+    if (f.geometry.type === "Point") {
+      wpts.push(gpxPoint("wpt", f.geometry.coordinates, gpxLabels(p) + type));
+    } else if (p.kind === "centerline") {
+      rtes.push(`<rte>${gpxLabels(p)}${type}${f.geometry.coordinates.map((c) => gpxPoint("rtept", c)).join("")}</rte>`);
+    } else {
+      const ring = f.geometry.type === "Polygon" ? f.geometry.coordinates[0] : f.geometry.coordinates;
+      trks.push(`<trk>${gpxLabels(p)}${type}<trkseg>${ring.map((c) => gpxPoint("trkpt", c)).join("")}</trkseg></trk>`);
+    }
+  }
+  // Schema order: metadata, wpt*, rte*, trk*
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="caddie-ai-backend" xmlns="http://www.topografix.com/GPX/1/1">',
+    `<metadata><name>${escapeXml(courseName || courseId)}</name></metadata>`,
+    ...wpts,
+    ...rtes,
+    ...trks,
+    "</gpx>",
+    ""
+  ].join("\n");
+}
+
+const FORMATS = Object.freeze({
+  kml: { render: toKml, contentType: "application/vnd.google-earth.kml+xml", extension: "kml" },
+  gpx: { render: toGpx, contentType: "application/gpx+xml", extension: "gpx" },
+  geojson: { render: (fc) => JSON.stringify(fc), contentType: "application/geo+json", extension: "geojson" }
+});
+
+/** Download file name: course-name-slug[-hole-N].ext */
+function exportFileName(fc, format) {
+  const slug = String(fc.properties.course_name || fc.properties.course_id || "course")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "course";
+  const hole = fc.properties.hole_number != null ? `-hole-${fc.properties.hole_number}` : "";
+  return `${slug}${hole}.${FORMATS[format].extension}`;
+}
+
+module.exports = { toKml, toGpx, styleKey, exportFileName, FORMATS };
@@ -0,0 +1,160 @@
+"use strict";
+
+/**
+ * GeoJSON export of round-engine geometry, for
+ * GET /api/courses/:id/geojson and GET /api/courses/:id/holes/:n/geojson.
+ *
+ * Built from getRoundCourseContext so map viewers show exactly what the
+ * engine measures from. One FeatureCollection; every feature has a
+ * `kind` and `hole_number` property:
+ *
+ *   tee         Point per tee set (golf_hole_tees), or the legacy tee POI
+ *               (tee_set_id null) when a hole has no per-tee coordinates
+ *   green       Point per mapped green position: front / center / back
+ *   hazard      Point per hazard POI with type, normalized_type,
+ *               source_type and confidence
+ *   centerline  LineString from the back tee to the green center
+ *   outline     Polygon / LineString from golf_hole_features (mig 014);
+ *               course-wide outlines have hole_number null
+ *
+ * Property names follow the course-context JSON (snake_case) so QA tools
+ * can cross-reference the two.
+ */
+
+const { yardsBetween } = require("./hazardEngine");
+const { toGeoJsonGeometry } = require("./holeGeometry");
+
+function round6(n) {
+  return Math.round(Number(n) * 1e6) / 1e6;
+}
+
+function position(p) {
+  return [round6(p.lon), round6(p.lat)];
+}
+
+function point(p, properties) {
+  return { type: "Feature", geometry: { type: "Point", coordinates: position(p) }, properties };
+}
+
+/** The hole's back tee: the longest per-tee coordinate, else the legacy tee POIs. */
+function backTee(hole) {
+  let best = null;
+  for (const t of hole.tees || []) {
+    if (!t.coordinate) continue;
+    const length = Number(t.yardage) || 0;
+    if (!best || length > best.length) best = { coordinate: t.coordinate, teeSetId: t.tee_set_id, length };
+  }
+  if (best) return best;
+  const legacy = hole.tee_back || hole.tee_front;
+  return legacy ? { coordinate: legacy, teeSetId: null, length: 0 } : null;
+}
+
+function outlineFeature(f) {
+  return {
+    type: "Feature",
+    geometry: toGeoJsonGeometry({ kind: f.geometry_kind, coordinates: f.coordinates }),
+    properties: {
+      kind: "outline",
+      hole_number: f.hole_number,
+      id: f.id,
+      feature_type: f.feature_type,
+      poi_id: f.poi_id,
+      label: f.label,
+      source_type: f.source_type,
+      confidence: f.confidence
+    }
+  };
+}
+
+function holeFeatures(hole) {
+  const n = hole.hole_number;
+  const features = [];
+
+  const tees = (hole.tees || []).filter((t) => t.coordinate);
+  for (const t of tees) {
+    features.push(point(t.coordinate, {
+      kind: "tee",
+      hole_number: n,
+      tee_set_id: t.tee_set_id,
+      tee_name: t.tee_name,
+      yardage: t.yardage != null ? Number(t.yardage) : null,
+      is_synthesized: Boolean(t.is_synthesized)
+    }));
+  }
+  if (tees.length === 0) {
+    for (const [label, coord] of [["front", hole.tee_front], ["back", hole.tee_back]]) {
+      if (!coord) continue;
+      features.push(point(coord, { kind: "tee", hole_number: n, tee_set_id: null, tee_name: label, yardage: null, is_synthesized: false }));
+    }
+  }
+
+  const green = hole.green || {};
+  for (const pos of ["front", "center", "back"]) {
+    if (green[pos]) features.push(point(green[pos], { kind: "green", hole_number: n, position: pos, par: hole.par }));
+  }
+
+  for (const h of hole.hazard_pois || []) {
+    features.push(point(h, {
+      kind: "hazard",
+      hole_number: n,
+      id: h.id,
+      type: h.type,
+      normalized_type: h.normalized_type,
+      location_label: h.location_label,
+      fairway_side: h.fairway_side,
+      source_type: h.source_type,
+      confidence: h.confidence
+    }));
+  }
+
+  const tee = backTee(hole);
+  if (tee && green.center) {
+    features.push({
+      type: "Feature",
+      geometry: { type: "LineString", coordinates: [position(tee.coordinate), position(green.center)] },
+      properties: {
+        kind: "centerline",
+        hole_number: n,
+        tee_set_id: tee.teeSetId,
+        length_yards: yardsBetween(tee.coordinate, green.center)
+      }
+    });
+  }
+
+  for (const f of hole.features || []) features.push(outlineFeature(f));
+  return features;
+}
+
+/**
+ * @param {object} context                    getRoundCourseContext() result
+ * @param {object} [opts]
+ * @param {number|null} [opts.holeNumber]     one hole only
+ * @returns {{ result: object }|{ error: string, status: number }}
+ */
+function buildCourseGeoJson(context, { holeNumber = null } = {}) {
+  let holes = context.holes;
+  if (holeNumber != null) {
+    holes = holes.filter((h) => h.hole_number === holeNumber);
+    if (holes.length === 0) return { error: `Hole ${holeNumber} not found on this course.`, status: 404 };
+  }
+
+  const features = holes.flatMap(holeFeatures);
+  if (holeNumber == null) {
+    for (const f of context.features || []) features.push(outlineFeature(f));
+  }
+
+  return {
+    result: {
+      type: "FeatureCollection",
+      // Foreign member (RFC 7946 §6.1): which course / hole this is.
+      properties: {
+        course_id: context.course.id,
+        course_name: context.course.name,
+        hole_number: holeNumber
+      },
+      features
+    }
+  };
+}
+
+module.exports = { buildCourseGeoJson };
@@ -5,7 +5,11 @@
  * Serves MUST PREFETCH payload from GET /api/courses/:id
  */
 
-const { isHazardPoi, normalizeHazardType } = require("./hazardClassifier");
+const { isHazardPoi, normalizeHazardType, HAZARD_TYPES } = require("./hazardClassifier");
+const { holeElevation } = require("./courseElevation");
+const { featureCentroid } = require("./holeGeometry");
+
+const HAZARD_TYPE_VALUES = new Set(Object.values(HAZARD_TYPES));
 
 async function resolveCourseId(pool, idOrSlug) {
   const val = String(idOrSlug || "").trim();
@@ -182,8 +186,8 @@ async function getFullCoursePayload(pool, courseUuid) {
 }
 
 /**
- * Hole layout: POIs for a hole (for future polygon / point-in-polygon)
- * Returns structured POI data; polygons are future enhancement.
+ * Hole layout: POIs for a hole, plus polygon / line outlines from
+ * golf_hole_features (mig 014) when that table exists.
  */
 async function getHoleLayout(pool, courseUuidOrSlug, holeNumber) {
   const uuid = await resolveCourseId(pool, courseUuidOrSlug);
@@ -195,7 +199,12 @@ async function getHoleLayout(pool, courseUuidOrSlug, holeNumber) {
      ORDER BY poi_type, location_label`,
     [uuid, holeNumber]
   );
-  if (res.rows.length === 0) return null;
+  let features = [];
+  try {
+    const f = await pool.query(`${FEATURES_SELECT} AND hole_number = $2 ORDER BY feature_type, created_at`, [uuid, holeNumber]);
+    features = f.rows.map(featureFromRow).filter(Boolean);
+  } catch { /* golf_hole_features not migrated yet */ }
+  if (res.rows.length === 0 && features.length === 0) return null;
   return {
     holeNumber: parseInt(holeNumber, 10),
     pois: res.rows.map((r) => ({
@@ -204,7 +213,31 @@ async function getHoleLayout(pool, courseUuidOrSlug, holeNumber) {
       fairwaySide: r.fairway_side,
       lat: r.lat,
       lon: r.lon
-    }))
+    })),
+    features
+  };
+}
+
+// golf_hole_features columns, course-scoped; callers append filters + ORDER BY.
+const FEATURES_SELECT = `
+  SELECT id::text AS id, hole_number, feature_type, geometry_kind, coordinates,
+         poi_id::text AS poi_id, label, source_type, confidence
+  FROM golf_hole_features
+  WHERE course_id = $1`;
+
+function featureFromRow(r) {
+  const coordinates = typeof r.coordinates === "string" ? JSON.parse(r.coordinates) : r.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length < 2) return null;
+  return {
+    id: r.id,
+    hole_number: r.hole_number,
+    feature_type: r.feature_type,
+    geometry_kind: r.geometry_kind,
+    coordinates,
+    poi_id: r.poi_id || null,
+    label: r.label || null,
+    source_type: r.source_type || "source_osm",
+    confidence: r.confidence != null ? Number(r.confidence) : null
   };
 }
 
@@ -216,6 +249,12 @@ async function getHoleLayout(pool, courseUuidOrSlug, holeNumber) {
  *   - Green front/center/back from golf_hole_pois
  *   - Hazards as raw POIs (tee-relative computation available client-side)
  *   - Legacy tee_front/tee_back kept for backward compat
+ *   - Per-hole elevation (tee → green rise) once migration 013 is applied
+ *     and scripts/annotate-elevation.js has run; nulls until then
+ *   - Polygon / line outlines from golf_hole_features (mig 014): per-hole
+ *     `features`, `green.polygon`, and `geometry` on hazard POIs the outline
+ *     belongs to. Outlined hazards without a POI join hazard_pois at their
+ *     centroid. Course-wide outlines (no hole) are top-level `features`.
  */
 async function getRoundCourseContext(pool, idOrSlug) {
   const uuid = await resolveCourseId(pool, idOrSlug);
@@ -260,6 +299,11 @@ async function getRoundCourseContext(pool, idOrSlug) {
   const provenanceCols = hasProvenance
     ? `COALESCE(source_type, 'source_native') AS source_type, confidence`
     : `'source_native'::text AS source_type, NULL::real AS confidence`;
+  // elevation_m / elevation_source arrive with mig 013.
+  const hasPoiElevation = await columnExists(pool, "golf_hole_pois", "elevation_m");
+  const poiElevationCols = hasPoiElevation
+    ? `elevation_m, elevation_source`
+    : `NULL::real AS elevation_m, NULL::text AS elevation_source`;
   const hazardsSql = `
     SELECT id::text AS id,
            hole_number,
@@ -267,7 +311,8 @@ async function getRoundCourseContext(pool, idOrSlug) {
            location_label,
            fairway_side,
            lat, lon,
-           ${provenanceCols}
+           ${provenanceCols},
+           ${poiElevationCols}
     FROM golf_hole_pois
     WHERE course_id = $1
       AND LOWER(TRIM(poi_type)) NOT IN ('green', 'tee', 'tee front', 'tee back')
@@ -278,17 +323,29 @@ async function getRoundCourseContext(pool, idOrSlug) {
   const greenGeomSql = `
     SELECT hole_number,
            UPPER(TRIM(COALESCE(location_label, ''))) AS loc,
-           lat, lon
+           lat, lon,
+           ${poiElevationCols}
     FROM golf_hole_pois
     WHERE course_id = $1
       AND LOWER(TRIM(poi_type)) = 'green'
     ORDER BY hole_number, location_label
   `;
 
+  // Check if golf_hole_tees table exists
+  let hasHoleTeesTable = false;
+  try {
+    await pool.query("SELECT 1 FROM golf_hole_tees LIMIT 0");
+    hasHoleTeesTable = true;
+  } catch { /* table doesn't exist yet */ }
+  const teeElevationCols = hasHoleTeesTable && (await columnExists(pool, "golf_hole_tees", "elevation_m"))
+    ? `ht.elevation_m, ht.elevation_source`
+    : `NULL::real AS elevation_m, NULL::text AS elevation_source`;
+
   // Per-tee per-hole coordinates from golf_hole_tees
   const holeTeesSql = `
     SELECT ht.hole_number, ht.tee_set_id, ht.tee_name,
-           ht.lat, ht.lon, ht.yardage, ht.is_synthesized
+           ht.lat, ht.lon, ht.yardage, ht.is_synthesized,
+           ${teeElevationCols}
     FROM golf_hole_tees ht
     WHERE ht.course_id = $1
     ORDER BY ht.hole_number, ht.tee_name
@@ -319,11 +376,10 @@ async function getRoundCourseContext(pool, idOrSlug) {
     ORDER BY hole_number
   `;
 
-  // Check if golf_hole_tees table exists
-  let hasHoleTeesTable = false;
+  let hasFeaturesTable = false;
   try {
-    await pool.query("SELECT 1 FROM golf_hole_tees LIMIT 0");
-    hasHoleTeesTable = true;
+    await pool.query("SELECT 1 FROM golf_hole_features LIMIT 0");
+    hasFeaturesTable = true;
   } catch { /* table doesn't exist yet */ }
 
   const queries = [
@@ -337,10 +393,30 @@ async function getRoundCourseContext(pool, idOrSlug) {
   if (hasHoleTeesTable) {
     queries.push(pool.query(holeTeesSql, [uuid]));
   }
+  if (hasFeaturesTable) {
+    queries.push(pool.query(`${FEATURES_SELECT} ORDER BY hole_number, feature_type, created_at`, [uuid]));
+  }
 
   const results = await Promise.all(queries);
   const [holesRes, teesRes, hazardsRes, greenGeomRes, legacyTeeRes, holeLengthsRes] = results;
   const holeTeesRes = hasHoleTeesTable ? results[6] : { rows: [] };
+  const featuresRes = hasFeaturesTable ? results[results.length - 1] : { rows: [] };
+
+  // Outlines by hole, and by the POI they outline
+  const featuresByHole = {};
+  const courseFeatures = [];
+  const outlineByPoi = {};
+  for (const row of featuresRes.rows) {
+    const f = featureFromRow(row);
+    if (!f) continue;
+    if (f.hole_number == null) {
+      courseFeatures.push(f);
+      continue;
+    }
+    if (!featuresByHole[f.hole_number]) featuresByHole[f.hole_number] = [];
+    featuresByHole[f.hole_number].push(f);
+    if (f.poi_id && !outlineByPoi[f.poi_id]) outlineByPoi[f.poi_id] = f;
+  }
 
   // Positive-whitelist classification: drop any POI whose normalized type
   // is null (yardage markers, doglegs, mislabeled rows). Attach the canonical
@@ -371,26 +447,70 @@ async function getRoundCourseContext(pool, idOrSlug) {
       lat,
       lon,
       source_type: r.source_type || "source_native",
-      confidence: r.confidence != null ? Number(r.confidence) : null
+      confidence: r.confidence != null ? Number(r.confidence) : null,
+      elevation_m: r.elevation_m != null ? Number(r.elevation_m) : null,
+      geometry: outlineGeometry(outlineByPoi[r.id])
     });
     if (!hazardDescsByHole[r.hole_number]) hazardDescsByHole[r.hole_number] = [];
     const desc = buildHazardDescription(r.poi_type, r.location_label, r.fairway_side);
     if (desc) hazardDescsByHole[r.hole_number].push(desc);
   }
+
+  // Outlined hazards no POI stands for (OSM areas without a point, admin
+  // uploads) are hazards too: placed at their centroid.
+  const hazardPoiIds = new Set(hazardsRes.rows.map((r) => r.id));
+  for (const [holeNumber, features] of Object.entries(featuresByHole)) {
+    for (const f of features) {
+      if (!HAZARD_TYPE_VALUES.has(f.feature_type)) continue;
+      if (f.poi_id && hazardPoiIds.has(f.poi_id)) continue;
+      const center = featureCentroid({ kind: f.geometry_kind, coordinates: f.coordinates });
+      if (!rawHazardsByHole[holeNumber]) rawHazardsByHole[holeNumber] = [];
+      rawHazardsByHole[holeNumber].push({
+        id: f.id,
+        type: f.feature_type,
+        normalized_type: f.feature_type,
+        location_label: f.label,
+        fairway_side: null,
+        lat: center.lat,
+        lon: center.lon,
+        source_type: f.source_type,
+        confidence: f.confidence,
+        elevation_m: null,
+        geometry: outlineGeometry(f)
+      });
+      if (!hazardDescsByHole[holeNumber]) hazardDescsByHole[holeNumber] = [];
+      const desc = buildHazardDescription(f.feature_type, f.label, null);
+      if (desc) hazardDescsByHole[holeNumber].push(desc);
+    }
+  }
   if (droppedNonHazardCount > 0) {
     console.log(`[COURSE_CONTEXT] dropped ${droppedNonHazardCount} non-hazard POIs (markers/doglegs/invalid coords)`);
   }
 
-  // Index green geometry by hole
+  // Index green geometry by hole; heights kept alongside for the elevation summary
   const greenByHole = {};
+  const greenElevationByHole = {};
   for (const r of greenGeomRes.rows) {
     if (!greenByHole[r.hole_number]) greenByHole[r.hole_number] = {};
+    if (!greenElevationByHole[r.hole_number]) greenElevationByHole[r.hole_number] = { other: [], sources: [] };
     const g = greenByHole[r.hole_number];
+    const ge = greenElevationByHole[r.hole_number];
     const coord = { lat: Number(r.lat), lon: Number(r.lon) };
-    if (r.loc === "C") g.center = coord;
-    else if (r.loc === "F") g.front = coord;
-    else if (r.loc === "B") g.back = coord;
-    else if (!g.center) g.center = coord; // first green POI as fallback center
+    const height = r.elevation_m != null ? Number(r.elevation_m) : null;
+    if (r.loc === "C") {
+      g.center = coord;
+      ge.center = height;
+    } else if (r.loc === "F") {
+      g.front = coord;
+      ge.front = height;
+    } else if (r.loc === "B") {
+      g.back = coord;
+      ge.back = height;
+    } else {
+      if (!g.center) g.center = coord; // first green POI as fallback center
+      if (height != null) ge.other.push(height);
+    }
+    if (r.elevation_source) ge.sources.push(r.elevation_source);
   }
 
   // Index per-tee coordinates by hole → tee_set_id
@@ -402,7 +522,9 @@ async function getRoundCourseContext(pool, idOrSlug) {
       tee_name: r.tee_name,
       coordinate: { lat: Number(r.lat), lon: Number(r.lon) },
       yardage: r.yardage,
-      is_synthesized: r.is_synthesized
+      is_synthesized: r.is_synthesized,
+      elevation_m: r.elevation_m != null ? Number(r.elevation_m) : null,
+      elevation_source: r.elevation_source || null
     });
   }
 
@@ -444,14 +566,19 @@ async function getRoundCourseContext(pool, idOrSlug) {
       const green = greenByHole[r.hole_number] || {};
       const legacy = legacyTeeByHole[r.hole_number] || {};
 
-      // Green center: prefer explicit Center POI, then AVG
+      const holeFeatures = featuresByHole[r.hole_number] || [];
+      const greenOutline = holeFeatures.find((f) => f.feature_type === "green" && f.geometry_kind === "polygon") || null;
+
+      // Green center: prefer explicit Center POI, then AVG, then the outline's centroid
       const greenCenter = green.center
         || (r.green_lat != null && r.green_lon != null
             ? { lat: Number(r.green_lat), lon: Number(r.green_lon) }
-            : null);
+            : null)
+        || (greenOutline ? featureCentroid({ kind: "polygon", coordinates: greenOutline.coordinates }) : null);
 
       const holeTees = holeTeesByHole[r.hole_number] || [];
       const geometryQuality = assessGeometryQuality(greenCenter, holeTees, legacy);
+      const greenElevation = greenElevationByHole[r.hole_number] || { other: [], sources: [] };
 
       return {
         hole_number: r.hole_number,
@@ -460,7 +587,8 @@ async function getRoundCourseContext(pool, idOrSlug) {
         green: {
           center: greenCenter,
           front: green.front || null,
-          back: green.back || null
+          back: green.back || null,
+          polygon: greenOutline ? greenOutline.coordinates : null
         },
         // Per-tee coordinates (from golf_hole_tees)
         tees: holeTees,
@@ -478,8 +606,16 @@ async function getRoundCourseContext(pool, idOrSlug) {
         hazard_pois: rawHazardsByHole[r.hole_number] || [],
         // Legacy text descriptions
         hazards: hazardDescsByHole[r.hole_number] || [],
+        // Polygon / line outlines (greens, fairways, hazards) from golf_hole_features
+        features: holeFeatures,
         // Geometry quality audit
-        geometry_quality: geometryQuality
+        geometry_quality: geometryQuality,
+        // Green heights and per-tee rise to the green center (null until annotated)
+        elevation: holeElevation({
+          green: greenElevation,
+          tees: holeTees,
+          sources: [...greenElevation.sources, ...holeTees.map((t) => t.elevation_source)]
+        })
       };
     }),
     tees: teesRes.rows.map((r) => ({
@@ -489,10 +625,15 @@ async function getRoundCourseContext(pool, idOrSlug) {
       total_yards: Number(r.total_yards) || 0,
       slope: r.slope || null,
       course_rating: r.course_rating ? Number(r.course_rating) : null
-    }))
+    })),
+    features: courseFeatures
   };
 }
 
+function outlineGeometry(feature) {
+  return feature ? { kind: feature.geometry_kind, coordinates: feature.coordinates } : null;
+}
+
 // ── Bearing math (matches iOS DistanceEngine.bearingDegrees) ──
 
 function toRad(deg) { return deg * Math.PI / 180; }
@@ -551,17 +692,30 @@ function assessGeometryQuality(greenCenter, holeTees, legacyTee) {
   };
 }
 
+// pool → Set of "table.column" seen to exist. Migrations only add columns,
+// so a positive answer holds for the life of the pool; negatives are
+// re-checked so a migration applied while running is picked up.
+const knownColumns = new WeakMap();
+
 /**
  * Check whether a column exists. Used so /api/course-context degrades
  * gracefully on deploys that have not yet applied newer migrations.
  */
 async function columnExists(pool, table, column) {
+  const key = `${table}.${column}`;
+  const known = knownColumns.get(pool);
+  if (known && known.has(key)) return true;
   try {
     const r = await pool.query(
       `SELECT 1 FROM information_schema.columns WHERE table_name = $1 AND column_name = $2 LIMIT 1`,
       [table, column]
     );
-    return r.rowCount > 0;
+    if (r.rowCount > 0) {
+      if (!known) knownColumns.set(pool, new Set([key]));
+      else known.add(key);
+      return true;
+    }
+    return false;
   } catch {
     return false;
   }
@@ -589,6 +743,7 @@ module.exports = {
   getHoleLayout,
   getRoundCourseContext,
   resolveCourseId,
+  columnExists,
   assessGeometryQuality,
   bearingDeg
 };
@@ -0,0 +1,516 @@
+"use strict";
+
+/**
+ * Digital elevation model (DEM) tiles on disk.
+ *
+ * Reads the grid formats public DEMs ship in:
+ *
+ *   .hgt        SRTM / Copernicus-style raw tiles: a square grid of
+ *               big-endian int16 meters, one degree named by its SW corner
+ *               (N40W075.hgt). 1201 (3") and 3601 (1") samples a side.
+ *   .asc        ESRI ASCII grid (ncols / nrows / xllcorner / cellsize /
+ *               NODATA_value header, rows north → south)
+ *   .tif/.tiff  single-band GeoTIFF in geographic lat/lon (EPSG:4326);
+ *               strips or tiles; uncompressed, LZW or Deflate, horizontal
+ *               predictor; 8–64 bit integer or float samples
+ *
+ * Every reader produces the same Grid:
+ *
+ *   { width, height, west, north, stepLon, stepLat, nodata, data: Float32Array }
+ *
+ * where `west`/`north` are the lon/lat of the centre of sample (0, 0) and
+ * rows run north → south. Heights are sampled bilinearly between the four
+ * surrounding samples.
+ *
+ * createTileSet() indexes a directory once and keeps the most recently
+ * used grids in memory; services/elevationProvider.js wraps it as the
+ * `dem` provider.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const SRTM_VOID = -32768;
+const DEM_EXTENSIONS = new Set([".hgt", ".asc", ".tif", ".tiff"]);
+const DEFAULT_CACHED_TILES = 4;
+
+function demError(message) {
+  return Object.assign(new Error(message), { demInput: true });
+}
+
+// ----------------------------------------------------------------
+// SRTM .hgt
+// ----------------------------------------------------------------
+
+/** "N40W075.hgt" → { lat: 40, lon: -75 } (the tile's SW corner), or null. */
+function parseHgtName(fileName) {
+  const m = /^([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(path.basename(fileName));
+  if (!m) return null;
+  const lat = Number(m[2]) * (m[1].toUpperCase() === "S" ? -1 : 1);
+  const lon = Number(m[4]) * (m[3].toUpperCase() === "W" ? -1 : 1);
+  return { lat, lon };
+}
+
+function hgtSize(byteLength) {
+  const size = Math.sqrt(byteLength / 2);
+  return Number.isInteger(size) && size >= 2 ? size : null;
+}
+
+function readHgt(buffer, fileName) {
+  const corner = parseHgtName(fileName);
+  if (!corner) throw demError(`${fileName}: .hgt tiles must be named like N40W075.hgt`);
+  const size = hgtSize(buffer.length);
+  if (!size) throw demError(`${fileName}: not a square int16 grid`);
+  const data = new Float32Array(size * size);
+  for (let i = 0; i < data.length; i++) data[i] = buffer.readInt16BE(i * 2);
+  const step = 1 / (size - 1);
+  return { width: size, height: size, west: corner.lon, north: corner.lat + 1, stepLon: step, stepLat: step, nodata: SRTM_VOID, data };
+}
+
+// ----------------------------------------------------------------
+// ESRI ASCII grid
+// ----------------------------------------------------------------
+
+function readAsciiGrid(text, fileName = "grid.asc") {
+  const tokens = String(text).split(/\s+/).filter(Boolean);
+  const header = {};
+  let i = 0;
+  while (i < tokens.length - 1 && /^[a-z_]+$/i.test(tokens[i])) {
+    header[tokens[i].toLowerCase()] = Number(tokens[i + 1]);
+    i += 2;
+  }
+  const width = header.ncols;
+  const height = header.nrows;
+  const cell = header.cellsize;
+  if (!(width > 0) || !(height > 0) || !(cell > 0)) {
+    throw demError(`${fileName}: missing ncols / nrows / cellsize`);
+  }
+  // Corner registration describes the outer edge; centre the first sample.
+  const west = header.xllcenter != null ? header.xllcenter : header.xllcorner + cell / 2;
+  const south = header.yllcenter != null ? header.yllcenter : header.yllcorner + cell / 2;
+  if (!Number.isFinite(west) || !Number.isFinite(south)) throw demError(`${fileName}: missing xll / yll origin`);
+  if (tokens.length - i < width * height) throw demError(`${fileName}: expected ${width * height} values`);
+
+  const data = new Float32Array(width * height);
+  for (let k = 0; k < data.length; k++) data[k] = Number(tokens[i + k]);
+  const nodata = header.nodata_value != null ? header.nodata_value : null;
+  return { width, height, west, north: south + (height - 1) * cell, stepLon: cell, stepLat: cell, nodata, data };
+}
+
+// ----------------------------------------------------------------
+// TIFF / GeoTIFF
+// ----------------------------------------------------------------
+
+const TAG = {
+  ImageWidth: 256,
+  ImageLength: 257,
+  BitsPerSample: 258,
+  Compression: 259,
+  StripOffsets: 273,
+  SamplesPerPixel: 277,
+  RowsPerStrip: 278,
+  StripByteCounts: 279,
+  Predictor: 317,
+  TileWidth: 322,
+  TileLength: 323,
+  TileOffsets: 324,
+  TileByteCounts: 325,
+  SampleFormat: 339,
+  ModelPixelScale: 33550,
+  ModelTiepoint: 33922,
+  GeoKeyDirectory: 34735,
+  GdalNodata: 42113
+};
+
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 6: 1, 7: 1, 8: 2, 9: 4, 11: 4, 12: 8, 16: 8 };
+
+function readTagValues(buf, le, type, count, offset) {
+  const u16 = (o) => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+  const u32 = (o) => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+  if (type === 2) return buf.toString("latin1", offset, offset + count).replace(/\0+$/, "");
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const o = offset + i * TYPE_SIZE[type];
+    if (type === 1 || type === 7) out.push(buf[o]);
+    else if (type === 6) out.push(buf.readInt8(o));
+    else if (type === 3) out.push(u16(o));
+    else if (type === 8) out.push(le ? buf.readInt16LE(o) : buf.readInt16BE(o));
+    else if (type === 4) out.push(u32(o));
+    else if (type === 9) out.push(le ? buf.readInt32LE(o) : buf.readInt32BE(o));
+    else if (type === 11) out.push(le ? buf.readFloatLE(o) : buf.readFloatBE(o));
+    else if (type === 12) out.push(le ? buf.readDoubleLE(o) : buf.readDoubleBE(o));
+    else if (type === 16) out.push(Number(le ? buf.readBigUInt64LE(o) : buf.readBigUInt64BE(o)));
+  }
+  return out;
+}
+
+/** First IFD of a classic (non-Big) TIFF → { le, tags: Map<tag, values> }. */
+function readIfd(buf) {
+  if (buf.length < 8) throw demError("not a TIFF file");
+  const order = buf.toString("latin1", 0, 2);
+  if (order !== "II" && order !== "MM") throw demError("not a TIFF file");
+  const le = order === "II";
+  const magic = le ? buf.readUInt16LE(2) : buf.readUInt16BE(2);
+  if (magic === 43) throw demError("BigTIFF is not supported");
+  if (magic !== 42) throw demError("not a TIFF file");
+
+  const ifd = le ? buf.readUInt32LE(4) : buf.readUInt32BE(4);
+  const count = le ? buf.readUInt16LE(ifd) : buf.readUInt16BE(ifd);
+  const tags = new Map();
+  for (let i = 0; i < count; i++) {
+    const e = ifd + 2 + i * 12;
+    const tag = le ? buf.readUInt16LE(e) : buf.readUInt16BE(e);
+    const type = le ? buf.readUInt16LE(e + 2) : buf.readUInt16BE(e + 2);
+    const n = le ? buf.readUInt32LE(e + 4) : buf.readUInt32BE(e + 4);
+    if (!TYPE_SIZE[type]) continue;
+    const inline = TYPE_SIZE[type] * n <= 4;
+    const offset = inline ? e + 8 : le ? buf.readUInt32LE(e + 8) : buf.readUInt32BE(e + 8);
+    tags.set(tag, readTagValues(buf, le, type, n, offset));
+  }
+  return { le, tags };
+}
+
+/** TIFF-flavoured LZW (MSB-first codes, early code-width change). */
+function lzwDecode(input) {
+  const CLEAR = 256;
+  const EOI = 257;
+  let out = new Uint8Array(Math.max(input.length * 3, 1024));
+  let outLen = 0;
+  const emit = (bytes) => {
+    if (outLen + bytes.length > out.length) {
+      const grown = new Uint8Array(Math.max(out.length * 2, outLen + bytes.length));
+      grown.set(out.subarray(0, outLen));
+      out = grown;
+    }
+    out.set(bytes, outLen);
+    outLen += bytes.length;
+  };
+
+  let table = [];
+  const resetTable = () => {
+    table = [];
+    for (let i = 0; i < 256; i++) table.push(Uint8Array.of(i));
+    table.push(null, null);
+  };
+  resetTable();
+
+  let width = 9;
+  let bitPos = 0;
+  const totalBits = input.length * 8;
+  let prev = null;
+  while (bitPos + width <= totalBits) {
+    let code = 0;
+    for (let b = 0; b < width; b++, bitPos++) {
+      code = (code << 1) | ((input[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+    }
+    if (code === EOI) break;
+    if (code === CLEAR) {
+      resetTable();
+      width = 9;
+      prev = null;
+      continue;
+    }
+    let entry;
+    if (code < table.length && table[code]) {
+      entry = table[code];
+      if (prev) {
+        const added = new Uint8Array(prev.length + 1);
+        added.set(prev);
+        added[prev.length] = entry[0];
+        table.push(added);
+      }
+    } else if (prev && code === table.length) {
+      entry = new Uint8Array(prev.length + 1);
+      entry.set(prev);
+      entry[prev.length] = prev[0];
+      table.push(entry);
+    } else {
+      throw demError("corrupt LZW data");
+    }
+    emit(entry);
+    prev = entry;
+    if (table.length + 1 >= 1 << width && width < 12) width++;
+  }
+  return Buffer.from(out.buffer, out.byteOffset, outLen);
+}
+
+function decompress(chunk, compression) {
+  if (compression === 1) return chunk;
+  if (compression === 5) return lzwDecode(chunk);
+  if (compression === 8 || compression === 32946) return zlib.inflateSync(chunk);
+  throw demError(`TIFF compression ${compression} is not supported`);
+}
+
+function sampleReader(buf, le, bits, format) {
+  const bytes = bits / 8;
+  const at = (i) => i * bytes;
+  if (format === 3) {
+    if (bits === 32) return (i) => (le ? buf.readFloatLE(at(i)) : buf.readFloatBE(at(i)));
+    if (bits === 64) return (i) => (le ? buf.readDoubleLE(at(i)) : buf.readDoubleBE(at(i)));
+  } else if (format === 2) {
+    if (bits === 8) return (i) => buf.readInt8(i);
+    if (bits === 16) return (i) => (le ? buf.readInt16LE(at(i)) : buf.readInt16BE(at(i)));
+    if (bits === 32) return (i) => (le ? buf.readInt32LE(at(i)) : buf.readInt32BE(at(i)));
+  } else {
+    if (bits === 8) return (i) => buf[i];
+    if (bits === 16) return (i) => (le ? buf.readUInt16LE(at(i)) : buf.readUInt16BE(at(i)));
+    if (bits === 32) return (i) => (le ? buf.readUInt32LE(at(i)) : buf.readUInt32BE(at(i)));
+  }
+  throw demError(`TIFF ${bits}-bit samples of format ${format} are not supported`);
+}
+
+/**
+ * Decode the first image of a single-band TIFF.
+ *
+ * @returns {{ width: number, height: number, data: Float32Array, tags: Map<number, any> }}
+ */
+function parseTiff(buffer) {
+  const { le, tags } = readIfd(buffer);
+  const first = (tag, fallback) => (tags.has(tag) ? tags.get(tag)[0] : fallback);
+
+  const width = first(TAG.ImageWidth);
+  const height = first(TAG.ImageLength);
+  const bits = first(TAG.BitsPerSample, 1);
+  const compression = first(TAG.Compression, 1);
+  const predictor = first(TAG.Predictor, 1);
+  const format = first(TAG.SampleFormat, 1);
+  if (!width || !height) throw demError("TIFF is missing its dimensions");
+  if (first(TAG.SamplesPerPixel, 1) !== 1) throw demError("only single-band TIFFs are supported");
+  if (predictor !== 1 && !(predictor === 2 && format !== 3)) {
+    throw demError(`TIFF predictor ${predictor} is not supported for this sample format`);
+  }
+
+  const tiled = tags.has(TAG.TileOffsets);
+  const blockWidth = tiled ? first(TAG.TileWidth) : width;
+  const blockHeight = tiled ? first(TAG.TileLength) : Math.min(first(TAG.RowsPerStrip, height), height);
+  const offsets = tags.get(tiled ? TAG.TileOffsets : TAG.StripOffsets);
+  const counts = tags.get(tiled ? TAG.TileByteCounts : TAG.StripByteCounts);
+  if (!offsets || !counts) throw demError("TIFF has no image data");
+  const across = Math.ceil(width / blockWidth);
+
+  const data = new Float32Array(width * height);
+  for (let b = 0; b < offsets.length; b++) {
+    const raw = decompress(buffer.subarray(offsets[b], offsets[b] + counts[b]), compression);
+    const read = sampleReader(raw, le, bits, format);
+    const x0 = (b % across) * blockWidth;
+    const y0 = Math.floor(b / across) * blockHeight;
+    const rows = Math.min(blockHeight, height - y0);
+    for (let r = 0; r < rows; r++) {
+      let acc = 0;
+      for (let c = 0; c < blockWidth; c++) {
+        let v = read(r * blockWidth + c);
+        if (predictor === 2) {
+          // Differences wrap at the sample width, like the encoder's did.
+          acc = c === 0 ? v : acc + v;
+          const mod = 2 ** bits;
+          v = ((acc % mod) + mod) % mod;
+          if (format === 2 && v >= mod / 2) v -= mod;
+          acc = v;
+        }
+        if (x0 + c < width) data[(y0 + r) * width + x0 + c] = v;
+      }
+    }
+  }
+  return { width, height, data, tags };
+}
+
+/** GeoKeyDirectory → Map<keyId, value> (SHORT-valued keys only). */
+function geoKeys(tags) {
+  const dir = tags.get(TAG.GeoKeyDirectory);
+  const keys = new Map();
+  if (!dir) return keys;
+  for (let i = 4; i + 3 < dir.length; i += 4) {
+    if (dir[i + 1] === 0) keys.set(dir[i], dir[i + 3]);
+  }
+  return keys;
+}
+
+function readGeoTiff(buffer, fileName = "grid.tif") {
+  const { width, height, data, tags } = parseTiff(buffer);
+  const scale = tags.get(TAG.ModelPixelScale);
+  const tie = tags.get(TAG.ModelTiepoint);
+  if (!scale || !tie) throw demError(`${fileName}: no ModelPixelScale / ModelTiepoint georeferencing`);
+
+  const keys = geoKeys(tags);
+  // GTModelTypeGeoKey 2 = geographic; projected rasters would need a CRS library.
+  if (keys.has(1024) && keys.get(1024) !== 2) throw demError(`${fileName}: only geographic (lat/lon) GeoTIFFs are supported`);
+  // GTRasterTypeGeoKey 2 = PixelIsPoint; default PixelIsArea ties to the pixel corner.
+  const half = keys.get(1025) === 2 ? 0 : 0.5;
+
+  const [i, j, , x, y] = tie;
+  const stepLon = scale[0];
+  const stepLat = scale[1];
+  const nodataText = tags.get(TAG.GdalNodata);
+  const nodata = nodataText != null && nodataText !== "" && Number.isFinite(Number(nodataText)) ? Number(nodataText) : null;
+  return {
+    width,
+    height,
+    west: x + (half - i) * stepLon,
+    north: y - (half - j) * stepLat,
+    stepLon,
+    stepLat,
+    nodata,
+    data
+  };
+}
+
+// ----------------------------------------------------------------
+// Grids
+// ----------------------------------------------------------------
+
+/** Parse a DEM file by extension. */
+function readGrid(filePath, buffer = fs.readFileSync(filePath)) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".hgt") return readHgt(buffer, filePath);
+  if (ext === ".asc") return readAsciiGrid(buffer.toString("latin1"), filePath);
+  if (ext === ".tif" || ext === ".tiff") return readGeoTiff(buffer, filePath);
+  throw demError(`${filePath}: unknown DEM format`);
+}
+
+function gridBounds(grid) {
+  return {
+    west: grid.west,
+    east: grid.west + (grid.width - 1) * grid.stepLon,
+    north: grid.north,
+    south: grid.north - (grid.height - 1) * grid.stepLat
+  };
+}
+
+function contains(bounds, lat, lon) {
+  const eps = 1e-9;
+  return lat <= bounds.north + eps && lat >= bounds.south - eps && lon >= bounds.west - eps && lon <= bounds.east + eps;
+}
+
+/**
+ * Bilinear height at a point, meters; null outside the grid or when every
+ * surrounding sample is void. Void samples are left out of the weighting.
+ */
+function sampleGrid(grid, lat, lon) {
+  // Snap float noise so a point on a sample returns that sample exactly.
+  const snap = (f) => (Math.abs(f - Math.round(f)) < 1e-6 ? Math.round(f) : f);
+  const fx = snap((lon - grid.west) / grid.stepLon);
+  const fy = snap((grid.north - lat) / grid.stepLat);
+  if (fx < -1e-6 || fy < -1e-6 || fx > grid.width - 1 + 1e-6 || fy > grid.height - 1 + 1e-6) return null;
+  const x0 = Math.min(Math.max(Math.floor(fx), 0), Math.max(grid.width - 2, 0));
+  const y0 = Math.min(Math.max(Math.floor(fy), 0), Math.max(grid.height - 2, 0));
+  const tx = Math.min(Math.max(fx - x0, 0), 1);
+  const ty = Math.min(Math.max(fy - y0, 0), 1);
+
+  let weights = 0;
+  let sum = 0;
+  const corners = [
+    [x0, y0, (1 - tx) * (1 - ty)],
+    [x0 + 1, y0, tx * (1 - ty)],
+    [x0, y0 + 1, (1 - tx) * ty],
+    [x0 + 1, y0 + 1, tx * ty]
+  ];
+  for (const [cx, cy, w] of corners) {
+    if (w === 0 || cx >= grid.width || cy >= grid.height) continue;
+    const v = grid.data[cy * grid.width + cx];
+    if (!Number.isFinite(v) || (grid.nodata != null && v === grid.nodata)) continue;
+    weights += w;
+    sum += w * v;
+  }
+  return weights > 0 ? sum / weights : null;
+}
+
+/** Bounds of a DEM file without keeping its samples. */
+function fileBounds(filePath) {
+  if (path.extname(filePath).toLowerCase() === ".hgt") {
+    const corner = parseHgtName(filePath);
+    const size = hgtSize(fs.statSync(filePath).size);
+    if (!corner || !size) throw demError(`${filePath}: not an SRTM tile`);
+    return { west: corner.lon, east: corner.lon + 1, south: corner.lat, north: corner.lat + 1 };
+  }
+  return gridBounds(readGrid(filePath));
+}
+
+/**
+ * A directory of DEM files. The directory is indexed on first lookup;
+ * where tiles overlap, the finer one wins.
+ *
+ * @param {object} opts
+ * @param {string} opts.dir
+ * @param {number} [opts.maxCachedTiles]  decoded grids kept in memory
+ */
+function createTileSet({ dir, maxCachedTiles = DEFAULT_CACHED_TILES }) {
+  let index = null;
+  const cache = new Map(); // filePath → grid, in least-recently-used order
+
+  function buildIndex() {
+    index = [];
+    let names = [];
+    try {
+      names = fs.readdirSync(dir);
+    } catch (err) {
+      console.warn(`[DEM] cannot read ${dir}: ${err.message}`);
+      return;
+    }
+    for (const name of names.sort()) {
+      if (!DEM_EXTENSIONS.has(path.extname(name).toLowerCase())) continue;
+      const filePath = path.join(dir, name);
+      try {
+        const bounds = fileBounds(filePath);
+        const size = Math.max(bounds.north - bounds.south, bounds.east - bounds.west);
+        index.push({ filePath, bounds, size });
+      } catch (err) {
+        console.warn(`[DEM] skipping ${name}: ${err.message}`);
+      }
+    }
+    // Smaller tiles are usually the finer surveys.
+    index.sort((a, b) => a.size - b.size);
+    console.log(`[DEM] indexed ${index.length} tile(s) in ${dir}`);
+  }
+
+  function load(filePath) {
+    if (cache.has(filePath)) {
+      const grid = cache.get(filePath);
+      cache.delete(filePath);
+      cache.set(filePath, grid);
+      return grid;
+    }
+    const grid = readGrid(filePath);
+    cache.set(filePath, grid);
+    while (cache.size > maxCachedTiles) cache.delete(cache.keys().next().value);
+    return grid;
+  }
+
+  return {
+    dir,
+    tiles() {
+      if (!index) buildIndex();
+      return index.map((t) => ({ file: path.basename(t.filePath), ...t.bounds }));
+    },
+    /** Meters above the DEM's datum, or null where no tile covers the point. */
+    elevationAt(lat, lon) {
+      if (!index) buildIndex();
+      for (const tile of index) {
+        if (!contains(tile.bounds, lat, lon)) continue;
+        let grid;
+        try {
+          grid = load(tile.filePath);
+        } catch (err) {
+          console.warn(`[DEM] failed to load ${path.basename(tile.filePath)}: ${err.message}`);
+          continue;
+        }
+        const v = sampleGrid(grid, lat, lon);
+        if (v != null) return v;
+      }
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  readHgt,
+  readAsciiGrid,
+  readGeoTiff,
+  readGrid,
+  parseTiff,
+  lzwDecode,
+  sampleGrid,
+  gridBounds,
+  parseHgtName,
+  createTileSet
+};
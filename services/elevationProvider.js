@@ -0,0 +1,184 @@
+"use strict";
+
+/**
+ * Ground elevation at points, for plays-like distances
+ * (services/playsLike.js) and course geometry annotation
+ * (services/courseElevation.js). Selected by `ELEVATION_PROVIDER`:
+ *
+ *   open_meteo (default) api.open-meteo.com/v1/elevation — Copernicus
+ *              90 m DEM, no key, up to 100 points per call
+ *   file       no network; interpolates spot heights from a JSON file at
+ *              ELEVATION_FILE (default data/plays-like/elevation.json)
+ *   dem        no network; DEM tiles (.hgt / .asc / GeoTIFF) under DEM_DIR
+ *              (default data/dem), see services/demTiles.js
+ *   none       always null
+ *
+ * Provider contract:
+ *   name                       string
+ *   quality                    string for diagnostics.elevationSourceQuality
+ *   elevations([{ lat, lon }]) → Promise<Array<number|null>>  meters, same order
+ *
+ * Network problems resolve to nulls and are logged; a missing elevation
+ * only drops the slope adjustment.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const fetch = require("node-fetch");
+
+const { haversineMeters } = require("./hazardEngine");
+const { createTileSet } = require("./demTiles");
+
+const ELEVATION_URL = "https://api.open-meteo.com/v1/elevation";
+const DEFAULT_ELEVATION_FILE = path.join(__dirname, "..", "data", "plays-like", "elevation.json");
+const DEFAULT_DEM_DIR = path.join(__dirname, "..", "data", "dem");
+const TIMEOUT_MS = 4000;
+const MAX_POINTS_PER_CALL = 100;
+// Spot heights farther than this from a point don't describe it.
+const FILE_MAX_DISTANCE_M = 250;
+const FILE_NEIGHBOURS = 4;
+
+/**
+ * @param {object} [opts]
+ * @param {Function} [opts.fetchImpl]  injectable for tests
+ */
+function createOpenMeteoElevationProvider({ fetchImpl = fetch } = {}) {
+  return {
+    name: "open_meteo",
+    quality: "dem_90m",
+    async elevations(points) {
+      const out = [];
+      for (let i = 0; i < points.length; i += MAX_POINTS_PER_CALL) {
+        const batch = points.slice(i, i + MAX_POINTS_PER_CALL);
+        const url =
+          `${ELEVATION_URL}?latitude=${batch.map((p) => p.lat).join(",")}` +
+          `&longitude=${batch.map((p) => p.lon).join(",")}`;
+        let values = [];
+        try {
+          const controller = new AbortController();
+          const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+          const res = await fetchImpl(url, { signal: controller.signal }).finally(() => clearTimeout(timer));
+          const data = await res.json();
+          if (!res.ok) throw new Error(data && data.reason ? data.reason : `HTTP ${res.status}`);
+          values = Array.isArray(data.elevation) ? data.elevation : [];
+        } catch (err) {
+          console.warn("[ELEVATION] open-meteo lookup failed:", err.message);
+        }
+        for (let j = 0; j < batch.length; j++) {
+          const v = Number(values[j]);
+          out.push(values[j] != null && Number.isFinite(v) ? v : null);
+        }
+      }
+      return out;
+    }
+  };
+}
+
+/**
+ * Offline stand-in. The file holds
+ *   { "points": [{ lat, lon, elevationMeters }] }
+ * and each lookup is the inverse-distance-weighted mean of the nearest
+ * FILE_NEIGHBOURS spot heights within FILE_MAX_DISTANCE_M.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.filePath]
+ * @param {object} [opts.data]  parsed file contents (tests)
+ */
+function createFileElevationProvider({ filePath = DEFAULT_ELEVATION_FILE, data = null } = {}) {
+  let loaded = data;
+  return {
+    name: "file",
+    quality: "file",
+    async elevations(points) {
+      if (!loaded) loaded = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      const spots = (loaded.points || []).filter((s) => Number.isFinite(Number(s.elevationMeters)));
+      return points.map((p) => {
+        const near = spots
+          .map((s) => ({ d: haversineMeters(p.lat, p.lon, Number(s.lat), Number(s.lon)), z: Number(s.elevationMeters) }))
+          .filter((s) => s.d <= FILE_MAX_DISTANCE_M)
+          .sort((a, b) => a.d - b.d)
+          .slice(0, FILE_NEIGHBOURS);
+        if (near.length === 0) return null;
+        if (near[0].d < 0.5) return near[0].z;
+        let weights = 0;
+        let sum = 0;
+        for (const s of near) {
+          const w = 1 / (s.d * s.d);
+          weights += w;
+          sum += w * s.z;
+        }
+        return Math.round((sum / weights) * 10) / 10;
+      });
+    }
+  };
+}
+
+/**
+ * Local DEM tiles. Lookups are synchronous reads of in-memory grids once a
+ * tile is loaded, so this is the provider to use for bulk annotation.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.dir]
+ * @param {object} [opts.tileSet]  a demTiles tile set (tests)
+ */
+function createDemElevationProvider({ dir = DEFAULT_DEM_DIR, tileSet = null } = {}) {
+  const tiles = tileSet || createTileSet({ dir });
+  return {
+    name: "dem",
+    quality: "dem_local",
+    async elevations(points) {
+      return points.map((p) => {
+        const v = tiles.elevationAt(Number(p.lat), Number(p.lon));
+        return v != null ? Math.round(v * 10) / 10 : null;
+      });
+    }
+  };
+}
+
+function createNullElevationProvider() {
+  return {
+    name: "none",
+    quality: "unavailable",
+    async elevations(points) {
+      return points.map(() => null);
+    }
+  };
+}
+
+/**
+ * Build the provider described by `env`.
+ */
+function createElevationProviderFromEnv(env = process.env) {
+  const kind = String(env.ELEVATION_PROVIDER || "open_meteo").trim().toLowerCase();
+  if (kind === "file") return createFileElevationProvider({ filePath: env.ELEVATION_FILE || DEFAULT_ELEVATION_FILE });
+  if (kind === "dem") return createDemElevationProvider({ dir: env.DEM_DIR || DEFAULT_DEM_DIR });
+  if (kind === "none") return createNullElevationProvider();
+  if (kind !== "open_meteo") console.warn(`[ELEVATION] unknown ELEVATION_PROVIDER "${kind}", using open_meteo`);
+  return createOpenMeteoElevationProvider();
+}
+
+let currentProvider = null;
+
+/** The process-wide provider, built from the environment on first use. */
+function getElevationProvider() {
+  if (!currentProvider) {
+    currentProvider = createElevationProviderFromEnv();
+    console.log(`[ELEVATION] provider=${currentProvider.name}`);
+  }
+  return currentProvider;
+}
+
+/** Replace the process-wide provider (tests, scripts). Pass null to reset. */
+function setElevationProvider(provider) {
+  currentProvider = provider;
+}
+
+module.exports = {
+  getElevationProvider,
+  setElevationProvider,
+  createElevationProviderFromEnv,
+  createOpenMeteoElevationProvider,
+  createFileElevationProvider,
+  createDemElevationProvider,
+  createNullElevationProvider
+};
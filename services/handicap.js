@@ -0,0 +1,324 @@
+"use strict";
+
+/**
+ * World Handicap System math: score differentials, Handicap Index and
+ * course handicap.
+ *
+ * Pure functions only — routes/handicap.js loads completed rounds, their
+ * hole scores and the tee ratings, then hands them to computeHandicap().
+ *
+ * What is implemented (WHS 2020 Rules of Handicapping):
+ *   - Adjusted gross score: each hole capped at net double bogey
+ *     (par + 2 + strokes received). Before an index exists the cap is
+ *     par + 5.
+ *   - Score differential: (113 / slope) × (AGS − course rating), one
+ *     decimal. 9-hole scores use the front/back ratings and are combined
+ *     in pairs, in the order played, into one 18-hole differential.
+ *   - Handicap Index from the most recent 20 differentials using the
+ *     Rule 5.2a table (lowest 1 of 3 −2.0 … lowest 8 of 20).
+ *   - Soft cap (increase above Low HI + 3.0 is halved) and hard cap
+ *     (Low HI + 5.0), once 20 differentials exist. Low HI is the lowest
+ *     index in the 365 days before the latest round.
+ *   - Maximum index 54.0.
+ *
+ * Not applied: playing conditions calculation (PCC is always 0) and
+ * exceptional score reduction — both need field-wide data we don't have.
+ */
+
+const { rankStrokeIndexes, strokesReceived } = require("./scorecard");
+
+const STANDARD_SLOPE = 113;
+const MAX_HANDICAP_INDEX = 54.0;
+const RECENT_WINDOW = 20;
+const SOFT_CAP_THRESHOLD = 3.0;
+const HARD_CAP = 5.0;
+const LOW_INDEX_WINDOW_MS = 365 * 24 * 60 * 60 * 1000;
+// Hole cap used before the player has a Handicap Index (Rule 3.1b).
+const NO_INDEX_MAX_OVER_PAR = 5;
+
+// Rule 5.2a: number of differentials available → how many lowest to
+// average, and the adjustment applied to that average.
+const DIFFERENTIAL_TABLE = [
+  { min: 20, use: 8, adjustment: 0 },
+  { min: 19, use: 7, adjustment: 0 },
+  { min: 17, use: 6, adjustment: 0 },
+  { min: 15, use: 5, adjustment: 0 },
+  { min: 12, use: 4, adjustment: 0 },
+  { min: 9, use: 3, adjustment: 0 },
+  { min: 7, use: 2, adjustment: 0 },
+  { min: 6, use: 2, adjustment: -1.0 },
+  { min: 5, use: 1, adjustment: 0 },
+  { min: 4, use: 1, adjustment: -1.0 },
+  { min: 3, use: 1, adjustment: -2.0 }
+];
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function toNumber(value) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Pick slope / course rating for a tee row.
+ *
+ * @param {object} tee       golf_tees row
+ * @param {"men"|"women"} gender
+ * @param {"18"|"front"|"back"} segment
+ * @returns {{ slope: number, courseRating: number }|null} null when the tee
+ *          has no rating for that gender/segment
+ */
+function teeRating(tee, gender, segment) {
+  if (!tee) return null;
+  const prefix = gender === "women" ? "women_" : "";
+  const suffix = segment === "front" ? "_front" : segment === "back" ? "_back" : "";
+  const slope = toNumber(tee[`${prefix}slope${suffix}`]);
+  const courseRating = toNumber(tee[`${prefix}course_rating${suffix}`]);
+  if (slope == null || courseRating == null || slope <= 0) return null;
+  return { slope, courseRating };
+}
+
+/**
+ * Course handicap (Rule 6.1): HI × (slope / 113) + (CR − par), rounded.
+ * For nine holes the index is halved first.
+ *
+ * @param {number} handicapIndex
+ * @param {{ slope: number, courseRating: number }} rating
+ * @param {number} par   par of the holes the rating covers
+ * @param {number} [holes=18]
+ * @returns {number}
+ */
+function courseHandicap(handicapIndex, rating, par, holes = 18) {
+  const index = holes === 9 ? handicapIndex / 2 : handicapIndex;
+  const value = Math.round(index * (rating.slope / STANDARD_SLOPE) + (rating.courseRating - par));
+  return value === 0 ? 0 : value;
+}
+
+/**
+ * Adjusted gross score: sum of hole scores capped at net double bogey.
+ *
+ * @param {Array<{ holeNumber: number, par: number, strokeIndex: number|null, strokes: number }>} holes
+ *        the played holes only
+ * @param {number|null} playerCourseHandicap  null when no index exists yet
+ * @returns {number}
+ */
+function adjustedGrossScore(holes, playerCourseHandicap) {
+  const ranks = rankStrokeIndexes(holes);
+  let total = 0;
+  for (const h of holes) {
+    const max =
+      playerCourseHandicap == null
+        ? h.par + NO_INDEX_MAX_OVER_PAR
+        : h.par + 2 + strokesReceived(playerCourseHandicap, ranks.get(h.holeNumber), holes.length);
+    total += Math.min(h.strokes, max);
+  }
+  return total;
+}
+
+/**
+ * Score differential (Rule 5.1), one decimal.
+ */
+function scoreDifferential(adjustedGross, rating, pcc = 0) {
+  return round1((STANDARD_SLOPE / rating.slope) * (adjustedGross - rating.courseRating - pcc));
+}
+
+/**
+ * Raw Handicap Index from a set of differentials (most recent first),
+ * before caps. Returns null with fewer than 3.
+ *
+ * @param {number[]} differentials
+ * @returns {{ index: number, used: number[] }|null} `used` holds positions
+ *          (into the input) of the differentials that counted
+ */
+function indexFromDifferentials(differentials) {
+  const recent = differentials.slice(0, RECENT_WINDOW);
+  const row = DIFFERENTIAL_TABLE.find((r) => recent.length >= r.min);
+  if (!row) return null;
+  const lowest = recent
+    .map((value, i) => ({ value, i }))
+    .sort((a, b) => a.value - b.value || a.i - b.i)
+    .slice(0, row.use);
+  const avg = lowest.reduce((sum, d) => sum + d.value, 0) / lowest.length;
+  return {
+    index: Math.min(round1(avg + row.adjustment), MAX_HANDICAP_INDEX),
+    used: lowest.map((d) => d.i)
+  };
+}
+
+/**
+ * Apply the soft and hard caps relative to the Low Handicap Index.
+ */
+function applyCaps(rawIndex, lowIndex) {
+  if (lowIndex == null) return { index: rawIndex, cap: null };
+  const increase = rawIndex - lowIndex;
+  if (increase <= SOFT_CAP_THRESHOLD) return { index: rawIndex, cap: null };
+  const soft = lowIndex + SOFT_CAP_THRESHOLD + (increase - SOFT_CAP_THRESHOLD) / 2;
+  const hard = lowIndex + HARD_CAP;
+  if (soft >= hard) return { index: round1(hard), cap: "hard" };
+  return { index: round1(soft), cap: "soft" };
+}
+
+/**
+ * Split a round's scored holes into an 18-hole score, a 9-hole score
+ * (front or back), or null when it's neither (partial round).
+ *
+ * @returns {{ segment: "18"|"front"|"back", holes: object[] }|null}
+ */
+function classifyRound(round) {
+  const holes = round.holes.filter((h) => Number.isFinite(h.strokes));
+  const numbers = new Set(holes.map((h) => h.holeNumber));
+  const has = (from, to) => {
+    for (let n = from; n <= to; n++) if (!numbers.has(n)) return false;
+    return true;
+  };
+  if (round.numHoles === 9) {
+    return has(1, 9) ? { segment: "front", holes: holes.filter((h) => h.holeNumber <= 9) } : null;
+  }
+  if (has(1, 18)) return { segment: "18", holes };
+  if (has(1, 9)) return { segment: "front", holes: holes.filter((h) => h.holeNumber <= 9) };
+  if (has(10, 18)) return { segment: "back", holes: holes.filter((h) => h.holeNumber >= 10) };
+  return null;
+}
+
+/**
+ * Rating for a classified round. 9-hole courses are usually rated as if
+ * played twice; when a tee has no front-nine rating we halve the 18-hole
+ * course rating and keep the slope.
+ */
+function ratingForSegment(round, segment, gender) {
+  const direct = teeRating(round.tee, gender, segment);
+  if (direct) return direct;
+  if (round.numHoles === 9 && segment === "front") {
+    const full = teeRating(round.tee, gender, "18");
+    if (full) return { slope: full.slope, courseRating: round1(full.courseRating / 2) };
+  }
+  return null;
+}
+
+/**
+ * Walk the player's rounds oldest → newest, producing a differential per
+ * eligible round and the Handicap Index after each one.
+ *
+ * @param {Array<{
+ *   roundId: string, playedAt: Date, numHoles: number,
+ *   tee: object,                     // golf_tees row
+ *   holes: Array<{ holeNumber, par, strokeIndex, strokes }>
+ * }>} rounds
+ * @param {{ gender?: "men"|"women" }} [opts]
+ * @returns {{
+ *   handicapIndex: number|null,
+ *   lowHandicapIndex: number|null,
+ *   cap: "soft"|"hard"|null,
+ *   differentials: object[],   // most recent first, `used` marks the counting ones
+ *   skipped: object[]          // rounds that produced no differential, with reason
+ * }}
+ */
+function computeHandicap(rounds, { gender = "men" } = {}) {
+  const ordered = [...rounds].sort((a, b) => new Date(a.playedAt) - new Date(b.playedAt));
+  const records = []; // oldest first
+  const history = []; // { at: Date, index }
+  const skipped = [];
+  let pendingNine = null;
+  let current = null;
+  let cap = null;
+
+  for (const round of ordered) {
+    const classified = classifyRound(round);
+    if (!classified) {
+      skipped.push({ roundId: round.roundId, reason: "incomplete" });
+      continue;
+    }
+    const rating = ratingForSegment(round, classified.segment, gender);
+    if (!rating) {
+      skipped.push({ roundId: round.roundId, reason: "unrated_tee" });
+      continue;
+    }
+
+    const holeCount = classified.holes.length;
+    const par = classified.holes.reduce((sum, h) => sum + h.par, 0);
+    const playerCh = current == null ? null : courseHandicap(current, rating, par, holeCount);
+    const ags = adjustedGrossScore(classified.holes, playerCh);
+    const differential = scoreDifferential(ags, rating);
+    const playedAt = new Date(round.playedAt);
+
+    if (holeCount === 9) {
+      if (!pendingNine) {
+        pendingNine = { roundId: round.roundId, playedAt, adjustedGross: ags, differential };
+        continue;
+      }
+      records.push({
+        roundIds: [pendingNine.roundId, round.roundId],
+        playedAt,
+        holes: 18,
+        adjustedGross: pendingNine.adjustedGross + ags,
+        differential: round1(pendingNine.differential + differential)
+      });
+      pendingNine = null;
+    } else {
+      records.push({
+        roundIds: [round.roundId],
+        playedAt,
+        holes: 18,
+        adjustedGross: ags,
+        courseRating: rating.courseRating,
+        slope: rating.slope,
+        differential
+      });
+    }
+
+    const recentFirst = records.slice().reverse().map((r) => r.differential);
+    const raw = indexFromDifferentials(recentFirst);
+    if (!raw) continue;
+
+    let lowIndex = null;
+    if (records.length >= RECENT_WINDOW) {
+      const since = playedAt.getTime() - LOW_INDEX_WINDOW_MS;
+      const window = history.filter((h) => h.at.getTime() >= since).map((h) => h.index);
+      lowIndex = window.length ? Math.min(...window) : null;
+    }
+    const capped = applyCaps(raw.index, lowIndex);
+    current = capped.index;
+    cap = capped.cap;
+    history.push({ at: playedAt, index: current });
+  }
+
+  const recent = records.slice().reverse().slice(0, RECENT_WINDOW);
+  const final = indexFromDifferentials(recent.map((r) => r.differential));
+  const used = new Set(final ? final.used : []);
+
+  let lowHandicapIndex = null;
+  if (records.length >= RECENT_WINDOW && history.length) {
+    const latest = history[history.length - 1].at.getTime();
+    const window = history.filter((h) => h.at.getTime() >= latest - LOW_INDEX_WINDOW_MS);
+    lowHandicapIndex = Math.min(...window.map((h) => h.index));
+  }
+
+  if (pendingNine) {
+    skipped.push({ roundId: pendingNine.roundId, reason: "awaiting_second_nine" });
+  }
+
+  return {
+    handicapIndex: current,
+    lowHandicapIndex,
+    cap,
+    differentials: recent.map((r, i) => ({ ...r, used: used.has(i) })),
+    skipped
+  };
+}
+
+module.exports = {
+  computeHandicap,
+  courseHandicap,
+  teeRating,
+  ratingForSegment,
+  adjustedGrossScore,
+  scoreDifferential,
+  indexFromDifferentials,
+  applyCaps,
+  classifyRound,
+  STANDARD_SLOPE,
+  MAX_HANDICAP_INDEX
+};
@@ -7,11 +7,25 @@
  *   - distanceFromTee: straight-line yards from tee to hazard
  *   - carryDistance:    yards along the tee→green centerline to the hazard's perpendicular
  *   - lateralOffset:   yards left/right of the centerline (negative = left, positive = right)
- *   - isInPlay:        whether the hazard is reachable based on distance thresholds
+ *   - isInPlay:        whether the hazard is reachable based on distance thresholds,
+ *                      or — when a shot pattern is passed — whether its
+ *                      inPlayProbability clears shotDispersion.IN_PLAY_MIN_PROBABILITY
+ *   - inPlayProbability: chance the player's shot finishes in the hazard
+ *                      (shotDispersion.hazardInPlayProbability); null without a pattern
+ *   - severity:        hazardClassifier.HAZARD_SEVERITY for the type (null when the
+ *                      type isn't a normalized hazard type)
+ *   - frontEdgeCarry / backEdgeCarry / nearestLateralOffset:
+ *                      yards to the near and far edge along the centerline and to
+ *                      the closest point of the outline (holeGeometry.edgeCarries),
+ *                      when the hazard has a polygon/line `geometry`; null otherwise
+ *
+ * The "tee" can be any origin — pass the ball position and the remaining
+ * distance to measure from mid-hole.
  */
 
-const YARDS_TO_METERS = 0.9144;
-const METERS_TO_YARDS = 1.09361;
+const { HAZARD_SEVERITY } = require("./hazardClassifier");
+const { hazardInPlayProbability, IN_PLAY_MIN_PROBABILITY } = require("./shotDispersion");
+const { edgeCarries, METERS_TO_YARDS, YARDS_TO_METERS } = require("./holeGeometry");
 
 function toRad(deg) { return deg * Math.PI / 180; }
 function toDeg(rad) { return rad * 180 / Math.PI; }
@@ -25,6 +39,11 @@ function haversineMeters(lat1, lon1, lat2, lon2) {
   return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
 }
 
+/** Whole yards between two `{ lat, lon }` points. */
+function yardsBetween(a, b) {
+  return Math.round(haversineMeters(a.lat, a.lon, b.lat, b.lon) * METERS_TO_YARDS);
+}
+
 function bearingDeg(lat1, lon1, lat2, lon2) {
   const φ1 = toRad(lat1), φ2 = toRad(lat2);
   const Δλ = toRad(lon2 - lon1);
@@ -33,16 +52,33 @@ function bearingDeg(lat1, lon1, lat2, lon2) {
   return (toDeg(Math.atan2(y, x)) + 360) % 360;
 }
 
+/** Point `meters` from (lat, lon) along `bearing` degrees. */
+function destinationPoint(lat, lon, bearing, meters) {
+  const R = 6_371_000;
+  const δ = meters / R;
+  const θ = toRad(bearing);
+  const φ1 = toRad(lat);
+  const λ1 = toRad(lon);
+  const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
+  const λ2 = λ1 + Math.atan2(Math.sin(θ) * Math.sin(δ) * Math.cos(φ1), Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2));
+  return { lat: toDeg(φ2), lon: ((toDeg(λ2) + 540) % 360) - 180 };
+}
+
 /**
  * Compute hazard relevance relative to a specific tee.
  *
  * @param {{ lat: number, lon: number }} teeCoord - Tee GPS coordinate
  * @param {{ lat: number, lon: number }} greenCoord - Green center GPS coordinate
- * @param {Array<{ poi_type: string, location_label: string, fairway_side: string, lat: number, lon: number }>} hazards - Raw hazard POIs
+ * @param {Array<{ poi_type: string, location_label: string, fairway_side: string, lat: number, lon: number, geometry?: object }>} hazards - Hazard POIs;
+ *        pass the normalized type as poi_type to get a severity, and the outline
+ *        ({ kind, coordinates }) as geometry to get edge carries
  * @param {number} holeYardage - Hole yardage from this tee
+ * @param {object} [options]
+ * @param {object} [options.pattern] - shotDispersion.patternForClub() result for the club being hit
+ * @param {number} [options.aimOffsetYards=0] - aim relative to the centerline (negative = left)
  * @returns {Array<Object>} Hazards with tee-relative metrics
  */
-function computeHazardsForTee(teeCoord, greenCoord, hazards, holeYardage) {
+function computeHazardsForTee(teeCoord, greenCoord, hazards, holeYardage, { pattern = null, aimOffsetYards = 0 } = {}) {
   if (!teeCoord || !greenCoord || !hazards || hazards.length === 0) return [];
 
   const centerBearing = bearingDeg(teeCoord.lat, teeCoord.lon, greenCoord.lat, greenCoord.lon);
@@ -66,12 +102,18 @@ function computeHazardsForTee(teeCoord, greenCoord, hazards, holeYardage) {
     const carryYards = distFromTeeYards * Math.cos(angleDiff);
     const lateralYards = distFromTeeYards * Math.sin(angleDiff);
 
-    // Is the hazard "in play" for this tee?
-    const isInPlay =
-      carryYards > minRelevantYards &&
-      carryYards < holeYardage + 30 &&  // within hole length + overrun
-      carryYards <= maxDriveYards + 50 &&  // reachable
-      Math.abs(lateralYards) < 80;  // within reasonable lateral range
+    // Is the hazard "in play" for this tee? With the player's pattern it's
+    // the chance this shot finds it; without one, generic reach thresholds.
+    const inPlayProbability = pattern
+      ? hazardInPlayProbability({ carryDistance: carryYards, lateralOffset: lateralYards }, pattern, aimOffsetYards)
+      : null;
+    const edges = h.geometry ? edgeCarries(teeCoord, greenCoord, h.geometry) : null;
+    const isInPlay = pattern
+      ? inPlayProbability >= IN_PLAY_MIN_PROBABILITY
+      : carryYards > minRelevantYards &&
+        carryYards < holeYardage + 30 &&  // within hole length + overrun
+        carryYards <= maxDriveYards + 50 &&  // reachable
+        Math.abs(lateralYards) < 80;  // within reasonable lateral range
 
     return {
       type: h.poi_type,
@@ -82,9 +124,22 @@ function computeHazardsForTee(teeCoord, greenCoord, hazards, holeYardage) {
       distanceFromTee: Math.round(distFromTeeYards),
       carryDistance: Math.round(carryYards),
       lateralOffset: Math.round(lateralYards),
-      isInPlay
+      isInPlay,
+      inPlayProbability,
+      severity: HAZARD_SEVERITY[h.poi_type] ?? null,
+      frontEdgeCarry: edges ? edges.frontCarry : null,
+      backEdgeCarry: edges ? edges.backCarry : null,
+      nearestLateralOffset: edges ? edges.nearestLateralOffset : null
     };
   });
 }
 
-module.exports = { computeHazardsForTee, haversineMeters, bearingDeg };
+module.exports = {
+  computeHazardsForTee,
+  haversineMeters,
+  bearingDeg,
+  destinationPoint,
+  yardsBetween,
+  METERS_TO_YARDS,
+  YARDS_TO_METERS
+};
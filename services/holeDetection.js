@@ -0,0 +1,221 @@
+"use strict";
+
+/**
+ * Which hole is the golfer on? For POST /api/course-context/:courseId/locate,
+ * so the app can auto-advance holes during a round.
+ *
+ * Each hole is laid out from getRoundCourseContext geometry: tee
+ * coordinates (golf_hole_tees, including synthesized ones, else the legacy
+ * tee POIs) and the green (golf_hole_pois center, plus front/back when
+ * mapped). The position is tested against three zones per hole and the
+ * cheapest match kept:
+ *   green    within GREEN_RADIUS of the green (of the front→back line when known)
+ *   tee      within TEE_RADIUS of any tee coordinate
+ *   fairway  inside the corridor from the back tee to the green
+ * Holes with a green but no tee only get a weak "fairway" match inside
+ * their card length.
+ *
+ * Costs (yards, zone-weighted) become likelihoods, then:
+ *   - heading, when sent, discounts tee/fairway matches walking the wrong
+ *     way — this is what separates shared or parallel fairways;
+ *   - the app's current hole is a prior: staying or moving on to the next
+ *     hole beats jumping across the course;
+ *   - synthesized-only tees widen the tee and corridor windows but cost more.
+ *
+ * Nine-hole layouts played as 18 (and two nines combined into a round) are
+ * handled by `holesInRound`: the detected course hole maps to the round's
+ * hole number (`roundHoleNumber`) from the current hole. A position off
+ * every hole of this layout — e.g. on a nine of the club this combination
+ * doesn't include — answers `holeNumber: null` rather than guessing.
+ */
+
+const { yardsBetween } = require("./hazardEngine");
+const { toLocalYards } = require("./holeGeometry");
+
+const GREEN_RADIUS_YARDS = 15;
+const TEE_RADIUS_YARDS = 20;
+const CORRIDOR_HALF_WIDTH_YARDS = 45;
+// Synthesized tees are estimates: wider windows, a little less trust.
+const SYNTHESIZED_SLACK_YARDS = 15;
+const SYNTHESIZED_COST_YARDS = 8;
+// Zone weights, so a green or tee hit beats a corridor that passes by.
+const FAIRWAY_COST_YARDS = 15;
+const GREEN_ONLY_COST_YARDS = 40;
+const COST_SCALE_YARDS = 15;
+const PRIOR = Object.freeze({ current: 3, next: 2, other: 1 });
+const AMBIGUOUS_RATIO = 0.6;
+const ADVANCE_MIN_CONFIDENCE = 0.6;
+const MAX_CANDIDATES = 3;
+
+/** Distance from p to segment a→b, and where along it (0..1, unclamped). */
+function segmentDistance(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const s = len2 > 0 ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2 : 0;
+  const c = Math.min(Math.max(s, 0), 1);
+  return { distance: Math.hypot(p.x - (a.x + c * dx), p.y - (a.y + c * dy)), along: s };
+}
+
+/** Compass bearing (0 = north) of a local vector. */
+function vectorBearing(v) {
+  return ((Math.atan2(v.x, v.y) * 180) / Math.PI + 360) % 360;
+}
+
+function holeTeePoints(hole) {
+  const points = (hole.tees || [])
+    .filter((t) => t.coordinate)
+    .map((t) => ({ coord: t.coordinate, synthesized: Boolean(t.is_synthesized) }));
+  if (points.length === 0) {
+    for (const legacy of [hole.tee_front, hole.tee_back]) {
+      if (legacy) points.push({ coord: legacy, synthesized: false });
+    }
+  }
+  return points;
+}
+
+/**
+ * Best zone match for one hole, or null when the position is off it.
+ * Local frame is centred on the green.
+ */
+function matchHole(hole, position, heading) {
+  const center = hole.green && hole.green.center;
+  if (!center) return null;
+  const p = toLocalYards(center, position);
+  const distanceToGreen = yardsBetween(position, center);
+
+  const matches = [];
+
+  const { front, back } = hole.green;
+  const greenEdge = front && back
+    ? segmentDistance(p, toLocalYards(center, front), toLocalYards(center, back)).distance
+    : Math.hypot(p.x, p.y);
+  if (greenEdge <= GREEN_RADIUS_YARDS) matches.push({ zone: "green", cost: greenEdge });
+
+  const tees = holeTeePoints(hole);
+  const allSynthesized = tees.length > 0 && tees.every((t) => t.synthesized);
+  const slack = allSynthesized ? SYNTHESIZED_SLACK_YARDS : 0;
+  const synthCost = allSynthesized ? SYNTHESIZED_COST_YARDS : 0;
+  let backTee = null;
+  for (const t of tees) {
+    const local = toLocalYards(center, t.coord);
+    const d = Math.hypot(p.x - local.x, p.y - local.y);
+    if (d <= TEE_RADIUS_YARDS + slack) matches.push({ zone: "tee", cost: d + synthCost, bearing: vectorBearing({ x: -local.x, y: -local.y }) });
+    if (!backTee || Math.hypot(local.x, local.y) > Math.hypot(backTee.x, backTee.y)) backTee = local;
+  }
+
+  if (backTee) {
+    const seg = segmentDistance(p, backTee, { x: 0, y: 0 });
+    if (seg.along >= -0.05 && seg.along <= 1.05 && seg.distance <= CORRIDOR_HALF_WIDTH_YARDS + slack) {
+      matches.push({
+        zone: "fairway",
+        cost: seg.distance + FAIRWAY_COST_YARDS + synthCost,
+        bearing: vectorBearing({ x: -backTee.x, y: -backTee.y })
+      });
+    }
+  } else {
+    const lengths = (hole.hole_lengths || []).map((l) => Number(l.yardage)).filter((y) => y > 0);
+    const longest = lengths.length ? Math.max(...lengths) : null;
+    if (longest && distanceToGreen <= longest) {
+      matches.push({ zone: "fairway", cost: GREEN_ONLY_COST_YARDS + distanceToGreen / 10, bearing: null });
+    }
+  }
+  if (matches.length === 0) return null;
+
+  let best = null;
+  for (const m of matches) {
+    let likelihood = Math.exp(-m.cost / COST_SCALE_YARDS);
+    if (heading != null && m.bearing != null) {
+      const diff = ((heading - m.bearing) * Math.PI) / 180;
+      likelihood *= 0.25 + 0.75 * Math.max(0, Math.cos(diff));
+    }
+    if (!best || likelihood > best.likelihood) best = { zone: m.zone, likelihood };
+  }
+  return { holeNumber: hole.hole_number, par: hole.par, zone: best.zone, likelihood: best.likelihood, distanceToGreen };
+}
+
+/**
+ * @param {object} input
+ * @param {object} input.context                      getRoundCourseContext() result
+ * @param {{ lat: number, lon: number }} input.position
+ * @param {number|null} [input.heading]               degrees from north, direction of travel
+ * @param {number|null} [input.currentHole]           the round's current hole (1-18)
+ * @param {number|null} [input.holesInRound]          9 or 18; more than the layout has = nines repeated
+ * @returns {object}
+ */
+function detectHole({ context, position, heading = null, currentHole = null, holesInRound = null }) {
+  const layoutHoles = context.holes.length;
+  const repeats = holesInRound != null && layoutHoles > 0 && holesInRound > layoutHoles;
+  // The current hole on the layout (hole 12 of a nine played twice is hole 3).
+  const currentLayoutHole = currentHole != null && repeats ? ((currentHole - 1) % layoutHoles) + 1 : currentHole;
+  const nextLayoutHole = currentLayoutHole != null ? (currentLayoutHole % layoutHoles) + 1 : null;
+
+  const scored = [];
+  for (const hole of context.holes) {
+    const m = matchHole(hole, position, heading);
+    if (!m) continue;
+    let prior = PRIOR.other;
+    if (m.holeNumber === currentLayoutHole) prior = PRIOR.current;
+    else if (m.holeNumber === nextLayoutHole) prior = PRIOR.next;
+    scored.push({ ...m, weight: m.likelihood * prior });
+  }
+
+  if (scored.length === 0) {
+    let nearest = null;
+    for (const hole of context.holes) {
+      const c = hole.green && hole.green.center;
+      if (!c) continue;
+      const d = yardsBetween(position, c);
+      if (!nearest || d < nearest.distanceToGreen) nearest = { holeNumber: hole.hole_number, distanceToGreen: d };
+    }
+    return {
+      courseId: context.course.id,
+      holeNumber: null,
+      roundHoleNumber: null,
+      zone: null,
+      confidence: 0,
+      ambiguous: false,
+      advance: false,
+      nearestGreen: nearest,
+      candidates: []
+    };
+  }
+
+  const total = scored.reduce((sum, s) => sum + s.weight, 0);
+  scored.sort((a, b) => b.weight - a.weight);
+  const [best, second] = scored;
+
+  let roundHoleNumber = best.holeNumber;
+  if (repeats && currentHole != null) {
+    // Second time round the layout once the current hole is past it, or
+    // when the golfer has walked from its last hole onto its first.
+    const lap = Math.floor((currentHole - 1) / layoutHoles);
+    const wraps = currentLayoutHole === layoutHoles && best.holeNumber === 1;
+    roundHoleNumber = best.holeNumber + (lap + (wraps ? 1 : 0)) * layoutHoles;
+    if (roundHoleNumber > holesInRound) roundHoleNumber = best.holeNumber;
+  }
+
+  const confidence = Math.round((best.weight / total) * 100) / 100;
+  const expectedNext = currentHole != null ? currentHole + 1 : null;
+  return {
+    courseId: context.course.id,
+    holeNumber: best.holeNumber,
+    roundHoleNumber,
+    par: best.par,
+    zone: best.zone,
+    distanceToGreen: best.distanceToGreen,
+    confidence,
+    ambiguous: Boolean(second && second.weight >= AMBIGUOUS_RATIO * best.weight),
+    // Only nudge the app forward one hole, and only when sure.
+    advance: expectedNext != null && roundHoleNumber === expectedNext && confidence >= ADVANCE_MIN_CONFIDENCE,
+    nearestGreen: null,
+    candidates: scored.slice(0, MAX_CANDIDATES).map((s) => ({
+      holeNumber: s.holeNumber,
+      zone: s.zone,
+      distanceToGreen: s.distanceToGreen,
+      confidence: Math.round((s.weight / total) * 100) / 100
+    }))
+  };
+}
+
+module.exports = { detectHole };
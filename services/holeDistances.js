@@ -0,0 +1,122 @@
+"use strict";
+
+/**
+ * "Distances from here" for one hole, for
+ * POST /api/course-context/:courseId/holes/:n/distances.
+ *
+ * Everything a rangefinder screen shows, measured from the golfer's GPS
+ * position with the same geometry the rest of the backend uses:
+ *   - green front / center / back (front and back where the hole has those
+ *     points mapped, else where the line to the center crosses the green
+ *     outline; never guessed from a radius)
+ *   - each hazard still ahead: straight-line distance, `reach` (yards to
+ *     its near edge) and `carry` (yards to clear it), both along the
+ *     ball → green line — the outline's front / back edge when the hazard
+ *     has one, else HAZARD_RADIUS_YARDS either side of the POI
+ *   - layup points: the spots that leave LAYUP_LEAVE_YARDS to the center,
+ *     and the spot just short of each hazard in the way
+ *
+ * Hazard carries come from buildHoleHazards (hazardEngine), so they match
+ * GET …/hazards and the shot recommendations.
+ */
+
+const { bearingDeg, destinationPoint, yardsBetween, YARDS_TO_METERS } = require("./hazardEngine");
+const { HAZARD_RADIUS_YARDS } = require("./clubSelection");
+const { buildHoleHazards } = require("./holeHazards");
+const { edgeCarries } = require("./holeGeometry");
+
+// Yardages players like to leave themselves.
+const LAYUP_LEAVE_YARDS = Object.freeze([50, 75, 100, 125, 150]);
+// Layup spots closer than this to the ball aren't worth showing.
+const MIN_LAYUP_YARDS = 30;
+// Hazards further off line than this don't get a "short of" layup.
+const LAYUP_LATERAL_YARDS = 40;
+
+function roundCoord(p) {
+  return { lat: Math.round(p.lat * 1e6) / 1e6, lon: Math.round(p.lon * 1e6) / 1e6 };
+}
+
+/**
+ * @param {object} input
+ * @param {object} input.context                    getRoundCourseContext() result
+ * @param {number} input.holeNumber
+ * @param {{ lat: number, lon: number }} input.position  golfer's GPS position
+ * @param {string|null} [input.teeSetId]            for the hole length only
+ * @returns {{ result: object }|{ error: string, status: number }}
+ */
+function buildHoleDistances({ context, holeNumber, position, teeSetId = null }) {
+  const built = buildHoleHazards({ context, holeNumber, teeSetId, position });
+  if (built.error) return built;
+  const h = built.result;
+  const green = context.holes.find((x) => x.hole_number === holeNumber).green;
+
+  const toGreen = bearingDeg(position.lat, position.lon, h.greenCenter.lat, h.greenCenter.lon);
+  const fromGreen = (toGreen + 180) % 360;
+  const alongLine = (yards) => roundCoord(destinationPoint(position.lat, position.lon, toGreen, yards * YARDS_TO_METERS));
+
+  const greenEdges = green.polygon
+    ? edgeCarries(position, h.greenCenter, { kind: "polygon", coordinates: green.polygon })
+    : null;
+
+  const hazards = h.hazards
+    .map((z) => z.frontEdgeCarry != null
+      ? { ...z, reach: Math.max(0, z.frontEdgeCarry), carry: z.backEdgeCarry }
+      : { ...z, reach: Math.max(0, z.carryDistance - HAZARD_RADIUS_YARDS), carry: z.carryDistance + HAZARD_RADIUS_YARDS })
+    .filter((z) => z.carry > 0)
+    .map((z) => ({
+      id: z.id,
+      type: z.type,
+      locationLabel: z.locationLabel,
+      fairwaySide: z.fairwaySide,
+      lat: z.lat,
+      lon: z.lon,
+      distance: z.distanceFromTee,
+      reach: z.reach,
+      carry: z.carry,
+      lateralOffset: z.lateralOffset,
+      nearestLateralOffset: z.nearestLateralOffset,
+      severity: z.severity
+    }));
+
+  const layups = [];
+  for (const leave of LAYUP_LEAVE_YARDS) {
+    const distance = h.distanceToGreen - leave;
+    if (distance < MIN_LAYUP_YARDS) continue;
+    const point = roundCoord(destinationPoint(h.greenCenter.lat, h.greenCenter.lon, fromGreen, leave * YARDS_TO_METERS));
+    layups.push({ kind: "leave", leaveYards: leave, distance, ...point, hazardId: null, hazardType: null });
+  }
+  for (const z of hazards) {
+    const offLine = z.nearestLateralOffset != null ? z.nearestLateralOffset : z.lateralOffset;
+    if (Math.abs(offLine) > LAYUP_LATERAL_YARDS) continue;
+    if (z.reach < MIN_LAYUP_YARDS || z.reach >= h.distanceToGreen) continue;
+    layups.push({
+      kind: "short_of_hazard",
+      leaveYards: h.distanceToGreen - z.reach,
+      distance: z.reach,
+      ...alongLine(z.reach),
+      hazardId: z.id,
+      hazardType: z.type
+    });
+  }
+  layups.sort((a, b) => a.distance - b.distance);
+
+  return {
+    result: {
+      courseId: h.courseId,
+      holeNumber,
+      par: h.par,
+      teeSetId: h.teeSetId,
+      holeYardage: h.holeYardage,
+      position: { lat: position.lat, lon: position.lon },
+      green: {
+        front: green.front ? yardsBetween(position, green.front) : greenEdges ? greenEdges.frontCarry : null,
+        center: h.distanceToGreen,
+        back: green.back ? yardsBetween(position, green.back) : greenEdges ? greenEdges.backCarry : null
+      },
+      hazards,
+      layups
+    }
+  };
+}
+
+module.exports = { buildHoleDistances, LAYUP_LEAVE_YARDS };
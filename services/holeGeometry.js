@@ -0,0 +1,268 @@
+"use strict";
+
+/**
+ * Polygon / linestring hole features (golf_hole_features, migration 014).
+ *
+ * Shapes travel as GeoJSON-ordered [lon, lat] pairs: a polygon's outer ring
+ * (closed, first point repeated) or a line. This module validates shapes
+ * coming from OSM ways and admin uploads and measures them against a line
+ * of play:
+ *
+ *   frontCarry / backCarry   yards along origin → target to the near and
+ *                            far edge ("carry the front: 238, clear it: 261").
+ *                            Where the shape crosses the line of play these
+ *                            are where the line enters and leaves it;
+ *                            otherwise the nearest / farthest vertex.
+ *   nearestLateralOffset     yards from the line to the closest point of the
+ *                            shape (negative = left, 0 when it crosses).
+ *
+ * Measurements use a flat local frame centred on the origin, which is well
+ * inside a yard over the length of a hole.
+ */
+
+const { HAZARD_TYPES } = require("./hazardClassifier");
+
+const EARTH_RADIUS_M = 6_371_000;
+// Defined here because hazardEngine requires this module; import them
+// from hazardEngine everywhere else.
+const METERS_TO_YARDS = 1.09361;
+const YARDS_TO_METERS = 0.9144;
+const MAX_VERTICES = 2000;
+
+// What a feature can be: any normalized hazard type, plus playing surfaces.
+const FEATURE_TYPES = new Set([...Object.values(HAZARD_TYPES), "green", "fairway", "tee"]);
+
+// OSM golf=* surfaces that aren't hazards but are worth an outline.
+const OSM_SURFACE_TYPES = Object.freeze({ green: "green", fairway: "fairway" });
+
+// OSM lines that are never areas even when closed (a ring-shaped fence).
+const LINEAR_TAGS = Object.freeze({ waterway: true, barrier: true, natural: new Set(["tree_row"]) });
+
+/** Flat east (x) / north (y) offset of `p` from `origin`, in yards. */
+function toLocalYards(origin, p) {
+  const latRad = (origin.lat * Math.PI) / 180;
+  const east = ((p.lon - origin.lon) * Math.PI) / 180 * Math.cos(latRad) * EARTH_RADIUS_M;
+  const north = ((p.lat - origin.lat) * Math.PI) / 180 * EARTH_RADIUS_M;
+  return { x: east * METERS_TO_YARDS, y: north * METERS_TO_YARDS };
+}
+
+function round6(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+function validPair(p) {
+  return Array.isArray(p) && p.length >= 2 &&
+    Number.isFinite(p[0]) && Number.isFinite(p[1]) && Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90;
+}
+
+function samePoint(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+/**
+ * Validate a GeoJSON Polygon / LineString (or a Feature wrapping one).
+ * Only a polygon's outer ring is kept; holes in it don't change carries.
+ *
+ * @returns {{ value: { kind: "polygon"|"linestring", coordinates: number[][] } }|{ error: string }}
+ */
+function normalizeGeometry(raw) {
+  const geometry = raw && raw.type === "Feature" ? raw.geometry : raw;
+  if (!geometry || typeof geometry !== "object") return { error: "geometry must be a GeoJSON Polygon or LineString." };
+
+  let kind;
+  let points;
+  if (geometry.type === "Polygon") {
+    kind = "polygon";
+    points = Array.isArray(geometry.coordinates) ? geometry.coordinates[0] : null;
+  } else if (geometry.type === "LineString") {
+    kind = "linestring";
+    points = geometry.coordinates;
+  } else {
+    return { error: "geometry must be a GeoJSON Polygon or LineString." };
+  }
+  if (!Array.isArray(points) || !points.every(validPair)) {
+    return { error: "coordinates must be [lon, lat] pairs." };
+  }
+  const coordinates = points.map((p) => [round6(p[0]), round6(p[1])]);
+  if (kind === "polygon") {
+    if (coordinates.length > 0 && !samePoint(coordinates[0], coordinates[coordinates.length - 1])) {
+      coordinates.push([...coordinates[0]]);
+    }
+    if (coordinates.length < 4) return { error: "a polygon needs at least three distinct points." };
+  } else if (coordinates.length < 2) {
+    return { error: "a line needs at least two points." };
+  }
+  if (coordinates.length > MAX_VERTICES) return { error: `geometry is limited to ${MAX_VERTICES} points.` };
+  return { value: { kind, coordinates } };
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Validate one uploaded GeoJSON Feature. Properties:
+ *   holeNumber   1-18, or null/absent for a course-wide feature
+ *   featureType  a FEATURE_TYPES value
+ *   label        optional free text
+ *   poiId        optional golf_hole_pois id the outline belongs to
+ *
+ * @returns {{ value: object }|{ error: string }}
+ */
+function normalizeFeatureInput(feature) {
+  if (!feature || feature.type !== "Feature") return { error: "expected a GeoJSON Feature." };
+  const props = feature.properties && typeof feature.properties === "object" ? feature.properties : {};
+
+  const featureType = typeof props.featureType === "string" ? props.featureType.trim().toLowerCase() : "";
+  if (!FEATURE_TYPES.has(featureType)) {
+    return { error: `featureType must be one of: ${[...FEATURE_TYPES].join(", ")}.` };
+  }
+  let holeNumber = null;
+  if (props.holeNumber != null) {
+    holeNumber = Number(props.holeNumber);
+    if (!Number.isInteger(holeNumber) || holeNumber < 1 || holeNumber > 18) {
+      return { error: "holeNumber must be an integer 1-18." };
+    }
+  }
+  if (props.poiId != null && !UUID_RE.test(String(props.poiId))) return { error: "poiId must be a UUID." };
+
+  const shape = normalizeGeometry(feature.geometry);
+  if (shape.error) return shape;
+  return {
+    value: {
+      holeNumber,
+      featureType,
+      label: typeof props.label === "string" && props.label.trim() ? props.label.trim().slice(0, 120) : null,
+      poiId: props.poiId != null ? String(props.poiId) : null,
+      ...shape.value
+    }
+  };
+}
+
+/**
+ * Shape of an Overpass way returned with `out geom`, or null when it has
+ * no usable geometry. Closed ways are areas unless their tags say line.
+ */
+function fromOsmWay(el) {
+  if (!el || !Array.isArray(el.geometry) || el.geometry.length < 2) return null;
+  const coordinates = el.geometry
+    .filter((p) => p && Number.isFinite(p.lat) && Number.isFinite(p.lon))
+    .map((p) => [p.lon, p.lat]);
+  const t = el.tags || {};
+  const linear = Boolean(t.waterway) || Boolean(t.barrier) || LINEAR_TAGS.natural.has(t.natural);
+  const closed = coordinates.length >= 4 && samePoint(coordinates[0], coordinates[coordinates.length - 1]);
+  const normalized = normalizeGeometry({
+    type: closed && !linear ? "Polygon" : "LineString",
+    coordinates: closed && !linear ? [coordinates] : coordinates
+  });
+  return normalized.value || null;
+}
+
+/** GeoJSON geometry object for a stored shape. */
+function toGeoJsonGeometry({ kind, coordinates }) {
+  return kind === "polygon"
+    ? { type: "Polygon", coordinates: [coordinates] }
+    : { type: "LineString", coordinates };
+}
+
+/** Area centroid of a polygon (vertex mean for lines), as { lat, lon }. */
+function featureCentroid({ kind, coordinates }) {
+  const origin = { lat: coordinates[0][1], lon: coordinates[0][0] };
+  const pts = coordinates.map(([lon, lat]) => toLocalYards(origin, { lat, lon }));
+  let cx = 0;
+  let cy = 0;
+  if (kind === "polygon") {
+    let area = 0;
+    for (let i = 0; i < pts.length - 1; i++) {
+      const a = pts[i];
+      const b = pts[i + 1];
+      const cross = a.x * b.y - b.x * a.y;
+      area += cross;
+      cx += (a.x + b.x) * cross;
+      cy += (a.y + b.y) * cross;
+    }
+    if (Math.abs(area) > 1e-9) {
+      cx /= 3 * area;
+      cy /= 3 * area;
+    } else {
+      cx = cy = 0;
+      for (const p of pts) { cx += p.x; cy += p.y; }
+      cx /= pts.length;
+      cy /= pts.length;
+    }
+  } else {
+    for (const p of pts) { cx += p.x; cy += p.y; }
+    cx /= pts.length;
+    cy /= pts.length;
+  }
+  const latRad = (origin.lat * Math.PI) / 180;
+  const meters = (yards) => yards / METERS_TO_YARDS;
+  return {
+    lat: round6(origin.lat + (meters(cy) / EARTH_RADIUS_M) * (180 / Math.PI)),
+    lon: round6(origin.lon + (meters(cx) / (EARTH_RADIUS_M * Math.cos(latRad))) * (180 / Math.PI))
+  };
+}
+
+/**
+ * Near/far edge carries and closest lateral offset of a shape, measured
+ * along origin → target.
+ *
+ * @param {{ lat: number, lon: number }} origin
+ * @param {{ lat: number, lon: number }} target
+ * @param {{ kind: string, coordinates: number[][] }} shape
+ * @returns {{ frontCarry: number, backCarry: number, nearestLateralOffset: number, crossesLine: boolean }|null}
+ */
+function edgeCarries(origin, target, shape) {
+  if (!shape || !Array.isArray(shape.coordinates) || shape.coordinates.length < 2) return null;
+  const t = toLocalYards(origin, target);
+  const len = Math.hypot(t.x, t.y);
+  if (len < 1) return null;
+  const ux = t.x / len;
+  const uy = t.y / len;
+  // carry along the line, lateral positive to the right of it
+  const pts = shape.coordinates.map(([lon, lat]) => {
+    const p = toLocalYards(origin, { lat, lon });
+    return { c: p.x * ux + p.y * uy, l: p.x * uy - p.y * ux };
+  });
+
+  const crossings = [];
+  for (let i = 0; i < pts.length - 1; i++) {
+    const a = pts[i];
+    const b = pts[i + 1];
+    if (a.l === 0) crossings.push(a.c);
+    if ((a.l < 0 && b.l > 0) || (a.l > 0 && b.l < 0)) {
+      crossings.push(a.c + ((b.c - a.c) * a.l) / (a.l - b.l));
+    }
+  }
+  if (pts[pts.length - 1].l === 0) crossings.push(pts[pts.length - 1].c);
+  const ahead = crossings.filter((c) => c >= 0);
+
+  if (ahead.length > 0) {
+    return {
+      frontCarry: Math.round(Math.min(...ahead)),
+      backCarry: Math.round(Math.max(...ahead)),
+      nearestLateralOffset: 0,
+      crossesLine: true
+    };
+  }
+  let nearest = pts[0];
+  for (const p of pts) if (Math.abs(p.l) < Math.abs(nearest.l)) nearest = p;
+  return {
+    frontCarry: Math.round(Math.min(...pts.map((p) => p.c))),
+    backCarry: Math.round(Math.max(...pts.map((p) => p.c))),
+    nearestLateralOffset: Math.round(nearest.l),
+    crossesLine: false
+  };
+}
+
+module.exports = {
+  FEATURE_TYPES,
+  OSM_SURFACE_TYPES,
+  normalizeGeometry,
+  normalizeFeatureInput,
+  fromOsmWay,
+  toGeoJsonGeometry,
+  featureCentroid,
+  edgeCarries,
+  toLocalYards,
+  METERS_TO_YARDS,
+  YARDS_TO_METERS
+};
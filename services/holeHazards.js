@@ -0,0 +1,126 @@
+"use strict";
+
+/**
+ * Hazards for one hole measured from a tee set or from the golfer's
+ * position, for GET /api/course-context/:courseId/holes/:n/hazards.
+ *
+ * Thin resolution layer over hazardEngine.computeHazardsForTee: picks the
+ * origin (per-tee coordinate, legacy tee POI, or a GPS position), the green
+ * center and the hole length, then joins the engine's carry / lateral /
+ * in-play / severity back onto each POI's identity and provenance. Hazards
+ * with an outline (golf_hole_features) also get front / back edge carries
+ * and the closest lateral offset of the outline. With a shot pattern
+ * (shotDispersion.patternForClub) in-play is the chance that club's shot
+ * finds each hazard rather than the generic reach window. Shot
+ * recommendations use the same engine, so every client sees the same
+ * numbers.
+ */
+
+const { computeHazardsForTee, yardsBetween } = require("./hazardEngine");
+
+/**
+ * @param {object} input
+ * @param {object} input.context                   getRoundCourseContext() result
+ * @param {number} input.holeNumber
+ * @param {string|null} [input.teeSetId]           tee set to measure from / take the hole length from
+ * @param {{ lat: number, lon: number }|null} [input.position]  measure from here instead of the tee
+ * @param {object|null} [input.pattern]           shot pattern for the club being hit
+ * @param {number} [input.aimOffsetYards=0]
+ * @returns {{ result: object }|{ error: string, status: number }}
+ */
+function buildHoleHazards({ context, holeNumber, teeSetId = null, position = null, pattern = null, aimOffsetYards = 0 }) {
+  const hole = context.holes.find((h) => h.hole_number === holeNumber);
+  if (!hole) return { error: `Hole ${holeNumber} not found on this course.`, status: 404 };
+
+  let tee = null;
+  if (teeSetId != null) {
+    tee = context.tees.find((t) => String(t.id) === String(teeSetId));
+    if (!tee) return { error: "teeSetId does not belong to this course.", status: 400 };
+  }
+  if (!tee && !position) return { error: "teeSetId or lat/lon is required.", status: 400 };
+
+  const greenCenter = hole.green && hole.green.center;
+  if (!greenCenter) return { error: `Hole ${holeNumber} has no green geometry.`, status: 422 };
+
+  const holeTee = tee ? hole.tees.find((t) => String(t.tee_set_id) === String(tee.id)) : null;
+  const length = tee ? hole.hole_lengths.find((l) => String(l.tee_set_id) === String(tee.id)) : null;
+  const holeYardage = length ? length.yardage : holeTee && holeTee.yardage ? Number(holeTee.yardage) : null;
+
+  let origin;
+  let measuredFrom;
+  if (position) {
+    origin = position;
+    measuredFrom = "position";
+  } else if (holeTee && holeTee.coordinate) {
+    origin = holeTee.coordinate;
+    measuredFrom = holeTee.is_synthesized ? "tee_synthesized" : "tee";
+  } else if (hole.tee_front) {
+    origin = hole.tee_front;
+    measuredFrom = "tee_front";
+  } else {
+    return { error: `Hole ${holeNumber} has no tee coordinate; pass lat/lon.`, status: 422 };
+  }
+
+  const distanceToGreen = yardsBetween(origin, greenCenter);
+  // From the tee the hole plays its card length; from anywhere else, what is left.
+  const playLength = position ? distanceToGreen : holeYardage || distanceToGreen;
+
+  const pois = hole.hazard_pois || [];
+  const measured = computeHazardsForTee(
+    origin,
+    greenCenter,
+    pois.map((p) => ({
+      poi_type: p.normalized_type || p.type,
+      location_label: p.location_label,
+      fairway_side: p.fairway_side,
+      lat: p.lat,
+      lon: p.lon,
+      geometry: p.geometry || null
+    })),
+    playLength,
+    { pattern, aimOffsetYards }
+  );
+
+  const hazards = measured
+    .map((h, i) => ({
+      id: pois[i].id || null,
+      type: h.type,
+      rawType: pois[i].type || null,
+      locationLabel: h.locationLabel,
+      fairwaySide: h.fairwaySide,
+      lat: h.lat,
+      lon: h.lon,
+      distanceFromTee: h.distanceFromTee,
+      carryDistance: h.carryDistance,
+      lateralOffset: h.lateralOffset,
+      frontEdgeCarry: h.frontEdgeCarry,
+      backEdgeCarry: h.backEdgeCarry,
+      nearestLateralOffset: h.nearestLateralOffset,
+      geometryKind: pois[i].geometry ? pois[i].geometry.kind : null,
+      isInPlay: h.isInPlay,
+      inPlayProbability: h.inPlayProbability,
+      severity: h.severity,
+      sourceType: pois[i].source_type || null,
+      confidence: pois[i].confidence != null ? pois[i].confidence : null
+    }))
+    .sort((a, b) => a.carryDistance - b.carryDistance);
+
+  return {
+    result: {
+      courseId: context.course.id,
+      holeNumber,
+      par: hole.par,
+      teeSetId: tee ? tee.id : null,
+      teeName: tee ? tee.name : null,
+      holeYardage,
+      origin: { lat: origin.lat, lon: origin.lon, measuredFrom },
+      greenCenter,
+      distanceToGreen,
+      club: pattern ? pattern.club : null,
+      hazards,
+      inPlayCount: hazards.filter((h) => h.isInPlay).length
+    }
+  };
+}
+
+module.exports = { buildHoleHazards };
@@ -0,0 +1,154 @@
+"use strict";
+
+/**
+ * Image preprocessing for the vision endpoints.
+ *
+ * Phones upload full-resolution photos (often 3–8 MB, 4032×3024) with
+ * EXIF attached — including GPS. Before an image goes to the model it is:
+ *
+ *   1. typed by its magic bytes (the declared mimetype / data URL prefix
+ *      is ignored) — JPEG, PNG, WebP and GIF are accepted
+ *   2. rotated upright from the EXIF orientation, then stripped of all
+ *      metadata (EXIF, GPS, XMP, ICC)
+ *   3. downscaled so its longest edge is at most VISION_MAX_EDGE_PX
+ *      (default 1536; never upscaled)
+ *   4. re-encoded as JPEG at VISION_JPEG_QUALITY (default 82), with any
+ *      transparency flattened onto white
+ *
+ * The result carries `diagnostics` (original vs. sent bytes and
+ * dimensions) for the response. Problems with the upload itself throw an
+ * error with `statusCode` (400 undecodable, 415 wrong type) and
+ * `imageInput: true`.
+ */
+
+const sharp = require("sharp");
+
+const DEFAULT_MAX_EDGE_PX = 1536;
+const DEFAULT_JPEG_QUALITY = 82;
+
+const MAX_EDGE_PX = positiveInt(process.env.VISION_MAX_EDGE_PX, DEFAULT_MAX_EDGE_PX);
+const JPEG_QUALITY = Math.min(positiveInt(process.env.VISION_JPEG_QUALITY, DEFAULT_JPEG_QUALITY), 100);
+
+const SUPPORTED_TYPES = Object.freeze(["image/jpeg", "image/png", "image/webp", "image/gif"]);
+
+function imageError(message, statusCode) {
+  return Object.assign(new Error(message), { statusCode, imageInput: true });
+}
+
+function positiveInt(raw, fallback) {
+  const n = parseInt(raw, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  for (let i = 0; i < bytes.length; i++) {
+    if (buffer[offset + i] !== bytes[i]) return false;
+  }
+  return true;
+}
+
+const ascii = (text) => Array.from(text, (c) => c.charCodeAt(0));
+
+/**
+ * Image type from the file signature.
+ *
+ * @param {Buffer} buffer
+ * @returns {string|null} mime type, "image/heic" for HEIF containers, or null
+ */
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer)) return null;
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (startsWith(buffer, ascii("GIF87a")) || startsWith(buffer, ascii("GIF89a"))) return "image/gif";
+  if (startsWith(buffer, ascii("RIFF")) && startsWith(buffer, ascii("WEBP"), 8)) return "image/webp";
+  if (startsWith(buffer, ascii("ftyp"), 4)) {
+    const brand = buffer.toString("latin1", 8, 12);
+    if (["heic", "heix", "hevc", "heim", "heis", "mif1", "msf1"].includes(brand)) return "image/heic";
+  }
+  return null;
+}
+
+/**
+ * Bytes of a JSON-mode image: raw base64 or a data:image/…;base64 URL.
+ *
+ * @returns {Buffer|null}
+ */
+function decodeBase64Image(base64OrDataUrl) {
+  if (!base64OrDataUrl || typeof base64OrDataUrl !== "string") return null;
+  let payload = base64OrDataUrl.trim();
+  if (payload.startsWith("data:")) {
+    const comma = payload.indexOf(",");
+    if (comma === -1 || !/;base64$/i.test(payload.slice(0, comma))) return null;
+    payload = payload.slice(comma + 1);
+  }
+  const buffer = Buffer.from(payload, "base64");
+  return buffer.length ? buffer : null;
+}
+
+/**
+ * Validate, clean and shrink one image.
+ *
+ * @param {Buffer} buffer
+ * @param {object} [opts]
+ * @param {number} [opts.maxEdgePx]
+ * @param {number} [opts.quality]  JPEG quality 1–100
+ * @returns {Promise<{ buffer: Buffer, dataUrl: string, diagnostics: object }>}
+ */
+async function preprocessImage(buffer, { maxEdgePx = MAX_EDGE_PX, quality = JPEG_QUALITY } = {}) {
+  const originalType = detectImageType(buffer);
+  if (!originalType) {
+    throw imageError("Unrecognised image data. Send a JPEG, PNG, WebP or GIF.", 415);
+  }
+  if (!SUPPORTED_TYPES.includes(originalType)) {
+    throw imageError(`Unsupported image type ${originalType}. Send a JPEG, PNG, WebP or GIF.`, 415);
+  }
+
+  let meta;
+  let output;
+  try {
+    const image = sharp(buffer, { failOn: "error" });
+    meta = await image.metadata();
+    // rotate() bakes the EXIF orientation into the pixels; sharp drops all
+    // metadata on output unless withMetadata() is asked for.
+    output = await image
+      .rotate()
+      .resize({ width: maxEdgePx, height: maxEdgePx, fit: "inside", withoutEnlargement: true })
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality })
+      .toBuffer({ resolveWithObject: true });
+  } catch (err) {
+    throw imageError(`Image could not be decoded: ${err.message}`, 400);
+  }
+
+  // EXIF orientations 5–8 swap width and height.
+  const upright = meta.orientation >= 5;
+  const originalWidth = upright ? meta.height : meta.width;
+  const originalHeight = upright ? meta.width : meta.height;
+
+  return {
+    buffer: output.data,
+    dataUrl: `data:image/jpeg;base64,${output.data.toString("base64")}`,
+    diagnostics: {
+      originalType,
+      originalBytes: buffer.length,
+      originalWidth,
+      originalHeight,
+      sentType: "image/jpeg",
+      sentBytes: output.data.length,
+      sentWidth: output.info.width,
+      sentHeight: output.info.height,
+      resized: output.info.width !== originalWidth || output.info.height !== originalHeight,
+      metadataStripped: Boolean(meta.exif || meta.xmp || meta.icc || meta.iptc)
+    }
+  };
+}
+
+module.exports = {
+  detectImageType,
+  decodeBase64Image,
+  preprocessImage,
+  SUPPORTED_TYPES,
+  MAX_EDGE_PX,
+  JPEG_QUALITY
+};
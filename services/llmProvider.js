@@ -0,0 +1,310 @@
+"use strict";
+
+/**
+ * LLM provider layer.
+ *
+ * Every model call in the backend goes through `getProvider().chat()`, so
+ * routes never know which vendor answers. Selected by `LLM_PROVIDER`:
+ *
+ *   openai            (default) api.openai.com with OPENAI_API_KEY
+ *   openai_compatible any /v1/chat/completions endpoint at LLM_BASE_URL,
+ *                     key in LLM_API_KEY (falls back to OPENAI_API_KEY)
+ *   mock              no network; replays JSON fixtures from
+ *                     LLM_MOCK_FIXTURES_DIR (default data/llm-fixtures)
+ *
+ * `LLM_MODEL` forces one model name for every call — needed for
+ * OpenAI-compatible vendors whose model ids differ from modelRouter's.
+ *
+ * Provider contract:
+ *   name            string
+ *   configError()   string|null — why the provider can't serve calls
+ *   chat({ model, messages }) → Promise<{ content: string|null, model: string,
+ *                   usage: { promptTokens, completionTokens }|null }>
+ *                   rejects with `statusCode` + `detail` on provider errors
+ *   stream({ model, messages, onDelta, signal }) → same result as chat();
+ *                   `onDelta(text)` is called for each chunk as it arrives
+ */
+
+const fs = require("fs");
+const path = require("path");
+const fetch = require("node-fetch");
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "..", "data", "llm-fixtures");
+const MOCK_CHUNK_CHARS = 16; // mock streams replay fixtures in chunks this size
+
+function providerError(message, statusCode = 500) {
+  return Object.assign(new Error(message), { statusCode, detail: message });
+}
+
+/** OpenAI `usage` → `{ promptTokens, completionTokens }`, or null. */
+function usageFrom(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const promptTokens = Number(raw.prompt_tokens);
+  const completionTokens = Number(raw.completion_tokens);
+  if (!Number.isFinite(promptTokens) && !Number.isFinite(completionTokens)) return null;
+  return {
+    promptTokens: Number.isFinite(promptTokens) ? promptTokens : 0,
+    completionTokens: Number.isFinite(completionTokens) ? completionTokens : 0
+  };
+}
+
+/**
+ * OpenAI, or anything speaking the same chat-completions protocol.
+ *
+ * @param {object} opts
+ * @param {string} opts.name
+ * @param {string} opts.baseUrl       e.g. https://api.openai.com/v1
+ * @param {string|null} opts.apiKey
+ * @param {string|null} [opts.modelOverride]
+ * @param {Function} [opts.fetchImpl]  injectable for tests
+ */
+function createChatCompletionsProvider({ name, baseUrl, apiKey, modelOverride = null, fetchImpl = fetch }) {
+  const url = `${String(baseUrl || "").replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name,
+    configError() {
+      if (!baseUrl) return "Missing LLM_BASE_URL";
+      if (!apiKey) return name === "openai" ? "Missing OPENAI_API_KEY" : "Missing LLM_API_KEY";
+      return null;
+    },
+    async chat({ model, messages }) {
+      const problem = this.configError();
+      if (problem) throw providerError(problem);
+
+      const effectiveModel = modelOverride || model;
+      const response = await fetchImpl(url, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ model: effectiveModel, messages })
+      });
+
+      let data;
+      try {
+        data = await response.json();
+      } catch {
+        throw providerError(`Non-JSON response from ${name} (HTTP ${response.status})`);
+      }
+      if (data.error) {
+        throw providerError(String(data.error.message || data.error.type || "provider_error").slice(0, 200));
+      }
+      return {
+        content: data?.choices?.[0]?.message?.content ?? null,
+        model: effectiveModel,
+        usage: usageFrom(data.usage)
+      };
+    },
+    async stream({ model, messages, onDelta, signal }) {
+      const problem = this.configError();
+      if (problem) throw providerError(problem);
+
+      const effectiveModel = modelOverride || model;
+      const response = await fetchImpl(url, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" },
+        // include_usage adds a final chunk carrying token counts.
+        body: JSON.stringify({ model: effectiveModel, messages, stream: true, stream_options: { include_usage: true } }),
+        signal
+      });
+
+      if (response.status >= 400) {
+        let data = null;
+        try {
+          data = await response.json();
+        } catch {
+          // fall through to the generic message
+        }
+        const message = data?.error?.message || data?.error?.type || `HTTP ${response.status} from ${name}`;
+        throw providerError(String(message).slice(0, 200));
+      }
+
+      let content = "";
+      let usage = null;
+      for await (const data of sseDataLines(response.body)) {
+        if (data === "[DONE]") break;
+        let chunk;
+        try {
+          chunk = JSON.parse(data);
+        } catch {
+          continue;
+        }
+        if (chunk.error) {
+          throw providerError(String(chunk.error.message || chunk.error.type || "provider_error").slice(0, 200));
+        }
+        if (chunk.usage) usage = usageFrom(chunk.usage);
+        const delta = chunk?.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+      }
+      return { content, model: effectiveModel, usage };
+    }
+  };
+}
+
+/**
+ * Yield the payload of each `data:` line of an upstream SSE body
+ * (a Node readable / async iterable of Buffers).
+ */
+async function* sseDataLines(body) {
+  const decoder = new TextDecoder(); // keeps multi-byte chars split across chunks intact
+  let buffered = "";
+  for await (const chunk of body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffered.indexOf("\n")) !== -1) {
+      const line = buffered.slice(0, newline).replace(/\r$/, "");
+      buffered = buffered.slice(newline + 1);
+      if (line.startsWith("data:")) yield line.slice(5).trim();
+    }
+  }
+  if (buffered.startsWith("data:")) yield buffered.slice(5).trim();
+}
+
+/**
+ * Flatten message content (string or multimodal parts) to text for matching.
+ */
+function messageText(message) {
+  if (!message) return "";
+  if (typeof message.content === "string") return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter((part) => part && part.type === "text")
+      .map((part) => part.text || "")
+      .join("\n");
+  }
+  return "";
+}
+
+function loadFixtures(dir) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort();
+  } catch {
+    return [];
+  }
+  const fixtures = [];
+  for (const file of files) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      for (const fx of Array.isArray(parsed) ? parsed : [parsed]) {
+        fixtures.push({ name: fx.name || file, match: fx.match || null, response: fx.response });
+      }
+    } catch (err) {
+      console.warn(`[LLM] skipping fixture ${file}: ${err.message}`);
+    }
+  }
+  return fixtures;
+}
+
+function fixtureMatches(fx, { model, system, user }) {
+  const m = fx.match;
+  if (!m) return false;
+  if (m.model && m.model !== model) return false;
+  if (m.system && !system.includes(m.system)) return false;
+  if (m.user && !user.includes(m.user)) return false;
+  return true;
+}
+
+/**
+ * Deterministic offline provider. Fixtures are `{ name, match?, response }`
+ * (one per file or an array). `match` keys — `system`, `user` (substring)
+ * and `model` (exact) — must all hold; the first matching fixture in file
+ * order wins, and a fixture without `match` is the catch-all. Object
+ * responses are JSON-encoded. With `record: true` every call is kept in
+ * `calls` for tests to inspect; the env-built provider (LLM_PROVIDER=mock
+ * on a long-running server) records nothing.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.fixturesDir]
+ * @param {Array} [opts.fixtures]  in-memory fixtures (take precedence over the directory)
+ * @param {boolean} [opts.record=false]
+ */
+function createMockProvider({ fixturesDir = DEFAULT_FIXTURES_DIR, fixtures = null, record = false } = {}) {
+  let loaded = fixtures;
+  const calls = [];
+
+  return {
+    name: "mock",
+    calls,
+    configError() {
+      return null;
+    },
+    async chat({ model, messages }) {
+      if (!loaded) loaded = loadFixtures(fixturesDir);
+      const system = messageText(messages.find((m) => m.role === "system"));
+      const user = messages.filter((m) => m.role === "user").map(messageText).join("\n");
+      if (record) calls.push({ model, system, user });
+
+      const fx = loaded.find((f) => fixtureMatches(f, { model, system, user })) || loaded.find((f) => !f.match);
+      if (!fx) throw providerError("No mock fixture matches this request", 500);
+      const content = typeof fx.response === "string" ? fx.response : JSON.stringify(fx.response);
+      // Rough 4-chars-per-token estimate so metering has something to count.
+      const usage = {
+        promptTokens: Math.ceil((system.length + user.length) / 4),
+        completionTokens: Math.ceil(content.length / 4)
+      };
+      return { content, model: `mock:${model}`, usage };
+    },
+    async stream({ model, messages, onDelta }) {
+      const result = await this.chat({ model, messages });
+      for (let i = 0; i < result.content.length; i += MOCK_CHUNK_CHARS) {
+        onDelta(result.content.slice(i, i + MOCK_CHUNK_CHARS));
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * Build the provider described by `env`.
+ */
+function createProviderFromEnv(env = process.env) {
+  const kind = String(env.LLM_PROVIDER || "openai").trim().toLowerCase();
+  const modelOverride = env.LLM_MODEL || null;
+  if (kind === "mock") {
+    return createMockProvider({ fixturesDir: env.LLM_MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR });
+  }
+  if (kind === "openai_compatible") {
+    return createChatCompletionsProvider({
+      name: "openai_compatible",
+      baseUrl: env.LLM_BASE_URL || null,
+      apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || null,
+      modelOverride
+    });
+  }
+  if (kind !== "openai") console.warn(`[LLM] unknown LLM_PROVIDER "${kind}", using openai`);
+  return createChatCompletionsProvider({
+    name: "openai",
+    baseUrl: OPENAI_BASE_URL,
+    apiKey: env.OPENAI_API_KEY || null,
+    modelOverride
+  });
+}
+
+let currentProvider = null;
+
+/** The process-wide provider, built from the environment on first use. */
+function getProvider() {
+  if (!currentProvider) {
+    currentProvider = createProviderFromEnv();
+    console.log(`[LLM] provider=${currentProvider.name}`);
+  }
+  return currentProvider;
+}
+
+/** Replace the process-wide provider (tests, scripts). Pass null to reset. */
+function setProvider(provider) {
+  currentProvider = provider;
+}
+
+module.exports = {
+  getProvider,
+  setProvider,
+  createProviderFromEnv,
+  createChatCompletionsProvider,
+  createMockProvider,
+  DEFAULT_FIXTURES_DIR
+};
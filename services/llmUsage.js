@@ -0,0 +1,285 @@
+"use strict";
+
+/**
+ * LLM usage metering, quotas and cost accounting.
+ *
+ * Every upstream completion (caddie recommendations, /api/openai/*,
+ * schema-repair retries, streams) is written to `llm_usage` (migration
+ * 012) with its token counts, the model, the task type and who it is
+ * charged to. Cache hits are free and not recorded.
+ *
+ * Callers are identified by `callerIdentity(req)`:
+ *   authenticated user      → user_key = <user id>
+ *   anonymous               → user_key = ip:<req.ip>
+ * Nothing the client sends picks the key: a body userId or a hand-written
+ * X-Forwarded-For would let anyone start a fresh quota per request.
+ * req.ip honours the app's "trust proxy" setting (TRUST_PROXY), so behind
+ * Render it is the address the proxy saw, not one the phone claimed.
+ *
+ * Quotas are token budgets per user_key per UTC day and UTC month
+ * (LLM_DAILY_TOKEN_LIMIT, LLM_MONTHLY_TOKEN_LIMIT; 0 disables). Without
+ * a database, or before migration 012 has run, quotas are not enforced
+ * and nothing is recorded — metering never blocks a request on its own
+ * failure.
+ *
+ * Prices are USD per 1M tokens. LLM_PRICING_JSON overrides or adds
+ * models, e.g. {"gpt-5-fast":{"input":1.25,"output":10}}. Models without
+ * a price record cost NULL; mock:* models are free.
+ */
+
+const DEFAULT_PRICING = Object.freeze({
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-5-fast": { input: 1.25, output: 10 },
+  "gpt-5-vision-fast": { input: 1.25, output: 10 }
+});
+
+const DEFAULT_DAILY_TOKEN_LIMIT = 150000;
+const DEFAULT_MONTHLY_TOKEN_LIMIT = 2000000;
+const MAX_SUMMARY_USERS = 50;
+
+let pricingCache = null;
+let unavailableLogged = false;
+
+function loadPricing(env = process.env) {
+  const pricing = { ...DEFAULT_PRICING };
+  if (env.LLM_PRICING_JSON) {
+    try {
+      Object.assign(pricing, JSON.parse(env.LLM_PRICING_JSON));
+    } catch (err) {
+      console.warn("[USAGE] ignoring invalid LLM_PRICING_JSON:", err.message);
+    }
+  }
+  return pricing;
+}
+
+function pricing() {
+  if (!pricingCache) pricingCache = loadPricing();
+  return pricingCache;
+}
+
+/**
+ * Cost of one call in USD, or null when the model has no price.
+ */
+function costUsd(model, usage, table = pricing()) {
+  if (!usage) return null;
+  if (String(model).startsWith("mock:")) return 0;
+  const price = table[model];
+  if (!price) return null;
+  const cost = (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+function limitFrom(raw, fallback) {
+  if (raw == null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+function quotaLimits(env = process.env) {
+  return {
+    daily: limitFrom(env.LLM_DAILY_TOKEN_LIMIT, DEFAULT_DAILY_TOKEN_LIMIT),
+    monthly: limitFrom(env.LLM_MONTHLY_TOKEN_LIMIT, DEFAULT_MONTHLY_TOKEN_LIMIT)
+  };
+}
+
+/**
+ * Who a request is charged to. See the header for the key scheme.
+ *
+ * @returns {{ userKey: string, userId: string|null }}
+ */
+function callerIdentity(req) {
+  if (req.authUser && req.authUser.id != null) {
+    const id = String(req.authUser.id);
+    return { userKey: id, userId: id };
+  }
+  return { userKey: `ip:${req.ip || "unknown"}`, userId: null };
+}
+
+function utcDayStart(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+function utcMonthStart(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+function warnUnavailable(err) {
+  if (unavailableLogged) return;
+  unavailableLogged = true;
+  console.warn("[USAGE] llm_usage unavailable (migration 012 pending?):", err.message);
+}
+
+/**
+ * Check a caller's remaining budget.
+ *
+ * @returns {Promise<{ allowed: boolean, period?: "day"|"month", limitTokens?: number,
+ *   usedTokens?: number, resetAt?: string,
+ *   daily?: { used: number, limit: number }, monthly?: { used: number, limit: number } }>}
+ */
+async function checkQuota(pool, userKey, { limits = quotaLimits(), now = new Date() } = {}) {
+  if (!pool || (!limits.daily && !limits.monthly)) return { allowed: true };
+
+  const dayStart = utcDayStart(now);
+  const monthStart = utcMonthStart(now);
+  let row;
+  try {
+    const r = await pool.query(
+      `SELECT
+         COALESCE(SUM(total_tokens) FILTER (WHERE created_at >= $3), 0)::bigint AS day_tokens,
+         COALESCE(SUM(total_tokens), 0)::bigint AS month_tokens
+       FROM llm_usage
+       WHERE user_key = $1 AND created_at >= $2`,
+      [userKey, monthStart.toISOString(), dayStart.toISOString()]
+    );
+    row = r.rows[0] || {};
+  } catch (err) {
+    warnUnavailable(err);
+    return { allowed: true };
+  }
+
+  const daily = { used: Number(row.day_tokens) || 0, limit: limits.daily };
+  const monthly = { used: Number(row.month_tokens) || 0, limit: limits.monthly };
+
+  if (limits.daily && daily.used >= limits.daily) {
+    const resetAt = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    return { allowed: false, period: "day", limitTokens: limits.daily, usedTokens: daily.used, resetAt: resetAt.toISOString(), daily, monthly };
+  }
+  if (limits.monthly && monthly.used >= limits.monthly) {
+    const resetAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    return { allowed: false, period: "month", limitTokens: limits.monthly, usedTokens: monthly.used, resetAt: resetAt.toISOString(), daily, monthly };
+  }
+  return { allowed: true, daily, monthly };
+}
+
+/**
+ * Body for a 429 and the Retry-After value (seconds) to send with it.
+ */
+function quotaExceededResponse(quota, now = new Date()) {
+  const retryAfterSeconds = Math.max(1, Math.ceil((new Date(quota.resetAt).getTime() - now.getTime()) / 1000));
+  return {
+    retryAfterSeconds,
+    body: {
+      error: `LLM usage quota exceeded for this ${quota.period}.`,
+      code: "llm_quota_exceeded",
+      period: quota.period,
+      limitTokens: quota.limitTokens,
+      usedTokens: quota.usedTokens,
+      resetAt: quota.resetAt
+    }
+  };
+}
+
+/**
+ * Insert one usage row. Returns true when written.
+ */
+async function recordUsage(pool, { userKey, userId = null, endpoint, taskType = null, model, usage, correlationId = null }) {
+  if (!pool || !usage || !model) return false;
+  const total = usage.promptTokens + usage.completionTokens;
+  try {
+    await pool.query(
+      `INSERT INTO llm_usage (
+         user_key, user_id, endpoint, task_type, model,
+         prompt_tokens, completion_tokens, total_tokens, cost_usd, correlation_id
+       ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
+      [
+        userKey,
+        userId,
+        endpoint,
+        taskType,
+        model,
+        usage.promptTokens,
+        usage.completionTokens,
+        total,
+        costUsd(model, usage),
+        correlationId
+      ]
+    );
+    return true;
+  } catch (err) {
+    warnUnavailable(err);
+    return false;
+  }
+}
+
+/**
+ * Bind the per-request fields once; `record(result)` takes a provider /
+ * generateCaddieResponse result and never throws.
+ */
+function createMeter(pool, base) {
+  return {
+    record(result) {
+      if (!result || !result.usage) return Promise.resolve(false);
+      return recordUsage(pool, { ...base, model: result.model, usage: result.usage });
+    }
+  };
+}
+
+function spendRow(r) {
+  return {
+    calls: Number(r.calls) || 0,
+    promptTokens: Number(r.prompt_tokens) || 0,
+    completionTokens: Number(r.completion_tokens) || 0,
+    totalTokens: Number(r.total_tokens) || 0,
+    costUsd: r.cost_usd == null ? 0 : Number(r.cost_usd),
+    unpricedCalls: Number(r.unpriced_calls) || 0
+  };
+}
+
+const SPEND_COLUMNS = `
+  COUNT(*)::int AS calls,
+  COALESCE(SUM(prompt_tokens), 0)::bigint AS prompt_tokens,
+  COALESCE(SUM(completion_tokens), 0)::bigint AS completion_tokens,
+  COALESCE(SUM(total_tokens), 0)::bigint AS total_tokens,
+  COALESCE(SUM(cost_usd), 0) AS cost_usd,
+  COUNT(*) FILTER (WHERE cost_usd IS NULL)::int AS unpriced_calls`;
+
+/**
+ * Spend over the last `days`, by day, model, task type and user.
+ */
+async function summarizeUsage(pool, { days = 30 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const [totals, byDay, byModel, byTaskType, byUser] = await Promise.all([
+    pool.query(`SELECT ${SPEND_COLUMNS} FROM llm_usage WHERE created_at >= $1`, [since]),
+    pool.query(
+      `SELECT to_char(date_trunc('day', created_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS day, ${SPEND_COLUMNS}
+       FROM llm_usage WHERE created_at >= $1 GROUP BY 1 ORDER BY 1 DESC`,
+      [since]
+    ),
+    pool.query(
+      `SELECT model, ${SPEND_COLUMNS} FROM llm_usage WHERE created_at >= $1 GROUP BY model ORDER BY cost_usd DESC, total_tokens DESC`,
+      [since]
+    ),
+    pool.query(
+      `SELECT task_type, ${SPEND_COLUMNS} FROM llm_usage WHERE created_at >= $1 GROUP BY task_type ORDER BY total_tokens DESC`,
+      [since]
+    ),
+    pool.query(
+      `SELECT user_key, MAX(user_id) AS user_id, ${SPEND_COLUMNS}
+       FROM llm_usage WHERE created_at >= $1
+       GROUP BY user_key ORDER BY cost_usd DESC, total_tokens DESC LIMIT ${MAX_SUMMARY_USERS}`,
+      [since]
+    )
+  ]);
+
+  return {
+    windowDays: days,
+    totals: spendRow(totals.rows[0] || {}),
+    byDay: byDay.rows.map((r) => ({ day: r.day, ...spendRow(r) })),
+    byModel: byModel.rows.map((r) => ({ model: r.model, ...spendRow(r) })),
+    byTaskType: byTaskType.rows.map((r) => ({ taskType: r.task_type, ...spendRow(r) })),
+    byUser: byUser.rows.map((r) => ({ userKey: r.user_key, userId: r.user_id, authenticated: r.user_id != null, ...spendRow(r) }))
+  };
+}
+
+module.exports = {
+  DEFAULT_PRICING,
+  loadPricing,
+  costUsd,
+  quotaLimits,
+  callerIdentity,
+  checkQuota,
+  quotaExceededResponse,
+  recordUsage,
+  createMeter,
+  summarizeUsage
+};
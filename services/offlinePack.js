@@ -0,0 +1,127 @@
+"use strict";
+
+/**
+ * Offline course pack: everything the app needs to play a course without
+ * signal, in one versioned artifact, for GET /api/courses/:id/offline-pack.
+ *
+ * Built from getRoundCourseContext:
+ *   course        id, name, location
+ *   scorecard     par totals (out / in / total) and tee sets with rating,
+ *                 slope and total yards
+ *   holes         par, stroke index, green front/center/back (+ outline),
+ *                 per-tee coordinates and card yardages, raw hazard POIs,
+ *                 outlines, elevation — and `tee_hazards`: the hazard
+ *                 engine's carries from each tee set, so the first shot
+ *                 needs no computation on the device
+ *   features      course-wide outlines
+ * The backward-compat duplicates in course-context (green_center,
+ * green_front, green_back, text `hazards`) are left out to keep the pack
+ * small.
+ *
+ * `content_hash` is a SHA-256 over the canonical (key-sorted) JSON of the
+ * pack minus `generated_at`, with OFFLINE_PACK_VERSION included, so it
+ * changes exactly when the data or the pack layout does. The route's ETag
+ * is the course data version's (OFFLINE_PACK_VERSION as its layout), or
+ * the content hash before migration 015.
+ */
+
+const { createHash } = require("crypto");
+const { buildHoleHazards } = require("./holeHazards");
+const { etagMatches } = require("./courseDataVersion");
+
+// Bump when the pack layout changes; old packs then read as stale.
+const OFFLINE_PACK_VERSION = 1;
+const PACK_FORMAT = "caddie-offline-pack";
+
+/** JSON with object keys sorted, so equal content always hashes the same. */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sumPar(holes) {
+  return holes.reduce((sum, h) => sum + (Number(h.par) || 0), 0);
+}
+
+function teeHazards(context, holeNumber) {
+  const byTee = {};
+  for (const tee of context.tees) {
+    const built = buildHoleHazards({ context, holeNumber, teeSetId: tee.id });
+    if (built.error) continue;
+    byTee[tee.id] = built.result.hazards.map((h) => ({
+      id: h.id,
+      carryDistance: h.carryDistance,
+      lateralOffset: h.lateralOffset,
+      frontEdgeCarry: h.frontEdgeCarry,
+      backEdgeCarry: h.backEdgeCarry,
+      isInPlay: h.isInPlay
+    }));
+  }
+  return byTee;
+}
+
+function packHole(context, hole) {
+  const {
+    green_center: _center,
+    green_front: _front,
+    green_back: _back,
+    hazards: _descriptions,
+    ...rest
+  } = hole;
+  return { ...rest, tee_hazards: teeHazards(context, hole.hole_number) };
+}
+
+/**
+ * @param {object} context                   getRoundCourseContext() result
+ * @param {object} [opts]
+ * @param {Date} [opts.now]
+ * @returns {object} the pack, with content_hash set
+ */
+function buildOfflinePack(context, { now = new Date() } = {}) {
+  const holes = context.holes;
+  const content = {
+    format: PACK_FORMAT,
+    version: OFFLINE_PACK_VERSION,
+    course_id: context.course.id,
+    course: context.course,
+    scorecard: {
+      hole_count: holes.length,
+      par_out: sumPar(holes.filter((h) => h.hole_number <= 9)),
+      par_in: sumPar(holes.filter((h) => h.hole_number > 9)),
+      par_total: sumPar(holes),
+      tees: context.tees
+    },
+    holes: holes.map((h) => packHole(context, h)),
+    features: context.features || []
+  };
+  const contentHash = createHash("sha256").update(canonicalJson(content)).digest("hex");
+  return { ...content, content_hash: contentHash, generated_at: now.toISOString() };
+}
+
+/**
+ * Strong ETag for one representation of a pack (gzip and identity bytes
+ * differ): the pack's `etag` with the encoding appended.
+ */
+function packEtag(etag, encoding = null) {
+  return encoding ? etag.replace(/"$/, `-${encoding}"`) : etag;
+}
+
+/**
+ * Does an If-None-Match header name this pack? Matches either encoding's
+ * ETag (and `*`), since both carry the same content.
+ */
+function packEtagMatches(ifNoneMatch, etag) {
+  return etagMatches(ifNoneMatch, packEtag(etag)) || etagMatches(ifNoneMatch, packEtag(etag, "gzip"));
+}
+
+module.exports = {
+  OFFLINE_PACK_VERSION,
+  buildOfflinePack,
+  canonicalJson,
+  packEtag,
+  packEtagMatches
+};
@@ -1,13 +1,12 @@
 "use strict";
 
-const fetch = require("node-fetch");
 const { getModelForTask } = require("./modelRouter");
-
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_URL = "https://api.openai.com/v1/chat/completions";
+const llmProvider = require("./llmProvider");
+const responseCache = require("./responseCache");
 
 /**
- * Generate a chat completion from OpenAI.
+ * Generate a caddie chat completion through the configured LLM provider
+ * (services/llmProvider.js — OpenAI by default).
  *
  * @param {Object} opts
  * @param {string}  opts.taskType       - "full_shot" | "putting" | "quick_shot" | "default"
@@ -16,7 +15,14 @@ const OPENAI_URL = "https://api.openai.com/v1/chat/completions";
  * @param {string}  [opts.imageDataUrl] - data:image/… URL for vision requests
  * @param {string}  [opts.overrideModel]- Bypass modelRouter for testing
  * @param {string}  [opts.correlationId]
- * @returns {Promise<{content: string, model: string, durationMs: number}>}
+ * @param {string}  [opts.cacheKey]     - responseCache key; enables the cache for this call
+ * @param {boolean} [opts.noCache]      - caller opted out; counted as a bypass
+ * @returns {Promise<{content: string, model: string, durationMs: number,
+ *   cacheStatus: "hit"|"miss"|"bypass"|null, usage: {promptTokens, completionTokens}|null}>}
+ *
+ * `cacheStatus` is null when no cacheKey was given. Requests with an
+ * image are never served from or written to the cache. `usage` is null
+ * on cache hits (nothing was spent).
  */
 async function generateCaddieResponse({
   taskType = "default",
@@ -25,14 +31,24 @@ async function generateCaddieResponse({
   imageDataUrl,
   overrideModel,
   correlationId,
+  cacheKey,
+  noCache = false,
 }) {
-  if (!OPENAI_API_KEY) {
-    throw Object.assign(new Error("Missing OPENAI_API_KEY"), { statusCode: 500 });
+  const provider = llmProvider.getProvider();
+  const model = overrideModel || getModelForTask(taskType);
+
+  const useCache = Boolean(cacheKey) && responseCache.CACHE_ENABLED && !noCache && !imageDataUrl;
+  if (cacheKey && !useCache) responseCache.defaultCache.recordBypass();
+  if (useCache) {
+    const hit = responseCache.defaultCache.get(cacheKey);
+    if (hit) {
+      console.log(`[LLMCache] hit task=${taskType} model=${hit.model} cid=${correlationId || "-"}`);
+      return { content: hit.content, model: hit.model, durationMs: 0, cacheStatus: "hit", usage: null };
+    }
   }
 
-  const model = overrideModel || getModelForTask(taskType);
   console.log(
-    `[ModelRouter] task=${taskType} model=${model}${overrideModel ? " (override)" : ""} cid=${correlationId || "-"}`
+    `[ModelRouter] task=${taskType} model=${model}${overrideModel ? " (override)" : ""} provider=${provider.name} cid=${correlationId || "-"}`
   );
 
   const userContent = imageDataUrl
@@ -49,36 +65,34 @@ async function generateCaddieResponse({
 
   const start = Date.now();
 
-  const response = await fetch(OPENAI_URL, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ model, messages }),
-  });
-
-  const data = await response.json();
-  const durationMs = Date.now() - start;
-
-  if (data.error) {
-    const msg =
-      data.error.message || data.error.type || "provider_error";
-    const err = new Error(msg);
-    err.statusCode = 500;
-    err.openaiDetail = msg;
+  let result;
+  try {
+    result = await provider.chat({ model, messages });
+  } catch (err) {
+    // `openaiDetail` is the short failure reason this service has always
+    // attached to its errors; keep it populated whichever provider failed.
+    err.statusCode = err.statusCode || 500;
+    err.openaiDetail = err.detail || err.message || "provider_error";
     throw err;
   }
+  const durationMs = Date.now() - start;
 
-  const content = data?.choices?.[0]?.message?.content ?? null;
-  if (content == null) {
-    const err = new Error("Unexpected OpenAI response shape");
+  if (result.content == null) {
+    const err = new Error("Unexpected LLM response shape");
     err.statusCode = 500;
     err.openaiDetail = "missing_content";
     throw err;
   }
 
-  return { content, model, durationMs };
+  if (useCache) responseCache.defaultCache.set(cacheKey, { content: result.content, model: result.model });
+
+  return {
+    content: result.content,
+    model: result.model,
+    durationMs,
+    cacheStatus: cacheKey ? (useCache ? "miss" : "bypass") : null,
+    usage: result.usage || null,
+  };
 }
 
 module.exports = { generateCaddieResponse };
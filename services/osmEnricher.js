@@ -7,9 +7,11 @@
  *
  * Pipeline per course:
  *   1. Compute course bbox from existing tee/green POIs (+ buffer)
- *   2. Fetch hazard-relevant features from Overpass API
+ *   2. Fetch hazard-relevant features (plus greens and fairways) from
+ *      Overpass API, with way geometry
  *   3. Map each OSM feature → Caddie+ canonical category via osmHazardMapper
- *   4. Compute centroid (lat/lon)
+ *   4. Compute centroid (lat/lon): area centroid of the way's outline,
+ *      else Overpass center / bounds
  *   5. Project centroid onto each hole's tee→green vector to find the
  *      hole this hazard belongs to (carry within [10y, holeYardage+30y]
  *      AND minimum lateral offset)
@@ -17,6 +19,12 @@
  *      exists within DEDUPE_DISTANCE_YARDS  (15y default)
  *   7. INSERT with source_type='source_osm', confidence from mapper,
  *      osm_id, osm_tags. ON CONFLICT DO NOTHING via unique osm index.
+ *   8. Keep each way's outline in golf_hole_features (mig 014), linked to
+ *      the POI it produced — or to the native POI it duplicated, or to the
+ *      OSM POI from an earlier run. golf=green / golf=fairway ways are
+ *      outlined too (greens go to the hole with the nearest green,
+ *      fairways are projected like hazards). Same transaction as step 7;
+ *      skipped until the table exists.
  *
  * Modes:
  *   - dryRun: returns the proposed inserts without writing
@@ -34,10 +42,14 @@
 const fetch = require("node-fetch");
 const { mapOsmFeature, featureCenter, yardsBetween } = require("./osmHazardMapper");
 const { coarseCategory } = require("./hazardClassifier");
+const { OSM_SURFACE_TYPES, fromOsmWay, featureCentroid, toGeoJsonGeometry } = require("./holeGeometry");
+const { bumpCourseDataVersion } = require("./courseDataVersion");
 
 const OVERPASS_URL = process.env.OVERPASS_URL || "https://overpass-api.de/api/interpreter";
 const DEDUPE_DISTANCE_YARDS = 15;
 const BBOX_BUFFER_METERS = 250;
+// An OSM green further than this from every hole's green isn't assigned.
+const GREEN_MATCH_YARDS = 40;
 
 /**
  * Run enrichment for a single course.
@@ -69,7 +81,10 @@ async function enrichCourse(pool, courseUuid, opts = {}) {
     inserted: 0,
     insertedByType: {},
     insertedByHole: {},
-    proposedRows: []
+    proposedRows: [],
+    featuresProposed: 0,
+    featuresInserted: 0,
+    proposedFeatures: []
   };
 
   // ── Step 1: load course geometry ───────────────────────────────────────
@@ -102,29 +117,69 @@ async function enrichCourse(pool, courseUuid, opts = {}) {
 
   // Existing OSM hazards (avoid double-applying enrichment)
   const existingOsm = await loadOsmHazards(pool, courseUuid);
-  const existingOsmIds = new Set(existingOsm.map((r) => r.osm_id));
+  const existingOsmHoles = new Map(existingOsm.map((r) => [r.osm_id, Number(r.hole_number)]));
+
+  // Outlines already stored (mig 014); null = table not there yet
+  const existingFeatureIds = await loadOsmFeatureIds(pool, courseUuid);
+
+  // Outline for a way, unless this OSM id is already outlined on that hole
+  const proposeFeature = (f, shape, osmId, holeNumber, featureType, poi) => {
+    if (!shape || (existingFeatureIds && existingFeatureIds.has(`${holeNumber}:${osmId}`))) return;
+    trace.proposedFeatures.push({
+      hole_number: holeNumber,
+      feature_type: featureType,
+      geometry_kind: shape.kind,
+      coordinates: shape.coordinates,
+      // native POI id, or resolved by osm_id at insert time
+      poi_id: poi.id || null,
+      link_osm_poi: Boolean(poi.byOsmId),
+      label: (f.tags && f.tags.name) || null,
+      source_type: "source_osm",
+      confidence: poi.confidence != null ? poi.confidence : null,
+      osm_id: osmId,
+      osm_tags: f.tags || {}
+    });
+    trace.featuresProposed++;
+  };
 
   // ── Step 4–6: classify, project, dedup ────────────────────────────────
   for (const f of features) {
     if (trace.osmFeaturesMapped >= maxFeatures) break;
 
-    const center = featureCenter(f);
+    const shape = f.type === "way" ? fromOsmWay(f) : null;
+    const center = shape ? featureCentroid(shape) : featureCenter(f);
     if (!center) { trace.skippedNoCenter++; continue; }
 
+    const osmId = `${f.type}/${f.id}`;
+    const surface = OSM_SURFACE_TYPES[(f.tags || {}).golf];
+    if (surface) {
+      // Playing surfaces only become outlines, never POIs
+      const holeNumber = surface === "green" ? nearestGreenHole(center, holes) : projectToBestHole(center, holes)?.holeNumber;
+      if (holeNumber == null) { trace.skippedOutsideHoles++; continue; }
+      proposeFeature(f, shape, osmId, holeNumber, surface, { confidence: 0.8 });
+      continue;
+    }
+
     const mapped = mapOsmFeature(f, { greenCenters });
     if (!mapped) continue;
     trace.osmFeaturesMapped++;
 
-    const osmId = `${f.type}/${f.id}`;
-    if (existingOsmIds.has(osmId)) { trace.skippedDuplicateOfOsm++; continue; }
+    if (existingOsmHoles.has(osmId)) {
+      trace.skippedDuplicateOfOsm++;
+      proposeFeature(f, shape, osmId, existingOsmHoles.get(osmId), mapped.normalizedType, { byOsmId: true, confidence: mapped.confidence });
+      continue;
+    }
 
     // Project onto holes
     const projection = projectToBestHole(center, holes);
     if (!projection) { trace.skippedOutsideHoles++; continue; }
 
-    // Dedup against native: same coarse category within DEDUPE_DISTANCE_YARDS
-    if (isDuplicateOfNative(center, mapped.normalizedType, projection.holeNumber, native)) {
+    // Dedup against native: same coarse category within DEDUPE_DISTANCE_YARDS.
+    // The native point stays; the outline is still worth keeping for it.
+    const nativeMatch = isDuplicateOfNative(center, mapped.normalizedType, projection.holeNumber, native);
+    if (nativeMatch) {
       trace.skippedDuplicateOfNative++;
+      proposeFeature(f, shape, osmId, projection.holeNumber, mapped.normalizedType, { id: nativeMatch.id, confidence: mapped.confidence });
       continue;
     }
 
@@ -147,11 +202,18 @@ async function enrichCourse(pool, courseUuid, opts = {}) {
     trace.proposedRows.push(proposed);
     trace.insertedByType[mapped.normalizedType] = (trace.insertedByType[mapped.normalizedType] || 0) + 1;
     trace.insertedByHole[projection.holeNumber] = (trace.insertedByHole[projection.holeNumber] || 0) + 1;
+    proposeFeature(f, shape, osmId, projection.holeNumber, mapped.normalizedType, { byOsmId: true, confidence: mapped.confidence });
   }
 
-  // ── Step 7: persist (if not dry-run) ──────────────────────────────────
-  if (!dryRun && trace.proposedRows.length > 0) {
-    trace.inserted = await persistProposed(pool, courseUuid, trace.proposedRows);
+  // ── Step 7–8: persist (if not dry-run) ────────────────────────────────
+  const featureRows = existingFeatureIds ? trace.proposedFeatures : [];
+  if (!dryRun && (trace.proposedRows.length > 0 || featureRows.length > 0)) {
+    const written = await persistProposed(pool, courseUuid, trace.proposedRows, featureRows);
+    trace.inserted = written.inserted;
+    trace.featuresInserted = written.featuresInserted;
+    if (written.inserted + written.featuresInserted > 0) {
+      await bumpCourseDataVersion(pool, courseUuid);
+    }
   }
 
   return trace;
@@ -220,7 +282,7 @@ async function loadHoleGeometry(pool, courseUuid) {
 
 async function loadNativeHazards(pool, courseUuid) {
   const sql = `
-    SELECT hole_number, poi_type, lat, lon
+    SELECT id::text AS id, hole_number, poi_type, lat, lon
     FROM golf_hole_pois
     WHERE course_id = $1
       AND source_type = 'source_native'
@@ -228,6 +290,7 @@ async function loadNativeHazards(pool, courseUuid) {
   `;
   const res = await pool.query(sql, [courseUuid]);
   return res.rows.map((r) => ({
+    id: r.id,
     hole_number: Number(r.hole_number),
     poi_type: r.poi_type,
     lat: Number(r.lat),
@@ -236,11 +299,34 @@ async function loadNativeHazards(pool, courseUuid) {
 }
 
 async function loadOsmHazards(pool, courseUuid) {
-  const sql = `SELECT osm_id FROM golf_hole_pois WHERE course_id = $1 AND osm_id IS NOT NULL`;
+  const sql = `SELECT osm_id, hole_number FROM golf_hole_pois WHERE course_id = $1 AND osm_id IS NOT NULL`;
   const res = await pool.query(sql, [courseUuid]);
   return res.rows;
 }
 
+/** "hole:osm_id" keys already in golf_hole_features, or null before mig 014. */
+async function loadOsmFeatureIds(pool, courseUuid) {
+  try {
+    const res = await pool.query(
+      `SELECT hole_number, osm_id FROM golf_hole_features WHERE course_id = $1 AND osm_id IS NOT NULL`,
+      [courseUuid]
+    );
+    return new Set(res.rows.map((r) => `${r.hole_number}:${r.osm_id}`));
+  } catch (err) {
+    if (err.code === "42P01") return null;
+    throw err;
+  }
+}
+
+function nearestGreenHole(point, holes) {
+  let best = null;
+  for (const h of holes) {
+    const d = yardsBetween(point.lat, point.lon, h.green.lat, h.green.lon);
+    if (d <= GREEN_MATCH_YARDS && (!best || d < best.d)) best = { d, holeNumber: h.holeNumber };
+  }
+  return best ? best.holeNumber : null;
+}
+
 function computeBbox(holes, bufferMeters) {
   let minLat = Infinity, maxLat = -Infinity, minLon = Infinity, maxLon = -Infinity;
   for (const h of holes) {
@@ -263,7 +349,9 @@ function computeBbox(holes, bufferMeters) {
 }
 
 function buildOverpassQuery(bbox) {
-  // Conservative query targeting only hazard-relevant tags.
+  // Conservative query targeting only hazard-relevant tags, plus the
+  // greens / fairways we keep as outlines. `out geom` returns each way's
+  // nodes so outlines can be stored (step 8).
   const b = `${bbox.south},${bbox.west},${bbox.north},${bbox.east}`;
   return `
 [out:json][timeout:60];
@@ -280,8 +368,10 @@ function buildOverpassQuery(bbox) {
   relation["natural"="water"](${b});
   relation["landuse"="forest"](${b});
   way["barrier"~"^(fence|wall)$"](${b});
+  way["golf"="green"](${b});
+  way["golf"="fairway"](${b});
 );
-out center tags;
+out geom tags;
 `;
 }
 
@@ -355,12 +445,12 @@ function isDuplicateOfNative(point, normalizedType, holeNumber, natives) {
     if (n.hole_number !== holeNumber) continue;
     const nCat = coarseCategory(require("./hazardClassifier").normalizeHazardType(n.poi_type));
     if (nCat !== cat) continue;
-    if (yardsBetween(point.lat, point.lon, n.lat, n.lon) <= DEDUPE_DISTANCE_YARDS) return true;
+    if (yardsBetween(point.lat, point.lon, n.lat, n.lon) <= DEDUPE_DISTANCE_YARDS) return n;
   }
-  return false;
+  return null;
 }
 
-async function persistProposed(pool, courseUuid, rows) {
+async function persistProposed(pool, courseUuid, rows, featureRows = []) {
   const insertSql = `
     INSERT INTO golf_hole_pois
       (course_id, hole_number, poi_type, location_label, fairway_side,
@@ -371,7 +461,21 @@ async function persistProposed(pool, courseUuid, rows) {
        $8, $9, $10, $11::jsonb, now())
     ON CONFLICT (course_id, hole_number, lat, lon) DO NOTHING
   `;
+  // poi_id: the native POI it outlines, else the OSM POI with the same osm_id
+  const featureSql = `
+    INSERT INTO golf_hole_features
+      (course_id, hole_number, feature_type, geometry_kind, coordinates, geom,
+       poi_id, label, source_type, confidence, osm_id, osm_tags, updated_at)
+    VALUES
+      ($1, $2, $3, $4, $5::jsonb, ST_GeomFromGeoJSON($6)::geography,
+       COALESCE($7::uuid, CASE WHEN $12 THEN (
+         SELECT id FROM golf_hole_pois WHERE course_id = $1 AND hole_number = $2 AND osm_id = $10 LIMIT 1
+       ) END),
+       $8, 'source_osm', $9, $10, $11::jsonb, now())
+    ON CONFLICT (course_id, hole_number, osm_id) WHERE osm_id IS NOT NULL DO NOTHING
+  `;
   let inserted = 0;
+  let featuresInserted = 0;
   const client = await pool.connect();
   try {
     await client.query("BEGIN");
@@ -391,6 +495,23 @@ async function persistProposed(pool, courseUuid, rows) {
       ]);
       inserted += result.rowCount || 0;
     }
+    for (const f of featureRows) {
+      const result = await client.query(featureSql, [
+        courseUuid,
+        f.hole_number,
+        f.feature_type,
+        f.geometry_kind,
+        JSON.stringify(f.coordinates),
+        JSON.stringify(toGeoJsonGeometry({ kind: f.geometry_kind, coordinates: f.coordinates })),
+        f.poi_id,
+        f.label,
+        f.confidence,
+        f.osm_id,
+        JSON.stringify(f.osm_tags || {}),
+        f.link_osm_poi
+      ]);
+      featuresInserted += result.rowCount || 0;
+    }
     await client.query("COMMIT");
   } catch (err) {
     await client.query("ROLLBACK");
@@ -398,7 +519,7 @@ async function persistProposed(pool, courseUuid, rows) {
   } finally {
     client.release();
   }
-  return inserted;
+  return { inserted, featuresInserted };
 }
 
 function round6(n) { return Math.round(Number(n) * 1e6) / 1e6; }
@@ -28,6 +28,7 @@
  */
 
 const { HAZARD_TYPES, normalizeHazardType } = require("./hazardClassifier");
+const { haversineMeters, METERS_TO_YARDS } = require("./hazardEngine");
 
 /**
  * Map a single OSM element (way/relation/node) to a Caddie+ hazard descriptor.
@@ -133,19 +134,16 @@ function featureCenter(el) {
     }
     if (n > 0) return { lat: sumLat / n, lon: sumLon / n };
   }
+  // `out geom` relations carry member outlines plus a bounding box
+  const b = el.bounds;
+  if (b && [b.minlat, b.minlon, b.maxlat, b.maxlon].every(Number.isFinite)) {
+    return { lat: (b.minlat + b.maxlat) / 2, lon: (b.minlon + b.maxlon) / 2 };
+  }
   return null;
 }
 
-const YARDS_PER_METER = 1.09361;
 function yardsBetween(lat1, lon1, lat2, lon2) {
-  const R = 6_371_000;
-  const toRad = (d) => (d * Math.PI) / 180;
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a = Math.sin(dLat / 2) ** 2
-          + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c * YARDS_PER_METER;
+  return haversineMeters(lat1, lon1, lat2, lon2) * METERS_TO_YARDS;
 }
 
 function titleCase(s) {
@@ -0,0 +1,208 @@
+"use strict";
+
+/**
+ * Plays-like distance: how far a shot effectively plays once wind, air
+ * density and elevation change are accounted for.
+ *
+ *   playsLike = distance + elevation + wind + air density
+ *
+ *   elevation    1 yd per yd of rise from ball to target (negative downhill)
+ *   wind         component along the shot line; headwind adds 1% of the
+ *                distance per mph, tailwind takes off 0.5% per mph
+ *                (tailwinds help less than headwinds hurt). Crosswind is
+ *                reported but doesn't change the number.
+ *   air density  from temperature, station pressure and humidity, against
+ *                the ICAO standard (15 °C, 1013.25 hPa, 1.225 kg/m³). Carry
+ *                changes by half the relative density change — about 1.5%
+ *                per 1000 ft of altitude and 1.5 yds per 10 °F at 150 yds.
+ *
+ * Missing inputs fall back to standard conditions (no wind, 15 °C, the
+ * standard-atmosphere pressure for the ball's altitude, or sea level when
+ * that is unknown too) and the source quality says so.
+ *
+ * Weather and elevation come from pluggable providers
+ * (services/weatherProvider.js, services/elevationProvider.js); a client
+ * may also supply either directly.
+ */
+
+const { haversineMeters, bearingDeg, METERS_TO_YARDS } = require("./hazardEngine");
+const { getWeatherProvider } = require("./weatherProvider");
+const { getElevationProvider } = require("./elevationProvider");
+
+const MPS_TO_MPH = 2.23694;
+
+const STANDARD_TEMPERATURE_C = 15;
+const STANDARD_PRESSURE_HPA = 1013.25;
+const STANDARD_DENSITY = 1.225;
+
+const ELEVATION_YARDS_PER_YARD = 1;
+const HEADWIND_FRACTION_PER_MPH = 0.01;
+const TAILWIND_FRACTION_PER_MPH = 0.005;
+const DENSITY_SENSITIVITY = 0.5;
+
+function round1(n) {
+  return Math.round(n * 10) / 10 || 0; // no -0 in JSON-bound numbers
+}
+
+/** Yards a shot plays longer (uphill) or shorter (downhill) for a rise in meters. */
+function elevationAdjustmentYards(elevationDeltaM) {
+  return elevationDeltaM * METERS_TO_YARDS * ELEVATION_YARDS_PER_YARD;
+}
+
+/** ICAO standard-atmosphere station pressure at `altitudeMeters`. */
+function standardPressureHpa(altitudeMeters) {
+  return STANDARD_PRESSURE_HPA * Math.pow(1 - 2.25577e-5 * altitudeMeters, 5.25588);
+}
+
+/**
+ * Moist-air density (kg/m³).
+ *
+ * @param {number} temperatureC
+ * @param {number} pressureHpa       station pressure
+ * @param {number} [relativeHumidity] 0–100
+ */
+function airDensity(temperatureC, pressureHpa, relativeHumidity = 0) {
+  const kelvin = temperatureC + 273.15;
+  // Tetens saturation vapour pressure, hPa.
+  const saturation = 6.1078 * Math.pow(10, (7.5 * temperatureC) / (temperatureC + 237.3));
+  const vapour = (Math.min(Math.max(relativeHumidity, 0), 100) / 100) * saturation;
+  const dry = pressureHpa - vapour;
+  return (dry * 100) / (287.058 * kelvin) + (vapour * 100) / (461.495 * kelvin);
+}
+
+/**
+ * Wind relative to the shot. `windFromDeg` is meteorological (where the
+ * wind blows from), so wind from the target's direction is a headwind.
+ *
+ * @returns {{ headwindMph: number, crosswindMph: number }} crosswind > 0 blows left → right
+ */
+function windComponents(windSpeedMph, windFromDeg, shotBearingDeg) {
+  const angle = ((windFromDeg - shotBearingDeg) * Math.PI) / 180;
+  return {
+    headwindMph: round1(windSpeedMph * Math.cos(angle)),
+    crosswindMph: round1(-windSpeedMph * Math.sin(angle))
+  };
+}
+
+/**
+ * Pure plays-like arithmetic.
+ *
+ * @param {object} input
+ * @param {number} input.distanceYards
+ * @param {number} input.shotBearingDeg
+ * @param {object|null} input.weather           weatherProvider Weather shape
+ * @param {number|null} input.fromElevationM
+ * @param {number|null} input.toElevationM
+ */
+function computePlaysLike({ distanceYards, shotBearingDeg, weather, fromElevationM, toElevationM }) {
+  const w = weather || {};
+
+  const elevationDeltaM =
+    fromElevationM != null && toElevationM != null ? toElevationM - fromElevationM : null;
+  const elevationYards = elevationDeltaM != null ? elevationAdjustmentYards(elevationDeltaM) : 0;
+
+  let wind = { headwindMph: 0, crosswindMph: 0 };
+  let windYards = 0;
+  if (w.windSpeedMps != null && w.windFromDeg != null) {
+    wind = windComponents(w.windSpeedMps * MPS_TO_MPH, w.windFromDeg, shotBearingDeg);
+    const perMph = wind.headwindMph >= 0 ? HEADWIND_FRACTION_PER_MPH : TAILWIND_FRACTION_PER_MPH;
+    windYards = distanceYards * perMph * wind.headwindMph;
+  }
+
+  const temperatureC = w.temperatureC != null ? w.temperatureC : STANDARD_TEMPERATURE_C;
+  const pressureHpa =
+    w.pressureHpa != null ? w.pressureHpa : standardPressureHpa(fromElevationM != null ? fromElevationM : 0);
+  const density = airDensity(temperatureC, pressureHpa, w.relativeHumidity != null ? w.relativeHumidity : 0);
+  const densityRatio = density / STANDARD_DENSITY;
+  const densityYards = -distanceYards * DENSITY_SENSITIVITY * (1 - densityRatio);
+
+  return {
+    distanceYards: Math.round(distanceYards),
+    playsLikeYards: Math.round(distanceYards + elevationYards + windYards + densityYards),
+    adjustments: {
+      elevationYards: round1(elevationYards),
+      windYards: round1(windYards),
+      airDensityYards: round1(densityYards)
+    },
+    conditions: {
+      shotBearingDeg: Math.round(shotBearingDeg),
+      headwindMph: wind.headwindMph,
+      crosswindMph: wind.crosswindMph,
+      temperatureF: round1(temperatureC * 1.8 + 32),
+      pressureHpa: round1(pressureHpa),
+      relativeHumidity: w.relativeHumidity != null ? w.relativeHumidity : null,
+      airDensityKgM3: Math.round(density * 1000) / 1000,
+      airDensityRatio: Math.round(densityRatio * 1000) / 1000,
+      fromElevationM: fromElevationM != null ? round1(fromElevationM) : null,
+      toElevationM: toElevationM != null ? round1(toElevationM) : null,
+      elevationDeltaM: elevationDeltaM != null ? round1(elevationDeltaM) : null
+    }
+  };
+}
+
+/**
+ * Resolve weather + elevation and compute plays-like yardage from one
+ * point to another.
+ *
+ * @param {object} input
+ * @param {{ lat: number, lon: number }} input.from
+ * @param {{ lat: number, lon: number }} input.to
+ * @param {Date|string} input.time
+ * @param {object|null} [input.weather]     client-supplied Weather; skips the provider
+ * @param {{ fromMeters?: number, toMeters?: number }|null} [input.elevation]  client-supplied
+ * @param {object} [deps]
+ * @param {object} [deps.weatherProvider]
+ * @param {object} [deps.elevationProvider]
+ */
+async function resolvePlaysLike(
+  { from, to, time, weather = null, elevation = null },
+  { weatherProvider = getWeatherProvider(), elevationProvider = getElevationProvider() } = {}
+) {
+  const distanceYards = haversineMeters(from.lat, from.lon, to.lat, to.lon) * METERS_TO_YARDS;
+  const shotBearingDeg = bearingDeg(from.lat, from.lon, to.lat, to.lon);
+
+  let resolvedWeather = null;
+  let weatherSourceQuality = "standard";
+  if (weather) {
+    resolvedWeather = weather;
+    weatherSourceQuality = "client";
+  } else {
+    resolvedWeather = await weatherProvider.lookup({ lat: from.lat, lon: from.lon, time });
+    if (resolvedWeather) weatherSourceQuality = resolvedWeather.quality || weatherProvider.name;
+  }
+
+  let fromElevationM = null;
+  let toElevationM = null;
+  let elevationSourceQuality = "unavailable";
+  if (elevation && elevation.fromMeters != null && elevation.toMeters != null) {
+    fromElevationM = elevation.fromMeters;
+    toElevationM = elevation.toMeters;
+    elevationSourceQuality = "client";
+  } else {
+    [fromElevationM, toElevationM] = await elevationProvider.elevations([from, to]);
+    if (fromElevationM != null && toElevationM != null) {
+      elevationSourceQuality = elevationProvider.quality || elevationProvider.name;
+    } else {
+      // Half an answer can't give a slope; still use the ball's altitude.
+      toElevationM = null;
+    }
+  }
+
+  const result = computePlaysLike({ distanceYards, shotBearingDeg, weather: resolvedWeather, fromElevationM, toElevationM });
+  return {
+    ...result,
+    weatherObservedAt: resolvedWeather && resolvedWeather.observedAt ? resolvedWeather.observedAt : null,
+    weatherSourceQuality,
+    elevationSourceQuality
+  };
+}
+
+module.exports = {
+  computePlaysLike,
+  resolvePlaysLike,
+  elevationAdjustmentYards,
+  airDensity,
+  standardPressureHpa,
+  windComponents,
+  STANDARD_DENSITY
+};
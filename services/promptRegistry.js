@@ -0,0 +1,259 @@
+"use strict";
+
+/**
+ * Server-side prompt registry.
+ *
+ * Every system prompt the backend sends lives here as a named, versioned
+ * template. Templates use `{{variable}}` placeholders filled from course
+ * context and the player's profile; a missing variable renders as
+ * "not specified" so a thin profile never leaves a dangling placeholder.
+ *
+ * A template may run an A/B experiment across its versions. Assignment is
+ * sticky without storage: the user id is hashed with the experiment key
+ * into a 0–99 bucket, so a golfer sees the same variant on every request
+ * and instance until the experiment key changes. Callers without a user
+ * id get the template's default version.
+ *
+ * The resolved `templateId` / `version` are recorded in
+ * recommendation_events.diagnostics_json (promptTemplateId,
+ * promptVersion, promptExperiment) and broken out by
+ * GET /api/analytics/recommendation/summary → `byPromptVariant`.
+ *
+ * To ship a new prompt: add a version, then either make it the default
+ * or list it in the template's experiment. Never edit a version in
+ * place once it has served traffic — results are compared by version.
+ */
+
+const { createHash } = require("crypto");
+
+const MISSING_VALUE = "not specified";
+
+const SHOT_RESPONSE_FORMAT = [
+  "Respond with a single JSON object and nothing else:",
+  "{",
+  '  "club": string,',
+  '  "targetDescription": string,',
+  '  "shotShape": "straight" | "draw" | "fade",',
+  '  "recommendationText": string (max 3 sentences),',
+  '  "confidence": number between 0 and 1,',
+  '  "hazardWarnings": string[]',
+  "}"
+];
+
+const TEMPLATES = Object.freeze({
+  shot_recommendation: {
+    defaultVersion: 1,
+    experiment: {
+      key: "shot-player-context-2026-10",
+      variants: [
+        { version: 1, weight: 50 },
+        { version: 2, weight: 50 }
+      ]
+    },
+    versions: {
+      1: {
+        description: "Original server-built caddie prompt.",
+        system: [
+          "You are an expert golf caddie giving one concise shot recommendation.",
+          "Use only the facts provided. Distances are in yards.",
+          "Choose a club from the player's bag when one is listed.",
+          ...SHOT_RESPONSE_FORMAT
+        ].join("\n")
+      },
+      2: {
+        description: "Adds the player's goal and risk preferences from their profile.",
+        system: [
+          "You are an expert golf caddie on {{courseName}}, hole {{holeNumber}} (par {{par}}), giving one concise shot recommendation.",
+          "Use only the facts provided. Distances are in yards.",
+          "Choose a club from the player's bag when one is listed.",
+          "The player's goal: {{playerGoal}}.",
+          "Risk appetite off the tee: {{riskOffTee}}. Around hazards: {{riskAroundHazards}}.",
+          "Match the aggressiveness of the play to those preferences.",
+          ...SHOT_RESPONSE_FORMAT
+        ].join("\n")
+      }
+    }
+  },
+  putt_read: {
+    defaultVersion: 1,
+    experiment: null,
+    versions: {
+      1: {
+        description: "Green photo + ball/pin placement for POST /api/caddie/putt.",
+        system: [
+          "You are an expert golf caddie reading a putt from a photo of the green.",
+          "Judge slope and grain from what is visible in the photo; use the placement facts for distance and direction.",
+          "Positions are measured on the green: depth from the {{depthFrom}}, lateral left/right of the center line as seen from the front.",
+          "Respond with a single JSON object and nothing else:",
+          "{",
+          '  "breakDirection": "left_to_right" | "right_to_left" | "straight",',
+          '  "breakInches": number (how far outside the cup to aim, 0-120),',
+          '  "slope": "uphill" | "downhill" | "flat",',
+          '  "speed": "firm" | "normal" | "soft",',
+          '  "aimDescription": string,',
+          '  "recommendationText": string (max 3 sentences),',
+          '  "confidence": number between 0 and 1',
+          "}"
+        ].join("\n"),
+        user: [
+          "Course: {{courseName}}, hole {{holeNumber}} (par {{par}})",
+          "Putt length: {{distanceFeet}} ft, rolling {{puttDirection}}",
+          "Green depth: {{greenDepthYards}} yds",
+          "Hole: {{pinPosition}}",
+          "Ball: {{ballPosition}}"
+        ].join("\n")
+      }
+    }
+  },
+  lie_analysis: {
+    defaultVersion: 1,
+    experiment: null,
+    versions: {
+      1: {
+        description: "Default photo lie analysis for /api/openai/vision.",
+        system: "You are a golf course analysis AI. Analyze this photo and return JSON only.",
+        user: "Return JSON only with isOnGreen, lie, and confidence fields (0-1)."
+      }
+    }
+  }
+});
+
+const TEMPLATE_IDS = Object.freeze(Object.keys(TEMPLATES));
+
+function hasTemplate(templateId) {
+  return Object.prototype.hasOwnProperty.call(TEMPLATES, templateId);
+}
+
+/**
+ * @returns {object|null} the version entry ({ description, system, user? })
+ */
+function getTemplate(templateId, version) {
+  if (!hasTemplate(templateId)) return null;
+  return TEMPLATES[templateId].versions[version] || null;
+}
+
+/**
+ * Replace `{{name}}` placeholders. Null/empty values render as
+ * MISSING_VALUE.
+ */
+function render(text, variables = {}) {
+  if (typeof text !== "string") return null;
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_m, name) => {
+    const value = variables[name];
+    if (value == null || String(value).trim() === "") return MISSING_VALUE;
+    return String(value).trim().slice(0, 200);
+  });
+}
+
+/** Stable 0–99 bucket for a user within an experiment. */
+function bucketFor(userId, experimentKey) {
+  const digest = createHash("sha256").update(`${experimentKey}:${userId}`).digest();
+  return digest.readUInt32BE(0) % 100;
+}
+
+/**
+ * Pick the version a user gets for a template.
+ *
+ * @returns {{ version: number, experiment: string|null }}
+ */
+function assignVersion(templateId, userId) {
+  const template = TEMPLATES[templateId];
+  const experiment = template.experiment;
+  if (!experiment || userId == null || userId === "") {
+    return { version: template.defaultVersion, experiment: null };
+  }
+  const totalWeight = experiment.variants.reduce((sum, v) => sum + v.weight, 0);
+  const point = (bucketFor(String(userId), experiment.key) / 100) * totalWeight;
+  let cumulative = 0;
+  for (const variant of experiment.variants) {
+    cumulative += variant.weight;
+    if (point < cumulative) return { version: variant.version, experiment: experiment.key };
+  }
+  return { version: experiment.variants[experiment.variants.length - 1].version, experiment: experiment.key };
+}
+
+/**
+ * Resolve and render a template for one request.
+ *
+ * @param {string} templateId
+ * @param {object} [opts]
+ * @param {string|number|null} [opts.userId]  sticky A/B key
+ * @param {object} [opts.variables]
+ * @param {number} [opts.version]             pin a version (skips assignment)
+ * @returns {{ templateId: string, version: number, experiment: string|null,
+ *             systemPrompt: string, userPrompt: string|null }}
+ */
+function resolvePrompt(templateId, { userId = null, variables = {}, version = null } = {}) {
+  if (!hasTemplate(templateId)) throw new Error(`Unknown prompt template: ${templateId}`);
+  const assigned = version != null ? { version, experiment: null } : assignVersion(templateId, userId);
+  const entry = getTemplate(templateId, assigned.version);
+  if (!entry) throw new Error(`Unknown version ${assigned.version} of prompt template ${templateId}`);
+  return {
+    templateId,
+    version: assigned.version,
+    experiment: assigned.experiment,
+    systemPrompt: render(entry.system, variables),
+    userPrompt: entry.user ? render(entry.user, variables) : null
+  };
+}
+
+/**
+ * Break recommendation events down by prompt template + version.
+ * Events logged before the registry existed group under templateId null.
+ *
+ * @param {Array} events    normalized recommendation events
+ * @param {Array} feedback  [{ recommendationId, helpful }]
+ */
+function summarizeByPromptVariant(events, feedback = []) {
+  const feedbackById = new Map();
+  for (const f of feedback) {
+    if (!f || !f.recommendationId) continue;
+    const list = feedbackById.get(f.recommendationId) || [];
+    list.push(Boolean(f.helpful));
+    feedbackById.set(f.recommendationId, list);
+  }
+
+  const groups = new Map();
+  for (const e of events) {
+    const d = e.diagnostics || {};
+    const templateId = d.promptTemplateId || null;
+    const version = Number.isInteger(d.promptVersion) ? d.promptVersion : null;
+    const key = `${templateId}@${version}`;
+    if (!groups.has(key)) {
+      groups.set(key, { promptTemplateId: templateId, promptVersion: version, total: 0, fallback: 0, ratings: [] });
+    }
+    const g = groups.get(key);
+    g.total += 1;
+    if (e.output && e.output.fallbackOccurred) g.fallback += 1;
+    g.ratings.push(...(feedbackById.get(e.recommendationId) || []));
+  }
+
+  return [...groups.values()]
+    .map((g) => {
+      const helpful = g.ratings.filter(Boolean).length;
+      return {
+        promptTemplateId: g.promptTemplateId,
+        promptVersion: g.promptVersion,
+        totalRecommendations: g.total,
+        fallbackRate: g.total > 0 ? g.fallback / g.total : 0,
+        feedbackCount: g.ratings.length,
+        helpfulRate: g.ratings.length > 0 ? helpful / g.ratings.length : null
+      };
+    })
+    .sort(
+      (a, b) =>
+        String(a.promptTemplateId).localeCompare(String(b.promptTemplateId)) ||
+        (a.promptVersion ?? 0) - (b.promptVersion ?? 0)
+    );
+}
+
+module.exports = {
+  TEMPLATE_IDS,
+  hasTemplate,
+  getTemplate,
+  render,
+  assignVersion,
+  resolvePrompt,
+  summarizeByPromptVariant,
+  MISSING_VALUE
+};
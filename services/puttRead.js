@@ -0,0 +1,201 @@
+"use strict";
+
+/**
+ * Green geometry and read shaping for POST /api/caddie/putt.
+ *
+ * The ball and hole are placed on the green's own frame, built from the
+ * front/center/back points getRoundCourseContext returns:
+ *
+ *   depth    yards from the front edge along the front → back axis
+ *   lateral  yards off that axis (negative = left, looking from the front)
+ *
+ * When a hole has no front/back points the axis falls back to the line
+ * of play (tee → green center) and depth is measured from the center,
+ * which still tells the model whether the putt runs toward the back or
+ * the front of the green — usually uphill vs. downhill.
+ *
+ * The model sees those facts plus the photo; this module never guesses
+ * the break itself.
+ */
+
+const { haversineMeters, METERS_TO_YARDS } = require("./hazardEngine");
+const { toLocalYards } = require("./holeGeometry");
+
+// Anything farther than this from the green center isn't a putt.
+const MAX_BALL_DISTANCE_YARDS = 60;
+const PIN_LOCATIONS = new Set(["front", "center", "back"]);
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * Origin + unit axis for the green, or null when there is nothing to
+ * orient it by.
+ *
+ * @returns {{ origin: {lat, lon}, axis: {x, y}, depthFrom: "front"|"center", depthYards: number|null }|null}
+ */
+function greenFrame(hole) {
+  const green = hole.green || {};
+  const center = green.center;
+  if (!center) return null;
+
+  const start = green.front || (green.back ? center : null);
+  const end = green.back || (green.front ? center : null);
+  let origin;
+  let toward;
+  let depthFrom;
+  if (start && end) {
+    origin = green.front || center;
+    toward = toLocalYards(start, end);
+    depthFrom = green.front ? "front" : "center";
+  } else {
+    const teeEntry = (hole.tees || []).find((t) => t.coordinate);
+    const tee = (teeEntry && teeEntry.coordinate) || hole.tee_front;
+    if (!tee) return null;
+    origin = center;
+    toward = toLocalYards(tee, center);
+    depthFrom = "center";
+  }
+
+  const length = Math.hypot(toward.x, toward.y);
+  if (length < 1) return null;
+  return {
+    origin,
+    axis: { x: toward.x / length, y: toward.y / length },
+    depthFrom,
+    depthYards:
+      green.front && green.back
+        ? round1(haversineMeters(green.front.lat, green.front.lon, green.back.lat, green.back.lon) * METERS_TO_YARDS)
+        : null
+  };
+}
+
+function placeOnGreen(frame, point) {
+  const v = toLocalYards(frame.origin, point);
+  // Right-hand normal of the axis points to the player's right.
+  return {
+    depthYards: round1(v.x * frame.axis.x + v.y * frame.axis.y),
+    lateralYards: round1(v.x * frame.axis.y - v.y * frame.axis.x)
+  };
+}
+
+/**
+ * Resolve `pin` to a coordinate: `{ lat, lon }` or one of the named
+ * green points ("front" | "center" | "back"; default center).
+ */
+function resolvePin(green, pin) {
+  if (pin == null || typeof pin === "string") {
+    const location = (pin || "center").toLowerCase();
+    if (!PIN_LOCATIONS.has(location)) return { error: "pin must be { lat, lon } or one of front, center, back." };
+    const coord = green[location];
+    if (!coord) return { error: `This green has no ${location} point; send pin as { lat, lon }.`, status: 422 };
+    return { value: coord, location };
+  }
+  return { value: pin, location: null };
+}
+
+function relation(ball, pin) {
+  const delta = pin.depthYards - ball.depthYards;
+  if (delta > 1) return "toward_back";
+  if (delta < -1) return "toward_front";
+  return "across";
+}
+
+/**
+ * Facts for one putt. Returns `{ putt }` or `{ error, status }`.
+ *
+ * @param {object} input
+ * @param {object} input.context  getRoundCourseContext() result
+ * @param {number} input.holeNumber
+ * @param {{ lat: number, lon: number }} input.ball
+ * @param {{ lat: number, lon: number }|string|null} input.pin
+ */
+function buildPuttContext({ context, holeNumber, ball, pin }) {
+  const hole = context.holes.find((h) => h.hole_number === holeNumber);
+  if (!hole) return { error: `Hole ${holeNumber} not found on this course.`, status: 404 };
+  const green = hole.green || {};
+  if (!green.center) return { error: `Hole ${holeNumber} has no green geometry.`, status: 422 };
+
+  const ballFromCenter = haversineMeters(ball.lat, ball.lon, green.center.lat, green.center.lon) * METERS_TO_YARDS;
+  if (ballFromCenter > MAX_BALL_DISTANCE_YARDS) {
+    return { error: `Ball is ${Math.round(ballFromCenter)} yds from the green; putt reads need it on or near the green.`, status: 400 };
+  }
+
+  const resolvedPin = resolvePin(green, pin);
+  if (resolvedPin.error) return { error: resolvedPin.error, status: resolvedPin.status || 400 };
+  const pinCoord = resolvedPin.value;
+
+  const distanceYards = haversineMeters(ball.lat, ball.lon, pinCoord.lat, pinCoord.lon) * METERS_TO_YARDS;
+  const frame = greenFrame(hole);
+  const ballPlace = frame ? placeOnGreen(frame, ball) : null;
+  const pinPlace = frame ? placeOnGreen(frame, pinCoord) : null;
+
+  return {
+    putt: {
+      courseId: context.course.id,
+      courseName: context.course.name,
+      city: context.course.city,
+      state: context.course.state,
+      holeNumber,
+      par: hole.par,
+      distanceYards: round1(distanceYards),
+      distanceFeet: Math.round(distanceYards * 3),
+      greenDepthYards: frame ? frame.depthYards : null,
+      depthMeasuredFrom: frame ? frame.depthFrom : null,
+      pinLocation: resolvedPin.location,
+      pin: pinPlace,
+      ball: ballPlace,
+      direction: ballPlace && pinPlace ? relation(ballPlace, pinPlace) : null
+    }
+  };
+}
+
+function describePlace(place, from) {
+  const side = place.lateralYards < -1 ? "left" : place.lateralYards > 1 ? "right" : "center";
+  const depth = place.depthYards >= 0 ? `${place.depthYards} yds past the ${from}` : `${Math.abs(place.depthYards)} yds short of the ${from}`;
+  return `${depth}, ${side === "center" ? "on the center line" : `${Math.abs(place.lateralYards)} yds ${side} of center`}`;
+}
+
+const DIRECTION_TEXT = {
+  toward_back: "toward the back of the green",
+  toward_front: "toward the front of the green",
+  across: "across the green"
+};
+
+/**
+ * Template variables for the putt_read prompt (services/promptRegistry.js).
+ */
+function promptVariables(putt) {
+  return {
+    courseName: putt.courseName,
+    holeNumber: putt.holeNumber,
+    par: putt.par,
+    depthFrom: putt.depthMeasuredFrom === "center" ? "green center" : "front edge",
+    distanceFeet: putt.distanceFeet,
+    greenDepthYards: putt.greenDepthYards,
+    pinPosition: putt.pin ? describePlace(putt.pin, putt.depthMeasuredFrom) : null,
+    ballPosition: putt.ball ? describePlace(putt.ball, putt.depthMeasuredFrom) : null,
+    puttDirection: putt.direction ? DIRECTION_TEXT[putt.direction] : null
+  };
+}
+
+/**
+ * Where to aim relative to the hole, from the validated putt_read. A putt
+ * breaking left-to-right is aimed left of the cup, and vice versa.
+ *
+ * @returns {{ side: "left"|"right"|"center", inches: number|null }}
+ */
+function aimOffset(read) {
+  if (read.breakDirection === "straight") return { side: "center", inches: 0 };
+  const side = read.breakDirection === "left_to_right" ? "left" : "right";
+  return { side, inches: read.breakInches ?? null };
+}
+
+module.exports = {
+  MAX_BALL_DISTANCE_YARDS,
+  greenFrame,
+  buildPuttContext,
+  promptVariables,
+  aimOffset
+};
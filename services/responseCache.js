@@ -0,0 +1,167 @@
+"use strict";
+
+/**
+ * LLM response cache for server-built shot recommendations.
+ *
+ * Golfers on the same hole ask nearly the same question from nearly the
+ * same spot, so /api/caddie/recommend keys completions on a normalized
+ * shot context rather than on the prompt text:
+ *
+ *   course, hole, tee set, distance (bucketed), lie, task type,
+ *   in-play hazards (type + bucketed carry + side), hash of the bag,
+ *   hash of the rendered system prompt (so A/B variants never share)
+ *
+ * Entries live in process memory with a TTL and an LRU size cap; the
+ * cache is per instance and lost on restart, which is fine for a
+ * latency/cost optimisation.
+ *
+ * Rules:
+ *   - requests with a photo are never cached (generateCaddieResponse
+ *     enforces this; the key can't describe an image)
+ *   - callers can opt out per request (`noCache`), and
+ *     CADDIE_CACHE_ENABLED=false turns it off entirely
+ *   - output that fails validation is evicted by the caller so it isn't
+ *     replayed
+ *
+ * Env: CADDIE_CACHE_ENABLED (default true), CADDIE_CACHE_TTL_MS
+ * (default 10 min), CADDIE_CACHE_MAX_ENTRIES (default 1000),
+ * CADDIE_CACHE_DISTANCE_BUCKET_YARDS (default 5).
+ */
+
+const { createHash } = require("crypto");
+
+const KEY_VERSION = 1; // bump when the key shape changes
+const DEFAULT_TTL_MS = Number(process.env.CADDIE_CACHE_TTL_MS) || 10 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = Number(process.env.CADDIE_CACHE_MAX_ENTRIES) || 1000;
+const DISTANCE_BUCKET_YARDS = Number(process.env.CADDIE_CACHE_DISTANCE_BUCKET_YARDS) || 5;
+const CACHE_ENABLED = process.env.CADDIE_CACHE_ENABLED !== "false";
+
+function sha256(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
+
+function bucket(yards, size) {
+  return Number.isFinite(yards) ? Math.round(yards / size) * size : null;
+}
+
+function sideOf(lateral) {
+  if (lateral < -5) return "L";
+  if (lateral > 5) return "R";
+  return "C";
+}
+
+/**
+ * Order-independent hash of the bag. Only name + carry matter to the prompt.
+ */
+function bagHash(clubs) {
+  const parts = (clubs || [])
+    .map((c) => `${String(c.name).toLowerCase()}:${c.carryYards ?? ""}`)
+    .sort();
+  return sha256(parts.join("|")).slice(0, 16);
+}
+
+/**
+ * Cache key for a buildShotContext() shot.
+ *
+ * @param {object} shot
+ * @param {object} [opts]
+ * @param {string} [opts.taskType]
+ * @param {string} [opts.systemPrompt]
+ * @param {number} [opts.bucketYards]
+ * @returns {string}
+ */
+function shotCacheKey(shot, { taskType = "default", systemPrompt = "", bucketYards = DISTANCE_BUCKET_YARDS } = {}) {
+  const hazards = (shot.hazards || [])
+    .map((h) => `${h.type}|${bucket(h.carryDistance, bucketYards)}|${sideOf(h.lateralOffset)}`)
+    .sort();
+  const normalized = {
+    v: KEY_VERSION,
+    course: String(shot.courseId),
+    hole: shot.holeNumber,
+    tee: String(shot.teeSetId),
+    fromTee: Boolean(shot.fromTee),
+    distance: bucket(shot.distanceToGreen, bucketYards),
+    lie: shot.lie,
+    taskType,
+    hazards,
+    bag: bagHash(shot.clubs),
+    prompt: sha256(systemPrompt).slice(0, 16)
+  };
+  return `shot:${sha256(JSON.stringify(normalized))}`;
+}
+
+/**
+ * In-memory TTL + LRU cache with hit/miss counters.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.ttlMs]
+ * @param {number} [opts.maxEntries]
+ * @param {() => number} [opts.now]  injectable clock for tests
+ */
+function createResponseCache({ ttlMs = DEFAULT_TTL_MS, maxEntries = DEFAULT_MAX_ENTRIES, now = Date.now } = {}) {
+  const entries = new Map(); // key → { value, expiresAt }; Map order = LRU order
+  const counters = { hits: 0, misses: 0, bypasses: 0, stores: 0, evictions: 0, expirations: 0 };
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        counters.misses += 1;
+        return null;
+      }
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        counters.expirations += 1;
+        counters.misses += 1;
+        return null;
+      }
+      // Refresh LRU position.
+      entries.delete(key);
+      entries.set(key, entry);
+      counters.hits += 1;
+      return entry.value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      counters.stores += 1;
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        counters.evictions += 1;
+      }
+    },
+    delete(key) {
+      return entries.delete(key);
+    },
+    recordBypass() {
+      counters.bypasses += 1;
+    },
+    clear() {
+      entries.clear();
+      for (const k of Object.keys(counters)) counters[k] = 0;
+    },
+    metrics() {
+      const lookups = counters.hits + counters.misses;
+      return {
+        enabled: CACHE_ENABLED,
+        ...counters,
+        size: entries.size,
+        hitRate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : 0,
+        ttlMs,
+        maxEntries
+      };
+    }
+  };
+}
+
+// Shared by every request in this process.
+const defaultCache = createResponseCache();
+
+module.exports = {
+  shotCacheKey,
+  bagHash,
+  createResponseCache,
+  defaultCache,
+  CACHE_ENABLED,
+  DISTANCE_BUCKET_YARDS
+};
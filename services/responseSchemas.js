@@ -0,0 +1,291 @@
+"use strict";
+
+/**
+ * Named response schemas for LLM output, plus validation and repair.
+ *
+ * Clients of /api/openai/complete and /api/openai/vision can pass
+ * `responseSchema: "<name>"`. The model output is then:
+ *   1. parsed and validated as-is                       → "valid"
+ *   2. repaired locally (fences/prose stripped, trailing
+ *      commas removed, types coerced, enums matched
+ *      case-insensitively, numbers clamped)             → "repaired"
+ *   3. sent back to the model once with the validation
+ *      errors and asked for corrected JSON              → "repaired"
+ *   4. otherwise                                       → "invalid"
+ * so a client that asked for a schema never receives broken JSON.
+ *
+ * The validator covers the JSON Schema subset the schemas below use:
+ * type (incl. ["x","null"]), required, properties, enum, minimum,
+ * maximum, maxLength, items, maxItems. Keys not named in a schema are
+ * passed through untouched, so client prompts may ask for extra fields.
+ */
+
+const CONFIDENCE = { type: "number", minimum: 0, maximum: 1 };
+
+const SCHEMAS = Object.freeze({
+  shot_recommendation: {
+    type: "object",
+    required: ["club", "recommendationText"],
+    properties: {
+      club: { type: "string", maxLength: 40 },
+      targetDescription: { type: ["string", "null"], maxLength: 300 },
+      shotShape: { type: ["string", "null"], enum: ["straight", "draw", "fade", null] },
+      recommendationText: { type: "string", maxLength: 1500 },
+      confidence: CONFIDENCE,
+      hazardWarnings: { type: "array", items: { type: "string", maxLength: 200 }, maxItems: 5 }
+    }
+  },
+  putt_read: {
+    type: "object",
+    required: ["breakDirection", "aimDescription", "recommendationText"],
+    properties: {
+      breakDirection: { type: "string", enum: ["left_to_right", "right_to_left", "straight"] },
+      breakInches: { type: ["number", "null"], minimum: 0, maximum: 120 },
+      slope: { type: ["string", "null"], enum: ["uphill", "downhill", "flat", null] },
+      speed: { type: ["string", "null"], enum: ["firm", "normal", "soft", null] },
+      aimDescription: { type: "string", maxLength: 300 },
+      recommendationText: { type: "string", maxLength: 1500 },
+      confidence: CONFIDENCE
+    }
+  },
+  lie_analysis: {
+    type: "object",
+    required: ["isOnGreen", "lie", "confidence"],
+    properties: {
+      isOnGreen: { type: "boolean" },
+      lie: {
+        type: "string",
+        enum: ["tee", "fairway", "first_cut", "rough", "deep_rough", "sand", "fringe", "green", "recovery", "unknown"]
+      },
+      confidence: CONFIDENCE,
+      notes: { type: ["string", "null"], maxLength: 500 }
+    }
+  }
+});
+
+const SCHEMA_NAMES = Object.freeze(Object.keys(SCHEMAS));
+
+function getSchema(name) {
+  return Object.prototype.hasOwnProperty.call(SCHEMAS, name) ? SCHEMAS[name] : null;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function typeMatches(expected, value) {
+  const actual = typeOf(value);
+  const allowed = Array.isArray(expected) ? expected : [expected];
+  return allowed.some((t) => t === actual || (t === "number" && actual === "integer"));
+}
+
+/**
+ * Validate `value` against `schema`.
+ *
+ * @returns {string[]} human-readable errors, empty when valid
+ */
+function validate(schema, value, path = "$") {
+  const errors = [];
+  if (schema.type && !typeMatches(schema.type, value)) {
+    errors.push(`${path}: expected ${[].concat(schema.type).join(" or ")}, got ${typeOf(value)}`);
+    return errors;
+  }
+  if (value === null) return errors;
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.filter((v) => v !== null).join(", ")}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+  if (typeof value === "string" && schema.maxLength != null && value.length > schema.maxLength) {
+    errors.push(`${path}: longer than ${schema.maxLength} characters`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push(`${path}: more than ${schema.maxItems} items`);
+    }
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validate(sub, value[key], `${path}.${key}`));
+    }
+  }
+  return errors;
+}
+
+/**
+ * Parse model output as strictly as JSON.parse does. Returns undefined on failure.
+ */
+function strictParse(content) {
+  if (typeof content !== "string") return undefined;
+  try {
+    return JSON.parse(content.trim());
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Lenient parse: pull the outermost {...} out of fenced or chatty output
+ * and drop trailing commas. Returns undefined on failure.
+ */
+function lenientParse(content) {
+  if (typeof content !== "string") return undefined;
+  const start = content.indexOf("{");
+  const end = content.lastIndexOf("}");
+  if (start === -1 || end <= start) return undefined;
+  const candidate = content.slice(start, end + 1).replace(/,\s*([}\]])/g, "$1");
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    return undefined;
+  }
+}
+
+function allows(schema, type) {
+  return [].concat(schema.type || []).includes(type);
+}
+
+/**
+ * Coerce a parsed value toward `schema` without inventing data:
+ * numeric strings → numbers, "yes"/"true" → booleans, enum matching that
+ * ignores case and spaces/hyphens, out-of-range numbers clamped, long
+ * strings truncated. Unknown object keys are kept as-is.
+ */
+function coerce(schema, value) {
+  if (value === undefined) return value;
+
+  if (allows(schema, "number") || allows(schema, "integer")) {
+    if (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value))) {
+      value = Number(value);
+    }
+    if (typeof value === "number") {
+      if (schema.minimum != null && value < schema.minimum) value = schema.minimum;
+      if (schema.maximum != null && value > schema.maximum) value = schema.maximum;
+    }
+  }
+
+  if (allows(schema, "boolean") && typeof value === "string") {
+    const v = value.trim().toLowerCase();
+    if (v === "true" || v === "yes") value = true;
+    else if (v === "false" || v === "no") value = false;
+  }
+
+  if (typeof value === "string") {
+    if (schema.enum) {
+      const key = value.trim().toLowerCase().replace(/[\s-]+/g, "_");
+      const match = schema.enum.find((e) => typeof e === "string" && e === key);
+      if (match) value = match;
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) value = value.slice(0, schema.maxLength);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value = value.map((item) => coerce(schema.items, item));
+    if (schema.maxItems != null && value.length > schema.maxItems) value = value.slice(0, schema.maxItems);
+  }
+
+  if (typeOf(value) === "object" && schema.properties) {
+    const out = { ...value };
+    for (const [key, sub] of Object.entries(schema.properties)) {
+      if (value[key] !== undefined) out[key] = coerce(sub, value[key]);
+    }
+    value = out;
+  }
+
+  return value;
+}
+
+/**
+ * Local repair: lenient parse + coercion.
+ *
+ * @returns {{ value: any, errors: string[] }}
+ */
+function repairLocally(schema, content) {
+  const parsed = lenientParse(content);
+  if (parsed === undefined) return { value: undefined, errors: ["$: not valid JSON"] };
+  const value = coerce(schema, parsed);
+  return { value, errors: validate(schema, value) };
+}
+
+function repairPrompts(schemaName, schema, content, errors) {
+  return {
+    systemPrompt:
+      "You fix malformed JSON. Return only a single corrected JSON object that satisfies the schema. " +
+      "Keep the original meaning; do not add commentary.",
+    userPrompt: [
+      `Schema (${schemaName}):`,
+      JSON.stringify(schema),
+      "",
+      "Validation errors:",
+      ...errors.map((e) => `- ${e}`),
+      "",
+      "Previous output:",
+      String(content).slice(0, 6000)
+    ].join("\n")
+  };
+}
+
+/**
+ * Validate model output against a named schema, repairing if needed.
+ *
+ * @param {object} opts
+ * @param {string} opts.schemaName
+ * @param {string} opts.content        raw model output
+ * @param {(prompts: { systemPrompt: string, userPrompt: string }) => Promise<string>} [opts.retry]
+ *        re-asks the model; called at most once, only if local repair fails
+ * @returns {Promise<{
+ *   validationStatus: "valid"|"repaired"|"invalid",
+ *   value: object|null,
+ *   repair: "local"|"retry"|null,
+ *   errors: string[]
+ * }>}
+ */
+async function validateResponse({ schemaName, content, retry }) {
+  const schema = getSchema(schemaName);
+  if (!schema) throw new Error(`Unknown response schema: ${schemaName}`);
+
+  const strict = strictParse(content);
+  const strictErrors = strict === undefined ? ["$: not valid JSON"] : validate(schema, strict);
+  if (strictErrors.length === 0) {
+    return { validationStatus: "valid", value: strict, repair: null, errors: [] };
+  }
+
+  const local = repairLocally(schema, content);
+  if (local.errors.length === 0) {
+    return { validationStatus: "repaired", value: local.value, repair: "local", errors: [] };
+  }
+
+  if (typeof retry === "function") {
+    try {
+      const retried = await retry(repairPrompts(schemaName, schema, content, local.errors));
+      const second = repairLocally(schema, retried);
+      if (second.errors.length === 0) {
+        return { validationStatus: "repaired", value: second.value, repair: "retry", errors: [] };
+      }
+      return { validationStatus: "invalid", value: null, repair: "retry", errors: second.errors };
+    } catch (err) {
+      console.warn("[SCHEMA] repair retry failed:", err.message);
+    }
+  }
+
+  return { validationStatus: "invalid", value: null, repair: null, errors: local.errors };
+}
+
+module.exports = {
+  SCHEMAS,
+  SCHEMA_NAMES,
+  getSchema,
+  validate,
+  coerce,
+  repairLocally,
+  validateResponse
+};
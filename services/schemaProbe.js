@@ -0,0 +1,43 @@
+"use strict";
+
+/**
+ * Table-presence check shared by the routers that degrade gracefully while
+ * a migration has not been applied yet (profiles, rounds, handicap).
+ *
+ * Positive answers are cached per pool for its lifetime; negatives are
+ * re-checked so a migration applied while the server runs is picked up
+ * without a restart.
+ */
+
+// pool → Set of table names seen to exist.
+let knownTables = new WeakMap();
+
+/**
+ * @param {import("pg").Pool|null} pool
+ * @param {string} table  unqualified name in the public schema
+ * @returns {Promise<boolean>} false on a missing pool or a failed probe
+ */
+async function tableExists(pool, table) {
+  if (!pool) return false;
+  const known = knownTables.get(pool);
+  if (known && known.has(table)) return true;
+  try {
+    const r = await pool.query("SELECT to_regclass($1) AS t", [`public.${table}`]);
+    const ok = Boolean(r.rows[0] && r.rows[0].t);
+    if (ok) {
+      if (!known) knownTables.set(pool, new Set([table]));
+      else known.add(table);
+    }
+    return ok;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  tableExists,
+  // Internal: forget every cached positive (tests).
+  __resetTableCache: () => {
+    knownTables = new WeakMap();
+  }
+};
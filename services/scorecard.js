@@ -0,0 +1,191 @@
+"use strict";
+
+/**
+ * Scorecard math: handicap stroke allocation, net score and Stableford.
+ *
+ * Pure functions only — the rounds router loads par / stroke index from
+ * golf_course_holes and the per-hole entries from round_hole_scores,
+ * then hands both to buildScorecard().
+ *
+ * Stroke allocation follows the WHS/R&A convention:
+ *   - A course handicap of N gives one stroke on each of the N lowest
+ *     stroke-index holes, wrapping for N > hole count (two strokes on the
+ *     hardest holes, etc).
+ *   - A plus handicap (negative N) gives strokes BACK on the |N| highest
+ *     stroke-index holes.
+ *   - Stroke indexes are ranked among the holes actually on the card, so
+ *     9-hole courses indexed 1..9 and 9-hole courses carrying odd-only
+ *     18-hole indexes (1,3,5…17) both allocate correctly.
+ */
+
+const STABLEFORD_BASE = 2; // net par = 2 points
+
+/**
+ * Rank holes by stroke index (1 = hardest). Holes without a stroke index
+ * sort after indexed holes, in hole-number order, so allocation is still
+ * deterministic on incomplete data.
+ *
+ * @param {Array<{ holeNumber: number, strokeIndex: number|null }>} holes
+ * @returns {Map<number, number>} holeNumber → rank (1..holes.length)
+ */
+function rankStrokeIndexes(holes) {
+  const sorted = [...holes].sort((a, b) => {
+    const ai = Number.isFinite(a.strokeIndex) ? a.strokeIndex : Infinity;
+    const bi = Number.isFinite(b.strokeIndex) ? b.strokeIndex : Infinity;
+    if (ai !== bi) return ai - bi;
+    return a.holeNumber - b.holeNumber;
+  });
+  const ranks = new Map();
+  sorted.forEach((h, i) => ranks.set(h.holeNumber, i + 1));
+  return ranks;
+}
+
+/**
+ * Handicap strokes received on a hole.
+ *
+ * @param {number} courseHandicap - playing/course handicap for the holes on the card
+ * @param {number} rank           - stroke-index rank of the hole (1 = hardest)
+ * @param {number} holeCount      - number of holes on the card (9 or 18)
+ * @returns {number} strokes received (negative for plus handicaps)
+ */
+function strokesReceived(courseHandicap, rank, holeCount) {
+  const ch = Math.round(Number(courseHandicap) || 0);
+  if (ch === 0 || !holeCount) return 0;
+  if (ch > 0) {
+    return Math.floor(ch / holeCount) + (rank <= ch % holeCount ? 1 : 0);
+  }
+  const given = -ch;
+  const back = Math.floor(given / holeCount) + (rank > holeCount - (given % holeCount) ? 1 : 0);
+  return back === 0 ? 0 : -back;
+}
+
+/**
+ * Stableford points for one hole: 2 for net par, +1 per stroke under,
+ * −1 per stroke over, floored at 0.
+ */
+function stablefordPoints(par, strokes, received) {
+  if (!Number.isFinite(strokes) || !Number.isFinite(par)) return null;
+  return Math.max(0, STABLEFORD_BASE + par + received - strokes);
+}
+
+/**
+ * Greens in regulation when the player didn't record it explicitly:
+ * reached the green in (par − 2) or fewer strokes.
+ */
+function deriveGir(par, strokes, putts) {
+  if (!Number.isFinite(par) || !Number.isFinite(strokes) || !Number.isFinite(putts)) return null;
+  return strokes - putts <= par - 2;
+}
+
+function emptyTotals() {
+  return {
+    holesPlayed: 0,
+    par: 0,
+    gross: 0,
+    net: 0,
+    stableford: 0,
+    putts: 0,
+    penaltyStrokes: 0,
+    fairwaysHit: 0,
+    fairwaysPossible: 0,
+    greensInRegulation: 0,
+    girPossible: 0,
+    grossToPar: 0,
+    netToPar: 0
+  };
+}
+
+function addHole(totals, h) {
+  if (h.strokes == null) return;
+  totals.holesPlayed++;
+  totals.par += h.par;
+  totals.gross += h.strokes;
+  totals.net += h.netStrokes;
+  totals.stableford += h.stablefordPoints;
+  totals.putts += h.putts || 0;
+  totals.penaltyStrokes += h.penaltyStrokes || 0;
+  if (h.fairwayHit != null) {
+    totals.fairwaysPossible++;
+    if (h.fairwayHit) totals.fairwaysHit++;
+  }
+  if (h.gir != null) {
+    totals.girPossible++;
+    if (h.gir) totals.greensInRegulation++;
+  }
+  totals.grossToPar = totals.gross - totals.par;
+  totals.netToPar = totals.net - totals.par;
+}
+
+/**
+ * Build a full scorecard with per-hole and running totals.
+ *
+ * @param {object} input
+ * @param {Array<{ hole_number: number, par: number, handicap: number|null }>} input.holes
+ *        course holes (golf_course_holes rows)
+ * @param {Array<{ hole_number: number, strokes: number, putts: number|null,
+ *                 fairway_hit: boolean|null, gir: boolean|null, penalty_strokes: number }>} input.scores
+ *        recorded scores (round_hole_scores rows)
+ * @param {number|null} input.courseHandicap
+ * @param {number} [input.numHoles] golf_courses.num_holes; defaults to holes.length
+ * @returns {{ courseHandicap: number|null, holeCount: number, holes: object[],
+ *             totals: object, nines: { out: object, in: object }|null }}
+ */
+function buildScorecard({ holes, scores, courseHandicap = null, numHoles }) {
+  const holeCount = numHoles || holes.length;
+  const cardHoles = holes
+    .filter((h) => h.hole_number >= 1 && h.hole_number <= holeCount)
+    .map((h) => ({
+      holeNumber: h.hole_number,
+      par: Number(h.par),
+      strokeIndex: h.handicap != null ? Number(h.handicap) : null
+    }));
+  const ranks = rankStrokeIndexes(cardHoles);
+  const scoreByHole = new Map(scores.map((s) => [s.hole_number, s]));
+  const ch = Number.isFinite(courseHandicap) ? courseHandicap : 0;
+
+  const totals = emptyTotals();
+  const out = emptyTotals();
+  const inn = emptyTotals();
+
+  const perHole = cardHoles
+    .sort((a, b) => a.holeNumber - b.holeNumber)
+    .map((h) => {
+      const s = scoreByHole.get(h.holeNumber) || null;
+      const received = strokesReceived(ch, ranks.get(h.holeNumber), cardHoles.length);
+      const strokes = s ? s.strokes : null;
+      const putts = s && s.putts != null ? s.putts : null;
+      const entry = {
+        holeNumber: h.holeNumber,
+        par: h.par,
+        strokeIndex: h.strokeIndex,
+        strokesReceived: received,
+        strokes,
+        putts,
+        // Par 3s have no fairway to hit — never count them either way.
+        fairwayHit: s && h.par > 3 && s.fairway_hit != null ? Boolean(s.fairway_hit) : null,
+        gir: s ? (s.gir != null ? Boolean(s.gir) : deriveGir(h.par, strokes, putts)) : null,
+        penaltyStrokes: s ? s.penalty_strokes || 0 : null,
+        netStrokes: strokes != null ? strokes - received : null,
+        stablefordPoints: strokes != null ? stablefordPoints(h.par, strokes, received) : null
+      };
+      addHole(totals, entry);
+      if (holeCount === 18) addHole(h.holeNumber <= 9 ? out : inn, entry);
+      return { ...entry, runningGross: totals.gross, runningNet: totals.net, runningStableford: totals.stableford };
+    });
+
+  return {
+    courseHandicap: Number.isFinite(courseHandicap) ? courseHandicap : null,
+    holeCount,
+    holes: perHole,
+    totals,
+    nines: holeCount === 18 ? { out, in: inn } : null
+  };
+}
+
+module.exports = {
+  buildScorecard,
+  strokesReceived,
+  stablefordPoints,
+  rankStrokeIndexes,
+  deriveGir
+};
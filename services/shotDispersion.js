@@ -0,0 +1,259 @@
+"use strict";
+
+/**
+ * Player shot patterns and the chance a hazard comes into play.
+ *
+ * A shot pattern is a bivariate normal landing distribution for one club:
+ *
+ *   depth    mean = carry (× lie factor) + depth bias,  sd = depthSigma
+ *   lateral  mean = aim + lateral bias,                 sd = lateralSigma
+ *
+ * The starting point is clubSelection's dispersion for the carry (depth
+ * ≈ 6%, half-width ≈ 8% of carry) taken as one standard deviation. A
+ * miss recorded in shot_outcomes (miss_left / miss_right / short / long)
+ * is read as "finished more than one baseline sd off", so a player's miss
+ * rates on each side pin down both the spread and the bias:
+ *
+ *   P(x < -t) = L,  P(x > t) = R   →   sd = 2t / (z(1-R) - z(L)),  mean = -sd·(z(1-R) + z(L)) / 2
+ *
+ * shot_result holds one miss per shot, so a lateral miss says nothing
+ * about depth: each axis is rated over the shots not missed on the other.
+ *
+ * Rates are smoothed toward a prior (the player's all-club rates when
+ * there are enough of them, else the baseline's ~16% per side) so a
+ * handful of shots can't produce a zero-width or runaway pattern.
+ *
+ * A hazard POI is treated as a HAZARD_RADIUS_YARDS square (clubSelection's
+ * footprint), and its in-play probability is the mass
+ * of the landing distribution inside it.
+ */
+
+const { DEFAULT_BAG, LIE_CARRY_FACTOR, HAZARD_RADIUS_YARDS, dispersion, playableBag } = require("./clubSelection");
+
+// Below this a hazard isn't worth mentioning for the shot.
+const IN_PLAY_MIN_PROBABILITY = 0.02;
+const HISTORY_DAYS = 365;
+const PRIOR_SHOTS = 8;
+const MIN_PLAYER_SHOTS_FOR_PRIOR = 15;
+const SIGMA_CLAMP = [0.5, 3];
+
+/** Standard normal CDF (Abramowitz–Stegun 7.1.26 via erf). */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/** Inverse standard normal CDF (Acklam's rational approximation). */
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const lo = 0.02425;
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p < lo) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - lo) return -normalQuantile(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+const BASELINE_MISS_RATE = 1 - normalCdf(1);
+
+function clubKey(name) {
+  return String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function emptyCounts() {
+  return { shots: 0, left: 0, right: 0, short: 0, long: 0 };
+}
+
+/**
+ * The caller's recent outcomes grouped by club, or null when there is no
+ * history (or no shot_outcomes table yet).
+ *
+ * @returns {Promise<{ byClub: Object<string, object>, overall: object }|null>}
+ */
+async function loadShotHistory(pool, userId) {
+  let rows;
+  try {
+    const r = await pool.query(
+      `SELECT club_used, shot_result, COUNT(*)::int AS n
+       FROM shot_outcomes
+       WHERE user_id = $1
+         AND club_used IS NOT NULL
+         AND recorded_at > now() - ($2::int * interval '1 day')
+       GROUP BY club_used, shot_result`,
+      [String(userId), HISTORY_DAYS]
+    );
+    rows = r.rows;
+  } catch (err) {
+    console.warn("[DISPERSION] shot history lookup failed:", err.message);
+    return null;
+  }
+  if (!rows || rows.length === 0) return null;
+
+  const byClub = {};
+  const overall = emptyCounts();
+  for (const row of rows) {
+    const key = clubKey(row.club_used);
+    if (!key) continue;
+    const n = Number(row.n) || 0;
+    const counts = byClub[key] || (byClub[key] = emptyCounts());
+    for (const bucket of [counts, overall]) {
+      bucket.shots += n;
+      if (row.shot_result === "miss_left") bucket.left += n;
+      else if (row.shot_result === "miss_right") bucket.right += n;
+      else if (row.shot_result === "short") bucket.short += n;
+      else if (row.shot_result === "long") bucket.long += n;
+    }
+  }
+  return overall.shots > 0 ? { byClub, overall } : null;
+}
+
+// `|| 0` drops the -0 a zero bias rounds to.
+function round1(v) {
+  return Math.round(v * 10) / 10 || 0;
+}
+
+function smoothedRate(count, shots, priorRate) {
+  return (count + PRIOR_SHOTS * priorRate) / (shots + PRIOR_SHOTS);
+}
+
+/**
+ * Spread and bias for one axis from the two-sided miss rates.
+ * `threshold` is the baseline sd, so baseline rates give back (t, 0).
+ */
+function solveAxis(lowRate, highRate, threshold) {
+  const zLow = normalQuantile(lowRate);
+  const zHigh = normalQuantile(1 - highRate);
+  const span = zHigh - zLow;
+  const [minF, maxF] = SIGMA_CLAMP;
+  const sigma = Math.min(Math.max(span > 0 ? (2 * threshold) / span : threshold * maxF, threshold * minF), threshold * maxF);
+  // Midpoint of the two one-sided solutions; exact when sigma wasn't clamped.
+  const bias = -sigma * (zHigh + zLow) / 2;
+  // A very lopsided record still can't drag the mean far past the miss line.
+  return { sigma, bias: Math.min(Math.max(bias, -2 * threshold), 2 * threshold) };
+}
+
+/**
+ * Landing pattern for a club.
+ *
+ * @param {string} clubName
+ * @param {object} [opts]
+ * @param {Array<{ name: string, carryYards: number|null }>} [opts.clubs]  profile bag
+ * @param {object|null} [opts.history]  loadShotHistory() result
+ * @param {string} [opts.lie]
+ * @returns {object|null} null when no carry is known for the club
+ */
+function patternForClub(clubName, { clubs = [], history = null, lie = "fairway" } = {}) {
+  const key = clubKey(clubName);
+  const inBag = clubs.find((c) => clubKey(c.name) === key && Number.isFinite(c.carryYards) && c.carryYards > 0);
+  const fallback = DEFAULT_BAG.find((c) => clubKey(c.name) === key);
+  const carry = inBag ? inBag.carryYards : fallback ? fallback.carryYards : null;
+  if (!carry) return null;
+
+  const effectiveCarry = carry * (LIE_CARRY_FACTOR[lie] ?? 1.0);
+  const base = dispersion(effectiveCarry);
+
+  const overall = history ? history.overall : null;
+  const own = history ? history.byClub[key] || null : null;
+  const usePlayerPrior = overall && overall.shots >= MIN_PLAYER_SHOTS_FOR_PRIOR;
+  const prior = (field) => {
+    if (!usePlayerPrior) return BASELINE_MISS_RATE;
+    const lateralField = field === "left" || field === "right";
+    const shots = overall.shots - (lateralField ? overall.short + overall.long : overall.left + overall.right);
+    return smoothedRate(overall[field], shots, BASELINE_MISS_RATE);
+  };
+
+  let lateral = { sigma: base.halfWidth, bias: 0 };
+  let depth = { sigma: base.depth, bias: 0 };
+  let source = "default";
+  if (own || usePlayerPrior) {
+    const counts = own || emptyCounts();
+    const lateralShots = counts.shots - counts.short - counts.long;
+    const depthShots = counts.shots - counts.left - counts.right;
+    const rate = (field, shots) => smoothedRate(counts[field], shots, prior(field));
+    lateral = solveAxis(rate("left", lateralShots), rate("right", lateralShots), base.halfWidth);
+    depth = solveAxis(rate("short", depthShots), rate("long", depthShots), base.depth);
+    source = own ? "club_history" : "player_history";
+  }
+
+  return {
+    club: inBag ? inBag.name : fallback.name,
+    carryYards: Math.round(carry),
+    meanCarryYards: Math.round(effectiveCarry + depth.bias),
+    depthSigmaYards: round1(depth.sigma),
+    lateralSigmaYards: round1(lateral.sigma),
+    lateralBiasYards: round1(lateral.bias),
+    samples: own ? own.shots : 0,
+    carrySource: inBag ? "profile" : "default",
+    source
+  };
+}
+
+function massBetween(lo, hi, mean, sigma) {
+  return normalCdf((hi - mean) / sigma) - normalCdf((lo - mean) / sigma);
+}
+
+/**
+ * Probability the shot finishes in a hazard's footprint.
+ *
+ * @param {{ carryDistance: number, lateralOffset: number }} hazard  ball-relative (negative lateral = left)
+ * @param {object} pattern  patternForClub() result
+ * @param {number} [aimOffsetYards=0]  aim relative to the centre line (negative = left)
+ */
+function hazardInPlayProbability(hazard, pattern, aimOffsetYards = 0) {
+  const r = HAZARD_RADIUS_YARDS;
+  const along = massBetween(hazard.carryDistance - r, hazard.carryDistance + r, pattern.meanCarryYards, pattern.depthSigmaYards);
+  const lateralMean = aimOffsetYards + pattern.lateralBiasYards;
+  const across = massBetween(hazard.lateralOffset - r, hazard.lateralOffset + r, lateralMean, pattern.lateralSigmaYards);
+  return Math.round(Math.max(0, along * across) * 1000) / 1000;
+}
+
+/**
+ * Pattern for the club a distance calls for: the shortest playable club
+ * that carries it from the lie, else the longest. Used to judge which
+ * hazards are in play before a club has been chosen.
+ *
+ * @param {number} distanceYards
+ * @param {object} [opts]  as patternForClub
+ * @returns {object|null}
+ */
+function patternForDistance(distanceYards, { clubs = [], history = null, lie = "fairway" } = {}) {
+  const { bag } = playableBag(clubs, lie);
+  if (!bag.length || !Number.isFinite(distanceYards)) return null;
+  const factor = LIE_CARRY_FACTOR[lie] ?? 1.0;
+  const byCarry = [...bag].sort((a, b) => a.carryYards - b.carryYards);
+  const club = byCarry.find((c) => c.carryYards * factor >= distanceYards) || byCarry[byCarry.length - 1];
+  return patternForClub(club.name, { clubs, history, lie });
+}
+
+/**
+ * Re-score ball-relative hazards for a pattern: adds `inPlayProbability`
+ * and sets `isInPlay` from it.
+ */
+function applyPattern(hazards, pattern, aimOffsetYards = 0) {
+  return hazards.map((h) => {
+    const inPlayProbability = hazardInPlayProbability(h, pattern, aimOffsetYards);
+    return { ...h, inPlayProbability, isInPlay: inPlayProbability >= IN_PLAY_MIN_PROBABILITY };
+  });
+}
+
+module.exports = {
+  loadShotHistory,
+  patternForClub,
+  patternForDistance,
+  hazardInPlayProbability,
+  applyPattern,
+  normalCdf,
+  normalQuantile,
+  IN_PLAY_MIN_PROBABILITY
+};
@@ -0,0 +1,305 @@
+"use strict";
+
+/**
+ * Server-side shot recommendation: context assembly, prompt and response
+ * validation for POST /api/caddie/recommend.
+ *
+ * The client sends only structured facts (course, hole, tee set, position,
+ * lie). Everything the model sees is built here from the round-engine
+ * payload (getRoundCourseContext), tee/position-relative hazards
+ * (hazardEngine.computeHazardsForTee) and the player's bag from
+ * user_profiles — so prompts can't be tampered with and every
+ * recommendation is reproducible from its logged context.
+ */
+
+const { computeHazardsForTee, yardsBetween } = require("./hazardEngine");
+const { edgeCarries } = require("./holeGeometry");
+const { patternForDistance } = require("./shotDispersion");
+const { resolvePrompt } = require("./promptRegistry");
+
+const LIES = new Set(["tee", "fairway", "first_cut", "rough", "deep_rough", "sand", "fringe", "green", "recovery"]);
+const SHOT_SHAPES = new Set(["straight", "draw", "fade"]);
+const MAX_PROMPT_CLUBS = 16;
+const MAX_PROMPT_HAZARDS = 8;
+
+/**
+ * The caller's profile JSON, or null if they have none / the table isn't
+ * there yet. A missing bag only makes the prompt less specific.
+ */
+async function loadProfile(pool, userId) {
+  try {
+    const r = await pool.query(
+      "SELECT profile_json FROM user_profiles WHERE user_id = $1 LIMIT 1",
+      [userId]
+    );
+    return r.rows[0] ? r.rows[0].profile_json : null;
+  } catch (err) {
+    console.warn("[PROFILE] profile lookup failed:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Normalize the bag from profile_json.clubs. iOS has sent both
+ * `{ name, carryYards }` and `{ clubName, carryYards }` over time.
+ *
+ * @returns {Array<{ name: string, carryYards: number|null }>}
+ */
+function profileClubs(profile) {
+  const raw = profile && Array.isArray(profile.clubs) ? profile.clubs : [];
+  const clubs = [];
+  for (const c of raw) {
+    if (!c || typeof c !== "object") continue;
+    const name = String(c.clubName || c.name || "").trim().slice(0, 40);
+    if (!name) continue;
+    const carry = Number(c.carryYards);
+    clubs.push({ name, carryYards: Number.isFinite(carry) && carry > 0 ? Math.round(carry) : null });
+  }
+  return clubs.slice(0, MAX_PROMPT_CLUBS);
+}
+
+/**
+ * Resolve the hole, tee and player position into the facts the prompt
+ * needs. Returns `{ error }` when the request can't be served.
+ *
+ * @param {object} input
+ * @param {object} input.context     getRoundCourseContext() result
+ * @param {number} input.holeNumber
+ * @param {string} input.teeSetId
+ * @param {{ lat: number, lon: number }|null} input.position  null = on the tee
+ * @param {string} input.lie
+ * @param {Array<{ name: string, carryYards: number|null }>} input.clubs
+ * @param {object|null} [input.history]  shotDispersion.loadShotHistory() result
+ */
+function buildShotContext({ context, holeNumber, teeSetId, position, lie, clubs, history = null }) {
+  const hole = context.holes.find((h) => h.hole_number === holeNumber);
+  if (!hole) return { error: `Hole ${holeNumber} not found on this course.`, status: 404 };
+
+  const tee = context.tees.find((t) => String(t.id) === String(teeSetId));
+  if (!tee) return { error: "teeSetId does not belong to this course.", status: 400 };
+
+  const greenCenter = hole.green && hole.green.center;
+  if (!greenCenter) return { error: `Hole ${holeNumber} has no green geometry.`, status: 422 };
+
+  const holeTee = hole.tees.find((t) => String(t.tee_set_id) === String(tee.id));
+  const teeCoord = (holeTee && holeTee.coordinate) || hole.tee_front || null;
+  const length = hole.hole_lengths.find((l) => String(l.tee_set_id) === String(tee.id));
+  const holeYardage = length ? length.yardage : holeTee && holeTee.yardage ? Number(holeTee.yardage) : null;
+
+  const from = position || teeCoord;
+  if (!from) return { error: "position is required when the hole has no tee coordinate.", status: 400 };
+
+  const distanceToGreen = yardsBetween(from, greenCenter);
+  // Front/back POIs when mapped, else where the line to the center crosses the green outline.
+  const greenEdges = hole.green.polygon
+    ? edgeCarries(from, greenCenter, { kind: "polygon", coordinates: hole.green.polygon })
+    : null;
+  const distanceToFront = hole.green.front ? yardsBetween(from, hole.green.front) : greenEdges ? greenEdges.frontCarry : null;
+  const distanceToBack = hole.green.back ? yardsBetween(from, hole.green.back) : greenEdges ? greenEdges.backCarry : null;
+
+  // Plays-like off the tee adds the tee set's elevation adjustment
+  // (services/courseElevation.js); the ball has no height, so from a
+  // position the shot plays as measured.
+  const teeElevation = !position && hole.elevation
+    ? hole.elevation.tees.find((t) => String(t.tee_set_id) === String(tee.id))
+    : null;
+  const playsLikeDistance = distanceToGreen + ((teeElevation && teeElevation.plays_like_adjust_yards) || 0);
+
+  // computeHazardsForTee works from any origin: we pass the player's ball
+  // and the remaining distance so carries are measured from where they stand.
+  // In-play is judged against the pattern of the club the distance calls
+  // for; `measuredHazards` keeps every POI so the caller can re-score them
+  // once the club is chosen (shotDispersion.applyPattern).
+  const pattern = patternForDistance(playsLikeDistance, { clubs, history, lie });
+  const measuredHazards = computeHazardsForTee(
+    from,
+    greenCenter,
+    hole.hazard_pois.map((p) => ({
+      poi_type: p.normalized_type || p.type,
+      location_label: p.location_label,
+      fairway_side: p.fairway_side,
+      lat: p.lat,
+      lon: p.lon,
+      geometry: p.geometry || null
+    })),
+    distanceToGreen,
+    { pattern }
+  );
+  const hazards = measuredHazards
+    .filter((h) => h.isInPlay)
+    .sort((a, b) => a.carryDistance - b.carryDistance)
+    .slice(0, MAX_PROMPT_HAZARDS);
+
+  return {
+    shot: {
+      courseId: context.course.id,
+      courseName: context.course.name,
+      city: context.course.city,
+      state: context.course.state,
+      holeNumber,
+      par: hole.par,
+      strokeIndex: hole.handicap,
+      teeSetId: tee.id,
+      teeName: tee.name,
+      holeYardage,
+      fromTee: !position,
+      lie,
+      distanceToGreen,
+      playsLikeDistance,
+      distanceToFront,
+      distanceToBack,
+      hazards,
+      measuredHazards,
+      clubs
+    }
+  };
+}
+
+function describeHazard(h) {
+  const side = h.lateralOffset < -5 ? "left" : h.lateralOffset > 5 ? "right" : "center";
+  if (h.frontEdgeCarry != null) {
+    return `${h.type} ${side} — ${h.frontEdgeCarry} yds to the front, ${h.backEdgeCarry} to clear it, ` +
+      `${Math.abs(h.nearestLateralOffset)} yds off line at its edge`;
+  }
+  return `${h.type} ${side} — ${h.carryDistance} yds carry, ${Math.abs(h.lateralOffset)} yds off line`;
+}
+
+/**
+ * Template variables for the shot_recommendation prompt
+ * (services/promptRegistry.js), from the shot and the profile JSON.
+ */
+function promptVariables(shot, profile) {
+  const p = profile && typeof profile === "object" ? profile : {};
+  return {
+    courseName: shot.courseName,
+    holeNumber: shot.holeNumber,
+    par: shot.par,
+    lie: shot.lie,
+    playerGoal: p.golfGoal,
+    riskOffTee: p.riskOffTee,
+    riskAroundHazards: p.riskAroundHazards
+  };
+}
+
+/**
+ * @param {object} shot  buildShotContext().shot
+ * @param {object} [opts]
+ * @param {string} [opts.systemPrompt]  resolved registry prompt; defaults
+ *        to the default shot_recommendation version
+ * @returns {{ systemPrompt: string, userPrompt: string }}
+ */
+function buildShotPrompts(shot, { systemPrompt } = {}) {
+  const lines = [
+    `Course: ${shot.courseName}`,
+    `Hole ${shot.holeNumber}, par ${shot.par}${shot.holeYardage ? `, ${shot.holeYardage} yds from the ${shot.teeName} tees` : ""}`,
+    `Ball: ${shot.fromTee ? "on the tee" : `in the ${shot.lie.replace("_", " ")}`}`,
+    `Distance to green: ${shot.distanceToGreen} center` +
+      (shot.distanceToFront != null ? `, ${shot.distanceToFront} front` : "") +
+      (shot.distanceToBack != null ? `, ${shot.distanceToBack} back` : "")
+  ];
+  if (shot.hazards.length) {
+    lines.push("Hazards in play:");
+    for (const h of shot.hazards) lines.push(`- ${describeHazard(h)}`);
+  } else {
+    lines.push("Hazards in play: none mapped");
+  }
+  if (shot.clubs.length) {
+    lines.push("Player's bag (carry yards):");
+    for (const c of shot.clubs) lines.push(`- ${c.name}${c.carryYards ? `: ${c.carryYards}` : ""}`);
+  } else {
+    lines.push("Player's bag: unknown — assume typical amateur distances.");
+  }
+  return {
+    systemPrompt: systemPrompt || resolvePrompt("shot_recommendation").systemPrompt,
+    userPrompt: lines.join("\n")
+  };
+}
+
+/**
+ * Pull the first JSON object out of model output. Models sometimes wrap
+ * JSON in ```json fences or add a sentence before it.
+ */
+function extractJsonObject(content) {
+  if (typeof content !== "string") return null;
+  const start = content.indexOf("{");
+  const end = content.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+  try {
+    const parsed = JSON.parse(content.slice(start, end + 1));
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate model output. Returns `{ recommendation }` or `{ error }`.
+ */
+function parseShotRecommendation(content) {
+  const obj = extractJsonObject(content);
+  if (!obj) return { error: "response_not_json" };
+
+  const club = typeof obj.club === "string" ? obj.club.trim().slice(0, 40) : "";
+  const text = typeof obj.recommendationText === "string" ? obj.recommendationText.trim().slice(0, 1500) : "";
+  if (!club) return { error: "missing_club" };
+  if (!text) return { error: "missing_recommendation_text" };
+
+  const confidence = Number(obj.confidence);
+  const shape = typeof obj.shotShape === "string" ? obj.shotShape.trim().toLowerCase() : "";
+  return {
+    recommendation: {
+      club,
+      targetDescription:
+        typeof obj.targetDescription === "string" ? obj.targetDescription.trim().slice(0, 300) || null : null,
+      shotShape: SHOT_SHAPES.has(shape) ? shape : null,
+      recommendationText: text,
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : null,
+      hazardWarnings: Array.isArray(obj.hazardWarnings)
+        ? obj.hazardWarnings.filter((w) => typeof w === "string" && w.trim()).map((w) => w.trim().slice(0, 200)).slice(0, 5)
+        : []
+    }
+  };
+}
+
+/**
+ * Make sure the recommended club is one the player actually carries.
+ * Falls back to the bag club whose carry is closest to the distance.
+ *
+ * @returns {{ club: string, normalized: boolean, reason: string|null, candidates: string[] }}
+ */
+function reconcileClub(club, clubs, distanceYards) {
+  const byCarry = clubs
+    .filter((c) => c.carryYards != null)
+    .sort((a, b) => Math.abs(a.carryYards - distanceYards) - Math.abs(b.carryYards - distanceYards));
+  const candidates = byCarry.slice(0, 3).map((c) => c.name);
+
+  if (clubs.length === 0) return { club, normalized: false, reason: null, candidates };
+  const match = clubs.find((c) => c.name.toLowerCase() === club.toLowerCase());
+  if (match) return { club: match.name, normalized: false, reason: null, candidates };
+  if (byCarry.length === 0) return { club, normalized: false, reason: null, candidates };
+  return { club: byCarry[0].name, normalized: true, reason: "club_not_in_bag", candidates };
+}
+
+/**
+ * Pick the modelRouter task type for a shot. Putts go to the putting
+ * route; everything else is a text-only quick shot unless the client
+ * explicitly asks for the full-shot model.
+ */
+function taskTypeForShot(lie, requested) {
+  if (lie === "green") return "putting";
+  if (requested === "full_shot") return "full_shot";
+  return "quick_shot";
+}
+
+module.exports = {
+  LIES,
+  loadProfile,
+  profileClubs,
+  buildShotContext,
+  buildShotPrompts,
+  promptVariables,
+  extractJsonObject,
+  parseShotRecommendation,
+  reconcileClub,
+  taskTypeForShot
+};
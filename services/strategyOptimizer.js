@@ -0,0 +1,264 @@
+"use strict";
+
+/**
+ * Expected-strokes strategy optimizer for tee shots, layups and approaches.
+ *
+ * For every club in the bag × aim line, the player's landing pattern
+ * (shotDispersion.patternForClub: carry plus depth / left-right spread from
+ * shot_outcomes) is integrated over the hole and each landing spot is
+ * scored by the strokes still needed from there. The club and line with
+ * the lowest expected strokes win.
+ *
+ * Geometry is the hole as hazardEngine sees it from the origin (per-tee
+ * coordinate from golf_hole_tees, tee POI, or the ball): the green sits at
+ * (distanceToGreen, 0) on the origin→green line and hazards carry their
+ * carry / lateral offsets (services/holeHazards.js). Without fairway
+ * outlines the fairway is assumed to follow that line, FAIRWAY_HALF_WIDTH
+ * either side.
+ *
+ * Landing spots are scored with a strokes-to-hole-out baseline per lie
+ * (PGA Tour averages, Broadie's "Every Shot Counts"). The absolute numbers
+ * flatter an amateur but the ordering between options is what matters:
+ *   - inside GREEN_RADIUS of the center → putts from that many feet
+ *   - in a hazard footprint → HAZARD_OUTCOMES: penalty areas cost a stroke
+ *     and play on from the hazard, out of bounds is stroke and distance,
+ *     bunkers play from sand, trees from a recovery lie. Types without an
+ *     entry play as a penalty when their HAZARD_SEVERITY is
+ *     PENALTY_SEVERITY or more, else from the rough.
+ *   - otherwise fairway, rough, or recovery when way offline
+ */
+
+const { buildHoleHazards } = require("./holeHazards");
+const { HAZARD_SEVERITY } = require("./hazardClassifier");
+const { HAZARD_RADIUS_YARDS, playableBag } = require("./clubSelection");
+const { patternForClub } = require("./shotDispersion");
+
+const GREEN_RADIUS_YARDS = 12;
+const FAIRWAY_HALF_WIDTH_YARDS = 20;
+const RECOVERY_LATERAL_YARDS = 40;
+const PENALTY_SEVERITY = 0.85;
+const AIM_STEP_YARDS = 5;
+const MAX_AIM_YARDS = 30;
+const MAX_ALTERNATIVES = 3;
+
+// [yards to the hole, expected strokes to hole out]
+const BASELINE = Object.freeze({
+  fairway: [[0, 1.0], [20, 2.4], [40, 2.6], [60, 2.7], [80, 2.75], [100, 2.8], [120, 2.85], [140, 2.91], [160, 2.98], [180, 3.08], [200, 3.19], [220, 3.32], [240, 3.45], [260, 3.58], [280, 3.69], [300, 3.78], [350, 3.95], [400, 3.99], [450, 4.17], [500, 4.41], [550, 4.69], [600, 4.98]],
+  rough: [[0, 1.5], [20, 2.59], [40, 2.78], [60, 2.91], [80, 2.96], [100, 3.02], [120, 3.08], [140, 3.15], [160, 3.23], [180, 3.31], [200, 3.42], [220, 3.53], [240, 3.64], [260, 3.74], [280, 3.83], [300, 3.9], [400, 4.11], [500, 4.53], [600, 5.1]],
+  sand: [[0, 2.2], [20, 2.53], [40, 2.82], [60, 3.15], [80, 3.24], [100, 3.23], [120, 3.21], [140, 3.22], [160, 3.28], [180, 3.4], [200, 3.55], [220, 3.7], [240, 3.84], [260, 3.93], [300, 4.04], [400, 4.3], [600, 5.2]],
+  recovery: [[0, 2.7], [100, 3.8], [200, 3.87], [300, 4.2], [400, 4.5], [600, 5.4]]
+});
+// [feet, expected putts]
+const PUTTS = Object.freeze([[0, 1.0], [3, 1.04], [5, 1.23], [8, 1.5], [10, 1.61], [15, 1.78], [20, 1.87], [30, 1.98], [40, 2.06], [50, 2.14], [60, 2.21], [90, 2.4]]);
+
+const HAZARD_OUTCOMES = Object.freeze({
+  water: { penalty: true },
+  pond_lake: { penalty: true },
+  creek_stream: { penalty: true },
+  penalty_area: { penalty: true },
+  out_of_bounds: { strokeAndDistance: true },
+  bunker_fairway: { lie: "sand" },
+  bunker_greenside: { lie: "sand" },
+  bunker: { lie: "sand" },
+  trees: { lie: "recovery" },
+  rough: { lie: "rough" },
+  fairway_hazard: { lie: "rough" },
+  other: { lie: "rough" }
+});
+
+// Request lie → baseline table.
+const LIE_TABLE = Object.freeze({
+  tee: "fairway",
+  fairway: "fairway",
+  fringe: "fairway",
+  first_cut: "rough",
+  rough: "rough",
+  deep_rough: "rough",
+  sand: "sand",
+  recovery: "recovery"
+});
+
+// Quadrature over ±2.5 sd in half-sd steps, normal weights.
+const NODES = (() => {
+  const zs = [];
+  for (let z = -2.5; z <= 2.5 + 1e-9; z += 0.5) zs.push(z);
+  const raw = zs.map((z) => Math.exp(-(z * z) / 2));
+  const total = raw.reduce((a, b) => a + b, 0);
+  return zs.map((z, i) => ({ z, w: raw[i] / total }));
+})();
+
+function interpolate(table, x) {
+  if (x <= table[0][0]) return table[0][1];
+  for (let i = 1; i < table.length; i++) {
+    const [x1, y1] = table[i];
+    if (x <= x1) {
+      const [x0, y0] = table[i - 1];
+      return y0 + ((y1 - y0) * (x - x0)) / (x1 - x0);
+    }
+  }
+  // Past the table: extend the last segment's slope.
+  const [x0, y0] = table[table.length - 2];
+  const [x1, y1] = table[table.length - 1];
+  return y1 + ((y1 - y0) * (x - x1)) / (x1 - x0);
+}
+
+/** Expected strokes to hole out from `yards` on a baseline lie. */
+function expectedStrokes(lie, yards) {
+  if (lie === "green") return interpolate(PUTTS, yards * 3);
+  return interpolate(BASELINE[lie] || BASELINE.fairway, yards);
+}
+
+function hazardOutcome(type, severity) {
+  if (HAZARD_OUTCOMES[type]) return HAZARD_OUTCOMES[type];
+  return (severity ?? HAZARD_SEVERITY[type] ?? 0) >= PENALTY_SEVERITY ? { penalty: true } : { lie: "rough" };
+}
+
+/**
+ * Where a shot that finishes at (along, across) leaves the player.
+ * Returns { kind, strokes } with strokes still needed from there.
+ */
+function scoreLanding(along, across, hole) {
+  const remaining = Math.hypot(hole.distanceToGreen - along, across);
+  let hit = null;
+  for (const h of hole.hazards) {
+    if (Math.abs(along - h.carryDistance) <= HAZARD_RADIUS_YARDS && Math.abs(across - h.lateralOffset) <= HAZARD_RADIUS_YARDS) {
+      if (!hit || (h.severity ?? 0) > (hit.severity ?? 0)) hit = h;
+    }
+  }
+  if (hit) {
+    const outcome = hazardOutcome(hit.type, hit.severity);
+    if (outcome.strokeAndDistance) return { kind: "penalty", hazard: hit.type, strokes: 1 + hole.startStrokes };
+    if (outcome.penalty) {
+      // Drop beside the hazard and play on from the fairway.
+      const fromHazard = Math.hypot(hole.distanceToGreen - hit.carryDistance, hit.lateralOffset);
+      return { kind: "penalty", hazard: hit.type, strokes: 1 + expectedStrokes("fairway", fromHazard) };
+    }
+    return { kind: "hazard", hazard: hit.type, strokes: expectedStrokes(outcome.lie, remaining) };
+  }
+  if (remaining <= GREEN_RADIUS_YARDS) return { kind: "green", strokes: expectedStrokes("green", remaining) };
+  const offline = Math.abs(across);
+  if (offline > RECOVERY_LATERAL_YARDS) return { kind: "recovery", strokes: expectedStrokes("recovery", remaining) };
+  const pastGreen = along > hole.distanceToGreen + GREEN_RADIUS_YARDS;
+  if (offline > FAIRWAY_HALF_WIDTH_YARDS || pastGreen) return { kind: "rough", strokes: expectedStrokes("rough", remaining) };
+  return { kind: "fairway", strokes: expectedStrokes("fairway", remaining) };
+}
+
+function round(v, places) {
+  const f = 10 ** places;
+  return Math.round(v * f) / f;
+}
+
+/** Integrate one club × aim over the landing pattern. */
+function evaluateOption(pattern, aimOffsetYards, hole) {
+  const lateralMean = aimOffsetYards + pattern.lateralBiasYards;
+  const outcomes = { green: 0, fairway: 0, rough: 0, recovery: 0, hazard: 0, penalty: 0 };
+  const byHazard = {};
+  let expected = 0;
+  for (const d of NODES) {
+    const along = pattern.meanCarryYards + d.z * pattern.depthSigmaYards;
+    for (const l of NODES) {
+      const w = d.w * l.w;
+      const landing = scoreLanding(along, lateralMean + l.z * pattern.lateralSigmaYards, hole);
+      expected += w * landing.strokes;
+      outcomes[landing.kind] += w;
+      if (landing.hazard) byHazard[landing.hazard] = (byHazard[landing.hazard] || 0) + w;
+    }
+  }
+  for (const k of Object.keys(outcomes)) outcomes[k] = round(outcomes[k], 3);
+  for (const k of Object.keys(byHazard)) byHazard[k] = round(byHazard[k], 3);
+  return { expectedStrokes: round(1 + expected, 3), outcomes, hazards: byHazard };
+}
+
+function sideOf(offset) {
+  if (offset < 0) return "left";
+  if (offset > 0) return "right";
+  return "center";
+}
+
+function aimLines() {
+  const lines = [];
+  for (let a = -MAX_AIM_YARDS; a <= MAX_AIM_YARDS; a += AIM_STEP_YARDS) lines.push(a);
+  return lines;
+}
+
+/**
+ * @param {object} input
+ * @param {object} input.context                getRoundCourseContext() result
+ * @param {number} input.holeNumber
+ * @param {string|null} [input.teeSetId]
+ * @param {{ lat: number, lon: number }|null} [input.position]  plan from the ball instead of the tee
+ * @param {string} [input.lie]                  defaults to "tee" from the tee, "fairway" otherwise
+ * @param {Array<{ name: string, carryYards: number|null }>} [input.clubs]  profile bag
+ * @param {object|null} [input.history]         shotDispersion.loadShotHistory() result
+ * @returns {{ result: object }|{ error: string, status: number }}
+ */
+function optimizeStrategy({ context, holeNumber, teeSetId = null, position = null, lie = null, clubs = [], history = null }) {
+  const shotLie = lie || (position ? "fairway" : "tee");
+  if (!LIE_TABLE[shotLie]) return { error: `Strategy needs a full-swing lie, not "${shotLie}".`, status: 400 };
+
+  const built = buildHoleHazards({ context, holeNumber, teeSetId, position });
+  if (built.error) return built;
+  const h = built.result;
+
+  const startStrokes = expectedStrokes(LIE_TABLE[shotLie], h.distanceToGreen);
+  const hole = { distanceToGreen: h.distanceToGreen, hazards: h.hazards, startStrokes };
+
+  const { bag, bagSource } = playableBag(clubs, shotLie);
+
+  const options = [];
+  for (const club of bag) {
+    const pattern = patternForClub(club.name, { clubs, history, lie: shotLie });
+    if (!pattern) continue;
+    let best = null;
+    for (const aim of aimLines()) {
+      const evaluated = evaluateOption(pattern, aim, hole);
+      // Ties go to the line nearer the center.
+      if (!best || evaluated.expectedStrokes < best.expectedStrokes ||
+          (evaluated.expectedStrokes === best.expectedStrokes && Math.abs(aim) < Math.abs(best.targetLine.aimOffsetYards))) {
+        best = { ...evaluated, targetLine: { side: sideOf(aim), aimOffsetYards: aim } };
+      }
+    }
+    options.push({
+      club: pattern.club,
+      carryYards: pattern.carryYards,
+      reachesGreen: pattern.meanCarryYards >= h.distanceToGreen - GREEN_RADIUS_YARDS,
+      targetLine: best.targetLine,
+      expectedStrokes: best.expectedStrokes,
+      strokesGained: round(startStrokes - best.expectedStrokes, 3),
+      outcomes: best.outcomes,
+      hazards: best.hazards,
+      pattern
+    });
+  }
+  if (options.length === 0) return { error: `No club is playable from the ${shotLie}.`, status: 422 };
+
+  options.sort((a, b) => a.expectedStrokes - b.expectedStrokes);
+  const recommended = options[0];
+  let shotType = recommended.reachesGreen ? "approach" : "layup";
+  if (!position && h.par > 3) shotType = "tee";
+
+  return {
+    result: {
+      courseId: h.courseId,
+      holeNumber,
+      par: h.par,
+      teeSetId: h.teeSetId,
+      teeName: h.teeName,
+      origin: h.origin,
+      lie: shotLie,
+      distanceToGreen: h.distanceToGreen,
+      baselineStrokes: round(startStrokes, 3),
+      shotType,
+      bagSource,
+      recommended,
+      alternatives: options.slice(1, 1 + MAX_ALTERNATIVES)
+    }
+  };
+}
+
+module.exports = {
+  optimizeStrategy,
+  expectedStrokes,
+  scoreLanding,
+  evaluateOption
+};
@@ -0,0 +1,188 @@
+"use strict";
+
+/**
+ * Weather at a point and time, for plays-like distances
+ * (services/playsLike.js). Selected by `WEATHER_PROVIDER`:
+ *
+ *   open_meteo (default) api.open-meteo.com hourly data — no key. Past
+ *              hours come from the forecast model's analysis, older
+ *              dates from the archive API, future hours are forecast.
+ *   file       no network; nearest observation in a JSON file at
+ *              WEATHER_FILE (default data/plays-like/weather.json)
+ *   none       always null — plays-like uses standard conditions
+ *
+ * Provider contract:
+ *   name                          string
+ *   lookup({ lat, lon, time })  → Promise<Weather|null>
+ *
+ * Weather (SI; nulls allowed except where noted):
+ *   { temperatureC, windSpeedMps, windFromDeg, pressureHpa,
+ *     relativeHumidity, observedAt: ISO string, quality: string }
+ *
+ * `pressureHpa` is station (surface) pressure, not sea-level pressure.
+ * `quality` is what ends up in diagnostics.weatherSourceQuality:
+ * "observed" | "forecast" | "file". Lookups reject only on programmer
+ * error; network problems resolve null and are logged.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const fetch = require("node-fetch");
+
+const { haversineMeters } = require("./hazardEngine");
+
+const FORECAST_URL = "https://api.open-meteo.com/v1/forecast";
+const ARCHIVE_URL = "https://archive-api.open-meteo.com/v1/archive";
+const DEFAULT_WEATHER_FILE = path.join(__dirname, "..", "data", "plays-like", "weather.json");
+const TIMEOUT_MS = 4000;
+// The forecast API serves ~3 months of past hours; older dates need the archive.
+const FORECAST_PAST_DAYS = 85;
+const FILE_MAX_DISTANCE_KM = 50;
+
+const HOURLY_FIELDS = "temperature_2m,relative_humidity_2m,surface_pressure,wind_speed_10m,wind_direction_10m";
+
+function num(value) {
+  const n = Number(value);
+  return value != null && Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Open-Meteo hourly API.
+ *
+ * @param {object} [opts]
+ * @param {Function} [opts.fetchImpl]  injectable for tests
+ * @param {() => Date} [opts.now]
+ */
+function createOpenMeteoWeatherProvider({ fetchImpl = fetch, now = () => new Date() } = {}) {
+  return {
+    name: "open_meteo",
+    async lookup({ lat, lon, time }) {
+      const at = new Date(time);
+      const day = at.toISOString().slice(0, 10);
+      const ageDays = (now().getTime() - at.getTime()) / 86400000;
+      const base = ageDays > FORECAST_PAST_DAYS ? ARCHIVE_URL : FORECAST_URL;
+      const url =
+        `${base}?latitude=${lat}&longitude=${lon}&hourly=${HOURLY_FIELDS}` +
+        `&start_date=${day}&end_date=${day}&wind_speed_unit=ms&timezone=UTC`;
+
+      let data;
+      try {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+        const res = await fetchImpl(url, { signal: controller.signal }).finally(() => clearTimeout(timer));
+        data = await res.json();
+        if (!res.ok) throw new Error(data && data.reason ? data.reason : `HTTP ${res.status}`);
+      } catch (err) {
+        console.warn("[WEATHER] open-meteo lookup failed:", err.message);
+        return null;
+      }
+
+      const hourly = data && data.hourly;
+      if (!hourly || !Array.isArray(hourly.time) || hourly.time.length === 0) return null;
+      // Times come back as "YYYY-MM-DDTHH:MM" in UTC.
+      let best = 0;
+      for (let i = 1; i < hourly.time.length; i++) {
+        const diff = Math.abs(Date.parse(`${hourly.time[i]}Z`) - at.getTime());
+        if (diff < Math.abs(Date.parse(`${hourly.time[best]}Z`) - at.getTime())) best = i;
+      }
+      const pick = (field) => (Array.isArray(hourly[field]) ? num(hourly[field][best]) : null);
+      return {
+        temperatureC: pick("temperature_2m"),
+        windSpeedMps: pick("wind_speed_10m"),
+        windFromDeg: pick("wind_direction_10m"),
+        pressureHpa: pick("surface_pressure"),
+        relativeHumidity: pick("relative_humidity_2m"),
+        observedAt: new Date(`${hourly.time[best]}Z`).toISOString(),
+        quality: at.getTime() <= now().getTime() ? "observed" : "forecast"
+      };
+    }
+  };
+}
+
+function loadJsonFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Offline stand-in. The file holds
+ *   { "observations": [{ lat, lon, time, temperatureC, windSpeedMps,
+ *                        windFromDeg, pressureHpa?, relativeHumidity? }] }
+ * and a lookup returns the observation closest in time among those
+ * within FILE_MAX_DISTANCE_KM of the point.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.filePath]
+ * @param {object} [opts.data]  parsed file contents (tests)
+ */
+function createFileWeatherProvider({ filePath = DEFAULT_WEATHER_FILE, data = null } = {}) {
+  let loaded = data;
+  return {
+    name: "file",
+    async lookup({ lat, lon, time }) {
+      if (!loaded) loaded = loadJsonFile(filePath);
+      const at = new Date(time).getTime();
+      let best = null;
+      for (const o of loaded.observations || []) {
+        if (haversineMeters(lat, lon, Number(o.lat), Number(o.lon)) > FILE_MAX_DISTANCE_KM * 1000) continue;
+        const gap = Math.abs(Date.parse(o.time) - at);
+        if (!best || gap < best.gap) best = { o, gap };
+      }
+      if (!best) return null;
+      const o = best.o;
+      return {
+        temperatureC: num(o.temperatureC),
+        windSpeedMps: num(o.windSpeedMps),
+        windFromDeg: num(o.windFromDeg),
+        pressureHpa: num(o.pressureHpa),
+        relativeHumidity: num(o.relativeHumidity),
+        observedAt: new Date(o.time).toISOString(),
+        quality: "file"
+      };
+    }
+  };
+}
+
+function createNullWeatherProvider() {
+  return {
+    name: "none",
+    async lookup() {
+      return null;
+    }
+  };
+}
+
+/**
+ * Build the provider described by `env`.
+ */
+function createWeatherProviderFromEnv(env = process.env) {
+  const kind = String(env.WEATHER_PROVIDER || "open_meteo").trim().toLowerCase();
+  if (kind === "file") return createFileWeatherProvider({ filePath: env.WEATHER_FILE || DEFAULT_WEATHER_FILE });
+  if (kind === "none") return createNullWeatherProvider();
+  if (kind !== "open_meteo") console.warn(`[WEATHER] unknown WEATHER_PROVIDER "${kind}", using open_meteo`);
+  return createOpenMeteoWeatherProvider();
+}
+
+let currentProvider = null;
+
+/** The process-wide provider, built from the environment on first use. */
+function getWeatherProvider() {
+  if (!currentProvider) {
+    currentProvider = createWeatherProviderFromEnv();
+    console.log(`[WEATHER] provider=${currentProvider.name}`);
+  }
+  return currentProvider;
+}
+
+/** Replace the process-wide provider (tests, scripts). Pass null to reset. */
+function setWeatherProvider(provider) {
+  currentProvider = provider;
+}
+
+module.exports = {
+  getWeatherProvider,
+  setWeatherProvider,
+  createWeatherProviderFromEnv,
+  createOpenMeteoWeatherProvider,
+  createFileWeatherProvider,
+  createNullWeatherProvider
+};
@@ -0,0 +1,494 @@
+"use strict";
+
+/**
+ * Tests for POST /api/caddie/recommend, /club-selection and /putt.
+ *
+ * Same approach as rounds.test.js: bare handler, stubbed pool for the
+ * profile lookup, and the course context + model call swapped for
+ * fixtures so no Postgres or OpenAI is needed.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+
+// Keep the fallback timeout short so the timeout test doesn't wait 12s.
+process.env.CADDIE_LLM_TIMEOUT_MS = "50";
+
+const courseIntelligence = require("../services/courseIntelligence");
+const openaiService = require("../services/openaiService");
+const { parseShotRecommendation, reconcileClub } = require("../services/shotRecommendation");
+const caddieRoute = require("../routes/caddie");
+const { coursePayloadCache } = require("../services/courseDataVersion");
+const { answerCourseVersion } = require("./fixtures/course");
+const { handleRecommend, handleClubSelection, handleStrategy, handlePutt } = caddieRoute.__test;
+
+// ----------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------
+
+function makeRes() {
+  const res = { statusCode: 200, body: undefined, headers: {} };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.body = payload;
+    return res;
+  };
+  return res;
+}
+
+// Tee → green runs due north, ~400 yds. One bunker 250 yds out, just
+// right of the line; one far off to the left that is never in play.
+const TEE = { lat: 40.0, lon: -75.0 };
+const GREEN = { lat: 40.003295, lon: -75.0 };
+
+const COURSE_FIXTURE = {
+  course: { id: "course-uuid-1", name: "Pine Valley", city: "Clementon", state: "NJ" },
+  holes: [
+    {
+      hole_number: 1,
+      par: 4,
+      handicap: 5,
+      green: { center: GREEN, front: null, back: null },
+      tees: [{ tee_set_id: "tee-blue", tee_name: "Blue", coordinate: TEE, yardage: 400 }],
+      hole_lengths: [{ tee_set_id: "tee-blue", tee_name: "Blue", yardage: 402 }],
+      tee_front: null,
+      hazard_pois: [
+        { type: "Bunker", normalized_type: "bunker", location_label: "R", fairway_side: "R", lat: 40.002059, lon: -74.99984 },
+        { type: "Water", normalized_type: "water", location_label: "L", fairway_side: "L", lat: 40.001, lon: -75.003 }
+      ]
+    }
+  ],
+  tees: [{ id: "tee-blue", name: "Blue" }]
+};
+
+const PROFILE = {
+  clubs: [
+    { name: "Driver", carryYards: 250 },
+    { clubName: "7 Iron", carryYards: 150 },
+    { name: "Pitching Wedge", carryYards: 120 }
+  ]
+};
+
+function makePool({ profile = PROFILE, usedTokens = null, usageRows = [], shotRows = [] } = {}) {
+  return {
+    async query(sql, params) {
+      const version = answerCourseVersion(sql, params);
+      if (version) return version;
+      if (sql.includes("FROM user_profiles")) {
+        return { rowCount: profile ? 1 : 0, rows: profile ? [{ profile_json: profile }] : [] };
+      }
+      if (sql.includes("FROM shot_outcomes")) {
+        return { rows: shotRows };
+      }
+      if (usedTokens != null && sql.includes("FROM llm_usage")) {
+        return { rows: [{ day_tokens: String(usedTokens), month_tokens: String(usedTokens) }] };
+      }
+      if (sql.includes("INSERT INTO llm_usage")) {
+        usageRows.push(params);
+        return { rowCount: 1, rows: [] };
+      }
+      throw new Error(`Unexpected SQL: ${sql.slice(0, 60)}`);
+    }
+  };
+}
+
+function makeReq({ body, pool = makePool(), userId = "user-1", recorded = [] }) {
+  const settings = {
+    dbPool: pool,
+    recordRecommendationEvent: async (event) => {
+      recorded.push(event);
+      return { persisted: true, recommendationId: event.recommendationId };
+    }
+  };
+  return {
+    body,
+    authUser: { id: userId },
+    get: () => null,
+    app: { get: (key) => settings[key] ?? null }
+  };
+}
+
+let modelCalls = [];
+let modelReply = null;
+
+const originalGetContext = courseIntelligence.getRoundCourseContext;
+const originalGenerate = openaiService.generateCaddieResponse;
+
+test.beforeEach(() => {
+  modelCalls = [];
+  modelReply = JSON.stringify({
+    club: "driver",
+    targetDescription: "Left-center of the fairway",
+    shotShape: "Draw",
+    recommendationText: "Driver at the left edge of the bunker.",
+    confidence: 0.8,
+    hazardWarnings: ["Bunker right at 250"]
+  });
+  coursePayloadCache.clear();
+  courseIntelligence.getRoundCourseContext = async (_pool, id) => (id === "course-uuid-1" ? COURSE_FIXTURE : null);
+  openaiService.generateCaddieResponse = async (opts) => {
+    modelCalls.push(opts);
+    return { content: modelReply, model: "test-model", durationMs: 5 };
+  };
+});
+
+test.after(() => {
+  courseIntelligence.getRoundCourseContext = originalGetContext;
+  openaiService.generateCaddieResponse = originalGenerate;
+});
+
+async function recommend(body, opts = {}) {
+  const res = makeRes();
+  await handleRecommend(makeReq({ body, ...opts }), res);
+  return res;
+}
+
+// ----------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------
+
+test("recommend builds the prompt server-side and logs the event", async () => {
+  const recorded = [];
+  const res = await recommend({ courseId: "course-uuid-1", holeNumber: 1, teeSetId: "tee-blue" }, { recorded });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.recommendation.club, "Driver");
+  assert.equal(res.body.recommendation.shotShape, "draw");
+  assert.equal(res.body.context.lie, "tee");
+  assert.equal(res.body.context.holeYardage, 402);
+  assert.ok(Math.abs(res.body.context.distanceToGreen - 400) <= 2);
+  assert.deepEqual(res.body.context.hazardsInPlay.map((h) => h.type), ["bunker"]);
+  assert.equal(res.body.logged, true);
+
+  assert.equal(modelCalls.length, 1);
+  assert.equal(modelCalls[0].taskType, "quick_shot");
+  assert.match(modelCalls[0].userPrompt, /bunker right — 250 yds carry/);
+  assert.match(modelCalls[0].userPrompt, /7 Iron: 150/);
+
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].recommendationId, res.body.recommendationId);
+  assert.equal(recorded[0].output.aiSelectedClub, "driver");
+  assert.equal(recorded[0].output.finalRecommendedClub, "Driver");
+  assert.equal(recorded[0].diagnostics.model, "test-model");
+  assert.equal(recorded[0].diagnostics.source, "server");
+  assert.equal(recorded[0].diagnostics.promptTemplateId, "shot_recommendation");
+  assert.equal(recorded[0].diagnostics.promptVersion, res.body.prompt.version);
+  assert.equal(modelCalls[0].systemPrompt.includes("{{"), false);
+});
+
+test("recommend from a fairway position swaps a club the player doesn't carry", async () => {
+  modelReply = "```json\n" + JSON.stringify({ club: "8 Iron", recommendationText: "Smooth 8 to the middle." }) + "\n```";
+  // ~150 yds short of the green.
+  const res = await recommend({
+    courseId: "course-uuid-1",
+    holeNumber: 1,
+    teeSetId: "tee-blue",
+    position: { lat: 40.002063, lon: -75.0 }
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.context.lie, "fairway");
+  assert.equal(res.body.recommendation.club, "7 Iron");
+  assert.equal(res.body.recommendation.confidence, null);
+});
+
+test("recommend scores hazards for the recommended club and the player's miss history", async () => {
+  const body = { courseId: "course-uuid-1", holeNumber: 1, teeSetId: "tee-blue" };
+  const generic = await recommend(body);
+  const [bunker] = generic.body.context.hazardsInPlay;
+  assert.equal(generic.body.context.shotPattern.club, "Driver");
+  assert.equal(generic.body.context.shotPattern.source, "default");
+  assert.ok(bunker.inPlayProbability > 0.05 && bunker.inPlayProbability < 0.3, String(bunker.inPlayProbability));
+
+  // A driver that leaks right finds the right-side bunker more often.
+  const shotRows = [
+    { club_used: "Driver", shot_result: "miss_right", n: 12 },
+    { club_used: "Driver", shot_result: "as_planned", n: 8 }
+  ];
+  const slicer = await recommend({ ...body, noCache: true }, { pool: makePool({ shotRows }) });
+  const pattern = slicer.body.context.shotPattern;
+  assert.equal(pattern.source, "club_history");
+  assert.equal(pattern.samples, 20);
+  assert.ok(pattern.lateralBiasYards > 5, String(pattern.lateralBiasYards));
+  assert.ok(slicer.body.context.hazardsInPlay[0].inPlayProbability > bunker.inPlayProbability);
+});
+
+test("recommend routes putts to the putting model", async () => {
+  await recommend({
+    courseId: "course-uuid-1",
+    holeNumber: 1,
+    teeSetId: "tee-blue",
+    position: { lat: 40.00329, lon: -75.0 },
+    lie: "green"
+  });
+  assert.equal(modelCalls[0].taskType, "putting");
+});
+
+test("recommend falls back to the engine when the model output is invalid", async () => {
+  modelReply = "Hit a 7 iron.";
+  const recorded = [];
+  const res = await recommend({ courseId: "course-uuid-1", holeNumber: 1, teeSetId: "tee-blue" }, { recorded });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.source, "engine");
+  assert.equal(res.body.fallbackReason, "invalid_response:response_not_json");
+  assert.equal(res.body.model, null);
+  assert.ok(res.body.recommendation.club);
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].output.fallbackOccurred, true);
+  assert.equal(recorded[0].output.aiSelectedClub, null);
+});
+
+test("recommend falls back on provider errors and timeouts", async () => {
+  openaiService.generateCaddieResponse = async () => {
+    throw Object.assign(new Error("boom"), { statusCode: 500, openaiDetail: "boom" });
+  };
+  const failed = await recommend({ courseId: "course-uuid-1", holeNumber: 1, teeSetId: "tee-blue" });
+  assert.equal(failed.statusCode, 200);
+  assert.equal(failed.body.fallbackReason, "provider_error");
+
+  openaiService.generateCaddieResponse = () => new Promise(() => {});
+  const slow = await recommend({ courseId: "course-uuid-1", holeNumber: 1, teeSetId: "tee-blue" });
+  assert.equal(slow.statusCode, 200);
+  assert.equal(slow.body.fallbackReason, "timeout");
+  assert.equal(slow.body.source, "engine");
+});
+
+test("recommend falls back on plays-like distance with a bag that has nothing playable from the lie", async () => {
+  modelReply = "Hit a 7 iron.";
+  const pool = makePool({ profile: { clubs: [{ name: "Driver", carryYards: 250 }, { name: "Putter" }] } });
+  const body = { courseId: "course-uuid-1", holeNumber: 1, teeSetId: "tee-blue", position: { lat: 40.002063, lon: -75.0 } };
+  const res = await recommend({ ...body, playsLikeYards: 118 }, { pool });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.source, "engine");
+  assert.equal(res.body.recommendation.club, "Pitching Wedge");
+
+  const bad = await recommend({ ...body, playsLikeYards: 0 }, { pool });
+  assert.equal(bad.statusCode, 400);
+});
+
+test("recommend keys the model call on the shot context and honours noCache", async () => {
+  const body = { courseId: "course-uuid-1", holeNumber: 1, teeSetId: "tee-blue" };
+  await recommend(body);
+  await recommend({ ...body, noCache: true });
+  await recommend({ ...body, lie: "fairway", position: { lat: 40.002063, lon: -75.0 } });
+
+  assert.match(modelCalls[0].cacheKey, /^shot:[0-9a-f]{64}$/);
+  assert.equal(modelCalls[0].noCache, false);
+  assert.equal(modelCalls[1].cacheKey, modelCalls[0].cacheKey);
+  assert.equal(modelCalls[1].noCache, true);
+  assert.notEqual(modelCalls[2].cacheKey, modelCalls[0].cacheKey);
+});
+
+test("recommend meters token usage and skips the model once the user is over quota", async () => {
+  const body = { courseId: "course-uuid-1", holeNumber: 1, teeSetId: "tee-blue" };
+  const usageRows = [];
+  openaiService.generateCaddieResponse = async (opts) => {
+    modelCalls.push(opts);
+    return { content: modelReply, model: "gpt-5-fast", durationMs: 5, usage: { promptTokens: 900, completionTokens: 100 } };
+  };
+  const ok = await recommend(body, { pool: makePool({ usedTokens: 10, usageRows }) });
+  assert.equal(ok.body.source, "llm");
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(usageRows.length, 1);
+  assert.deepEqual(usageRows[0].slice(0, 8), ["user-1", "user-1", "caddie_recommend", "quick_shot", "gpt-5-fast", 900, 100, 1000]);
+
+  const blocked = await recommend(body, { pool: makePool({ usedTokens: 10_000_000 }) });
+  assert.equal(blocked.statusCode, 200);
+  assert.equal(blocked.body.source, "engine");
+  assert.equal(blocked.body.fallbackReason, "quota_exceeded");
+  assert.equal(modelCalls.length, 1);
+});
+
+test("recommend validates input before calling the model", async () => {
+  const base = { courseId: "course-uuid-1", holeNumber: 1, teeSetId: "tee-blue" };
+  assert.equal((await recommend({ ...base, courseId: undefined })).statusCode, 400);
+  assert.equal((await recommend({ ...base, holeNumber: 19 })).statusCode, 400);
+  assert.equal((await recommend({ ...base, lie: "cart_path" })).statusCode, 400);
+  assert.equal((await recommend({ ...base, position: { lat: "x" } })).statusCode, 400);
+  assert.equal((await recommend({ ...base, playerId: "someone-else" })).statusCode, 403);
+  assert.equal((await recommend({ ...base, courseId: "nope" })).statusCode, 404);
+  assert.equal((await recommend({ ...base, holeNumber: 2 })).statusCode, 404);
+  assert.equal((await recommend({ ...base, teeSetId: "tee-red" })).statusCode, 400);
+  assert.equal(modelCalls.length, 0);
+});
+
+test("parseShotRecommendation requires club and text and clamps confidence", () => {
+  assert.equal(parseShotRecommendation("{}").error, "missing_club");
+  assert.equal(parseShotRecommendation('{"club":"7i"}').error, "missing_recommendation_text");
+  const ok = parseShotRecommendation('Sure! {"club":"7i","recommendationText":"Go.","confidence":3}');
+  assert.equal(ok.recommendation.confidence, 1);
+  assert.deepEqual(ok.recommendation.hazardWarnings, []);
+});
+
+test("reconcileClub leaves the club alone when the bag is unknown", () => {
+  assert.deepEqual(reconcileClub("6 Iron", [], 170), {
+    club: "6 Iron",
+    normalized: false,
+    reason: null,
+    candidates: []
+  });
+});
+
+test("club-selection raw mode ranks the caller's bag against supplied hazards", async () => {
+  const res = makeRes();
+  await handleClubSelection(
+    makeReq({
+      body: {
+        distanceYards: 150,
+        lie: "fairway",
+        hazards: [{ type: "Water", carryDistance: 150, lateralOffset: 12 }]
+      }
+    }),
+    res
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.bagSource, "profile");
+  assert.equal(res.body.recommended.club, "7 Iron");
+  assert.equal(res.body.recommended.targetLine.side, "left");
+  assert.match(res.body.explanation, /water right at 150/);
+  assert.equal(res.body.context, null);
+  // Aiming away leaves the water a small but real chance.
+  assert.equal(res.body.shotPattern.club, "7 Iron");
+  assert.equal(res.body.shotPattern.aimOffsetYards, res.body.recommended.targetLine.aimOffsetYards);
+  assert.equal(res.body.hazardsInPlay.length, 1);
+  assert.ok(res.body.hazardsInPlay[0].inPlayProbability < 0.3);
+});
+
+test("club-selection course mode honours playsLikeYards and validates input", async () => {
+  const res = makeRes();
+  await handleClubSelection(
+    makeReq({
+      body: { courseId: "course-uuid-1", holeNumber: 1, teeSetId: "tee-blue", playsLikeYards: 125, position: { lat: 40.002063, lon: -75.0 } }
+    }),
+    res
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.distanceYards, 125);
+  assert.equal(res.body.recommended.club, "Pitching Wedge");
+  assert.ok(res.body.context.distanceToGreen > 140);
+
+  const bad = makeRes();
+  await handleClubSelection(makeReq({ body: { distanceYards: -3 } }), bad);
+  assert.equal(bad.statusCode, 400);
+  const badHazards = makeRes();
+  await handleClubSelection(makeReq({ body: { distanceYards: 100, hazards: [{ type: "Water" }] } }), badHazards);
+  assert.equal(badHazards.statusCode, 400);
+  const noCourse = makeRes();
+  await handleClubSelection(makeReq({ body: { courseId: "", holeNumber: 1, teeSetId: "tee-blue" } }), noCourse);
+  assert.equal(noCourse.statusCode, 400);
+  assert.equal(noCourse.body.error, "courseId is required.");
+});
+
+// ----------------------------------------------------------------
+// /putt
+// ----------------------------------------------------------------
+
+const PUTT_READ = {
+  breakDirection: "left_to_right",
+  breakInches: 8,
+  slope: "uphill",
+  speed: "firm",
+  aimDescription: "Two cups left",
+  recommendationText: "Firm and two cups left; it climbs all the way.",
+  confidence: 0.7
+};
+
+async function putt(body, opts = {}) {
+  const res = makeRes();
+  await handlePutt(makeReq({ body, ...opts }), res);
+  return res;
+}
+
+async function greenPhoto() {
+  const jpeg = await sharp({ create: { width: 64, height: 48, channels: 3, background: "green" } }).jpeg().toBuffer();
+  return jpeg.toString("base64");
+}
+
+test("strategy optimizes the caller's bag and validates input", async () => {
+  const res = makeRes();
+  await handleStrategy(makeReq({ body: { courseId: "course-uuid-1", holeNumber: 1, teeSetId: "tee-blue" } }), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.shotType, "tee");
+  assert.equal(res.body.bagSource, "profile");
+  assert.ok(["Driver", "7 Iron", "Pitching Wedge"].includes(res.body.recommended.club));
+  assert.ok(Number.isFinite(res.body.recommended.expectedStrokes));
+  assert.equal(typeof res.body.recommended.targetLine.aimOffsetYards, "number");
+
+  const status = async (body) => {
+    const r = makeRes();
+    await handleStrategy(makeReq({ body }), r);
+    return r.statusCode;
+  };
+  assert.equal(await status({ holeNumber: 1, teeSetId: "tee-blue" }), 400);
+  assert.equal(await status({ courseId: "course-uuid-1", holeNumber: 1 }), 400);
+  assert.equal(await status({ courseId: "course-uuid-1", holeNumber: 1, teeSetId: "tee-blue", lie: "green" }), 400);
+  assert.equal(await status({ courseId: "nope", holeNumber: 1, teeSetId: "tee-blue" }), 404);
+});
+
+test("putt reads the green from a photo and logs a putt recommendation", async () => {
+  modelReply = JSON.stringify(PUTT_READ);
+  const recorded = [];
+  const ball = { lat: 40.0032, lon: -75.0 }; // ~11 yds short of the center pin
+  const res = await putt({ courseId: "course-uuid-1", holeNumber: 1, ball, image: await greenPhoto() }, { recorded });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.read.breakDirection, "left_to_right");
+  assert.deepEqual(res.body.read.aimOffset, { side: "left", inches: 8 });
+  assert.equal(res.body.read.speed, "firm");
+  assert.equal(res.body.context.pinLocation, "center");
+  assert.equal(res.body.context.direction, "toward_back");
+  assert.ok(Math.abs(res.body.context.distanceFeet - 34) <= 2, String(res.body.context.distanceFeet));
+  assert.equal(res.body.diagnostics.image.sentType, "image/jpeg");
+  assert.equal(res.body.prompt.templateId, "putt_read");
+
+  assert.equal(modelCalls.length, 1);
+  assert.equal(modelCalls[0].taskType, "putting");
+  assert.match(modelCalls[0].imageDataUrl, /^data:image\/jpeg;base64,/);
+  assert.match(modelCalls[0].userPrompt, /rolling toward the back of the green/);
+
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].recommendationType, "putt");
+  assert.equal(recorded[0].output.recommendationText, PUTT_READ.recommendationText);
+  assert.equal(recorded[0].diagnostics.photoIncluded, true);
+});
+
+test("putt answers 502 when the read never validates", async () => {
+  modelReply = "Looks straight to me.";
+  const recorded = [];
+  const res = await putt(
+    { courseId: "course-uuid-1", holeNumber: 1, ball: { lat: 40.0032, lon: -75.0 }, image: await greenPhoto() },
+    { recorded }
+  );
+  assert.equal(res.statusCode, 502);
+  assert.ok(res.body.validationErrors.length > 0);
+  assert.equal(modelCalls.length, 2); // original + one repair retry
+  assert.equal(recorded.length, 0);
+});
+
+test("putt validates input and quota before calling the model", async () => {
+  const image = await greenPhoto();
+  const base = { courseId: "course-uuid-1", holeNumber: 1, ball: { lat: 40.0032, lon: -75.0 }, image };
+  assert.equal((await putt({ ...base, ball: undefined })).statusCode, 400);
+  assert.equal((await putt({ ...base, image: undefined })).statusCode, 400);
+  assert.equal((await putt({ ...base, image: Buffer.from("%PDF-1.7").toString("base64") })).statusCode, 415);
+  assert.equal((await putt({ ...base, ball: { lat: 40.0, lon: -75.0 } })).statusCode, 400);
+  assert.equal((await putt({ ...base, pin: "back" })).statusCode, 422);
+  assert.equal((await putt({ ...base, courseId: "nope" })).statusCode, 404);
+
+  const limited = await putt(base, { pool: makePool({ usedTokens: 10_000_000 }) });
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.body.code, "llm_quota_exceeded");
+  assert.ok(Number(limited.headers["Retry-After"]) > 0);
+  assert.equal(modelCalls.length, 0);
+});
@@ -0,0 +1,84 @@
+"use strict";
+
+/**
+ * Tests for services/clubSelection.js — the deterministic club engine.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { selectClub } = require("../services/clubSelection");
+
+const BAG = [
+  { name: "Driver", carryYards: 240 },
+  { name: "3 Wood", carryYards: 215 },
+  { name: "6 Iron", carryYards: 165 },
+  { name: "7 Iron", carryYards: 155 },
+  { name: "8 Iron", carryYards: 145 },
+  { name: "Pitching Wedge", carryYards: 120 }
+];
+
+test("picks the club whose carry is closest when nothing is in play", () => {
+  const result = selectClub({ distanceYards: 152, clubs: BAG });
+  assert.equal(result.recommended.club, "7 Iron");
+  assert.equal(result.recommended.targetLine.side, "center");
+  assert.equal(result.candidates.length, 3);
+  assert.equal(result.bagSource, "profile");
+});
+
+test("driver is only considered off the tee", () => {
+  assert.equal(selectClub({ distanceYards: 245, clubs: BAG, lie: "tee" }).recommended.club, "Driver");
+  assert.equal(selectClub({ distanceYards: 245, clubs: BAG, lie: "fairway" }).recommended.club, "3 Wood");
+});
+
+test("lie reduces effective carry", () => {
+  // 165 × 0.92 = 152 from the rough.
+  const result = selectClub({ distanceYards: 152, clubs: BAG, lie: "rough" });
+  assert.equal(result.recommended.club, "6 Iron");
+  assert.equal(result.recommended.effectiveCarryYards, 152);
+  assert.match(result.explanation, /~152 from the rough/);
+});
+
+test("aims away from a hazard beside the landing zone", () => {
+  const result = selectClub({
+    distanceYards: 155,
+    clubs: BAG,
+    hazards: [{ type: "water", carryDistance: 155, lateralOffset: -10 }]
+  });
+  assert.equal(result.recommended.club, "7 Iron");
+  assert.equal(result.recommended.targetLine.side, "right");
+  assert.match(result.explanation, /stay off the water left at 155/);
+});
+
+test("lays up short of a hazard that sits on the number", () => {
+  const result = selectClub({
+    distanceYards: 240,
+    clubs: BAG,
+    lie: "tee",
+    hazards: [
+      { type: "out_of_bounds", carryDistance: 240, lateralOffset: -15 },
+      { type: "water", carryDistance: 240, lateralOffset: 15 }
+    ]
+  });
+  assert.equal(result.recommended.club, "3 Wood");
+});
+
+test("falls back to a default bag and putter on the green", () => {
+  const noBag = selectClub({ distanceYards: 150, clubs: [] });
+  assert.equal(noBag.bagSource, "default");
+  assert.equal(noBag.recommended.club, "7 Iron");
+
+  assert.equal(selectClub({ distanceYards: 8, clubs: BAG, lie: "green" }).recommended.club, "Putter");
+});
+
+test("a bag with nothing playable from the lie falls back to the default bag", () => {
+  const driverAndPutter = [{ name: "Driver", carryYards: 250 }, { name: "Putter", carryYards: null }];
+  const result = selectClub({ distanceYards: 150, clubs: driverAndPutter, lie: "fairway" });
+  assert.equal(result.bagSource, "default");
+  assert.equal(result.recommended.club, "7 Iron");
+  assert.ok(result.candidates.every((c) => !/driver|putter/i.test(c.club)));
+
+  assert.equal(selectClub({ distanceYards: 250, clubs: driverAndPutter, lie: "tee" }).recommended.club, "Driver");
+});
@@ -0,0 +1,212 @@
+"use strict";
+
+/**
+ * Tests for services/completionStream.js — the SSE variant of the
+ * /api/openai/* completions. A fake response records what is written;
+ * the model is the mock provider.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+const { streamCompletion } = require("../services/completionStream");
+const responseSchemas = require("../services/responseSchemas");
+const { createMockProvider } = require("../services/llmProvider");
+
+function makeStreamRes() {
+  const res = new EventEmitter();
+  res.statusCode = null;
+  res.headers = null;
+  res.chunks = [];
+  res.ended = false;
+  res.writeHead = (code, headers) => {
+    res.statusCode = code;
+    res.headers = headers;
+  };
+  res.write = (chunk) => res.chunks.push(chunk);
+  res.end = () => {
+    res.ended = true;
+  };
+  return res;
+}
+
+function parseEvents(res) {
+  return res.chunks
+    .join("")
+    .split("\n\n")
+    .filter((block) => block.startsWith("event:"))
+    .map((block) => {
+      const [eventLine, dataLine] = block.split("\n");
+      return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+}
+
+const MESSAGES = [
+  { role: "system", content: "You are an expert golf caddie." },
+  { role: "user", content: "150 to the pin" }
+];
+
+test("streams deltas, then a done event with the assembled text", async () => {
+  const text = "Smooth 7 iron at the middle of the green, not at the flag.";
+  const provider = createMockProvider({ fixtures: [{ response: text }] });
+  const res = makeStreamRes();
+
+  await streamCompletion({ res, provider, model: "gpt-4o-mini", messages: MESSAGES, correlationId: "cid-1" });
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers["Content-Type"], /text\/event-stream/);
+  assert.equal(res.headers["X-Correlation-ID"], "cid-1");
+  assert.equal(res.ended, true);
+
+  const events = parseEvents(res);
+  assert.deepEqual(events[0], { event: "start", data: { correlationId: "cid-1", model: "gpt-4o-mini" } });
+  const deltas = events.filter((e) => e.event === "delta");
+  assert.ok(deltas.length > 1);
+  assert.equal(deltas.map((e) => e.data.text).join(""), text);
+
+  const done = events[events.length - 1];
+  assert.equal(done.event, "done");
+  assert.equal(done.data.resultJSON, text);
+  assert.equal(done.data.validationStatus, "unvalidated");
+  assert.equal(done.data.model, "mock:gpt-4o-mini");
+  assert.equal(done.data.correlationId, "cid-1");
+  assert.equal(done.data.logged, false);
+});
+
+test("validates against the schema and logs the final text as a recommendation event", async () => {
+  const provider = createMockProvider({
+    fixtures: [{ response: '```json\n{"club": "7 Iron", "recommendationText": "Smooth 7 to the middle.",}\n```' }]
+  });
+  const recorded = [];
+  const res = makeStreamRes();
+
+  await streamCompletion({
+    res,
+    provider,
+    model: "gpt-4o-mini",
+    messages: MESSAGES,
+    schemaName: "shot_recommendation",
+    correlationId: "cid-2",
+    userId: "user-1",
+    recommendationEvent: {
+      recommendationId: "rec-9",
+      userId: "someone-else",
+      context: { holeNumber: 4 },
+      output: { aiSelectedClub: "7 Iron" },
+      diagnostics: { source: "client" }
+    },
+    recordEvent: async (event) => {
+      recorded.push(event);
+      return { persisted: true, recommendationId: event.recommendationId };
+    }
+  });
+
+  const done = parseEvents(res).pop();
+  assert.equal(done.event, "done");
+  assert.equal(done.data.validationStatus, "repaired");
+  assert.equal(done.data.result.club, "7 Iron");
+  assert.equal(done.data.recommendationId, "rec-9");
+  assert.equal(done.data.logged, true);
+
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].output.recommendationText, "Smooth 7 to the middle.");
+  assert.equal(recorded[0].output.aiSelectedClub, "7 Iron");
+  assert.equal(recorded[0].diagnostics.model, "mock:gpt-4o-mini");
+  assert.ok(Number.isFinite(recorded[0].diagnostics.requestDurationMs));
+  assert.equal(recorded[0].userId, "user-1");
+  assert.equal(recorded[0].diagnostics.source, "server");
+});
+
+test("provider failures and invalid output end the stream with a failure event", async () => {
+  const failing = {
+    name: "broken",
+    async stream() {
+      throw Object.assign(new Error("rate limited"), { statusCode: 500, detail: "rate limited" });
+    }
+  };
+  const res = makeStreamRes();
+  await streamCompletion({ res, provider: failing, model: "m", messages: MESSAGES, correlationId: "cid-3" });
+  const events = parseEvents(res);
+  assert.deepEqual(events.pop(), {
+    event: "failure",
+    data: { error: "OpenAI call failed", detail: "rate limited", correlationId: "cid-3" }
+  });
+  assert.equal(res.ended, true);
+
+  const invalid = makeStreamRes();
+  await streamCompletion({
+    res: invalid,
+    provider: createMockProvider({ fixtures: [{ response: "no idea" }] }),
+    model: "m",
+    messages: MESSAGES,
+    schemaName: "putt_read"
+  });
+  const last = parseEvents(invalid).pop();
+  assert.equal(last.event, "failure");
+  assert.equal(last.data.validationStatus, "invalid");
+});
+
+test("a client disconnect aborts the upstream call and logs nothing", async () => {
+  const res = makeStreamRes();
+  const recorded = [];
+  let aborted = false;
+  const provider = {
+    name: "slow",
+    stream({ onDelta, signal }) {
+      onDelta("Hit ");
+      return new Promise((_resolve, reject) => {
+        signal.addEventListener("abort", () => {
+          aborted = true;
+          reject(new Error("aborted"));
+        });
+        setImmediate(() => res.emit("close"));
+      });
+    }
+  };
+
+  await streamCompletion({
+    res,
+    provider,
+    model: "m",
+    messages: MESSAGES,
+    recommendationEvent: { recommendationId: "rec-x" },
+    recordEvent: async (event) => recorded.push(event)
+  });
+
+  assert.equal(aborted, true);
+  assert.equal(recorded.length, 0);
+  assert.deepEqual(
+    parseEvents(res).map((e) => e.event),
+    ["start", "delta"]
+  );
+});
+
+test("a validation step that throws still ends the stream with a failure event", async (t) => {
+  t.mock.method(responseSchemas, "validateResponse", async () => {
+    throw new Error("repair call failed");
+  });
+  t.mock.method(console, "error", () => {});
+  const recorded = [];
+  const res = makeStreamRes();
+
+  await streamCompletion({
+    res,
+    provider: createMockProvider({ fixtures: [{ response: '{"club": "7 Iron"}' }] }),
+    model: "m",
+    messages: MESSAGES,
+    schemaName: "shot_recommendation",
+    correlationId: "cid-5",
+    recommendationEvent: { recommendationId: "rec-5" },
+    recordEvent: async (event) => recorded.push(event)
+  });
+
+  const last = parseEvents(res).pop();
+  assert.equal(last.event, "failure");
+  assert.equal(last.data.detail, "validation_error");
+  assert.equal(last.data.correlationId, "cid-5");
+  assert.equal(res.ended, true);
+  assert.equal(recorded.length, 0);
+});
@@ -0,0 +1,193 @@
+"use strict";
+
+/**
+ * Tests for services/courseDataVersion.js and the cached
+ * GET /api/courses/:id and GET /api/course-context/:courseId handlers.
+ * The payload builders are swapped for counters over a fake
+ * golf_courses.data_version.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const courseIntelligence = require("../services/courseIntelligence");
+const {
+  loadCoursePayload,
+  bumpCourseDataVersion,
+  bumpAllCourseDataVersions,
+  etagMatches,
+  coursePayloadCache,
+  PAYLOAD_LAYOUT_VERSION
+} = require("../services/courseDataVersion");
+const { handleCourse } = require("../routes/courses").__test;
+const { handleCourseContext } = require("../routes/courseContext").__test;
+const { makeRes, makeReq, stubCourseContext } = require("./fixtures/course");
+
+const COURSE_UUID = "6f1c2a3e-0000-4000-8000-000000000001";
+
+/** golf_courses with one row; `withVersion: false` is a pre-015 schema. */
+function makePool({ withVersion = true } = {}) {
+  const state = { version: 1, calls: [] };
+  state.query = async (sql, params) => {
+    state.calls.push(sql);
+    if (/data_version/.test(sql) && !withVersion) {
+      throw Object.assign(new Error('column "data_version" does not exist'), { code: "42703" });
+    }
+    if (/^\s*UPDATE golf_courses/.test(sql)) {
+      const hit = params[0].includes(COURSE_UUID);
+      if (hit) state.version += 1;
+      return { rows: [], rowCount: hit ? 1 : 0 };
+    }
+    if (/SELECT gc\.id, gc\.data_version/.test(sql)) {
+      const match = params[0] === COURSE_UUID || params[0] === "PV-001";
+      return { rows: match ? [{ id: COURSE_UUID, data_version: String(state.version) }] : [] };
+    }
+    if (/SELECT gc\.id FROM golf_courses gc WHERE/.test(sql)) {
+      return { rows: params[0] === COURSE_UUID || params[0] === "PV-001" ? [{ id: COURSE_UUID }] : [] };
+    }
+    return { rows: [], rowCount: 0 };
+  };
+  return state;
+}
+
+test("payloads are cached per data version and rebuilt after a bump", async () => {
+  coursePayloadCache.clear();
+  const pool = makePool();
+  let builds = 0;
+  const build = async (uuid) => ({ id: uuid, build: ++builds });
+
+  const first = await loadCoursePayload(pool, COURSE_UUID, "course", build);
+  assert.equal(first.cached, false);
+  assert.equal(first.version, "1");
+  assert.equal(first.etag, `"${COURSE_UUID}-course-v1.${PAYLOAD_LAYOUT_VERSION}"`);
+  assert.deepEqual(JSON.parse(first.body), { id: COURSE_UUID, build: 1 });
+
+  // Slug resolves to the same entry; other payload kinds are separate
+  const again = await loadCoursePayload(pool, "PV-001", "course", build);
+  assert.equal(again.cached, true);
+  assert.equal(again.etag, first.etag);
+  assert.equal(builds, 1);
+  assert.equal((await loadCoursePayload(pool, COURSE_UUID, "context", build)).cached, false);
+  assert.equal(builds, 2);
+
+  // Another process's write: the version moves without this cache being told
+  pool.version += 1;
+  const rebuilt = await loadCoursePayload(pool, COURSE_UUID, "course", build);
+  assert.equal(rebuilt.cached, false);
+  assert.equal(rebuilt.version, "2");
+  assert.notEqual(rebuilt.etag, first.etag);
+
+  assert.equal(await bumpCourseDataVersion(pool, [COURSE_UUID, COURSE_UUID, null]), 1);
+  assert.equal(pool.version, 3);
+  assert.equal((await loadCoursePayload(pool, COURSE_UUID, "context", build)).cached, false);
+  assert.equal(await bumpCourseDataVersion(pool, []), 0);
+
+  assert.equal(await loadCoursePayload(pool, "nope", "course", build), null);
+
+  // A client already holding the current tag costs no build
+  pool.version += 1;
+  const built = builds;
+  const held = await loadCoursePayload(pool, COURSE_UUID, "course", build, {
+    fresh: (etag) => etag === `"${COURSE_UUID}-course-v4.${PAYLOAD_LAYOUT_VERSION}"`
+  });
+  assert.equal(held.notModified, true);
+  assert.equal(held.body, undefined);
+  assert.equal(builds, built);
+});
+
+test("before migration 015 payloads build every time and bumps are no-ops", async () => {
+  coursePayloadCache.clear();
+  const pool = makePool({ withVersion: false });
+  let builds = 0;
+  const build = async () => {
+    builds++;
+    return { same: true };
+  };
+
+  const a = await loadCoursePayload(pool, COURSE_UUID, "course", build);
+  const b = await loadCoursePayload(pool, "PV-001", "course", build);
+  assert.equal(builds, 2);
+  assert.equal(a.version, null);
+  assert.equal(b.cached, false);
+  assert.equal(a.etag, b.etag, "the ETag still follows the content");
+  assert.equal(pool.calls.filter((sql) => /data_version/.test(sql)).length, 1, "probe once per pool");
+
+  assert.equal(await bumpCourseDataVersion(pool, COURSE_UUID), 0);
+});
+
+test("a failed bump is logged, not thrown, since the write before it is saved", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const broken = { query: async () => { throw new Error("connection reset"); } };
+  assert.equal(await bumpCourseDataVersion(broken, COURSE_UUID), 0);
+  assert.equal(await bumpAllCourseDataVersions(broken), 0);
+  assert.equal(console.error.mock.callCount(), 2);
+});
+
+test("etagMatches compares weakly and accepts lists and *", () => {
+  const etag = `"${"a".repeat(64)}"`;
+  assert.equal(etagMatches(etag, etag), true);
+  assert.equal(etagMatches(`W/${etag}`, etag), true);
+  assert.equal(etagMatches(`"x", ${etag}`, etag), true);
+  assert.equal(etagMatches("*", etag), true);
+  assert.equal(etagMatches(`"${"b".repeat(64)}"`, etag), false);
+  assert.equal(etagMatches(undefined, etag), false);
+});
+
+test("GET /api/courses/:id and /api/course-context/:courseId send ETags and 304 when unchanged", async () => {
+  coursePayloadCache.clear();
+  const originalFull = courseIntelligence.getFullCoursePayload;
+  const builds = { full: 0, context: 0 };
+  courseIntelligence.getFullCoursePayload = async (_pool, id) => {
+    builds.full++;
+    return { course: { id }, holes: [] };
+  };
+  const restoreContext = stubCourseContext((_pool, id) => {
+    builds.context++;
+    return { course: { id, name: "PV" }, holes: [], tees: [] };
+  });
+  const pool = makePool();
+  try {
+    const course = makeRes();
+    await handleCourse(makeReq({ pool, params: { id: "PV-001" } }), course);
+    assert.equal(course.statusCode, 200);
+    assert.equal(course.headers["Content-Type"], "application/json");
+    assert.equal(course.headers["Cache-Control"], "private, no-cache");
+    assert.deepEqual(JSON.parse(course.body), { course: { id: COURSE_UUID }, holes: [] });
+
+    const notModified = makeRes();
+    await handleCourse(makeReq({ pool, params: { id: COURSE_UUID }, headers: { "If-None-Match": course.headers.ETag } }), notModified);
+    assert.equal(notModified.statusCode, 304);
+    assert.equal(notModified.ended, true);
+    assert.equal(notModified.body, undefined);
+    assert.equal(notModified.headers.ETag, course.headers.ETag);
+    assert.equal(builds.full, 1);
+
+    const ctx = makeRes();
+    await handleCourseContext(makeReq({ pool, params: { courseId: COURSE_UUID } }), ctx);
+    assert.equal(JSON.parse(ctx.body).course.name, "PV");
+    const unchanged = makeRes();
+    await handleCourseContext(makeReq({ pool, params: { courseId: COURSE_UUID }, headers: { "If-None-Match": ctx.headers.ETag } }), unchanged);
+    assert.equal(unchanged.statusCode, 304);
+    assert.equal(builds.context, 1);
+
+    await bumpCourseDataVersion(pool, COURSE_UUID);
+    const changed = makeRes();
+    await handleCourseContext(makeReq({ pool, params: { courseId: COURSE_UUID }, headers: { "If-None-Match": ctx.headers.ETag } }), changed);
+    // New version, new tag: the client refetches
+    assert.equal(changed.statusCode, 200);
+    assert.equal(builds.context, 2);
+    assert.notEqual(changed.headers.ETag, ctx.headers.ETag);
+
+    const missing = makeRes();
+    await handleCourse(makeReq({ pool, params: { id: "nope" } }), missing);
+    assert.equal(missing.statusCode, 404);
+    const noDb = makeRes();
+    await handleCourseContext(makeReq({ pool: null, params: { courseId: COURSE_UUID } }), noDb);
+    assert.equal(noDb.statusCode, 503);
+  } finally {
+    courseIntelligence.getFullCoursePayload = originalFull;
+    restoreContext();
+  }
+});
@@ -0,0 +1,335 @@
+"use strict";
+
+/**
+ * Tests for services/demTiles.js (DEM readers + tile set), the `dem`
+ * elevation provider and services/courseElevation.js. DEM files are
+ * written to a temp directory; the database is a stub pool.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+
+const dem = require("../services/demTiles");
+const { createDemElevationProvider } = require("../services/elevationProvider");
+const { annotateCourseElevation, holeElevation } = require("../services/courseElevation");
+const courseIntelligence = require("../services/courseIntelligence");
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "dem-test-"));
+}
+
+/** SRTM-style tile whose height is 100 m + 1 m per sample east + 2 m per sample south. */
+function writeHgt(dir, name, size) {
+  const buf = Buffer.alloc(size * size * 2);
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) buf.writeInt16BE(100 + c + 2 * r, (r * size + c) * 2);
+  }
+  buf.writeInt16BE(-32768, 0); // a void in the NW corner
+  fs.writeFileSync(path.join(dir, name), buf);
+}
+
+/** Minimal little-endian, uncompressed, int16 GeoTIFF (PixelIsArea). */
+function buildGeoTiff({ width, height, west, north, step, values, nodata = "-9999" }) {
+  const entries = [];
+  const extra = [];
+  let extraLen = 0;
+  const add = (tag, type, count, bytes) => entries.push({ tag, type, count, bytes });
+  const short = (...v) => {
+    const b = Buffer.alloc(v.length * 2);
+    v.forEach((x, i) => b.writeUInt16LE(x, i * 2));
+    return b;
+  };
+  const long = (...v) => {
+    const b = Buffer.alloc(v.length * 4);
+    v.forEach((x, i) => b.writeUInt32LE(x, i * 4));
+    return b;
+  };
+  const double = (...v) => {
+    const b = Buffer.alloc(v.length * 8);
+    v.forEach((x, i) => b.writeDoubleLE(x, i * 8));
+    return b;
+  };
+  const pixels = Buffer.alloc(width * height * 2);
+  values.forEach((v, i) => pixels.writeInt16LE(v, i * 2));
+
+  const tagCount = 14;
+  const ifdSize = 2 + tagCount * 12 + 4;
+  const extraStart = 8 + ifdSize;
+  const placeholderOffset = { tag: 273 };
+  add(256, 3, 1, short(width));
+  add(257, 3, 1, short(height));
+  add(258, 3, 1, short(16));
+  add(259, 3, 1, short(1));
+  add(273, 4, 1, placeholderOffset);
+  add(277, 3, 1, short(1));
+  add(278, 3, 1, short(height));
+  add(279, 4, 1, long(pixels.length));
+  add(339, 3, 1, short(2));
+  add(33550, 12, 3, double(step, step, 0));
+  add(33922, 12, 6, double(0, 0, 0, west, north, 0));
+  add(34735, 3, 12, short(1, 1, 0, 2, 1024, 0, 1, 2, 1025, 0, 1, 1));
+  add(42113, 2, nodata.length + 1, Buffer.from(`${nodata}\0`, "latin1"));
+  add(42112, 2, 1, Buffer.from("\0")); // unrelated GDAL metadata tag, ignored
+  entries.sort((a, b) => a.tag - b.tag);
+
+  // Out-of-line values, then pixels.
+  for (const e of entries) {
+    if (e.bytes === placeholderOffset || e.bytes.length <= 4) continue;
+    e.offset = extraStart + extraLen;
+    extra.push(e.bytes);
+    extraLen += e.bytes.length;
+  }
+  const pixelOffset = extraStart + extraLen;
+
+  const head = Buffer.alloc(8 + ifdSize);
+  head.write("II", 0, "latin1");
+  head.writeUInt16LE(42, 2);
+  head.writeUInt32LE(8, 4);
+  head.writeUInt16LE(entries.length, 8);
+  entries.forEach((e, i) => {
+    const o = 10 + i * 12;
+    head.writeUInt16LE(e.tag, o);
+    head.writeUInt16LE(e.type, o + 2);
+    head.writeUInt32LE(e.count, o + 4);
+    if (e.bytes === placeholderOffset) head.writeUInt32LE(pixelOffset, o + 8);
+    else if (e.offset != null) head.writeUInt32LE(e.offset, o + 8);
+    else e.bytes.copy(head, o + 8);
+  });
+  return Buffer.concat([head, ...extra, pixels]);
+}
+
+test(".hgt tiles are placed by file name and sampled bilinearly, skipping voids", () => {
+  const dir = tmpDir();
+  writeHgt(dir, "N40W075.hgt", 11); // 0.1° samples
+  const grid = dem.readGrid(path.join(dir, "N40W075.hgt"));
+  assert.deepEqual(dem.gridBounds(grid), { west: -75, east: -74, north: 41, south: 40 });
+
+  // Sample (row 2, col 3) sits at 40.8 N, 74.7 W.
+  assert.equal(dem.sampleGrid(grid, 40.8, -74.7), 100 + 3 + 4);
+  // Halfway between cols 3 and 4 and rows 2 and 3.
+  assert.ok(Math.abs(dem.sampleGrid(grid, 40.75, -74.65) - (100 + 3.5 + 5)) < 1e-9);
+  // The void corner is left out instead of dragging the height to -32768.
+  assert.equal(dem.sampleGrid(grid, 41, -75), null);
+  assert.ok(dem.sampleGrid(grid, 40.99, -74.99) > 100);
+  assert.equal(dem.sampleGrid(grid, 42, -75), null);
+  assert.deepEqual(dem.parseHgtName("S34E151.hgt"), { lat: -34, lon: 151 });
+});
+
+test("ESRI ASCII grids honour corner registration and NODATA", () => {
+  const grid = dem.readAsciiGrid(
+    ["ncols 3", "nrows 2", "xllcorner -75.0", "yllcorner 40.0", "cellsize 0.001", "NODATA_value -9999", "10 11 12", "20 -9999 22"].join("\n")
+  );
+  assert.ok(Math.abs(grid.west - -74.9995) < 1e-12);
+  assert.ok(Math.abs(grid.north - 40.0015) < 1e-12);
+  assert.equal(dem.sampleGrid(grid, 40.0015, -74.9995), 10);
+  assert.equal(dem.sampleGrid(grid, 40.0005, -74.9985), null); // the void itself
+  assert.throws(() => dem.readAsciiGrid("ncols 2\nnrows 2\ncellsize 1\nxllcorner 0\nyllcorner 0\n1 2 3"), /expected 4 values/);
+});
+
+test("GeoTIFFs are georeferenced from tiepoint + pixel scale", () => {
+  const values = [];
+  for (let r = 0; r < 4; r++) for (let c = 0; c < 5; c++) values.push(r === 3 && c === 4 ? -9999 : 50 + c - r);
+  const buf = buildGeoTiff({ width: 5, height: 4, west: -75, north: 40.004, step: 0.001, values });
+  const grid = dem.readGeoTiff(buf);
+  // PixelIsArea: the tiepoint is the NW corner, sample centres are half a pixel in.
+  assert.ok(Math.abs(grid.west - -74.9995) < 1e-12);
+  assert.ok(Math.abs(grid.north - 40.0035) < 1e-12);
+  assert.equal(grid.nodata, -9999);
+  assert.equal(dem.sampleGrid(grid, 40.0035, -74.9985), 51);
+  assert.equal(dem.sampleGrid(grid, 40.0005, -74.9955), null);
+
+  assert.throws(() => dem.readGeoTiff(Buffer.from("not a tiff at all")), /not a TIFF/);
+});
+
+test("compressed and tiled TIFF rasters decode to the same samples", async () => {
+  const width = 300;
+  const height = 200;
+  const px = new Uint16Array(width * height);
+  let seed = 7;
+  for (let i = 0; i < px.length; i++) {
+    seed = (seed * 1103515245 + 12345) >>> 0;
+    px[i] = 1000 + (i % width) + ((seed >>> 16) & 0xff);
+  }
+  const variants = [
+    { compression: "lzw", predictor: "horizontal" },
+    { compression: "deflate", predictor: "horizontal" },
+    { compression: "lzw", predictor: "none", tile: true, tileWidth: 64, tileHeight: 64 }
+  ];
+  for (const opts of variants) {
+    const buf = await sharp(px, { raw: { width, height, channels: 1 } }).toColourspace("grey16").tiff(opts).toBuffer();
+    const { data } = dem.parseTiff(buf);
+    assert.deepEqual(Array.from(data), Array.from(px), JSON.stringify(opts));
+  }
+});
+
+test("tile set indexes a directory, prefers finer tiles and powers the dem provider", async () => {
+  const dir = tmpDir();
+  writeHgt(dir, "N40W075.hgt", 11);
+  fs.writeFileSync(
+    path.join(dir, "course.asc"),
+    ["ncols 2", "nrows 2", "xllcenter -74.7", "yllcenter 40.799", "cellsize 0.001", "500 500", "500 500"].join("\n")
+  );
+  fs.writeFileSync(path.join(dir, "broken.tif"), "nope");
+  fs.writeFileSync(path.join(dir, "README.txt"), "ignored");
+
+  const tiles = dem.createTileSet({ dir, maxCachedTiles: 1 });
+  assert.deepEqual(tiles.tiles().map((t) => t.file), ["course.asc", "N40W075.hgt"]);
+  assert.equal(tiles.elevationAt(40.7995, -74.6995), 500); // covered by both; the 0.001° grid wins
+  assert.equal(tiles.elevationAt(40.8, -74.6), 108); // only the SRTM tile
+  assert.equal(tiles.elevationAt(10, 10), null);
+
+  const provider = createDemElevationProvider({ tileSet: tiles });
+  assert.equal(provider.quality, "dem_local");
+  assert.deepEqual(await provider.elevations([{ lat: 40.8, lon: -74.6 }, { lat: 0, lon: 0 }]), [108, null]);
+  assert.deepEqual(await createDemElevationProvider({ dir: path.join(dir, "missing") }).elevations([{ lat: 40.8, lon: -74.6 }]), [null]);
+});
+
+test("holeElevation reports green heights and each tee's rise to the green", () => {
+  const e = holeElevation({
+    green: { front: 12, back: 14.4, other: [] },
+    tees: [
+      { tee_set_id: "t-blue", tee_name: "Blue", elevation_m: 22 },
+      { tee_set_id: "t-red", tee_name: "Red", elevation_m: null }
+    ],
+    sources: ["dem_local", "dem_local", null]
+  });
+  assert.equal(e.green_center_m, 13.2); // no Center POI: mean of front/back
+  assert.equal(e.green_slope_m, 2.4);
+  assert.deepEqual(e.tees[0], {
+    tee_set_id: "t-blue",
+    tee_name: "Blue",
+    elevation_m: 22,
+    delta_to_green_m: -8.8,
+    plays_like_adjust_yards: -10
+  });
+  assert.equal(e.tees[1].delta_to_green_m, null);
+  assert.deepEqual(e.sources, ["dem_local"]);
+
+  const empty = holeElevation({ green: {}, tees: [] });
+  assert.equal(empty.green_center_m, null);
+  assert.deepEqual(empty.tees, []);
+});
+
+function makePool({ withElevation = true, rows = {} } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async query(sql, params) {
+      calls.push({ sql, params });
+      if (/information_schema/.test(sql)) {
+        return params[1] === "elevation_m" && withElevation ? { rows: [{ "?column?": 1 }], rowCount: 1 } : { rows: [], rowCount: 0 };
+      }
+      if (/^\s*SELECT id::text AS id, lat, lon/.test(sql)) {
+        const table = /FROM (golf_hole_\w+)/.exec(sql)[1];
+        return { rows: rows[table] || [] };
+      }
+      return { rows: [], rowCount: 0 };
+    }
+  };
+}
+
+test("annotateCourseElevation updates only rows the provider could answer", async () => {
+  const provider = {
+    name: "dem",
+    quality: "dem_local",
+    async elevations(points) {
+      return points.map((p) => (p.lat > 40 ? 30.5 : null));
+    }
+  };
+  const pool = makePool({
+    rows: {
+      golf_hole_pois: [
+        { id: "p1", lat: 40.001, lon: -75 },
+        { id: "p2", lat: 39.9, lon: -75 }
+      ],
+      golf_hole_tees: [{ id: "t1", lat: 40.002, lon: -75 }]
+    }
+  });
+  const stats = await annotateCourseElevation(pool, { courseId: "course-1", provider });
+  assert.deepEqual(stats.pois, { checked: 2, annotated: 1, missing: 1 });
+  assert.deepEqual(stats.tees, { checked: 1, annotated: 1, missing: 0 });
+
+  const selects = pool.calls.filter((c) => /SELECT id::text/.test(c.sql));
+  assert.ok(selects.every((c) => /elevation_m IS NULL/.test(c.sql)), "only unannotated rows by default");
+  const updates = pool.calls.filter((c) => /^\s*UPDATE/.test(c.sql));
+  assert.equal(updates.length, 2);
+  assert.deepEqual(updates[0].params, [["p1"], [30.5], "dem_local"]);
+
+  const dry = makePool({ rows: { golf_hole_pois: [{ id: "p1", lat: 40.001, lon: -75 }] } });
+  await annotateCourseElevation(dry, { courseId: "course-1", provider, dryRun: true, force: true });
+  assert.equal(dry.calls.filter((c) => /^\s*UPDATE/.test(c.sql)).length, 0);
+  assert.ok(!/elevation_m IS NULL/.test(dry.calls.find((c) => /SELECT id::text/.test(c.sql)).sql));
+
+  await assert.rejects(
+    annotateCourseElevation(makePool({ withElevation: false }), { courseId: "course-1", provider }),
+    (err) => err.statusCode === 503 && /013_hole_elevation/.test(err.message)
+  );
+});
+
+test("annotateCourseElevation probes the elevation columns once per pool and table", async () => {
+  const provider = { name: "dem", async elevations(points) { return points.map(() => null); } };
+  const pool = makePool();
+  for (let i = 0; i < 3; i++) await annotateCourseElevation(pool, { courseId: "course-1", provider });
+  assert.equal(pool.calls.filter((c) => /information_schema/.test(c.sql)).length, 2);
+});
+
+test("course context carries per-hole elevation, and nulls before migration 013", async () => {
+  function contextPool(withElevation) {
+    return {
+      async query(sql, params) {
+        if (/LIMIT 0/.test(sql)) return { rows: [] };
+        if (/gc\.id::text = \$1|WHERE gc\.id = \$1/.test(sql)) {
+          return { rows: [{ id: "c1", course_name: "Elevation Test", lat: 40, lon: -75, club_city: "X", club_state: "PA" }] };
+        }
+        if (/information_schema/.test(sql)) {
+          return params[1] === "elevation_m" && withElevation ? { rows: [{ "?column?": 1 }], rowCount: 1 } : { rows: [], rowCount: 0 };
+        }
+        if (/FROM golf_course_holes h/.test(sql)) return { rows: [{ hole_number: 1, par: 4, handicap: 5 }] };
+        if (/LOWER\(TRIM\(poi_type\)\) = 'green'/.test(sql)) {
+          return {
+            rows: [
+              { hole_number: 1, loc: "C", lat: 40.003, lon: -75, elevation_m: withElevation ? 12 : null, elevation_source: withElevation ? "dem_local" : null },
+              { hole_number: 1, loc: "F", lat: 40.0028, lon: -75, elevation_m: withElevation ? 11.5 : null, elevation_source: null }
+            ]
+          };
+        }
+        if (/FROM golf_hole_tees ht/.test(sql)) {
+          return {
+            rows: [
+              { hole_number: 1, tee_set_id: "t1", tee_name: "Blue", lat: 40, lon: -75, yardage: 360, is_synthesized: true, elevation_m: withElevation ? 20 : null, elevation_source: withElevation ? "dem_local" : null }
+            ]
+          };
+        }
+        if (/NOT IN \('green'/.test(sql)) {
+          return { rows: [{ id: "h1", hole_number: 1, poi_type: "Bunker", location_label: "C", fairway_side: "left", lat: 40.002, lon: -75, elevation_m: withElevation ? 14 : null }] };
+        }
+        return { rows: [] };
+      }
+    };
+  }
+
+  const ctx = await courseIntelligence.getRoundCourseContext(contextPool(true), "c1");
+  const hole = ctx.holes[0];
+  assert.equal(hole.elevation.green_center_m, 12);
+  assert.deepEqual(hole.elevation.tees[0], {
+    tee_set_id: "t1",
+    tee_name: "Blue",
+    elevation_m: 20,
+    delta_to_green_m: -8,
+    plays_like_adjust_yards: -9
+  });
+  assert.equal(hole.tees[0].elevation_m, 20);
+  assert.equal(hole.hazard_pois[0].elevation_m, 14);
+  assert.deepEqual(hole.elevation.sources, ["dem_local"]);
+
+  const before = await courseIntelligence.getRoundCourseContext(contextPool(false), "c1");
+  assert.equal(before.holes[0].elevation.green_center_m, null);
+  assert.equal(before.holes[0].elevation.tees[0].delta_to_green_m, null);
+  assert.equal(before.holes[0].hazard_pois[0].elevation_m, null);
+});
@@ -0,0 +1,109 @@
+"use strict";
+
+/**
+ * Tests for services/courseExport.js (KML / GPX), the
+ * GET /api/courses/:id/{kml,gpx} handlers and
+ * scripts/export-course-geometry.js. The course lookup
+ * (`getRoundCourseContext`) is swapped for a fixture.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildCourseGeoJson } = require("../services/courseGeoJson");
+const { toKml, toGpx, styleKey, exportFileName } = require("../services/courseExport");
+const { handleKml, handleGpx } = require("../routes/courses").__test;
+const { exportCourse } = require("../scripts/export-course-geometry");
+const { COURSE_ID, TEE, GREEN, fixtureHole, courseContext, coursePool, makeRes, makeReq, stubCourseContext } = require("./fixtures/course");
+
+const CONTEXT = courseContext({
+  course: { name: "Pine & Oak" },
+  holes: [
+    fixtureHole({
+      green: { center: GREEN, front: null, back: null, polygon: null },
+      tees: [
+        { tee_set_id: "tee-blue", tee_name: "Blue", coordinate: TEE, yardage: 400, is_synthesized: false },
+        { tee_set_id: "tee-red", tee_name: "Red", coordinate: { lat: 40.0005, lon: -75.0 }, yardage: 340, is_synthesized: true }
+      ],
+      hole_lengths: [],
+      hazard_pois: [
+        { id: "poi-1", type: "Water", normalized_type: "water", location_label: "L", fairway_side: "L", lat: 40.001, lon: -75.003, source_type: "source_native", confidence: null },
+        { id: "poi-2", type: "Bunker", normalized_type: "bunker_fairway", location_label: "<R>", fairway_side: "R", lat: 40.002059, lon: -74.99984, source_type: "source_osm", confidence: 0.8 }
+      ],
+      features: [
+        { id: "f-1", hole_number: 1, feature_type: "bunker_fairway", geometry_kind: "polygon", coordinates: [[-75, 40.002], [-74.9998, 40.002], [-74.9998, 40.0022], [-75, 40.002]], poi_id: "poi-2", label: null, source_type: "source_osm", confidence: 0.7 }
+      ]
+    })
+  ],
+  features: []
+});
+
+const FC = buildCourseGeoJson(CONTEXT).result;
+
+test("KML styles tees by synthesis and hazards by source, one folder per hole", () => {
+  assert.deepEqual(FC.features.map((f) => styleKey(f.properties)), [
+    "tee-mapped", "tee-synthesized", "green", "hazard-source_native", "hazard-source_osm", "centerline", "outline-source_osm"
+  ]);
+
+  const kml = toKml(FC);
+  assert.match(kml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<kml xmlns="http:\/\/www.opengis.net\/kml\/2.2">/);
+  assert.match(kml, /<name>Pine &amp; Oak<\/name>/);
+  assert.match(kml, /<Style id="tee-synthesized"><IconStyle><color>ffff00ff<\/color>/);
+  assert.match(kml, /<Folder><name>Hole 1<\/name>/);
+  assert.match(kml, /<name>Red tee \(synthesized\)<\/name><description>[^<]*<\/description><styleUrl>#tee-synthesized<\/styleUrl>/);
+  assert.match(kml, /<name>bunker_fairway &lt;R&gt;<\/name><description>source_osm · confidence 0.8 · id poi-2<\/description><styleUrl>#hazard-source_osm<\/styleUrl>/);
+  assert.match(kml, /<Data name="is_synthesized"><value>true<\/value><\/Data>/);
+  assert.match(kml, /<Point><coordinates>-75.003,40.001<\/coordinates><\/Point>/);
+  assert.match(kml, /<LinearRing><coordinates>-75,40.002 -74.9998,40.002 /);
+  // Every style a placemark points at is defined
+  for (const [, id] of kml.matchAll(/<styleUrl>#([^<]+)<\/styleUrl>/g)) {
+    assert.ok(kml.includes(`<Style id="${id}">`), id);
+  }
+});
+
+test("GPX puts points, routes and tracks in schema order with the style key as <type>", () => {
+  const gpx = toGpx(FC);
+  assert.match(gpx, /<gpx version="1.1" creator="caddie-ai-backend" xmlns="http:\/\/www.topografix.com\/GPX\/1\/1">/);
+  assert.match(gpx, /<wpt lat="40.0005" lon="-75"><name>H1 Red tee \(synthesized\)<\/name><desc>340 yds<\/desc><type>tee-synthesized<\/type><\/wpt>/);
+  assert.match(gpx, /<rte><name>H1 Centerline 401y<\/name>.*<type>centerline<\/type><rtept lat="40" lon="-75"><\/rtept>/);
+  assert.match(gpx, /<trk><name>H1 bunker_fairway<\/name>.*<type>outline-source_osm<\/type><trkseg>(<trkpt [^>]+><\/trkpt>){4}<\/trkseg><\/trk>/);
+  const lastWpt = gpx.lastIndexOf("<wpt ");
+  assert.ok(lastWpt < gpx.indexOf("<rte>") && gpx.indexOf("<rte>") < gpx.indexOf("<trk>"));
+
+  assert.equal(exportFileName(FC, "gpx"), "pine-oak.gpx");
+  assert.equal(exportFileName(buildCourseGeoJson(CONTEXT, { holeNumber: 1 }).result, "kml"), "pine-oak-hole-1.kml");
+});
+
+test("KML/GPX endpoints download as attachments; the CLI renders the same documents", async () => {
+  const restore = stubCourseContext(CONTEXT);
+  const pool = coursePool();
+  const req = (params) => makeReq({ params, pool });
+  try {
+    const kml = makeRes();
+    await handleKml(req({ id: COURSE_ID }), kml);
+    assert.equal(kml.headers["Content-Type"], "application/vnd.google-earth.kml+xml");
+    assert.equal(kml.headers["Content-Disposition"], 'attachment; filename="pine-oak.kml"');
+    assert.equal(kml.body, toKml(FC));
+    assert.equal(kml.headers.ETag, `"${COURSE_ID}-kml-v1.1"`);
+
+    const gpx = makeRes();
+    await handleGpx(req({ id: COURSE_ID, number: "1" }), gpx);
+    assert.equal(gpx.headers["Content-Type"], "application/gpx+xml");
+    assert.equal(gpx.headers["Content-Disposition"], 'attachment; filename="pine-oak-hole-1.gpx"');
+
+    const missing = makeRes();
+    await handleGpx(req({ id: "nope" }), missing);
+    assert.equal(missing.statusCode, 404);
+
+    const exported = await exportCourse({}, { courseId: COURSE_ID, format: "gpx" });
+    assert.equal(exported.fileName, "pine-oak.gpx");
+    assert.equal(exported.body, toGpx(FC));
+    assert.equal(exported.featureCount, FC.features.length);
+    await assert.rejects(exportCourse({}, { courseId: COURSE_ID, format: "shp" }), /Unknown format/);
+    await assert.rejects(exportCourse({}, { courseId: "nope" }), /Course not found/);
+  } finally {
+    restore();
+  }
+});
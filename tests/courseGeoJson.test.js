@@ -0,0 +1,126 @@
+"use strict";
+
+/**
+ * Tests for services/courseGeoJson.js and
+ * GET /api/courses/:id/geojson, /api/courses/:id/holes/:n/geojson.
+ * The course lookup (`getRoundCourseContext`) is swapped for a fixture.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildCourseGeoJson } = require("../services/courseGeoJson");
+const { handleGeoJson } = require("../routes/courses").__test;
+const { coursePayloadCache } = require("../services/courseDataVersion");
+const { COURSE_ID, TEE, GREEN, fixtureHole, courseContext, coursePool, makeRes, makeReq, stubCourseContext } = require("./fixtures/course");
+
+const RED_TEE = { lat: 40.0005, lon: -75.0 };
+
+const CONTEXT = courseContext({
+  holes: [
+    fixtureHole({
+      green: { center: GREEN, front: { lat: 40.00317, lon: -75.0 }, back: null, polygon: null },
+      tees: [
+        { tee_set_id: "tee-blue", tee_name: "Blue", coordinate: TEE, yardage: 400, is_synthesized: false },
+        { tee_set_id: "tee-red", tee_name: "Red", coordinate: RED_TEE, yardage: 340, is_synthesized: true }
+      ],
+      hole_lengths: [],
+      tee_back: null,
+      hazard_pois: [
+        { id: "poi-fwb", type: "Fairway Bunker", normalized_type: "bunker_fairway", location_label: "R", fairway_side: "R", lat: 40.002059, lon: -74.99984, source_type: "source_osm", confidence: 0.8 }
+      ],
+      features: [
+        { id: "f-1", hole_number: 1, feature_type: "bunker_fairway", geometry_kind: "polygon", coordinates: [[-75, 40.002], [-74.9998, 40.002], [-74.9998, 40.0022], [-75, 40.002]], poi_id: "poi-fwb", label: null, source_type: "source_osm", confidence: 0.7 }
+      ]
+    }),
+    fixtureHole({
+      hole_number: 2,
+      par: 3,
+      green: { center: { lat: 40.004, lon: -75.002 }, front: null, back: null, polygon: null },
+      tees: [],
+      hole_lengths: [],
+      tee_front: { lat: 40.0035, lon: -75.0005 },
+      tee_back: null,
+      features: []
+    })
+  ],
+  features: [
+    { id: "f-fence", hole_number: null, feature_type: "out_of_bounds", geometry_kind: "linestring", coordinates: [[-75.002, 40], [-75.002, 40.004]], poi_id: null, label: null, source_type: "source_osm", confidence: 0.55 }
+  ]
+});
+
+const byKind = (fc, kind, hole) => fc.features.filter((f) => f.properties.kind === kind && (hole == null || f.properties.hole_number === hole));
+
+test("buildCourseGeoJson emits tees, greens, hazards, centerlines and outlines", () => {
+  const fc = buildCourseGeoJson(CONTEXT).result;
+  assert.equal(fc.type, "FeatureCollection");
+  assert.deepEqual(fc.properties, { course_id: "course-uuid-1", course_name: "Pine Valley", hole_number: null });
+
+  const tees = byKind(fc, "tee", 1);
+  assert.deepEqual(tees.map((t) => t.properties.tee_set_id), ["tee-blue", "tee-red"]);
+  assert.deepEqual(tees[0].geometry, { type: "Point", coordinates: [-75, 40] });
+  assert.equal(tees[1].properties.is_synthesized, true);
+  // Hole 2 has no per-tee coordinates: the legacy tee POI stands in
+  assert.deepEqual(byKind(fc, "tee", 2).map((t) => [t.properties.tee_set_id, t.properties.tee_name]), [[null, "front"]]);
+
+  assert.deepEqual(byKind(fc, "green", 1).map((g) => g.properties.position), ["front", "center"]);
+
+  const [hazard] = byKind(fc, "hazard", 1);
+  assert.equal(hazard.properties.normalized_type, "bunker_fairway");
+  assert.equal(hazard.properties.source_type, "source_osm");
+  assert.equal(hazard.properties.confidence, 0.8);
+
+  const [centerline] = byKind(fc, "centerline", 1);
+  assert.equal(centerline.properties.tee_set_id, "tee-blue", "from the back tee");
+  assert.deepEqual(centerline.geometry.coordinates, [[-75, 40], [-75, 40.003295]]);
+  assert.ok(Math.abs(centerline.properties.length_yards - 400) <= 1);
+  assert.equal(byKind(fc, "centerline", 2)[0].properties.tee_set_id, null);
+
+  const outlines = byKind(fc, "outline");
+  assert.deepEqual(outlines.map((o) => [o.properties.hole_number, o.geometry.type]), [[1, "Polygon"], [null, "LineString"]]);
+  assert.equal(outlines[0].properties.poi_id, "poi-fwb");
+
+  const hole = buildCourseGeoJson(CONTEXT, { holeNumber: 2 }).result;
+  assert.equal(hole.properties.hole_number, 2);
+  assert.ok(hole.features.every((f) => f.properties.hole_number === 2), "course-wide outlines only in the course export");
+  assert.equal(buildCourseGeoJson(CONTEXT, { holeNumber: 9 }).status, 404);
+});
+
+test("GET …/geojson serves application/geo+json with an ETag and validates the hole", async () => {
+  coursePayloadCache.clear();
+  let builds = 0;
+  const restore = stubCourseContext((_pool, id) => {
+    builds++;
+    return id === COURSE_ID ? CONTEXT : null;
+  });
+  const pool = coursePool();
+  const req = (params, db = pool, headers = {}) => makeReq({ params, pool: db, headers });
+  try {
+    const res = makeRes();
+    await handleGeoJson(req({ id: COURSE_ID, number: "1" }), res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers["Content-Type"], "application/geo+json");
+    assert.equal(res.headers["Cache-Control"], "private, no-cache");
+    assert.equal(JSON.parse(res.body).properties.hole_number, 1);
+
+    const notModified = makeRes();
+    await handleGeoJson(req({ id: COURSE_ID, number: "1" }, pool, { "If-None-Match": res.headers.ETag }), notModified);
+    assert.equal(notModified.statusCode, 304);
+    assert.equal(builds, 1, "the 304 needs no export");
+
+    const status = async (params, pool) => {
+      const r = makeRes();
+      await handleGeoJson(req(params, pool), r);
+      return r.statusCode;
+    };
+    assert.equal(await status({ id: COURSE_ID }), 200);
+    assert.equal(await status({ id: COURSE_ID, number: "0" }), 400);
+    assert.equal(await status({ id: COURSE_ID, number: "7" }), 404);
+    assert.equal(await status({ id: "nope" }), 404);
+    assert.equal(await status({ id: COURSE_ID }, null), 503);
+  } finally {
+    restore();
+  }
+});
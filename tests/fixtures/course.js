@@ -0,0 +1,135 @@
+"use strict";
+
+/**
+ * Shared fixtures for the course handler / engine tests: the "Pine Valley"
+ * round context they measure against, Express req/res stubs and the
+ * courseIntelligence.getRoundCourseContext swap.
+ *
+ * Not a test file — npm test only runs tests/*.test.js.
+ */
+
+const { beforeEach, afterEach } = require("node:test");
+
+const courseIntelligence = require("../../services/courseIntelligence");
+const { coursePayloadCache } = require("../../services/courseDataVersion");
+
+const COURSE_ID = "course-uuid-1";
+
+// Tee → green due north, ~400 yds.
+const TEE = Object.freeze({ lat: 40.0, lon: -75.0 });
+const GREEN = Object.freeze({ lat: 40.003295, lon: -75.0 });
+
+// Water far left, fairway bunker right at ~250, greenside bunker short-left.
+const HAZARD_POIS = Object.freeze([
+  { id: "poi-water", type: "Water", normalized_type: "water", location_label: "L", fairway_side: "L", lat: 40.001, lon: -75.003, source_type: "source_native", confidence: null },
+  { id: "poi-fwb", type: "Fairway Bunker", normalized_type: "bunker_fairway", location_label: "R", fairway_side: "R", lat: 40.002059, lon: -74.99984, source_type: "source_osm", confidence: 0.8 },
+  { id: "poi-gsb", type: "Greenside Bunker", normalized_type: "bunker_greenside", location_label: "L", fairway_side: null, lat: 40.003, lon: -75.00012, source_type: "source_native", confidence: null }
+]);
+
+/** Hole 1 from the Blue tee at TEE to GREEN, no hazards; override any field. */
+function fixtureHole(overrides = {}) {
+  return {
+    hole_number: 1,
+    par: 4,
+    green: { center: GREEN, front: null, back: null },
+    tees: [{ tee_set_id: "tee-blue", tee_name: "Blue", coordinate: TEE, yardage: 400, is_synthesized: false }],
+    hole_lengths: [{ tee_set_id: "tee-blue", tee_name: "Blue", yardage: 402 }],
+    tee_front: null,
+    hazard_pois: [],
+    ...overrides
+  };
+}
+
+/** getRoundCourseContext()-shaped payload for COURSE_ID. */
+function courseContext({ course = {}, holes, tees = [{ id: "tee-blue", name: "Blue" }], ...rest }) {
+  return { course: { id: COURSE_ID, name: "Pine Valley", ...course }, holes, tees, ...rest };
+}
+
+function makeRes() {
+  const res = { statusCode: 200, headers: {}, body: undefined, ended: false };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (payload) => { res.body = payload; return res; };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.type = (t) => { res.headers["Content-Type"] = t; return res; };
+  res.send = (payload) => { res.body = payload; return res; };
+  res.end = () => { res.ended = true; return res; };
+  return res;
+}
+
+/**
+ * Answer courseDataVersion's version lookup: COURSE_ID at `version`, no
+ * other course. Null for any other SQL, so a stub pool can fall through.
+ */
+function answerCourseVersion(sql, params, version = 1) {
+  if (!/SELECT gc\.id, gc\.data_version/.test(sql)) return null;
+  return { rows: params[0] === COURSE_ID ? [{ id: COURSE_ID, data_version: String(version) }] : [] };
+}
+
+/**
+ * Pool that answers the version lookup with COURSE_ID at `pool.version`
+ * (bump it to simulate a write) and nothing else.
+ */
+function coursePool({ version = 1 } = {}) {
+  const pool = { version, queries: 0 };
+  pool.query = async (sql, params) => {
+    pool.queries += 1;
+    return answerCourseVersion(sql, params, pool.version) || { rows: [], rowCount: 0 };
+  };
+  return pool;
+}
+
+/** `pool` is what req.app.get("dbPool") returns; header lookup is case-insensitive. */
+function makeReq({ params = {}, query = {}, body = {}, headers = {}, pool = coursePool() } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    params,
+    query,
+    body,
+    get: (name) => lower[name.toLowerCase()],
+    app: { get: (key) => (key === "dbPool" ? pool : null) }
+  };
+}
+
+/**
+ * Swap getRoundCourseContext for a fixture: a context served for
+ * COURSE_ID (null for any other id), or an `(pool, id)` function. The
+ * course payload cache is emptied both ways so no test sees another's
+ * context.
+ *
+ * @returns {() => void} restores the real lookup
+ */
+function stubCourseContext(lookup) {
+  const original = courseIntelligence.getRoundCourseContext;
+  coursePayloadCache.clear();
+  courseIntelligence.getRoundCourseContext = typeof lookup === "function"
+    ? async (pool, id) => lookup(pool, id)
+    : async (_pool, id) => (id === COURSE_ID ? lookup : null);
+  return () => {
+    courseIntelligence.getRoundCourseContext = original;
+    coursePayloadCache.clear();
+  };
+}
+
+/** stubCourseContext() around every test in the calling file. */
+function useCourseContext(lookup) {
+  let restore = null;
+  beforeEach(() => {
+    restore = stubCourseContext(lookup);
+  });
+  afterEach(() => restore());
+}
+
+module.exports = {
+  COURSE_ID,
+  TEE,
+  GREEN,
+  HAZARD_POIS,
+  fixtureHole,
+  courseContext,
+  answerCourseVersion,
+  coursePool,
+  makeRes,
+  makeReq,
+  stubCourseContext,
+  useCourseContext
+};
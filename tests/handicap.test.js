@@ -0,0 +1,117 @@
+"use strict";
+
+/**
+ * Tests for services/handicap.js — WHS differentials, index table, caps
+ * and course handicap.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  computeHandicap,
+  courseHandicap,
+  teeRating,
+  adjustedGrossScore,
+  scoreDifferential,
+  indexFromDifferentials,
+  applyCaps
+} = require("../services/handicap");
+
+const TEE = {
+  slope: 113,
+  course_rating: "72.0",
+  slope_front: 113,
+  course_rating_front: "36.0",
+  slope_back: 115,
+  course_rating_back: "36.4",
+  women_slope: 128,
+  women_course_rating: "77.3"
+};
+
+function holes(from, to, strokes) {
+  const out = [];
+  for (let n = from; n <= to; n++) out.push({ holeNumber: n, par: 4, strokeIndex: n, strokes });
+  return out;
+}
+
+function round(id, day, holeList, tee = TEE) {
+  return { roundId: id, playedAt: new Date(Date.UTC(2026, 4, day)), numHoles: 18, tee, holes: holeList };
+}
+
+test("teeRating picks gender and nine-specific columns", () => {
+  assert.deepEqual(teeRating(TEE, "men", "18"), { slope: 113, courseRating: 72 });
+  assert.deepEqual(teeRating(TEE, "men", "back"), { slope: 115, courseRating: 36.4 });
+  assert.deepEqual(teeRating(TEE, "women", "18"), { slope: 128, courseRating: 77.3 });
+  assert.equal(teeRating(TEE, "women", "front"), null);
+});
+
+test("scoreDifferential and courseHandicap round the WHS way", () => {
+  assert.equal(scoreDifferential(85, { slope: 130, courseRating: 72.1 }), 11.2);
+  assert.equal(courseHandicap(10.4, { slope: 125, courseRating: 71.2 }, 72), 11);
+  assert.equal(courseHandicap(10.4, { slope: 120, courseRating: 35.4 }, 36, 9), 5);
+  assert.equal(courseHandicap(0, { slope: 113, courseRating: 72 }, 72), 0);
+});
+
+test("adjustedGrossScore caps at par + 5 without an index and net double bogey with one", () => {
+  const card = [
+    { holeNumber: 1, par: 4, strokeIndex: 1, strokes: 12 },
+    { holeNumber: 2, par: 3, strokeIndex: 2, strokes: 4 }
+  ];
+  assert.equal(adjustedGrossScore(card, null), 9 + 4);
+  // CH 1 → one stroke on SI 1: cap 4 + 2 + 1 = 7.
+  assert.equal(adjustedGrossScore(card, 1), 7 + 4);
+});
+
+test("indexFromDifferentials follows the Rule 5.2a table", () => {
+  assert.equal(indexFromDifferentials([10, 12]), null);
+  assert.equal(indexFromDifferentials([10, 12, 8]).index, 6.0);
+  assert.equal(indexFromDifferentials([5, 6, 7, 8, 9, 10]).index, 4.5);
+
+  const twenty = Array.from({ length: 20 }, (_, i) => 20 - i); // 20..1
+  const result = indexFromDifferentials(twenty);
+  assert.equal(result.index, 4.5);
+  assert.equal(result.used.length, 8);
+  assert.ok(result.used.every((i) => twenty[i] <= 8));
+});
+
+test("applyCaps halves increases past +3.0 and stops at +5.0", () => {
+  assert.deepEqual(applyCaps(12, 10), { index: 12, cap: null });
+  assert.deepEqual(applyCaps(15, 10), { index: 14, cap: "soft" });
+  assert.deepEqual(applyCaps(20, 10), { index: 15, cap: "hard" });
+  assert.deepEqual(applyCaps(20, null), { index: 20, cap: null });
+});
+
+test("computeHandicap pairs nines, skips partial/unrated rounds and rolls the index", () => {
+  const result = computeHandicap([
+    round("r1", 1, holes(1, 18, 5)),
+    round("r2", 2, holes(1, 18, 5)),
+    round("r3", 3, holes(1, 18, 5)),
+    round("n1", 4, holes(1, 9, 5)),
+    round("n2", 5, holes(1, 9, 5)),
+    round("n3", 6, holes(10, 18, 5)),
+    round("partial", 7, holes(1, 5, 5)),
+    round("unrated", 8, holes(1, 18, 5), {})
+  ]);
+
+  // 90 on CR 72 / slope 113 → 18.0; two 45s on the front (CR 36) → 9.0 + 9.0.
+  assert.equal(result.differentials.length, 4);
+  assert.ok(result.differentials.every((d) => d.differential === 18));
+  assert.deepEqual(result.differentials[0].roundIds, ["n1", "n2"]);
+  // 4 differentials → lowest 1, −1.0.
+  assert.equal(result.handicapIndex, 17);
+  assert.equal(result.differentials.filter((d) => d.used).length, 1);
+  assert.equal(result.lowHandicapIndex, null);
+
+  const reasons = Object.fromEntries(result.skipped.map((s) => [s.roundId, s.reason]));
+  assert.deepEqual(reasons, { partial: "incomplete", unrated: "unrated_tee", n3: "awaiting_second_nine" });
+});
+
+test("computeHandicap uses women's ratings when asked", () => {
+  const rounds = [1, 2, 3].map((d) => round(`w${d}`, d, holes(1, 18, 5)));
+  const result = computeHandicap(rounds, { gender: "women" });
+  // (113 / 128) × (90 − 77.3) = 11.2 → lowest of 3, −2.0.
+  assert.equal(result.handicapIndex, 9.2);
+});
@@ -0,0 +1,140 @@
+"use strict";
+
+/**
+ * Tests for services/holeDetection.js and
+ * POST /api/course-context/:courseId/locate.
+ * The course lookup (`getRoundCourseContext`) is swapped for a fixture.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { detectHole } = require("../services/holeDetection");
+const { handleLocate } = require("../routes/courseContext").__test;
+const { COURSE_ID, fixtureHole, courseContext, coursePool, makeRes, makeReq, useCourseContext, stubCourseContext } = require("./fixtures/course");
+
+// Hole 1 runs north. Hole 2 comes back south ~28 yds east of it, sharing
+// the fairway; its tee sits just past hole 1's green. Hole 3 runs east from
+// beside hole 2's green and only has a synthesized tee.
+function hole(n, par, tee, green, { synthesized = false } = {}) {
+  return fixtureHole({
+    hole_number: n,
+    par,
+    green: { center: green, front: null, back: null },
+    tees: [{ tee_set_id: "tee-blue", tee_name: "Blue", coordinate: tee, yardage: 400, is_synthesized: synthesized }],
+    hole_lengths: [{ tee_set_id: "tee-blue", tee_name: "Blue", yardage: 400 }]
+  });
+}
+
+const CONTEXT = courseContext({
+  holes: [
+    hole(1, 4, { lat: 40.0, lon: -75.0 }, { lat: 40.0033, lon: -75.0 }),
+    hole(2, 4, { lat: 40.00345, lon: -74.9997 }, { lat: 40.0003, lon: -74.9997 }),
+    hole(3, 4, { lat: 40.0003, lon: -74.99942 }, { lat: 40.0003, lon: -74.996 }, { synthesized: true })
+  ]
+});
+
+const SHARED_FAIRWAY = { lat: 40.0016, lon: -74.99985 };
+
+function req({ courseId = COURSE_ID, ...rest } = {}) {
+  return makeReq({ params: { courseId }, ...rest });
+}
+
+useCourseContext(CONTEXT);
+
+test("green, then the next tee: stays put and then advances", () => {
+  const onGreen = detectHole({ context: CONTEXT, position: { lat: 40.00328, lon: -75.0 }, currentHole: 1 });
+  assert.equal(onGreen.holeNumber, 1);
+  assert.equal(onGreen.zone, "green");
+  assert.equal(onGreen.advance, false);
+  assert.ok(onGreen.distanceToGreen < 5);
+
+  const onTee = detectHole({ context: CONTEXT, position: { lat: 40.00345, lon: -74.9997 }, currentHole: 1 });
+  assert.equal(onTee.holeNumber, 2);
+  assert.equal(onTee.zone, "tee");
+  assert.equal(onTee.advance, true);
+  assert.ok(onTee.confidence >= 0.6);
+});
+
+test("shared fairway: heading and the current hole decide, otherwise it is flagged ambiguous", () => {
+  const north = detectHole({ context: CONTEXT, position: SHARED_FAIRWAY, heading: 5 });
+  assert.equal(north.holeNumber, 1);
+  assert.equal(north.zone, "fairway");
+  const south = detectHole({ context: CONTEXT, position: SHARED_FAIRWAY, heading: 185 });
+  assert.equal(south.holeNumber, 2);
+
+  const blind = detectHole({ context: CONTEXT, position: SHARED_FAIRWAY });
+  assert.equal(blind.ambiguous, true);
+  assert.deepEqual(blind.candidates.map((c) => c.holeNumber).sort(), [1, 2]);
+  assert.equal(detectHole({ context: CONTEXT, position: SHARED_FAIRWAY, currentHole: 2 }).holeNumber, 2);
+});
+
+test("holes with only synthesized tees are still found", () => {
+  const tee = detectHole({ context: CONTEXT, position: { lat: 40.0003, lon: -74.9993 }, currentHole: 2 });
+  assert.equal(tee.holeNumber, 3);
+  assert.equal(tee.zone, "tee");
+  const fairway = detectHole({ context: CONTEXT, position: { lat: 40.0005, lon: -74.9978 } });
+  assert.equal(fairway.holeNumber, 3);
+  assert.equal(fairway.zone, "fairway");
+});
+
+test("a short layout played twice maps to the round's hole numbers; off the layout is no hole", () => {
+  const firstTee = { lat: 40.0, lon: -75.0 };
+  const second = detectHole({ context: CONTEXT, position: firstTee, currentHole: 3, holesInRound: 6 });
+  assert.equal(second.holeNumber, 1);
+  assert.equal(second.roundHoleNumber, 4);
+  assert.equal(second.advance, true);
+
+  const later = detectHole({ context: CONTEXT, position: SHARED_FAIRWAY, heading: 180, currentHole: 4, holesInRound: 6 });
+  assert.equal(later.holeNumber, 2);
+  assert.equal(later.roundHoleNumber, 5);
+
+  const away = detectHole({ context: CONTEXT, position: { lat: 40.01, lon: -75.01 }, currentHole: 2 });
+  assert.equal(away.holeNumber, null);
+  assert.equal(away.advance, false);
+  assert.equal(away.nearestGreen.holeNumber, 1);
+});
+
+test("POST /locate validates the body", async () => {
+  const res = makeRes();
+  await handleLocate(req({ body: { lat: 40.00345, lon: -74.9997, currentHole: 1 } }), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.holeNumber, 2);
+
+  const status = async (opts) => {
+    const r = makeRes();
+    await handleLocate(req(opts), r);
+    return r.statusCode;
+  };
+  assert.equal(await status({ body: {} }), 400);
+  assert.equal(await status({ body: { lat: 40, lon: -75, heading: 400 } }), 400);
+  assert.equal(await status({ body: { lat: 40, lon: -75, currentHole: 1.5 } }), 400);
+  assert.equal(await status({ courseId: "nope", body: { lat: 40, lon: -75 } }), 404);
+  assert.equal(await status({ pool: null, body: { lat: 40, lon: -75 } }), 503);
+});
+
+test("POST /locate reads the round context from the per-version cache", async () => {
+  let builds = 0;
+  const restore = stubCourseContext((_pool, id) => {
+    builds++;
+    return id === COURSE_ID ? CONTEXT : null;
+  });
+  const pool = coursePool();
+  const locate = async () => {
+    const res = makeRes();
+    await handleLocate(req({ pool, body: { lat: 40.00345, lon: -74.9997, currentHole: 1 } }), res);
+    assert.equal(res.body.holeNumber, 2);
+  };
+  try {
+    await locate();
+    await locate();
+    assert.equal(builds, 1);
+    pool.version += 1;
+    await locate();
+    assert.equal(builds, 2, "rebuilt once the course data changed");
+  } finally {
+    restore();
+  }
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+/**
+ * Tests for services/holeDistances.js and
+ * POST /api/course-context/:courseId/holes/:n/distances.
+ * The course lookup (`getRoundCourseContext`) is swapped for a fixture.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { haversineMeters, METERS_TO_YARDS } = require("../services/hazardEngine");
+const { buildHoleDistances } = require("../services/holeDistances");
+const { handleHoleDistances } = require("../routes/courseContext").__test;
+const { COURSE_ID, TEE, GREEN, HAZARD_POIS, fixtureHole, courseContext, makeRes, makeReq, useCourseContext } = require("./fixtures/course");
+
+// Hole 1's green is ~30 yds deep; hole 2 is a par 3 with no tees or edges.
+const CONTEXT = courseContext({
+  holes: [
+    fixtureHole({
+      green: { center: GREEN, front: { lat: 40.00317, lon: -75.0 }, back: { lat: 40.00342, lon: -75.0 } },
+      hazard_pois: HAZARD_POIS
+    }),
+    fixtureHole({ hole_number: 2, par: 3, green: { center: { lat: 40.01, lon: -75.0 }, front: null, back: null }, tees: [], hole_lengths: [] })
+  ]
+});
+
+function req({ courseId = COURSE_ID, n = "1", ...rest } = {}) {
+  return makeReq({ params: { courseId, n }, ...rest });
+}
+
+useCourseContext(CONTEXT);
+
+test("from the tee box: green edges, every hazard ahead and layups that leave round numbers", () => {
+  const { result } = buildHoleDistances({ context: CONTEXT, holeNumber: 1, position: TEE, teeSetId: "tee-blue" });
+  assert.equal(result.holeYardage, 402);
+  assert.equal(result.green.center, 401);
+  assert.ok(result.green.front < result.green.center && result.green.back > result.green.center);
+  assert.equal(result.green.back - result.green.front, 31);
+
+  const bunker = result.hazards.find((h) => h.id === "poi-fwb");
+  assert.ok(Math.abs(bunker.reach - 240) <= 1 && Math.abs(bunker.carry - 260) <= 1, JSON.stringify(bunker));
+
+  const leaves = result.layups.filter((l) => l.kind === "leave");
+  assert.deepEqual(leaves.map((l) => l.leaveYards), [150, 125, 100, 75, 50]);
+  for (const l of leaves) {
+    // The point really is that far from the green and from the ball.
+    const toGreen = haversineMeters(l.lat, l.lon, GREEN.lat, GREEN.lon) * METERS_TO_YARDS;
+    const fromBall = haversineMeters(l.lat, l.lon, TEE.lat, TEE.lon) * METERS_TO_YARDS;
+    assert.ok(Math.abs(toGreen - l.leaveYards) < 1, `${l.leaveYards}: ${toGreen}`);
+    assert.ok(Math.abs(fromBall - l.distance) < 1.5, `${l.distance}: ${fromBall}`);
+  }
+
+  // The water is 250 yds off line: no layup for it. The bunkers get one.
+  const shortOf = result.layups.filter((l) => l.kind === "short_of_hazard").map((l) => l.hazardId);
+  assert.deepEqual(shortOf.sort(), ["poi-fwb", "poi-gsb"]);
+  assert.ok(result.layups.every((l, i, all) => i === 0 || all[i - 1].distance <= l.distance));
+});
+
+test("from the fairway: hazards behind the ball drop out and front/back stay null when unmapped", () => {
+  const ball = { lat: 40.0024, lon: -75.0 };
+  const { result } = buildHoleDistances({ context: CONTEXT, holeNumber: 1, position: ball });
+  assert.equal(result.teeSetId, null);
+  assert.ok(!result.hazards.some((h) => h.id === "poi-fwb"));
+  assert.equal(result.green.center, 109);
+  assert.deepEqual(result.layups.filter((l) => l.kind === "leave").map((l) => l.leaveYards), [75, 50]);
+
+  const par3 = buildHoleDistances({ context: CONTEXT, holeNumber: 2, position: { lat: 40.0089, lon: -75.0 } }).result;
+  assert.deepEqual({ front: par3.green.front, back: par3.green.back }, { front: null, back: null });
+  assert.equal(buildHoleDistances({ context: CONTEXT, holeNumber: 7, position: ball }).status, 404);
+});
+
+test("POST /holes/:n/distances takes lat/lon or position and validates them", async () => {
+  const res = makeRes();
+  await handleHoleDistances(req({ body: { lat: 40.0, lon: -75.0, teeSetId: "tee-blue" } }), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.green.center, 401);
+  assert.equal(res.body.holeYardage, 402);
+
+  const nested = makeRes();
+  await handleHoleDistances(req({ body: { position: { lat: 40.0024, lon: -75.0 } } }), nested);
+  assert.equal(nested.statusCode, 200);
+
+  const status = async (opts) => {
+    const r = makeRes();
+    await handleHoleDistances(req(opts), r);
+    return r.statusCode;
+  };
+  assert.equal(await status({ body: {} }), 400);
+  assert.equal(await status({ body: { lat: 91, lon: 0 } }), 400);
+  assert.equal(await status({ n: "19", body: { lat: 40, lon: -75 } }), 400);
+  assert.equal(await status({ body: { lat: 40, lon: -75, teeSetId: "tee-gold" } }), 400);
+  assert.equal(await status({ courseId: "nope", body: { lat: 40, lon: -75 } }), 404);
+  assert.equal(await status({ pool: null, body: { lat: 40, lon: -75 } }), 503);
+});
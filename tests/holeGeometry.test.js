@@ -0,0 +1,213 @@
+"use strict";
+
+/**
+ * Tests for services/holeGeometry.js and the outline-aware paths that use
+ * it: hazard edge carries (hazardEngine / holeHazards / holeDistances),
+ * prompt wording, and golf_hole_features in getRoundCourseContext.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  normalizeGeometry,
+  normalizeFeatureInput,
+  fromOsmWay,
+  featureCentroid,
+  edgeCarries
+} = require("../services/holeGeometry");
+const { buildHoleHazards } = require("../services/holeHazards");
+const { buildHoleDistances } = require("../services/holeDistances");
+const { buildShotContext, buildShotPrompts } = require("../services/shotRecommendation");
+const courseIntelligence = require("../services/courseIntelligence");
+
+// Tee → green due north. Latitude for a point `yards` north of the tee.
+const TEE = { lat: 40.0, lon: -75.0 };
+const DEG_PER_YARD = (0.9144 / 6_371_000) * (180 / Math.PI);
+const north = (yards) => 40.0 + yards * DEG_PER_YARD;
+const GREEN = { lat: north(400), lon: -75.0 };
+
+function square(fromYards, toYards, west, east) {
+  return [
+    [west, north(fromYards)],
+    [east, north(fromYards)],
+    [east, north(toYards)],
+    [west, north(toYards)],
+    [west, north(fromYards)]
+  ];
+}
+
+// A bunker straddling the line from 238 to 261 yards, and one wholly right.
+const CROSS_BUNKER = { kind: "polygon", coordinates: square(238, 261, -75.0001, -74.9999) };
+const RIGHT_BUNKER = { kind: "polygon", coordinates: square(200, 220, -74.9998, -74.9996) };
+const GREEN_OUTLINE = square(388, 414, -75.0002, -74.9998);
+
+test("edgeCarries measures the near and far edge along the line of play", () => {
+  const cross = edgeCarries(TEE, GREEN, CROSS_BUNKER);
+  assert.deepEqual(cross, { frontCarry: 238, backCarry: 261, nearestLateralOffset: 0, crossesLine: true });
+
+  const right = edgeCarries(TEE, GREEN, RIGHT_BUNKER);
+  assert.equal(right.crossesLine, false);
+  assert.equal(right.frontCarry, 200);
+  assert.equal(right.backCarry, 220);
+  // 0.0002° of longitude at 40°N ≈ 18.6 yds right of the line
+  assert.ok(right.nearestLateralOffset >= 18 && right.nearestLateralOffset <= 19, String(right.nearestLateralOffset));
+
+  // Mirrored to the left: negative offset
+  const left = edgeCarries(TEE, GREEN, { kind: "polygon", coordinates: square(200, 220, -75.0004, -75.0002) });
+  assert.equal(left.nearestLateralOffset, -right.nearestLateralOffset);
+
+  // A creek crossing the hole as a line
+  const creek = edgeCarries(TEE, GREEN, { kind: "linestring", coordinates: [[-75.001, north(300)], [-74.999, north(310)]] });
+  assert.equal(creek.crossesLine, true);
+  assert.equal(creek.frontCarry, 305);
+  assert.equal(creek.backCarry, 305);
+
+  assert.equal(edgeCarries(TEE, TEE, CROSS_BUNKER), null);
+});
+
+test("normalizeGeometry and normalizeFeatureInput validate uploads", () => {
+  const open = normalizeGeometry({ type: "Polygon", coordinates: [[[-75, 40], [-74.999, 40], [-74.999, 40.001]]] });
+  assert.equal(open.value.kind, "polygon");
+  assert.equal(open.value.coordinates.length, 4, "ring is closed");
+  assert.deepEqual(open.value.coordinates[0], open.value.coordinates[3]);
+
+  const line = normalizeGeometry({ type: "Feature", geometry: { type: "LineString", coordinates: [[-75, 40], [-75, 40.001]] } });
+  assert.equal(line.value.kind, "linestring");
+
+  assert.match(normalizeGeometry({ type: "Point", coordinates: [-75, 40] }).error, /Polygon or LineString/);
+  assert.match(normalizeGeometry({ type: "LineString", coordinates: [[40, -75], [40, 200]] }).error, /\[lon, lat\]/);
+  assert.match(normalizeGeometry({ type: "LineString", coordinates: [[-75, 40]] }).error, /two points/);
+  assert.match(normalizeGeometry({ type: "Polygon", coordinates: [[[-75, 40], [-74.999, 40], [-75, 40]]] }).error, /three/);
+
+  const feature = (properties) => ({ type: "Feature", properties, geometry: { type: "Polygon", coordinates: [CROSS_BUNKER.coordinates] } });
+  const ok = normalizeFeatureInput(feature({ featureType: "Bunker_Fairway", holeNumber: "4", label: " Church pew " }));
+  assert.equal(ok.value.featureType, "bunker_fairway");
+  assert.equal(ok.value.holeNumber, 4);
+  assert.equal(ok.value.label, "Church pew");
+  assert.equal(normalizeFeatureInput(feature({ featureType: "green" })).value.holeNumber, null);
+  assert.match(normalizeFeatureInput(feature({ featureType: "lava" })).error, /featureType/);
+  assert.match(normalizeFeatureInput(feature({ featureType: "water", holeNumber: 19 })).error, /holeNumber/);
+  assert.match(normalizeFeatureInput(feature({ featureType: "water", poiId: "poi-1" })).error, /UUID/);
+  assert.match(normalizeFeatureInput({ type: "FeatureCollection" }).error, /Feature/);
+});
+
+test("fromOsmWay keeps closed areas as polygons and fences as lines; centroid sits inside", () => {
+  const ring = CROSS_BUNKER.coordinates.map(([lon, lat]) => ({ lat, lon }));
+  const bunker = fromOsmWay({ type: "way", id: 1, tags: { golf: "bunker" }, geometry: ring });
+  assert.equal(bunker.kind, "polygon");
+  const fence = fromOsmWay({ type: "way", id: 2, tags: { barrier: "fence" }, geometry: ring });
+  assert.equal(fence.kind, "linestring");
+  assert.equal(fromOsmWay({ type: "way", id: 3, tags: {}, geometry: [ring[0]] }), null);
+
+  const c = featureCentroid(bunker);
+  assert.ok(Math.abs(c.lat - north(249.5)) < 1e-5, String(c.lat));
+  assert.ok(Math.abs(c.lon - -75.0) < 1e-6, String(c.lon));
+});
+
+function outlinedContext() {
+  const bunkerCenter = featureCentroid(CROSS_BUNKER);
+  return {
+    course: { id: "course-uuid-1", name: "Outline National" },
+    holes: [
+      {
+        hole_number: 1,
+        par: 4,
+        handicap: 7,
+        green: { center: GREEN, front: null, back: null, polygon: GREEN_OUTLINE },
+        tees: [{ tee_set_id: "tee-blue", tee_name: "Blue", coordinate: TEE, yardage: 400, is_synthesized: false }],
+        hole_lengths: [{ tee_set_id: "tee-blue", tee_name: "Blue", yardage: 400 }],
+        tee_front: null,
+        hazard_pois: [
+          { id: "poi-cross", type: "Bunker", normalized_type: "bunker_fairway", location_label: "C", fairway_side: null, ...bunkerCenter, geometry: CROSS_BUNKER },
+          { id: "poi-point", type: "Bunker", normalized_type: "bunker_fairway", location_label: "R", fairway_side: "R", lat: north(150), lon: -74.9999 }
+        ]
+      }
+    ],
+    tees: [{ id: "tee-blue", name: "Blue" }]
+  };
+}
+
+test("outlined hazards carry front/back edges through hazards, distances and the prompt", () => {
+  const context = outlinedContext();
+
+  const { result } = buildHoleHazards({ context, holeNumber: 1, teeSetId: "tee-blue" });
+  const cross = result.hazards.find((h) => h.id === "poi-cross");
+  assert.equal(cross.frontEdgeCarry, 238);
+  assert.equal(cross.backEdgeCarry, 261);
+  assert.equal(cross.nearestLateralOffset, 0);
+  assert.equal(cross.geometryKind, "polygon");
+  const point = result.hazards.find((h) => h.id === "poi-point");
+  assert.equal(point.frontEdgeCarry, null);
+  assert.equal(point.geometryKind, null);
+
+  const distances = buildHoleDistances({ context, holeNumber: 1, position: TEE }).result;
+  const crossDistance = distances.hazards.find((h) => h.id === "poi-cross");
+  assert.equal(crossDistance.reach, 238);
+  assert.equal(crossDistance.carry, 261);
+  // No front/back POIs: the line to the center crosses the green outline
+  assert.equal(distances.green.front, 388);
+  assert.equal(distances.green.back, 414);
+  assert.ok(distances.layups.some((l) => l.kind === "short_of_hazard" && l.hazardId === "poi-cross" && l.distance === 238));
+
+  const { shot } = buildShotContext({ context, holeNumber: 1, teeSetId: "tee-blue", position: null, lie: "tee", clubs: [] });
+  assert.equal(shot.distanceToFront, 388);
+  const { userPrompt } = buildShotPrompts(shot, { systemPrompt: "x" });
+  assert.match(userPrompt, /bunker_fairway center — 238 yds to the front, 261 to clear it/);
+});
+
+test("course context attaches golf_hole_features outlines, and skips them before migration 014", async () => {
+  const rows = [
+    { id: "f-bunker", hole_number: 1, feature_type: "bunker_fairway", geometry_kind: "polygon", coordinates: CROSS_BUNKER.coordinates, poi_id: "poi-1", label: null, source_type: "source_osm", confidence: 0.7 },
+    { id: "f-water", hole_number: 1, feature_type: "water", geometry_kind: "polygon", coordinates: JSON.stringify(RIGHT_BUNKER.coordinates), poi_id: null, label: "Lake", source_type: "source_admin_verified", confidence: 1 },
+    { id: "f-green", hole_number: 1, feature_type: "green", geometry_kind: "polygon", coordinates: GREEN_OUTLINE, poi_id: null, label: null, source_type: "source_osm", confidence: 0.8 },
+    { id: "f-fairway", hole_number: 1, feature_type: "fairway", geometry_kind: "polygon", coordinates: square(150, 350, -75.0003, -74.9997), poi_id: null, label: null, source_type: "source_osm", confidence: 0.8 },
+    { id: "f-fence", hole_number: null, feature_type: "out_of_bounds", geometry_kind: "linestring", coordinates: [[-75.002, 40], [-75.002, 40.004]], poi_id: null, label: null, source_type: "source_osm", confidence: 0.55 }
+  ];
+  function contextPool(withFeatures) {
+    return {
+      async query(sql) {
+        if (/LIMIT 0/.test(sql)) {
+          if (/golf_hole_features/.test(sql) && !withFeatures) throw new Error('relation "golf_hole_features" does not exist');
+          return { rows: [] };
+        }
+        if (/gc\.id::text = \$1|WHERE gc\.id = \$1/.test(sql)) {
+          return { rows: [{ id: "c1", course_name: "Outline National", lat: 40, lon: -75 }] };
+        }
+        if (/information_schema/.test(sql)) return { rows: [], rowCount: 0 };
+        if (/FROM golf_course_holes h/.test(sql)) return { rows: [{ hole_number: 1, par: 4, handicap: 5 }] };
+        if (/FROM golf_hole_features/.test(sql)) return { rows };
+        if (/NOT IN \('green'/.test(sql)) {
+          const c = featureCentroid(CROSS_BUNKER);
+          return { rows: [{ id: "poi-1", hole_number: 1, poi_type: "Fairway Bunker", location_label: "C", fairway_side: null, lat: c.lat, lon: c.lon }] };
+        }
+        return { rows: [] };
+      }
+    };
+  }
+
+  const ctx = await courseIntelligence.getRoundCourseContext(contextPool(true), "c1");
+  const hole = ctx.holes[0];
+  assert.deepEqual(hole.features.map((f) => f.id), ["f-bunker", "f-water", "f-green", "f-fairway"]);
+  assert.deepEqual(ctx.features.map((f) => f.id), ["f-fence"]);
+  assert.deepEqual(hole.green.polygon, GREEN_OUTLINE);
+  // No green POIs at all: the center comes from the outline
+  assert.ok(Math.abs(hole.green.center.lat - north(401)) < 1e-5);
+
+  const [bunker, water] = hole.hazard_pois;
+  assert.equal(bunker.id, "poi-1");
+  assert.deepEqual(bunker.geometry, { kind: "polygon", coordinates: CROSS_BUNKER.coordinates });
+  assert.equal(water.id, "f-water");
+  assert.equal(water.normalized_type, "water");
+  assert.equal(water.location_label, "Lake");
+  assert.equal(water.geometry.coordinates.length, 5, "JSON text coordinates are parsed");
+  assert.ok(hole.hazards.includes("water (Lake)"));
+
+  const before = await courseIntelligence.getRoundCourseContext(contextPool(false), "c1");
+  assert.deepEqual(before.holes[0].features, []);
+  assert.equal(before.holes[0].green.polygon, null);
+  assert.equal(before.holes[0].hazard_pois.length, 1);
+  assert.equal(before.holes[0].hazard_pois[0].geometry, null);
+});
@@ -0,0 +1,149 @@
+"use strict";
+
+/**
+ * Tests for services/holeHazards.js and
+ * GET /api/course-context/:courseId/holes/:n/hazards.
+ * The course lookup (`getRoundCourseContext`) is swapped for a fixture.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { HAZARD_SEVERITY } = require("../services/hazardClassifier");
+const { buildHoleHazards } = require("../services/holeHazards");
+const { patternForClub } = require("../services/shotDispersion");
+const { handleHoleHazards } = require("../routes/courseContext").__test;
+const { COURSE_ID, HAZARD_POIS, fixtureHole, courseContext, coursePool, makeRes, makeReq, useCourseContext } = require("./fixtures/course");
+
+// Hole 2 has no green geometry; Red has no coordinate on hole 1.
+const CONTEXT = courseContext({
+  holes: [
+    fixtureHole({ hazard_pois: HAZARD_POIS }),
+    fixtureHole({ hole_number: 2, par: 3, green: { center: null, front: null, back: null }, tees: [], hole_lengths: [] })
+  ],
+  tees: [
+    { id: "tee-blue", name: "Blue" },
+    { id: "tee-red", name: "Red" }
+  ]
+});
+
+function req({ courseId = COURSE_ID, n = "1", ...rest } = {}) {
+  return makeReq({ params: { courseId, n }, ...rest });
+}
+
+useCourseContext(CONTEXT);
+
+test("from the tee: carry, lateral, in-play and severity for every hazard, nearest first", () => {
+  const { result } = buildHoleHazards({ context: CONTEXT, holeNumber: 1, teeSetId: "tee-blue" });
+  assert.equal(result.holeYardage, 402);
+  assert.equal(result.origin.measuredFrom, "tee");
+  assert.equal(result.distanceToGreen, 401);
+  assert.deepEqual(result.hazards.map((h) => h.id), ["poi-water", "poi-fwb", "poi-gsb"]);
+
+  const [water, fairwayBunker, greenside] = result.hazards;
+  assert.ok(water.lateralOffset < -200, "water is far left");
+  assert.equal(water.isInPlay, false);
+  assert.equal(water.severity, HAZARD_SEVERITY.water);
+
+  assert.ok(Math.abs(fairwayBunker.carryDistance - 250) <= 1, String(fairwayBunker.carryDistance));
+  assert.ok(fairwayBunker.lateralOffset > 0 && fairwayBunker.lateralOffset < 20);
+  assert.equal(fairwayBunker.isInPlay, true);
+  assert.equal(fairwayBunker.severity, HAZARD_SEVERITY.bunker_fairway);
+  assert.equal(fairwayBunker.rawType, "Fairway Bunker");
+  assert.equal(fairwayBunker.sourceType, "source_osm");
+  assert.equal(fairwayBunker.confidence, 0.8);
+
+  // Past the engine's reach from the tee; it comes into play from the fairway.
+  assert.ok(greenside.lateralOffset < 0);
+  assert.equal(greenside.isInPlay, false);
+  assert.equal(result.inPlayCount, 1);
+});
+
+test("from a position: carries restart at the ball and the hole plays what is left", () => {
+  const ball = { lat: 40.0022, lon: -75.0 }; // just past the fairway bunker
+  const { result } = buildHoleHazards({ context: CONTEXT, holeNumber: 1, position: ball });
+  assert.equal(result.origin.measuredFrom, "position");
+  assert.equal(result.teeSetId, null);
+  assert.ok(result.distanceToGreen > 125 && result.distanceToGreen < 140, String(result.distanceToGreen));
+
+  const byId = Object.fromEntries(result.hazards.map((h) => [h.id, h]));
+  assert.ok(byId["poi-fwb"].carryDistance < 0, "the bunker is behind the ball");
+  assert.equal(byId["poi-fwb"].isInPlay, false);
+  assert.equal(byId["poi-gsb"].isInPlay, true);
+});
+
+test("with a club's pattern, in-play is the chance that shot finds the hazard", () => {
+  const driver = buildHoleHazards({ context: CONTEXT, holeNumber: 1, teeSetId: "tee-blue", pattern: patternForClub("Driver", { lie: "tee" }) });
+  const byId = Object.fromEntries(driver.result.hazards.map((h) => [h.id, h]));
+  assert.equal(driver.result.club, "Driver");
+  assert.ok(byId["poi-fwb"].inPlayProbability > 0);
+  assert.equal(byId["poi-water"].inPlayProbability, 0);
+
+  const iron = buildHoleHazards({ context: CONTEXT, holeNumber: 1, teeSetId: "tee-blue", pattern: patternForClub("7 Iron", { lie: "tee" }) });
+  assert.equal(iron.result.inPlayCount, 0, "a 7 iron stays short of the fairway bunker");
+  assert.equal(buildHoleHazards({ context: CONTEXT, holeNumber: 1, teeSetId: "tee-blue" }).result.hazards[0].inPlayProbability, null);
+});
+
+test("unresolvable requests explain themselves", () => {
+  assert.equal(buildHoleHazards({ context: CONTEXT, holeNumber: 9, teeSetId: "tee-blue" }).status, 404);
+  assert.equal(buildHoleHazards({ context: CONTEXT, holeNumber: 1, teeSetId: "tee-gold" }).status, 400);
+  assert.equal(buildHoleHazards({ context: CONTEXT, holeNumber: 1 }).status, 400);
+  assert.equal(buildHoleHazards({ context: CONTEXT, holeNumber: 2, teeSetId: "tee-blue" }).status, 422);
+  // Red has no coordinate on hole 1 and there's no tee POI to fall back to.
+  assert.equal(buildHoleHazards({ context: CONTEXT, holeNumber: 1, teeSetId: "tee-red" }).status, 422);
+});
+
+test("GET /holes/:n/hazards validates the query and serves the engine's numbers", async () => {
+  const res = makeRes();
+  await handleHoleHazards(req({ query: { teeSetId: "tee-blue" } }), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.hazards.length, 3);
+  assert.equal(res.body.teeName, "Blue");
+
+  const fromBall = makeRes();
+  await handleHoleHazards(req({ query: { lat: "40.0022", lon: "-75.0", teeSetId: "tee-blue" } }), fromBall);
+  assert.equal(fromBall.statusCode, 200);
+  assert.equal(fromBall.body.origin.measuredFrom, "position");
+  assert.equal(fromBall.body.holeYardage, 402);
+
+  const withClub = makeRes();
+  await handleHoleHazards(req({ query: { teeSetId: "tee-blue", club: "Driver" } }), withClub);
+  assert.equal(withClub.body.club, "Driver");
+  assert.ok(withClub.body.hazards.every((h) => typeof h.inPlayProbability === "number"));
+
+  const status = async (opts) => {
+    const r = makeRes();
+    await handleHoleHazards(req(opts), r);
+    return r.statusCode;
+  };
+  assert.equal(await status({ n: "0", query: { teeSetId: "tee-blue" } }), 400);
+  assert.equal(await status({ query: { lat: "40.1" } }), 400);
+  assert.equal(await status({ query: { lat: "north", lon: "-75" } }), 400);
+  assert.equal(await status({ query: { teeSetId: "tee-blue", club: "Spoon" } }), 400);
+  assert.equal(await status({ courseId: "nope", query: { teeSetId: "tee-blue" } }), 404);
+  assert.equal(await status({ pool: null, query: { teeSetId: "tee-blue" } }), 503);
+});
+
+test("GET /holes/:n/hazards&club= uses the signed-in caller's bag", async () => {
+  const pool = coursePool();
+  const versionLookup = pool.query;
+  pool.query = async (sql, params) => {
+    if (/FROM user_profiles/.test(sql)) {
+      return { rows: [{ profile_json: { clubs: [{ clubName: "Spoon", carryYards: 225 }] } }] };
+    }
+    return versionLookup(sql, params);
+  };
+  const query = { teeSetId: "tee-blue", club: "Spoon" };
+
+  const anonymous = makeRes();
+  await handleHoleHazards(req({ pool, query }), anonymous);
+  assert.equal(anonymous.statusCode, 400, "not in the default bag");
+
+  const signedIn = makeRes();
+  await handleHoleHazards({ ...req({ pool, query }), authUser: { id: "user-1" } }, signedIn);
+  assert.equal(signedIn.statusCode, 200);
+  assert.equal(signedIn.body.club, "Spoon");
+  assert.ok(signedIn.body.hazards.every((h) => typeof h.inPlayProbability === "number"));
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+/**
+ * Tests for services/imagePreprocess.js — type sniffing, metadata
+ * stripping, downscaling and JPEG re-encoding.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+
+const { detectImageType, decodeBase64Image, preprocessImage } = require("../services/imagePreprocess");
+
+function solid(width, height, channels = 3) {
+  return sharp({ create: { width, height, channels, background: { r: 40, g: 140, b: 60, alpha: 0.5 } } });
+}
+
+test("detectImageType sniffs magic bytes and ignores the extension", async () => {
+  const png = await solid(4, 4).png().toBuffer();
+  const jpeg = await solid(4, 4).jpeg().toBuffer();
+  const webp = await solid(4, 4).webp().toBuffer();
+  assert.equal(detectImageType(png), "image/png");
+  assert.equal(detectImageType(jpeg), "image/jpeg");
+  assert.equal(detectImageType(webp), "image/webp");
+  assert.equal(detectImageType(Buffer.from("GIF89a\x01\x00", "latin1")), "image/gif");
+  assert.equal(detectImageType(Buffer.from("\x00\x00\x00\x18ftypheic", "latin1")), "image/heic");
+  assert.equal(detectImageType(Buffer.from("%PDF-1.7")), null);
+  assert.equal(detectImageType("not a buffer"), null);
+});
+
+test("decodeBase64Image accepts raw base64 and base64 data URLs only", () => {
+  const bytes = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+  assert.deepEqual(decodeBase64Image(bytes.toString("base64")), bytes);
+  assert.deepEqual(decodeBase64Image(`data:image/png;base64,${bytes.toString("base64")}`), bytes);
+  assert.equal(decodeBase64Image("data:image/svg+xml,<svg/>"), null);
+  assert.equal(decodeBase64Image(""), null);
+  assert.equal(decodeBase64Image(42), null);
+});
+
+test("preprocessImage strips EXIF/GPS, applies orientation and downscales", async () => {
+  const original = await solid(1200, 800)
+    .jpeg({ quality: 100 })
+    .withExif({ IFD0: { Make: "Phone", Model: "Camera" }, IFD3: { GPSLatitudeRef: "N", GPSLatitude: "40/1 0/1 0/1" } })
+    .withMetadata({ orientation: 6 })
+    .toBuffer();
+  assert.ok((await sharp(original).metadata()).exif);
+
+  const out = await preprocessImage(original, { maxEdgePx: 600, quality: 70 });
+  const sent = await sharp(out.buffer).metadata();
+
+  assert.equal(sent.format, "jpeg");
+  assert.equal(sent.exif, undefined);
+  assert.equal(sent.orientation, undefined);
+  assert.equal(sent.width, 400);
+  assert.equal(sent.height, 600);
+  assert.match(out.dataUrl, /^data:image\/jpeg;base64,/);
+  assert.deepEqual(
+    { ...out.diagnostics, sentBytes: undefined },
+    {
+      originalType: "image/jpeg",
+      originalBytes: original.length,
+      originalWidth: 800,
+      originalHeight: 1200,
+      sentType: "image/jpeg",
+      sentBytes: undefined,
+      sentWidth: 400,
+      sentHeight: 600,
+      resized: true,
+      metadataStripped: true
+    }
+  );
+  assert.equal(out.diagnostics.sentBytes, out.buffer.length);
+  assert.ok(out.diagnostics.sentBytes < out.diagnostics.originalBytes);
+});
+
+test("preprocessImage never upscales and flattens transparency to JPEG", async () => {
+  const png = await solid(300, 200, 4).png().toBuffer();
+  const out = await preprocessImage(png, { maxEdgePx: 1536 });
+  assert.equal(out.diagnostics.originalType, "image/png");
+  assert.equal(out.diagnostics.resized, false);
+  assert.deepEqual([out.diagnostics.sentWidth, out.diagnostics.sentHeight], [300, 200]);
+  const sent = await sharp(out.buffer).metadata();
+  assert.equal(sent.format, "jpeg");
+  assert.equal(sent.hasAlpha, false);
+});
+
+test("preprocessImage rejects unsupported and corrupt images with a status", async () => {
+  await assert.rejects(preprocessImage(Buffer.from("%PDF-1.7 ...")), (err) => err.statusCode === 415 && err.imageInput);
+  await assert.rejects(
+    preprocessImage(Buffer.from("\x00\x00\x00\x18ftypheic\x00\x00", "latin1")),
+    (err) => err.statusCode === 415 && /image\/heic/.test(err.message)
+  );
+  const truncated = (await solid(64, 64).jpeg().toBuffer()).subarray(0, 40);
+  await assert.rejects(preprocessImage(truncated), (err) => err.statusCode === 400 && err.imageInput);
+});
@@ -0,0 +1,202 @@
+"use strict";
+
+/**
+ * Tests for services/llmProvider.js — the mock provider, the
+ * chat-completions provider's request/error handling, and one full
+ * /api/caddie/recommend flow answered by fixtures instead of OpenAI.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("node:stream");
+
+const llmProvider = require("../services/llmProvider");
+const { createMockProvider, createChatCompletionsProvider, createProviderFromEnv } = llmProvider;
+const courseIntelligence = require("../services/courseIntelligence");
+const { handleRecommend } = require("../routes/caddie").__test;
+
+const SHOT_FIXTURE = {
+  name: "shot",
+  match: { system: "expert golf caddie", user: "Hole 1" },
+  response: { club: "Driver", recommendationText: "Driver down the left side.", confidence: 0.7 }
+};
+
+function messages(system, user) {
+  return [
+    { role: "system", content: system },
+    { role: "user", content: user }
+  ];
+}
+
+test("mock provider returns the first matching fixture, else the catch-all", async () => {
+  const provider = createMockProvider({
+    fixtures: [SHOT_FIXTURE, { name: "fallback", response: "plain text" }],
+    record: true
+  });
+
+  const hit = await provider.chat({ model: "gpt-5-fast", messages: messages("You are an expert golf caddie.", "Hole 1, par 4") });
+  assert.deepEqual(JSON.parse(hit.content), SHOT_FIXTURE.response);
+  assert.equal(hit.model, "mock:gpt-5-fast");
+
+  const miss = await provider.chat({ model: "gpt-5-fast", messages: messages("You are an expert golf caddie.", "Hole 7") });
+  assert.equal(miss.content, "plain text");
+
+  assert.equal(provider.calls.length, 2);
+  assert.equal(provider.calls[1].user, "Hole 7");
+  assert.equal(provider.configError(), null);
+
+  const quiet = createMockProvider({ fixtures: [{ response: "ok" }] });
+  await quiet.chat({ model: "gpt-5-fast", messages: messages("s", "u") });
+  assert.equal(quiet.calls.length, 0);
+});
+
+test("mock provider matches on the text parts of multimodal messages", async () => {
+  const provider = createMockProvider({
+    fixtures: [{ match: { user: "lie" }, response: { lie: "rough" } }]
+  });
+  const out = await provider.chat({
+    model: "m",
+    messages: [
+      { role: "system", content: "s" },
+      {
+        role: "user",
+        content: [
+          { type: "text", text: "What lie is this?" },
+          { type: "image_url", image_url: { url: "data:image/jpeg;base64,AAAA" } }
+        ]
+      }
+    ]
+  });
+  assert.equal(out.content, '{"lie":"rough"}');
+
+  await assert.rejects(
+    () => createMockProvider({ fixtures: [] }).chat({ model: "m", messages: messages("s", "u") }),
+    (err) => err.statusCode === 500 && /No mock fixture/.test(err.detail)
+  );
+});
+
+test("default fixtures load from data/llm-fixtures", async () => {
+  const provider = createProviderFromEnv({ LLM_PROVIDER: "mock" });
+  const out = await provider.chat({ model: "gpt-4o-mini", messages: messages("You are a golf course analysis AI.", "") });
+  assert.equal(JSON.parse(out.content).lie, "fairway");
+});
+
+test("chat-completions provider posts to the base URL and honours LLM_MODEL", async () => {
+  const requests = [];
+  const provider = createChatCompletionsProvider({
+    name: "openai_compatible",
+    baseUrl: "http://llm.local/v1/",
+    apiKey: "k",
+    modelOverride: "llama3",
+    fetchImpl: async (url, init) => {
+      requests.push({ url, init });
+      return { status: 200, json: async () => ({ choices: [{ message: { content: "hi" } }] }) };
+    }
+  });
+
+  const out = await provider.chat({ model: "gpt-5-fast", messages: messages("s", "u") });
+  assert.deepEqual(out, { content: "hi", model: "llama3", usage: null });
+  assert.equal(requests[0].url, "http://llm.local/v1/chat/completions");
+  assert.equal(requests[0].init.headers.Authorization, "Bearer k");
+  assert.equal(JSON.parse(requests[0].init.body).model, "llama3");
+});
+
+test("chat-completions provider streams deltas split across upstream chunks", async () => {
+  const sse =
+    'data: {"choices":[{"delta":{"content":"Smooth "}}]}\n\n' +
+    'data: {"choices":[{"delta":{"content":"7 iron"}}]}\n\n' +
+    'data: {"choices":[],"usage":{"prompt_tokens":12,"completion_tokens":3}}\n\n' +
+    "data: [DONE]\n\n";
+  let sentBody = null;
+  const provider = createChatCompletionsProvider({
+    name: "openai",
+    baseUrl: "https://api.openai.com/v1",
+    apiKey: "k",
+    fetchImpl: async (_url, init) => {
+      sentBody = JSON.parse(init.body);
+      // Cut mid-line so the parser has to buffer.
+      return { status: 200, body: Readable.from([Buffer.from(sse.slice(0, 30)), Buffer.from(sse.slice(30))]) };
+    }
+  });
+
+  const deltas = [];
+  const out = await provider.stream({ model: "gpt-4o-mini", messages: messages("s", "u"), onDelta: (d) => deltas.push(d) });
+  assert.equal(sentBody.stream, true);
+  assert.deepEqual(deltas, ["Smooth ", "7 iron"]);
+  assert.deepEqual(out, {
+    content: "Smooth 7 iron",
+    model: "gpt-4o-mini",
+    usage: { promptTokens: 12, completionTokens: 3 }
+  });
+});
+
+test("chat-completions provider surfaces config and provider errors", async () => {
+  assert.equal(createProviderFromEnv({}).configError(), "Missing OPENAI_API_KEY");
+  assert.equal(createProviderFromEnv({ LLM_PROVIDER: "openai_compatible", LLM_API_KEY: "k" }).configError(), "Missing LLM_BASE_URL");
+
+  const failing = createChatCompletionsProvider({
+    name: "openai",
+    baseUrl: "https://api.openai.com/v1",
+    apiKey: "k",
+    fetchImpl: async () => ({ status: 401, json: async () => ({ error: { message: "Incorrect API key" } }) })
+  });
+  await assert.rejects(
+    () => failing.chat({ model: "m", messages: messages("s", "u") }),
+    (err) => err.statusCode === 500 && err.detail === "Incorrect API key"
+  );
+});
+
+test("recommend runs end-to-end against the mock provider", async (t) => {
+  const mock = createMockProvider({ fixtures: [SHOT_FIXTURE], record: true });
+  llmProvider.setProvider(mock);
+  const originalGetContext = courseIntelligence.getRoundCourseContext;
+  courseIntelligence.getRoundCourseContext = async () => ({
+    course: { id: "c1", name: "Test Links", city: null, state: null },
+    holes: [
+      {
+        hole_number: 1,
+        par: 4,
+        handicap: 1,
+        green: { center: { lat: 40.003295, lon: -75.0 }, front: null, back: null },
+        tees: [{ tee_set_id: "t1", coordinate: { lat: 40.0, lon: -75.0 }, yardage: 400 }],
+        hole_lengths: [],
+        tee_front: null,
+        hazard_pois: []
+      }
+    ],
+    tees: [{ id: "t1", name: "White" }]
+  });
+  t.after(() => {
+    llmProvider.setProvider(null);
+    courseIntelligence.getRoundCourseContext = originalGetContext;
+  });
+
+  const res = { statusCode: 200 };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (payload) => ((res.body = payload), res);
+  const settings = {
+    dbPool: {
+      query: async (sql) =>
+        /gc\.data_version/.test(sql) ? { rows: [{ id: "c1", data_version: "1" }] } : { rowCount: 0, rows: [] }
+    },
+    recordRecommendationEvent: async () => ({ persisted: false })
+  };
+  await handleRecommend(
+    {
+      body: { courseId: "c1", holeNumber: 1, teeSetId: "t1" },
+      authUser: { id: "user-1" },
+      get: () => null,
+      app: { get: (key) => settings[key] ?? null }
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.source, "llm");
+  assert.equal(res.body.recommendation.club, "Driver");
+  assert.equal(res.body.model, "mock:gpt-5-fast");
+  assert.equal(mock.calls.length, 1);
+  assert.match(mock.calls[0].system, /expert golf caddie/);
+});
@@ -0,0 +1,118 @@
+"use strict";
+
+/**
+ * Tests for services/llmUsage.js — pricing, caller identity, quota
+ * checks and usage recording against a stub pool.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  costUsd,
+  callerIdentity,
+  checkQuota,
+  quotaExceededResponse,
+  recordUsage,
+  createMeter
+} = require("../services/llmUsage");
+
+function stubPool(handler) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql, params });
+      return handler(sql, params);
+    }
+  };
+}
+
+const NOW = new Date("2026-10-19T15:30:00Z");
+const LIMITS = { daily: 1000, monthly: 5000 };
+
+test("costUsd prices known models, is free for mock and null otherwise", () => {
+  const usage = { promptTokens: 1000, completionTokens: 500 };
+  assert.equal(costUsd("gpt-4o-mini", usage), 0.00045);
+  assert.equal(costUsd("gpt-5-fast", usage), 0.00625);
+  assert.equal(costUsd("mock:fixtures", usage), 0);
+  assert.equal(costUsd("some-local-model", usage), null);
+  assert.equal(costUsd("gpt-4o-mini", null), null);
+});
+
+test("callerIdentity keys on the token, else req.ip, never on client-supplied ids", () => {
+  const get = (headers) => (name) => headers[name];
+  assert.deepEqual(callerIdentity({ authUser: { id: 7 }, body: { userId: "someone-else" } }), { userKey: "7", userId: "7" });
+  assert.deepEqual(callerIdentity({ body: { userId: " u-42 " }, ip: "10.0.0.1" }), { userKey: "ip:10.0.0.1", userId: null });
+  assert.deepEqual(
+    callerIdentity({ body: {}, ip: "10.0.0.1", get: get({ "X-Forwarded-For": "203.0.113.9, 10.0.0.1" }) }),
+    { userKey: "ip:10.0.0.1", userId: null }
+  );
+  assert.deepEqual(callerIdentity({ body: {} }), { userKey: "ip:unknown", userId: null });
+});
+
+test("checkQuota allows callers under both budgets", async () => {
+  const pool = stubPool(() => ({ rows: [{ day_tokens: "200", month_tokens: "900" }] }));
+  const quota = await checkQuota(pool, "7", { limits: LIMITS, now: NOW });
+  assert.equal(quota.allowed, true);
+  assert.deepEqual(quota.daily, { used: 200, limit: 1000 });
+  assert.deepEqual(pool.queries[0].params, ["7", "2026-10-01T00:00:00.000Z", "2026-10-19T00:00:00.000Z"]);
+});
+
+test("checkQuota blocks on the daily budget until the next UTC midnight", async () => {
+  const pool = stubPool(() => ({ rows: [{ day_tokens: "1000", month_tokens: "1200" }] }));
+  const quota = await checkQuota(pool, "7", { limits: LIMITS, now: NOW });
+  assert.equal(quota.allowed, false);
+  assert.equal(quota.period, "day");
+  assert.equal(quota.usedTokens, 1000);
+  assert.equal(quota.resetAt, "2026-10-20T00:00:00.000Z");
+
+  const { retryAfterSeconds, body } = quotaExceededResponse(quota, NOW);
+  assert.equal(retryAfterSeconds, 8.5 * 60 * 60);
+  assert.equal(body.code, "llm_quota_exceeded");
+  assert.equal(body.limitTokens, 1000);
+});
+
+test("checkQuota blocks on the monthly budget until the first of next month", async () => {
+  const pool = stubPool(() => ({ rows: [{ day_tokens: "10", month_tokens: "5000" }] }));
+  const quota = await checkQuota(pool, "7", { limits: LIMITS, now: NOW });
+  assert.equal(quota.allowed, false);
+  assert.equal(quota.period, "month");
+  assert.equal(quota.resetAt, "2026-11-01T00:00:00.000Z");
+});
+
+test("checkQuota fails open without a pool, with limits off, or when the table is missing", async () => {
+  assert.deepEqual(await checkQuota(null, "7", { limits: LIMITS }), { allowed: true });
+  const counted = stubPool(() => ({ rows: [{ day_tokens: "99999", month_tokens: "99999" }] }));
+  assert.deepEqual(await checkQuota(counted, "7", { limits: { daily: 0, monthly: 0 } }), { allowed: true });
+  assert.equal(counted.queries.length, 0);
+  const broken = stubPool(() => {
+    throw new Error('relation "llm_usage" does not exist');
+  });
+  assert.deepEqual(await checkQuota(broken, "7", { limits: LIMITS }), { allowed: true });
+});
+
+test("recordUsage writes totals and cost; the meter skips calls without usage", async () => {
+  const pool = stubPool(() => ({ rows: [] }));
+  const written = await recordUsage(pool, {
+    userKey: "ip:203.0.113.9",
+    endpoint: "openai_complete",
+    taskType: "shot_recommendation",
+    model: "gpt-4o-mini",
+    usage: { promptTokens: 1000, completionTokens: 500 },
+    correlationId: "cid-1"
+  });
+  assert.equal(written, true);
+  assert.match(pool.queries[0].sql, /INSERT INTO llm_usage/);
+  assert.deepEqual(pool.queries[0].params, [
+    "ip:203.0.113.9", null, "openai_complete", "shot_recommendation", "gpt-4o-mini", 1000, 500, 1500, 0.00045, "cid-1"
+  ]);
+
+  const meter = createMeter(pool, { userKey: "7", userId: "7", endpoint: "caddie_recommend" });
+  assert.equal(await meter.record({ model: "gpt-5-fast", usage: null }), false);
+  assert.equal(pool.queries.length, 1);
+  assert.equal(await meter.record({ model: "gpt-5-fast", usage: { promptTokens: 10, completionTokens: 5 } }), true);
+  assert.equal(pool.queries[1].params[7], 15);
+});
@@ -0,0 +1,181 @@
+"use strict";
+
+/**
+ * Tests for services/offlinePack.js and
+ * GET /api/courses/:id/offline-pack[/status].
+ * The course lookup (`getRoundCourseContext`) is swapped for a fixture.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+
+const { OFFLINE_PACK_VERSION, buildOfflinePack, canonicalJson, packEtag, packEtagMatches } = require("../services/offlinePack");
+const { handleOfflinePack, handleOfflinePackStatus } = require("../routes/courses").__test;
+const { coursePayloadCache } = require("../services/courseDataVersion");
+const { COURSE_ID, TEE, fixtureHole, courseContext, coursePool, makeRes, makeReq, stubCourseContext } = require("./fixtures/course");
+
+// Holes 1 and 10 from the fixture, hole 10 shifted north.
+function makeContext({ bunkerLat = 40.002059 } = {}) {
+  const hole = (n, par, lat) => fixtureHole({
+    hole_number: n,
+    par,
+    handicap: n,
+    green: { center: { lat: lat + 0.003295, lon: -75.0 }, front: null, back: null, polygon: null },
+    tees: [{ tee_set_id: "tee-blue", tee_name: "Blue", coordinate: { lat, lon: TEE.lon }, yardage: 400, is_synthesized: false }],
+    tee_back: null,
+    green_center: { lat: lat + 0.003295, lon: -75.0 },
+    green_front: null,
+    green_back: null,
+    hazard_pois: n === 1
+      ? [{ id: "poi-fwb", type: "Fairway Bunker", normalized_type: "bunker_fairway", location_label: "R", fairway_side: "R", lat: bunkerLat, lon: -74.99984, source_type: "source_osm", confidence: 0.8, elevation_m: null, geometry: null }]
+      : [],
+    hazards: n === 1 ? ["Fairway Bunker r (R)"] : [],
+    features: [],
+    geometry_quality: { mapAlignmentReady: true },
+    elevation: null
+  });
+  return courseContext({
+    course: { lat: 40, lon: -75, city: "Clementon", state: "NJ", clubName: null },
+    holes: [hole(1, 4, TEE.lat), hole(10, 5, 40.01)],
+    tees: [
+      { id: "tee-blue", name: "Blue", color: "blue", total_yards: 804, slope: 135, course_rating: 74.1 },
+      { id: "tee-red", name: "Red", color: "red", total_yards: 0, slope: null, course_rating: null }
+    ],
+    features: []
+  });
+}
+
+test("buildOfflinePack bundles the round context with a stable content hash", () => {
+  const pack = buildOfflinePack(makeContext(), { now: new Date("2026-05-01T12:00:00Z") });
+  assert.equal(pack.format, "caddie-offline-pack");
+  assert.equal(pack.version, OFFLINE_PACK_VERSION);
+  assert.equal(pack.generated_at, "2026-05-01T12:00:00.000Z");
+  assert.deepEqual(
+    { out: pack.scorecard.par_out, in: pack.scorecard.par_in, total: pack.scorecard.par_total, holes: pack.scorecard.hole_count },
+    { out: 4, in: 5, total: 9, holes: 2 }
+  );
+  assert.equal(pack.scorecard.tees[0].slope, 135);
+
+  const [h1] = pack.holes;
+  assert.equal(h1.tees[0].coordinate.lat, 40.0);
+  assert.equal(h1.hazard_pois[0].normalized_type, "bunker_fairway");
+  for (const dropped of ["green_center", "green_front", "green_back", "hazards"]) {
+    assert.ok(!(dropped in h1), dropped);
+  }
+  // Engine carries per tee set; the Red tee has no coordinate on this hole
+  assert.deepEqual(Object.keys(h1.tee_hazards), ["tee-blue"]);
+  assert.equal(h1.tee_hazards["tee-blue"][0].id, "poi-fwb");
+  assert.ok(Math.abs(h1.tee_hazards["tee-blue"][0].carryDistance - 250) <= 2);
+
+  const later = buildOfflinePack(makeContext(), { now: new Date("2026-06-01T00:00:00Z") });
+  assert.match(pack.content_hash, /^[0-9a-f]{64}$/);
+  assert.equal(later.content_hash, pack.content_hash, "generation time isn't content");
+  assert.notEqual(buildOfflinePack(makeContext({ bunkerLat: 40.0021 })).content_hash, pack.content_hash);
+
+  assert.equal(canonicalJson({ b: 1, a: [{ d: null, c: "x" }] }), '{"a":[{"c":"x","d":null}],"b":1}');
+});
+
+test("packEtagMatches accepts either encoding's tag, weak tags and *", () => {
+  const etag = '"course-1-offline-pack-v3.1"';
+  assert.equal(packEtag(etag, "gzip"), '"course-1-offline-pack-v3.1-gzip"');
+  assert.equal(packEtagMatches(etag, etag), true);
+  assert.equal(packEtagMatches('W/"course-1-offline-pack-v3.1-gzip"', etag), true);
+  assert.equal(packEtagMatches('"other", "course-1-offline-pack-v3.1-gzip"', etag), true);
+  assert.equal(packEtagMatches("*", etag), true);
+  assert.equal(packEtagMatches('"course-1-offline-pack-v2.1"', etag), false);
+  assert.equal(packEtagMatches(undefined, etag), false);
+});
+
+const pool = coursePool();
+
+function req({ id = COURSE_ID, ...rest } = {}) {
+  return makeReq({ params: { id }, pool, ...rest });
+}
+
+test("GET /offline-pack gzips when accepted, tags with the data version and answers 304 when unchanged", async () => {
+  coursePayloadCache.clear();
+  let builds = 0;
+  let bunkerLat = 40.002059;
+  const restore = stubCourseContext((_pool, id) => {
+    builds++;
+    return id === COURSE_ID ? makeContext({ bunkerLat }) : null;
+  });
+  try {
+    const gz = makeRes();
+    await handleOfflinePack(req({ headers: { "Accept-Encoding": "gzip, deflate, br" } }), gz);
+    assert.equal(gz.statusCode, 200);
+    assert.equal(gz.headers["Content-Encoding"], "gzip");
+    assert.equal(gz.headers["Cache-Control"], "private, no-cache");
+    const pack = JSON.parse(zlib.gunzipSync(gz.body).toString("utf8"));
+    assert.equal(gz.headers.ETag, `"${COURSE_ID}-offline-pack-v1.${OFFLINE_PACK_VERSION}-gzip"`);
+
+    const plain = makeRes();
+    await handleOfflinePack(req(), plain);
+    assert.equal(plain.headers["Content-Encoding"], undefined);
+    assert.equal(plain.headers.ETag, `"${COURSE_ID}-offline-pack-v1.${OFFLINE_PACK_VERSION}"`);
+    assert.equal(JSON.parse(plain.body).content_hash, pack.content_hash);
+
+    const revalidate = makeRes();
+    await handleOfflinePack(req({ headers: { "If-None-Match": gz.headers.ETag } }), revalidate);
+    assert.equal(revalidate.statusCode, 304);
+    assert.equal(revalidate.ended, true);
+    assert.equal(revalidate.body, undefined);
+    assert.equal(builds, 1, "built once for this data version, 304s included");
+
+    const status = async (query, id) => {
+      const r = makeRes();
+      await handleOfflinePackStatus(req({ query, id }), r);
+      return r;
+    };
+    const fresh = await status({ etag: gz.headers.ETag });
+    assert.deepEqual(fresh.body, { courseId: "course-uuid-1", version: OFFLINE_PACK_VERSION, etag: plain.headers.ETag, stale: false });
+    assert.equal((await status({ etag: plain.headers.ETag.slice(1, -1) })).body.stale, false, "quotes are optional");
+    assert.equal((await status({ etag: '"course-uuid-1-offline-pack-v0.1"' })).body.stale, true);
+    assert.equal((await status({ etag: "x".repeat(201) })).statusCode, 400);
+    assert.equal((await status({})).statusCode, 400);
+    assert.equal((await status({ etag: gz.headers.ETag }, "nope")).statusCode, 404);
+    assert.equal(builds, 1);
+
+    // A write bumps the version: the old pack reads as stale before anything is rebuilt
+    bunkerLat = 40.0021;
+    pool.version += 1;
+    assert.equal((await status({ etag: gz.headers.ETag })).body.stale, true);
+    assert.equal(builds, 1, "status never builds the pack");
+    const changed = makeRes();
+    await handleOfflinePack(req({ headers: { "If-None-Match": gz.headers.ETag } }), changed);
+    assert.equal(changed.statusCode, 200);
+    assert.equal(builds, 2);
+
+    const noDb = makeRes();
+    await handleOfflinePack(req({ pool: null }), noDb);
+    assert.equal(noDb.statusCode, 503);
+  } finally {
+    restore();
+  }
+});
+
+test("before migration 015 the status check builds the pack and compares content hashes", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const restore = stubCourseContext(makeContext());
+  const legacy = {
+    async query(sql, params) {
+      if (/data_version/.test(sql)) throw Object.assign(new Error('column "data_version" does not exist'), { code: "42703" });
+      return { rows: /SELECT gc\.id FROM golf_courses/.test(sql) && params[0] === COURSE_ID ? [{ id: COURSE_ID }] : [] };
+    }
+  };
+  try {
+    const download = makeRes();
+    await handleOfflinePack(req({ pool: legacy }), download);
+    const pack = JSON.parse(download.body);
+    assert.equal(download.headers.ETag, `"${pack.content_hash}"`);
+
+    const check = makeRes();
+    await handleOfflinePackStatus(req({ pool: legacy, query: { etag: download.headers.ETag } }), check);
+    assert.equal(check.body.stale, false);
+  } finally {
+    restore();
+  }
+});
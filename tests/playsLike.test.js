@@ -0,0 +1,200 @@
+"use strict";
+
+/**
+ * Tests for services/playsLike.js, the weather/elevation providers and
+ * POST /api/plays-like. Uses the file providers over data/plays-like, so
+ * no network is needed.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  computePlaysLike,
+  resolvePlaysLike,
+  airDensity,
+  standardPressureHpa,
+  windComponents,
+  STANDARD_DENSITY
+} = require("../services/playsLike");
+const weatherProvider = require("../services/weatherProvider");
+const elevationProvider = require("../services/elevationProvider");
+const { handlePlaysLike, parseWeather } = require("../routes/playsLike").__test;
+
+const TEE = { lat: 40.0, lon: -75.0 };
+const GREEN = { lat: 40.001372, lon: -75.0 }; // ~166 yds due north
+
+const fileProviders = {
+  weatherProvider: weatherProvider.createFileWeatherProvider(),
+  elevationProvider: elevationProvider.createFileElevationProvider()
+};
+
+function makeRes() {
+  const res = { statusCode: 200, body: undefined };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.body = payload;
+    return res;
+  };
+  return res;
+}
+
+test("standard conditions on flat ground play the measured distance", () => {
+  assert.ok(Math.abs(airDensity(15, 1013.25) - STANDARD_DENSITY) < 0.001);
+  const r = computePlaysLike({ distanceYards: 150, shotBearingDeg: 0, weather: null, fromElevationM: null, toElevationM: null });
+  assert.equal(r.playsLikeYards, 150);
+  assert.deepEqual(r.adjustments, { elevationYards: 0, windYards: 0, airDensityYards: 0 });
+});
+
+test("wind splits into head and cross components from the meteorological direction", () => {
+  assert.deepEqual(windComponents(10, 0, 0), { headwindMph: 10, crosswindMph: 0 });
+  assert.deepEqual(windComponents(10, 180, 0), { headwindMph: -10, crosswindMph: 0 });
+  assert.deepEqual(windComponents(10, 270, 0), { headwindMph: 0, crosswindMph: 10 }); // from the left
+});
+
+test("headwind, uphill and cold air add yards; tailwind and altitude take them off", () => {
+  const base = { distanceYards: 150, shotBearingDeg: 0 };
+  const into = computePlaysLike({ ...base, weather: { windSpeedMps: 4.4704, windFromDeg: 0 }, fromElevationM: 0, toElevationM: 0 });
+  assert.equal(into.adjustments.windYards, 15); // 10 mph × 1%
+  const down = computePlaysLike({ ...base, weather: { windSpeedMps: 4.4704, windFromDeg: 180 }, fromElevationM: 0, toElevationM: 0 });
+  assert.equal(down.adjustments.windYards, -7.5); // 10 mph × 0.5%
+
+  const uphill = computePlaysLike({ ...base, weather: null, fromElevationM: 10, toElevationM: 19.144 });
+  assert.equal(uphill.adjustments.elevationYards, 10);
+
+  const cold = computePlaysLike({ ...base, weather: { temperatureC: 0 }, fromElevationM: 0, toElevationM: 0 });
+  assert.ok(cold.adjustments.airDensityYards > 3 && cold.adjustments.airDensityYards < 5, String(cold.adjustments.airDensityYards));
+
+  // Mile-high: standard pressure from the altitude, 15 °C, ~8% shorter.
+  const denver = computePlaysLike({ ...base, weather: null, fromElevationM: 1609, toElevationM: 1609 });
+  assert.ok(Math.abs(denver.conditions.pressureHpa - standardPressureHpa(1609)) < 0.1);
+  assert.ok(denver.playsLikeYards >= 135 && denver.playsLikeYards <= 141, String(denver.playsLikeYards));
+});
+
+test("file providers pick the nearest observation and interpolate spot heights", async () => {
+  const w = await fileProviders.weatherProvider.lookup({ ...TEE, time: "2026-10-19T16:10:00Z" });
+  assert.equal(w.observedAt, "2026-10-19T15:00:00.000Z");
+  assert.equal(w.quality, "file");
+  assert.equal(await fileProviders.weatherProvider.lookup({ lat: 51.5, lon: -0.12, time: "2026-10-19T16:00:00Z" }), null);
+
+  const [atTee, between, nowhere] = await fileProviders.elevationProvider.elevations([
+    TEE,
+    { lat: 40.00045, lon: -75.0 },
+    { lat: 41, lon: -75 }
+  ]);
+  assert.equal(atTee, 30);
+  assert.ok(between > 30 && between < 31.5, String(between));
+  assert.equal(nowhere, null);
+});
+
+test("resolvePlaysLike combines provider data and reports source quality", async () => {
+  const r = await resolvePlaysLike({ from: TEE, to: GREEN, time: "2026-10-19T15:20:00Z" }, fileProviders);
+  assert.equal(r.distanceYards, 167);
+  assert.equal(r.weatherSourceQuality, "file");
+  assert.equal(r.elevationSourceQuality, "file");
+  assert.equal(r.conditions.elevationDeltaM, 2.4);
+  assert.ok(r.adjustments.windYards < 0, "wind from the south is a tailwind on a northbound shot");
+  assert.equal(r.weatherObservedAt, "2026-10-19T15:00:00.000Z");
+
+  const client = await resolvePlaysLike(
+    { from: TEE, to: GREEN, time: new Date(), weather: { temperatureC: 15, windSpeedMps: 0, windFromDeg: 0 }, elevation: { fromMeters: 5, toMeters: 5 } },
+    fileProviders
+  );
+  assert.equal(client.weatherSourceQuality, "client");
+  assert.equal(client.elevationSourceQuality, "client");
+
+  const none = await resolvePlaysLike(
+    { from: TEE, to: GREEN, time: new Date() },
+    { weatherProvider: weatherProvider.createNullWeatherProvider(), elevationProvider: elevationProvider.createNullElevationProvider() }
+  );
+  assert.equal(none.weatherSourceQuality, "standard");
+  assert.equal(none.elevationSourceQuality, "unavailable");
+  assert.equal(none.playsLikeYards, none.distanceYards);
+});
+
+test("open-meteo weather provider reads the hour closest to the timestamp", async () => {
+  let requested;
+  const provider = weatherProvider.createOpenMeteoWeatherProvider({
+    now: () => new Date("2026-10-19T20:00:00Z"),
+    fetchImpl: async (url) => {
+      requested = url;
+      return {
+        ok: true,
+        json: async () => ({
+          hourly: {
+            time: ["2026-10-19T14:00", "2026-10-19T15:00"],
+            temperature_2m: [16, 17.5],
+            wind_speed_10m: [4, 5],
+            wind_direction_10m: [170, 180],
+            surface_pressure: [1008, 1007.5],
+            relative_humidity_2m: [60, 55]
+          }
+        })
+      };
+    }
+  });
+  const w = await provider.lookup({ lat: 40, lon: -75, time: "2026-10-19T15:10:00Z" });
+  assert.match(requested, /^https:\/\/api\.open-meteo\.com\/v1\/forecast\?latitude=40&longitude=-75/);
+  assert.match(requested, /start_date=2026-10-19&end_date=2026-10-19/);
+  assert.deepEqual(w, {
+    temperatureC: 17.5,
+    windSpeedMps: 5,
+    windFromDeg: 180,
+    pressureHpa: 1007.5,
+    relativeHumidity: 55,
+    observedAt: "2026-10-19T15:00:00.000Z",
+    quality: "observed"
+  });
+
+  const failing = weatherProvider.createOpenMeteoWeatherProvider({
+    fetchImpl: async () => {
+      throw new Error("offline");
+    }
+  });
+  assert.equal(await failing.lookup({ lat: 40, lon: -75, time: new Date() }), null);
+});
+
+test("POST /api/plays-like validates input and accepts client weather in golfer units", async () => {
+  weatherProvider.setWeatherProvider(fileProviders.weatherProvider);
+  elevationProvider.setElevationProvider(fileProviders.elevationProvider);
+  try {
+    const res = makeRes();
+    await handlePlaysLike(
+      { body: { from: TEE, to: GREEN, timestamp: new Date().toISOString(), weather: { temperatureF: 59, windSpeedMph: 10, windFromDeg: 0 } } },
+      res
+    );
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.ok, true);
+    assert.equal(res.body.weatherSourceQuality, "client");
+    assert.equal(res.body.conditions.headwindMph, 10);
+    assert.ok(res.body.playsLikeYards > res.body.distanceYards);
+
+    // An empty weather object is no client weather at all
+    const empty = makeRes();
+    await handlePlaysLike({ body: { from: TEE, to: GREEN, weather: { temperatureF: null } } }, empty);
+    assert.equal(empty.statusCode, 200);
+    assert.notEqual(empty.body.weatherSourceQuality, "client");
+
+    const bad = async (body) => {
+      const r = makeRes();
+      await handlePlaysLike({ body }, r);
+      return r.statusCode;
+    };
+    assert.equal(await bad({ from: TEE }), 400);
+    assert.equal(await bad({ from: TEE, to: { lat: 40.01, lon: -75 } }), 400);
+    assert.equal(await bad({ from: TEE, to: GREEN, timestamp: "yesterday-ish" }), 400);
+    assert.equal(await bad({ from: TEE, to: GREEN, weather: { windSpeedMph: 10 } }), 400);
+    assert.equal(await bad({ from: TEE, to: GREEN, elevation: { fromMeters: 3 } }), 400);
+  } finally {
+    weatherProvider.setWeatherProvider(null);
+    elevationProvider.setElevationProvider(null);
+  }
+
+  assert.ok(Math.abs(parseWeather({ temperatureF: 212 - 180 }).value.temperatureC) < 1e-9);
+  assert.deepEqual(parseWeather({}), { value: null });
+});
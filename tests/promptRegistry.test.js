@@ -0,0 +1,77 @@
+"use strict";
+
+/**
+ * Tests for services/promptRegistry.js — rendering, sticky A/B
+ * assignment and the per-variant summary.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  render,
+  assignVersion,
+  resolvePrompt,
+  summarizeByPromptVariant,
+  MISSING_VALUE
+} = require("../services/promptRegistry");
+
+test("render fills variables and marks missing ones", () => {
+  assert.equal(render("Hole {{holeNumber}} at {{ courseName }}", { holeNumber: 7, courseName: "Pebble" }), "Hole 7 at Pebble");
+  assert.equal(render("Goal: {{playerGoal}}", { playerGoal: "  " }), `Goal: ${MISSING_VALUE}`);
+});
+
+test("A/B assignment is sticky per user and splits traffic", () => {
+  const first = assignVersion("shot_recommendation", "user-42");
+  for (let i = 0; i < 5; i++) assert.deepEqual(assignVersion("shot_recommendation", "user-42"), first);
+  assert.ok(first.experiment);
+
+  const counts = { 1: 0, 2: 0 };
+  for (let i = 0; i < 1000; i++) counts[assignVersion("shot_recommendation", `u${i}`).version] += 1;
+  assert.ok(counts[1] > 400 && counts[2] > 400, JSON.stringify(counts));
+
+  assert.deepEqual(assignVersion("shot_recommendation", null), { version: 1, experiment: null });
+  assert.deepEqual(assignVersion("lie_analysis", "user-42"), { version: 1, experiment: null });
+});
+
+test("resolvePrompt renders the assigned version and rejects unknown templates", () => {
+  const v2 = resolvePrompt("shot_recommendation", {
+    version: 2,
+    variables: { courseName: "Pine Valley", holeNumber: 3, par: 3, playerGoal: "break 90" }
+  });
+  assert.equal(v2.templateId, "shot_recommendation");
+  assert.equal(v2.version, 2);
+  assert.match(v2.systemPrompt, /Pine Valley, hole 3 \(par 3\)/);
+  assert.match(v2.systemPrompt, /goal: break 90\./);
+  assert.match(v2.systemPrompt, new RegExp(`off the tee: ${MISSING_VALUE}`));
+  assert.doesNotMatch(v2.systemPrompt, /\{\{/);
+
+  const lie = resolvePrompt("lie_analysis");
+  assert.match(lie.userPrompt, /isOnGreen/);
+
+  assert.throws(() => resolvePrompt("nope"), /Unknown prompt template/);
+  assert.throws(() => resolvePrompt("lie_analysis", { version: 9 }), /Unknown version 9/);
+});
+
+test("summarizeByPromptVariant compares fallback and helpful rates per version", () => {
+  const event = (id, version, fallback) => ({
+    recommendationId: id,
+    output: { fallbackOccurred: fallback },
+    diagnostics: version == null ? {} : { promptTemplateId: "shot_recommendation", promptVersion: version }
+  });
+  const events = [event("a", 1, false), event("b", 1, true), event("c", 2, false), event("legacy", null, false)];
+  const feedback = [
+    { recommendationId: "a", helpful: true },
+    { recommendationId: "b", helpful: false },
+    { recommendationId: "c", helpful: true },
+    { recommendationId: "unrelated", helpful: false }
+  ];
+
+  assert.deepEqual(summarizeByPromptVariant(events, feedback), [
+    { promptTemplateId: null, promptVersion: null, totalRecommendations: 1, fallbackRate: 0, feedbackCount: 0, helpfulRate: null },
+    { promptTemplateId: "shot_recommendation", promptVersion: 1, totalRecommendations: 2, fallbackRate: 0.5, feedbackCount: 2, helpfulRate: 0.5 },
+    { promptTemplateId: "shot_recommendation", promptVersion: 2, totalRecommendations: 1, fallbackRate: 0, feedbackCount: 1, helpfulRate: 1 }
+  ]);
+});
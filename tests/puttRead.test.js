@@ -0,0 +1,90 @@
+"use strict";
+
+/**
+ * Tests for services/puttRead.js — placing ball and hole on the green
+ * frame, prompt variables and aim offset.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { greenFrame, buildPuttContext, promptVariables, aimOffset } = require("../services/puttRead");
+const { resolvePrompt } = require("../services/promptRegistry");
+
+// Green runs due north: front → center → back, ~30 yds deep.
+const FRONT = { lat: 40.003158, lon: -75.0 };
+const CENTER = { lat: 40.003295, lon: -75.0 };
+const BACK = { lat: 40.003432, lon: -75.0 };
+const YARD_LAT = 1 / 1.09361 / 111195; // degrees latitude per yard
+const YARD_LON = YARD_LAT / Math.cos((40.0033 * Math.PI) / 180);
+
+function context(green) {
+  return {
+    course: { id: "course-uuid-1", name: "Pine Valley", city: "Clementon", state: "NJ" },
+    holes: [
+      {
+        hole_number: 1,
+        par: 4,
+        green,
+        tees: [{ tee_set_id: "tee-blue", coordinate: { lat: 40.0, lon: -75.0 } }],
+        tee_front: null
+      }
+    ]
+  };
+}
+
+test("greenFrame orients front → back, or along the line of play without them", () => {
+  const full = greenFrame(context({ center: CENTER, front: FRONT, back: BACK }).holes[0]);
+  assert.equal(full.depthFrom, "front");
+  assert.ok(Math.abs(full.axis.y - 1) < 1e-6);
+  assert.ok(Math.abs(full.depthYards - 33.3) < 0.5, String(full.depthYards));
+
+  const centerOnly = greenFrame(context({ center: CENTER, front: null, back: null }).holes[0]);
+  assert.equal(centerOnly.depthFrom, "center");
+  assert.equal(centerOnly.depthYards, null);
+  assert.ok(Math.abs(centerOnly.axis.y - 1) < 1e-6);
+});
+
+test("buildPuttContext places ball and pin relative to the front of the green", () => {
+  const ball = { lat: FRONT.lat + 5 * YARD_LAT, lon: -75.0 - 4 * YARD_LON };
+  const { putt } = buildPuttContext({ context: context({ center: CENTER, front: FRONT, back: BACK }), holeNumber: 1, ball, pin: "back" });
+
+  assert.equal(putt.pinLocation, "back");
+  assert.deepEqual(putt.ball, { depthYards: 5, lateralYards: -4 });
+  assert.ok(Math.abs(putt.pin.depthYards - 33.3) < 0.5);
+  assert.equal(putt.direction, "toward_back");
+  assert.ok(Math.abs(putt.distanceFeet - 85) <= 2, String(putt.distanceFeet));
+
+  const vars = promptVariables(putt);
+  assert.equal(vars.depthFrom, "front edge");
+  assert.equal(vars.ballPosition, "5 yds past the front, 4 yds left of center");
+  assert.equal(vars.puttDirection, "toward the back of the green");
+  const rendered = resolvePrompt("putt_read", { variables: vars });
+  assert.match(rendered.userPrompt, /Putt length: \d+ ft, rolling toward the back of the green/);
+  assert.doesNotMatch(rendered.systemPrompt + rendered.userPrompt, /\{\{/);
+});
+
+test("buildPuttContext rejects balls off the green and unknown pin points", () => {
+  const ctx = context({ center: CENTER, front: null, back: null });
+  const far = buildPuttContext({ context: ctx, holeNumber: 1, ball: { lat: 40.0, lon: -75.0 }, pin: null });
+  assert.equal(far.status, 400);
+  assert.match(far.error, /from the green/);
+
+  const noFront = buildPuttContext({ context: ctx, holeNumber: 1, ball: CENTER, pin: "front" });
+  assert.equal(noFront.status, 422);
+  assert.equal(buildPuttContext({ context: ctx, holeNumber: 1, ball: CENTER, pin: "middle" }).status, 400);
+  assert.equal(buildPuttContext({ context: ctx, holeNumber: 2, ball: CENTER }).status, 404);
+
+  const { putt } = buildPuttContext({ context: ctx, holeNumber: 1, ball: CENTER, pin: { lat: CENTER.lat - 3 * YARD_LAT, lon: -75.0 } });
+  assert.equal(putt.depthMeasuredFrom, "center");
+  assert.equal(putt.direction, "toward_front");
+  assert.equal(putt.distanceFeet, 9);
+});
+
+test("aimOffset aims against the break", () => {
+  assert.deepEqual(aimOffset({ breakDirection: "left_to_right", breakInches: 6 }), { side: "left", inches: 6 });
+  assert.deepEqual(aimOffset({ breakDirection: "right_to_left" }), { side: "right", inches: null });
+  assert.deepEqual(aimOffset({ breakDirection: "straight", breakInches: 2 }), { side: "center", inches: 0 });
+});
@@ -0,0 +1,112 @@
+"use strict";
+
+/**
+ * Tests for services/responseCache.js and the cache path in
+ * openaiService.generateCaddieResponse (model answered by the mock
+ * provider).
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { shotCacheKey, createResponseCache, defaultCache } = require("../services/responseCache");
+const llmProvider = require("../services/llmProvider");
+const { generateCaddieResponse } = require("../services/openaiService");
+
+const SHOT = {
+  courseId: "course-1",
+  holeNumber: 7,
+  teeSetId: "tee-blue",
+  fromTee: false,
+  lie: "fairway",
+  distanceToGreen: 151,
+  hazards: [
+    { type: "bunker", carryDistance: 140, lateralOffset: 12 },
+    { type: "water", carryDistance: 160, lateralOffset: -20 }
+  ],
+  clubs: [
+    { name: "7 Iron", carryYards: 150 },
+    { name: "8 Iron", carryYards: 140 }
+  ]
+};
+
+test("shotCacheKey buckets nearby spots together and separates real differences", () => {
+  const key = shotCacheKey(SHOT, { taskType: "full_shot" });
+  const nearby = {
+    ...SHOT,
+    distanceToGreen: 149,
+    hazards: [...SHOT.hazards].reverse().map((h) => ({ ...h, carryDistance: h.carryDistance - 1 })),
+    clubs: [...SHOT.clubs].reverse()
+  };
+  assert.equal(shotCacheKey(nearby, { taskType: "full_shot" }), key);
+
+  assert.notEqual(shotCacheKey({ ...SHOT, lie: "rough" }, { taskType: "full_shot" }), key);
+  assert.notEqual(shotCacheKey({ ...SHOT, distanceToGreen: 165 }, { taskType: "full_shot" }), key);
+  assert.notEqual(shotCacheKey({ ...SHOT, teeSetId: "tee-white" }, { taskType: "full_shot" }), key);
+  assert.notEqual(shotCacheKey({ ...SHOT, clubs: [{ name: "7 Iron", carryYards: 155 }] }, { taskType: "full_shot" }), key);
+  assert.notEqual(shotCacheKey({ ...SHOT, hazards: SHOT.hazards.slice(0, 1) }, { taskType: "full_shot" }), key);
+  assert.notEqual(shotCacheKey(SHOT, { taskType: "quick_shot" }), key);
+});
+
+test("entries expire after the TTL and the oldest is evicted past the cap", () => {
+  let clock = 1000;
+  const cache = createResponseCache({ ttlMs: 100, maxEntries: 2, now: () => clock });
+
+  cache.set("a", 1);
+  cache.set("b", 2);
+  assert.equal(cache.get("a"), 1); // a is now most recently used
+  cache.set("c", 3);
+  assert.equal(cache.get("b"), null);
+
+  clock += 101;
+  assert.equal(cache.get("a"), null);
+
+  const m = cache.metrics();
+  assert.equal(m.hits, 1);
+  assert.equal(m.misses, 2);
+  assert.equal(m.evictions, 1);
+  assert.equal(m.expirations, 1);
+  assert.equal(m.size, 1);
+  assert.equal(m.hitRate, 0.333);
+});
+
+test("generateCaddieResponse serves repeats from the cache but never caches photos", async (t) => {
+  const mock = llmProvider.createMockProvider({
+    fixtures: [{ response: '{"club":"7 Iron","recommendationText":"Go."}' }],
+    record: true
+  });
+  llmProvider.setProvider(mock);
+  defaultCache.clear();
+  t.after(() => {
+    llmProvider.setProvider(null);
+    defaultCache.clear();
+  });
+
+  const cacheKey = shotCacheKey(SHOT, { taskType: "full_shot" });
+  const opts = { taskType: "full_shot", systemPrompt: "s", userPrompt: "u", cacheKey };
+
+  const first = await generateCaddieResponse(opts);
+  const second = await generateCaddieResponse(opts);
+  assert.equal(first.cacheStatus, "miss");
+  assert.equal(second.cacheStatus, "hit");
+  assert.equal(second.content, first.content);
+  assert.equal(second.model, first.model);
+  assert.equal(mock.calls.length, 1);
+
+  const optedOut = await generateCaddieResponse({ ...opts, noCache: true });
+  const withPhoto = await generateCaddieResponse({ ...opts, imageDataUrl: "data:image/jpeg;base64,AAAA" });
+  assert.equal(optedOut.cacheStatus, "bypass");
+  assert.equal(withPhoto.cacheStatus, "bypass");
+  assert.equal(mock.calls.length, 3);
+
+  const uncached = await generateCaddieResponse({ taskType: "full_shot", systemPrompt: "s", userPrompt: "u" });
+  assert.equal(uncached.cacheStatus, null);
+
+  const m = defaultCache.metrics();
+  assert.equal(m.hits, 1);
+  assert.equal(m.misses, 1);
+  assert.equal(m.bypasses, 2);
+  assert.equal(m.stores, 1);
+});
@@ -0,0 +1,95 @@
+"use strict";
+
+/**
+ * Tests for services/responseSchemas.js — validation, local repair and
+ * the single model retry.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { SCHEMAS, SCHEMA_NAMES, validate, validateResponse } = require("../services/responseSchemas");
+
+test("exposes the three named schemas", () => {
+  assert.deepEqual([...SCHEMA_NAMES].sort(), ["lie_analysis", "putt_read", "shot_recommendation"]);
+});
+
+test("validate reports type, enum, range and required errors with paths", () => {
+  const errors = validate(SCHEMAS.lie_analysis, { isOnGreen: "no", lie: "beach", confidence: 2 });
+  assert.deepEqual(errors, [
+    "$.isOnGreen: expected boolean, got string",
+    "$.lie: must be one of tee, fairway, first_cut, rough, deep_rough, sand, fringe, green, recovery, unknown",
+    "$.confidence: must be <= 1"
+  ]);
+  assert.deepEqual(validate(SCHEMAS.putt_read, {}).length, 3);
+});
+
+test("well-formed output is valid and passed through untouched", async () => {
+  const content = JSON.stringify({ isOnGreen: false, lie: "rough", confidence: 0.7, extra: "kept" });
+  const result = await validateResponse({ schemaName: "lie_analysis", content });
+  assert.equal(result.validationStatus, "valid");
+  assert.equal(result.repair, null);
+  assert.equal(result.value.extra, "kept");
+});
+
+test("fenced, chatty, loosely typed output is repaired locally", async () => {
+  const content =
+    'Here you go:\n```json\n{ "isOnGreen": "false", "lie": "Deep Rough", "confidence": "1.4", }\n```';
+  let retried = false;
+  const result = await validateResponse({
+    schemaName: "lie_analysis",
+    content,
+    retry: async () => {
+      retried = true;
+      return "";
+    }
+  });
+  assert.equal(result.validationStatus, "repaired");
+  assert.equal(result.repair, "local");
+  assert.deepEqual(result.value, { isOnGreen: false, lie: "deep_rough", confidence: 1 });
+  assert.equal(retried, false);
+});
+
+test("falls back to one model retry carrying the validation errors", async () => {
+  const calls = [];
+  const result = await validateResponse({
+    schemaName: "shot_recommendation",
+    content: '{"recommendationText": "Hit it close."}',
+    retry: async (prompts) => {
+      calls.push(prompts);
+      return '{"club": "9 Iron", "recommendationText": "Hit it close."}';
+    }
+  });
+  assert.equal(calls.length, 1);
+  assert.match(calls[0].userPrompt, /\$\.club: is required/);
+  assert.equal(result.validationStatus, "repaired");
+  assert.equal(result.repair, "retry");
+  assert.equal(result.value.club, "9 Iron");
+});
+
+test("gives up as invalid when the retry is still broken or throws", async () => {
+  const broken = await validateResponse({
+    schemaName: "putt_read",
+    content: "no idea",
+    retry: async () => "still no idea"
+  });
+  assert.equal(broken.validationStatus, "invalid");
+  assert.equal(broken.value, null);
+  assert.deepEqual(broken.errors, ["$: not valid JSON"]);
+
+  const threw = await validateResponse({
+    schemaName: "putt_read",
+    content: "{}",
+    retry: async () => {
+      throw new Error("provider down");
+    }
+  });
+  assert.equal(threw.validationStatus, "invalid");
+  assert.equal(threw.errors.length, 3);
+});
+
+test("unknown schema names throw", async () => {
+  await assert.rejects(() => validateResponse({ schemaName: "nope", content: "{}" }), /Unknown response schema/);
+});
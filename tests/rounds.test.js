@@ -0,0 +1,440 @@
+"use strict";
+
+/**
+ * Tests for the rounds routes.
+ *
+ * Same approach as userProfile.test.js: bare handlers, a stubbed `pool`
+ * that emulates the `rounds` table, and `req`/`res` mocks. The course
+ * lookup (`getRoundCourseContext`) is swapped for a fixture so we don't
+ * need to emulate the full round-engine query set.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const courseIntelligence = require("../services/courseIntelligence");
+const roundsRoute = require("../routes/rounds");
+const {
+  handleStartRound,
+  handleListRounds,
+  handleGetRound,
+  handleFinishRound,
+  handleAbandonRound,
+  handleGetScorecard,
+  handlePostScores,
+  __resetTableCache
+} = roundsRoute.__test;
+
+// ----------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------
+
+function makeRes() {
+  const res = { statusCode: 200, body: undefined };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.body = payload;
+    return res;
+  };
+  return res;
+}
+
+const COURSE_FIXTURE = {
+  course: { id: "course-uuid-1", name: "Pine Valley" },
+  holes: Array.from({ length: 18 }, (_, i) => ({ hole_number: i + 1, par: 4 })),
+  tees: [
+    { id: "tee-blue", name: "Blue" },
+    { id: "tee-white", name: "White" }
+  ]
+};
+
+/**
+ * Stub pool emulating the rounds table for the statements the route issues:
+ *   - to_regclass check
+ *   - INSERT ... ON CONFLICT (id) DO UPDATE ... WHERE imported+ownerless
+ *   - SELECT ... WHERE id = $1 AND user_id = $2
+ *   - SELECT ... WHERE user_id = $1 [AND status = $2] ... LIMIT $n
+ *   - UPDATE rounds SET status ... WHERE in_progress
+ * and, for the scorecard, the course holes (all par 4), round_hole_scores
+ * and BEGIN / COMMIT / ROLLBACK on a `connect()`ed client. `failOnHole`
+ * makes that hole's upsert throw.
+ */
+function makeStubPool({ tableExists = true, failOnHole = null } = {}) {
+  const store = new Map();
+  const scores = new Map();
+  let snapshot = null;
+  let released = 0;
+
+  async function query(sql, params = []) {
+    const trimmed = sql.trim();
+    if (trimmed.startsWith("SELECT to_regclass")) {
+      return { rows: [{ t: tableExists ? "rounds" : null }] };
+    }
+    if (trimmed === "BEGIN") {
+      snapshot = {
+        scores: new Map(scores),
+        handicaps: new Map([...store].map(([id, row]) => [id, row.course_handicap]))
+      };
+      return { rows: [] };
+    }
+    if (trimmed === "COMMIT" || trimmed === "ROLLBACK") {
+      if (trimmed === "ROLLBACK" && snapshot) {
+        scores.clear();
+        for (const [k, v] of snapshot.scores) scores.set(k, v);
+        for (const [id, ch] of snapshot.handicaps) store.get(id).course_handicap = ch;
+      }
+      snapshot = null;
+      return { rows: [] };
+    }
+    if (trimmed.startsWith("SELECT gc.num_holes")) {
+      const rows = Array.from({ length: 18 }, (_, i) => ({ num_holes: 18, hole_number: i + 1, par: 4, handicap: i + 1 }));
+      return { rowCount: rows.length, rows };
+    }
+    if (trimmed.startsWith("SELECT hole_number, strokes")) {
+      const rows = [...scores.values()]
+        .filter((r) => r.round_id === params[0])
+        .sort((a, b) => a.hole_number - b.hole_number);
+      return { rowCount: rows.length, rows };
+    }
+    if (trimmed.startsWith("INSERT INTO round_hole_scores")) {
+      const [roundId, holeNumber, strokes, putts, fairwayHit, gir, penaltyStrokes] = params;
+      if (holeNumber === failOnHole) throw new Error("connection reset");
+      scores.set(`${roundId}:${holeNumber}`, {
+        round_id: roundId,
+        hole_number: holeNumber,
+        strokes,
+        putts,
+        fairway_hit: fairwayHit,
+        gir,
+        penalty_strokes: penaltyStrokes
+      });
+      return { rowCount: 1, rows: [] };
+    }
+    if (trimmed.startsWith("UPDATE rounds SET course_handicap")) {
+      store.get(params[0]).course_handicap = params[1];
+      return { rowCount: 1, rows: [] };
+    }
+    if (trimmed.startsWith("INSERT INTO rounds")) {
+      const [id, userId, courseId, teeSetId, courseName, teeName, holeCount, startedAt, courseHandicap] = params;
+      const existing = store.get(id);
+      if (existing && !(existing.status === "imported" && existing.user_id == null)) {
+        return { rowCount: 0, rows: [] };
+      }
+      const now = new Date();
+      const row = {
+        id,
+        user_id: userId,
+        course_id: courseId,
+        tee_set_id: teeSetId,
+        course_name: courseName,
+        tee_name: teeName,
+        hole_count: holeCount,
+        course_handicap: courseHandicap,
+        status: "in_progress",
+        started_at: existing && existing.started_at < startedAt ? existing.started_at : startedAt,
+        ended_at: null,
+        created_at: existing ? existing.created_at : now,
+        updated_at: now
+      };
+      store.set(id, row);
+      return { rowCount: 1, rows: [row] };
+    }
+    if (trimmed.startsWith("SELECT") && trimmed.includes("WHERE id = $1 AND user_id = $2")) {
+      const row = store.get(params[0]);
+      if (!row || row.user_id !== params[1]) return { rowCount: 0, rows: [] };
+      return { rowCount: 1, rows: [row] };
+    }
+    if (trimmed.startsWith("SELECT") && trimmed.includes("WHERE user_id = $1")) {
+      const status = params.length === 3 ? params[1] : null;
+      const limit = params[params.length - 1];
+      const rows = [...store.values()]
+        .filter((r) => r.user_id === params[0] && (!status || r.status === status))
+        .sort((a, b) => b.started_at - a.started_at)
+        .slice(0, limit);
+      return { rowCount: rows.length, rows };
+    }
+    if (trimmed.startsWith("UPDATE rounds")) {
+      const [id, userId, status, endedAt] = params;
+      const row = store.get(id);
+      if (!row || row.user_id !== userId || row.status !== "in_progress") {
+        return { rowCount: 0, rows: [] };
+      }
+      Object.assign(row, { status, ended_at: endedAt, updated_at: new Date() });
+      return { rowCount: 1, rows: [row] };
+    }
+    throw new Error(`Unexpected SQL: ${trimmed.slice(0, 60)}`);
+  }
+
+  return {
+    store() {
+      return store;
+    },
+    scores() {
+      return scores;
+    },
+    released() {
+      return released;
+    },
+    query,
+    async connect() {
+      return {
+        query,
+        release() {
+          released += 1;
+        }
+      };
+    }
+  };
+}
+
+function makeReq({ userId = "user-1", body = {}, params = {}, query = {}, pool }) {
+  return {
+    body,
+    params,
+    query,
+    authUser: { id: userId },
+    app: { get: (key) => (key === "dbPool" ? pool : null) }
+  };
+}
+
+const originalGetContext = courseIntelligence.getRoundCourseContext;
+
+test.beforeEach(() => {
+  __resetTableCache();
+  courseIntelligence.getRoundCourseContext = async (_pool, id) =>
+    id === "course-uuid-1" || id === "ext-123" ? COURSE_FIXTURE : null;
+});
+
+test.after(() => {
+  courseIntelligence.getRoundCourseContext = originalGetContext;
+});
+
+async function startRound(pool, body, userId = "user-1") {
+  const res = makeRes();
+  await handleStartRound(makeReq({ pool, body, userId }), res);
+  return res;
+}
+
+// ----------------------------------------------------------------
+// Start
+// ----------------------------------------------------------------
+
+test("start returns 503 when no DB pool is configured", async () => {
+  const res = makeRes();
+  await handleStartRound({ body: {}, authUser: { id: "u" }, app: { get: () => null } }, res);
+  assert.equal(res.statusCode, 503);
+});
+
+test("start returns 503 during migration window (rounds table missing)", async () => {
+  const pool = makeStubPool({ tableExists: false });
+  const res = await startRound(pool, { courseId: "course-uuid-1", teeSetId: "tee-blue" });
+  assert.equal(res.statusCode, 503);
+});
+
+test("start validates courseId, teeSetId and course existence", async () => {
+  const pool = makeStubPool();
+  assert.equal((await startRound(pool, { teeSetId: "tee-blue" })).statusCode, 400);
+  assert.equal((await startRound(pool, { courseId: "course-uuid-1" })).statusCode, 400);
+  assert.equal((await startRound(pool, { courseId: "nope", teeSetId: "tee-blue" })).statusCode, 404);
+  assert.equal((await startRound(pool, { courseId: "course-uuid-1", teeSetId: "tee-red" })).statusCode, 400);
+});
+
+test("start snapshots course + tee from the round context", async () => {
+  const pool = makeStubPool();
+  const res = await startRound(pool, { courseId: "ext-123", teeSetId: "tee-white" });
+  assert.equal(res.statusCode, 201);
+  const round = res.body.round;
+  assert.match(round.id, /^rnd_/);
+  assert.equal(round.userId, "user-1");
+  assert.equal(round.courseId, "course-uuid-1");
+  assert.equal(round.teeSetId, "tee-white");
+  assert.equal(round.courseName, "Pine Valley");
+  assert.equal(round.teeName, "White");
+  assert.equal(round.holeCount, 18);
+  assert.equal(round.status, "in_progress");
+});
+
+test("start is idempotent for the owner and 409 for anyone else", async () => {
+  const pool = makeStubPool();
+  const body = { id: "ios-round-1", courseId: "course-uuid-1", teeSetId: "tee-blue" };
+  assert.equal((await startRound(pool, body)).statusCode, 201);
+
+  const again = await startRound(pool, body);
+  assert.equal(again.statusCode, 200);
+  assert.equal(again.body.existing, true);
+  assert.equal(again.body.round.id, "ios-round-1");
+
+  const other = await startRound(pool, body, "user-2");
+  assert.equal(other.statusCode, 409);
+  assert.equal(pool.store().get("ios-round-1").user_id, "user-1");
+});
+
+test("start claims an ownerless imported round with the same id", async () => {
+  const pool = makeStubPool();
+  pool.store().set("ios-round-2", {
+    id: "ios-round-2",
+    user_id: null,
+    status: "imported",
+    started_at: new Date("2026-05-01T10:00:00Z"),
+    created_at: new Date("2026-05-01T10:00:00Z")
+  });
+  const res = await startRound(pool, {
+    id: "ios-round-2",
+    courseId: "course-uuid-1",
+    teeSetId: "tee-blue",
+    startedAt: "2026-05-01T11:00:00Z"
+  });
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.body.round.userId, "user-1");
+  assert.equal(res.body.round.status, "in_progress");
+  assert.equal(res.body.round.startedAt.toISOString(), "2026-05-01T10:00:00.000Z");
+});
+
+// ----------------------------------------------------------------
+// List / get
+// ----------------------------------------------------------------
+
+test("list returns only the caller's rounds and filters by status", async () => {
+  const pool = makeStubPool();
+  await startRound(pool, { id: "a", courseId: "course-uuid-1", teeSetId: "tee-blue" });
+  await startRound(pool, { id: "b", courseId: "course-uuid-1", teeSetId: "tee-blue" });
+  await startRound(pool, { id: "c", courseId: "course-uuid-1", teeSetId: "tee-blue" }, "user-2");
+  await handleFinishRound(makeReq({ pool, params: { id: "a" } }), makeRes());
+
+  const all = makeRes();
+  await handleListRounds(makeReq({ pool }), all);
+  assert.equal(all.body.count, 2);
+
+  const live = makeRes();
+  await handleListRounds(makeReq({ pool, query: { status: "in_progress" } }), live);
+  assert.deepEqual(live.body.rounds.map((r) => r.id), ["b"]);
+
+  const bad = makeRes();
+  await handleListRounds(makeReq({ pool, query: { status: "paused" } }), bad);
+  assert.equal(bad.statusCode, 400);
+});
+
+test("get returns 404 for another user's round", async () => {
+  const pool = makeStubPool();
+  await startRound(pool, { id: "mine", courseId: "course-uuid-1", teeSetId: "tee-blue" });
+
+  const own = makeRes();
+  await handleGetRound(makeReq({ pool, params: { id: "mine" } }), own);
+  assert.equal(own.statusCode, 200);
+  assert.equal(own.body.round.id, "mine");
+
+  const theirs = makeRes();
+  await handleGetRound(makeReq({ pool, params: { id: "mine" }, userId: "user-2" }), theirs);
+  assert.equal(theirs.statusCode, 404);
+});
+
+// ----------------------------------------------------------------
+// Finish / abandon
+// ----------------------------------------------------------------
+
+test("finish closes an in-progress round; repeat is a no-op, abandon after is 409", async () => {
+  const pool = makeStubPool();
+  await startRound(pool, { id: "r1", courseId: "course-uuid-1", teeSetId: "tee-blue" });
+
+  const done = makeRes();
+  await handleFinishRound(makeReq({ pool, params: { id: "r1" } }), done);
+  assert.equal(done.statusCode, 200);
+  assert.equal(done.body.round.status, "completed");
+  assert.ok(done.body.round.endedAt);
+
+  const repeat = makeRes();
+  await handleFinishRound(makeReq({ pool, params: { id: "r1" } }), repeat);
+  assert.equal(repeat.statusCode, 200);
+
+  const abandon = makeRes();
+  await handleAbandonRound(makeReq({ pool, params: { id: "r1" } }), abandon);
+  assert.equal(abandon.statusCode, 409);
+});
+
+test("abandon returns 404 for unknown rounds", async () => {
+  const pool = makeStubPool();
+  const res = makeRes();
+  await handleAbandonRound(makeReq({ pool, params: { id: "missing" } }), res);
+  assert.equal(res.statusCode, 404);
+});
+
+// ----------------------------------------------------------------
+// Scorecard
+// ----------------------------------------------------------------
+
+async function postScores(pool, roundId, body) {
+  const res = makeRes();
+  await handlePostScores(makeReq({ pool, params: { id: roundId }, body }), res);
+  return res;
+}
+
+test("scores upsert holes and the course handicap, and the scorecard reads them back", async () => {
+  const pool = makeStubPool();
+  const { id } = (await startRound(pool, { courseId: "course-uuid-1", teeSetId: "tee-blue" })).body.round;
+
+  const posted = await postScores(pool, id, {
+    courseHandicap: 18,
+    holes: [
+      { holeNumber: 1, strokes: 5, putts: 2, fairwayHit: true },
+      { holeNumber: 2, strokes: 4, putts: 1, penaltyStrokes: 1 }
+    ]
+  });
+  assert.equal(posted.statusCode, 200);
+  assert.equal(posted.body.scorecard.courseHandicap, 18);
+  assert.equal(posted.body.scorecard.totals.gross, 9);
+  assert.equal(pool.store().get(id).course_handicap, 18);
+  assert.equal(pool.released(), 1);
+
+  // Re-posting a hole replaces it.
+  await postScores(pool, id, { holeNumber: 1, strokes: 4, putts: 2 });
+  const res = makeRes();
+  await handleGetScorecard(makeReq({ pool, params: { id } }), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.scorecard.holes[0].strokes, 4);
+  assert.equal(res.body.scorecard.totals.gross, 8);
+});
+
+test("scores reject bad entries before writing anything", async () => {
+  const pool = makeStubPool();
+  const { id } = (await startRound(pool, { courseId: "course-uuid-1", teeSetId: "tee-blue" })).body.round;
+
+  const cases = [
+    { holeNumber: 19, strokes: 4 },
+    { holeNumber: 1, strokes: 0 },
+    { holeNumber: 1, strokes: 3, putts: 4 },
+    { holeNumber: 1, strokes: 3, penaltyStrokes: 3 },
+    { holeNumber: 1, strokes: 4, putts: 3, penaltyStrokes: 2 }
+  ];
+  for (const entry of cases) {
+    const res = await postScores(pool, id, entry);
+    assert.equal(res.statusCode, 400, JSON.stringify(entry));
+  }
+  assert.match((await postScores(pool, id, cases[4])).body.error, /putts \+ penaltyStrokes cannot exceed strokes/);
+  assert.equal((await postScores(pool, id, { holes: [] })).statusCode, 400);
+  assert.equal((await postScores(pool, "missing", { holeNumber: 1, strokes: 4 })).statusCode, 404);
+  assert.equal(pool.scores().size, 0);
+});
+
+test("a failed hole upsert rolls back the whole post, handicap included", async () => {
+  const pool = makeStubPool({ failOnHole: 3 });
+  const { id } = (await startRound(pool, { courseId: "course-uuid-1", teeSetId: "tee-blue" })).body.round;
+  await postScores(pool, id, { holeNumber: 1, strokes: 5 });
+
+  const res = await postScores(pool, id, {
+    courseHandicap: 12,
+    holes: [
+      { holeNumber: 1, strokes: 6 },
+      { holeNumber: 2, strokes: 4 },
+      { holeNumber: 3, strokes: 3 }
+    ]
+  });
+  assert.equal(res.statusCode, 500);
+  assert.equal(pool.store().get(id).course_handicap, null);
+  assert.deepEqual([...pool.scores().values()].map((r) => [r.hole_number, r.strokes]), [[1, 5]]);
+  assert.equal(pool.released(), 2);
+});
@@ -0,0 +1,128 @@
+"use strict";
+
+/**
+ * Tests for services/scorecard.js — stroke allocation, net and Stableford.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  buildScorecard,
+  strokesReceived,
+  stablefordPoints,
+  rankStrokeIndexes,
+  deriveGir
+} = require("../services/scorecard");
+
+function eighteenHoles() {
+  // Pars 4,4,3,5 repeating; stroke index = hole number for readability.
+  const pars = [4, 4, 3, 5];
+  return Array.from({ length: 18 }, (_, i) => ({
+    hole_number: i + 1,
+    par: pars[i % pars.length],
+    handicap: i + 1
+  }));
+}
+
+test("strokesReceived allocates by stroke-index rank and wraps past hole count", () => {
+  assert.equal(strokesReceived(0, 1, 18), 0);
+  assert.equal(strokesReceived(10, 10, 18), 1);
+  assert.equal(strokesReceived(10, 11, 18), 0);
+  assert.equal(strokesReceived(20, 2, 18), 2);
+  assert.equal(strokesReceived(20, 3, 18), 1);
+  assert.equal(strokesReceived(36, 18, 18), 2);
+});
+
+test("strokesReceived gives strokes back on the easiest holes for plus handicaps", () => {
+  assert.equal(strokesReceived(-2, 18, 18), -1);
+  assert.equal(strokesReceived(-2, 17, 18), -1);
+  assert.equal(strokesReceived(-2, 16, 18), 0);
+  assert.equal(strokesReceived(-1, 9, 9), -1);
+});
+
+test("rankStrokeIndexes ranks odd-only 9-hole indexes 1..9 and puts missing ones last", () => {
+  const ranks = rankStrokeIndexes([
+    { holeNumber: 1, strokeIndex: 7 },
+    { holeNumber: 2, strokeIndex: 1 },
+    { holeNumber: 3, strokeIndex: null },
+    { holeNumber: 4, strokeIndex: 17 }
+  ]);
+  assert.equal(ranks.get(2), 1);
+  assert.equal(ranks.get(1), 2);
+  assert.equal(ranks.get(4), 3);
+  assert.equal(ranks.get(3), 4);
+});
+
+test("stablefordPoints: net par = 2, floored at 0", () => {
+  assert.equal(stablefordPoints(4, 4, 0), 2);
+  assert.equal(stablefordPoints(4, 5, 1), 2);
+  assert.equal(stablefordPoints(5, 3, 0), 4);
+  assert.equal(stablefordPoints(3, 9, 0), 0);
+});
+
+test("deriveGir uses strokes minus putts vs. par minus two", () => {
+  assert.equal(deriveGir(4, 4, 2), true);
+  assert.equal(deriveGir(4, 5, 2), false);
+  assert.equal(deriveGir(4, 5, null), null);
+});
+
+test("buildScorecard computes per-hole and running totals on an 18", () => {
+  const card = buildScorecard({
+    holes: eighteenHoles(),
+    scores: [
+      { hole_number: 1, strokes: 5, putts: 2, fairway_hit: true, gir: null, penalty_strokes: 0 },
+      { hole_number: 3, strokes: 3, putts: 2, fairway_hit: true, gir: null, penalty_strokes: 0 },
+      { hole_number: 12, strokes: 7, putts: 3, fairway_hit: false, gir: false, penalty_strokes: 1 }
+    ],
+    courseHandicap: 2,
+    numHoles: 18
+  });
+
+  assert.equal(card.holeCount, 18);
+  assert.equal(card.holes.length, 18);
+
+  const h1 = card.holes[0];
+  assert.equal(h1.strokesReceived, 1);
+  assert.equal(h1.netStrokes, 4);
+  assert.equal(h1.stablefordPoints, 2);
+  assert.equal(h1.gir, false); // 5 - 2 = 3 > par - 2
+
+  const h3 = card.holes[2];
+  assert.equal(h3.fairwayHit, null, "par 3 has no fairway");
+  assert.equal(h3.gir, true);
+  assert.equal(h3.stablefordPoints, 2);
+
+  assert.equal(card.totals.holesPlayed, 3);
+  assert.equal(card.totals.gross, 15);
+  assert.equal(card.totals.net, 14);
+  assert.equal(card.totals.par, 12);
+  assert.equal(card.totals.grossToPar, 3);
+  assert.equal(card.totals.stableford, 2 + 2 + 0);
+  assert.equal(card.totals.putts, 7);
+  assert.equal(card.totals.penaltyStrokes, 1);
+  assert.equal(card.totals.fairwaysHit, 1);
+  assert.equal(card.totals.fairwaysPossible, 2);
+  assert.equal(card.totals.greensInRegulation, 1);
+  assert.equal(card.totals.girPossible, 3);
+
+  assert.equal(card.nines.out.gross, 8);
+  assert.equal(card.nines.in.gross, 7);
+  assert.equal(card.holes[11].runningGross, 15);
+});
+
+test("buildScorecard on a 9-hole course allocates over nine and has no nines split", () => {
+  const holes = eighteenHoles().slice(0, 9).map((h) => ({ ...h, handicap: h.hole_number * 2 - 1 }));
+  const card = buildScorecard({
+    holes,
+    scores: holes.map((h) => ({ hole_number: h.hole_number, strokes: h.par + 1, penalty_strokes: 0 })),
+    courseHandicap: 9,
+    numHoles: 9
+  });
+  assert.equal(card.nines, null);
+  assert.ok(card.holes.every((h) => h.strokesReceived === 1));
+  assert.equal(card.totals.netToPar, 0);
+  assert.equal(card.totals.stableford, 18);
+});
@@ -0,0 +1,141 @@
+"use strict";
+
+/**
+ * Tests for services/shotDispersion.js and the pattern option on
+ * hazardEngine.computeHazardsForTee.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  loadShotHistory,
+  patternForClub,
+  patternForDistance,
+  hazardInPlayProbability,
+  normalCdf,
+  normalQuantile
+} = require("../services/shotDispersion");
+const { computeHazardsForTee } = require("../services/hazardEngine");
+
+const BAG = [{ name: "Driver", carryYards: 250 }, { name: "7 Iron", carryYards: 150 }];
+
+// loadShotHistory() shape from partial per-club counts.
+function history(partial) {
+  const empty = () => ({ shots: 0, left: 0, right: 0, short: 0, long: 0 });
+  const byClub = {};
+  const overall = empty();
+  for (const [club, counts] of Object.entries(partial)) {
+    byClub[club] = { ...empty(), ...counts };
+    for (const k of Object.keys(overall)) overall[k] += byClub[club][k];
+  }
+  return { byClub, overall };
+}
+
+test("normal helpers invert each other", () => {
+  for (const p of [0.01, 0.1587, 0.5, 0.9, 0.999]) {
+    assert.ok(Math.abs(normalCdf(normalQuantile(p)) - p) < 1e-4, String(p));
+  }
+  assert.ok(Math.abs(normalQuantile(0.975) - 1.96) < 1e-3);
+});
+
+test("without history the pattern is the engine's dispersion around the player's carry", () => {
+  const p = patternForClub("driver", { clubs: BAG });
+  assert.equal(p.club, "Driver");
+  assert.equal(p.carrySource, "profile");
+  assert.equal(p.source, "default");
+  assert.equal(p.meanCarryYards, 250);
+  assert.equal(p.depthSigmaYards, 15);
+  assert.equal(p.lateralSigmaYards, 20);
+  assert.equal(p.lateralBiasYards, 0);
+
+  // Lie shortens the carry; unknown bag falls back to the default carries.
+  assert.equal(patternForClub("Driver", { clubs: BAG, lie: "rough" }).meanCarryYards, 230);
+  assert.equal(patternForClub("7 Iron").carrySource, "default");
+  assert.equal(patternForClub("Putter", { clubs: BAG }), null);
+});
+
+test("miss history moves and widens the pattern, smoothed toward the player's prior", () => {
+  const h = history({
+    driver: { shots: 20, right: 12 },
+    "7iron": { shots: 10, left: 2, short: 4 }
+  });
+  const slice = patternForClub("Driver", { clubs: BAG, history: h });
+  assert.equal(slice.source, "club_history");
+  assert.equal(slice.samples, 20);
+  assert.ok(slice.lateralBiasYards > 10, String(slice.lateralBiasYards));
+  // Lateral misses say nothing about depth.
+  assert.equal(patternForClub("Driver", { clubs: BAG, history: history({ driver: { shots: 20, right: 12 } }) }).meanCarryYards, 250);
+
+  const iron = patternForClub("7 iron", { clubs: BAG, history: h });
+  assert.ok(iron.meanCarryYards < 150, String(iron.meanCarryYards));
+
+  // No shots with this club: the player's overall tendencies stand in.
+  const wedge = patternForClub("Pitching Wedge", { history: h });
+  assert.equal(wedge.source, "player_history");
+  assert.ok(wedge.lateralBiasYards > 0);
+});
+
+test("patternForDistance picks the shortest club that carries the distance, else the longest", () => {
+  assert.equal(patternForDistance(140, { clubs: BAG }).club, "7 Iron");
+  assert.equal(patternForDistance(200, { clubs: BAG, lie: "tee" }).club, "Driver");
+  // No driver off the deck: the longest playable club instead
+  assert.equal(patternForDistance(200, { clubs: BAG, lie: "fairway" }).club, "7 Iron");
+  assert.equal(patternForDistance(400, { clubs: BAG, lie: "tee" }).club, "Driver");
+  assert.equal(patternForDistance(NaN, { clubs: BAG }), null);
+});
+
+test("in-play probability follows the landing pattern and the aim", () => {
+  const p = patternForClub("Driver", { clubs: BAG });
+  const onLine = hazardInPlayProbability({ carryDistance: 250, lateralOffset: 0 }, p);
+  const offLine = hazardInPlayProbability({ carryDistance: 250, lateralOffset: 40 }, p);
+  const tooShort = hazardInPlayProbability({ carryDistance: 150, lateralOffset: 0 }, p);
+  assert.ok(onLine > 0.15 && onLine < 0.25, String(onLine));
+  assert.ok(offLine < onLine && offLine > 0);
+  assert.equal(tooShort, 0);
+  assert.ok(hazardInPlayProbability({ carryDistance: 250, lateralOffset: 40 }, p, 30) > offLine);
+});
+
+test("computeHazardsForTee decides in-play from the pattern when given one", () => {
+  const tee = { lat: 40.0, lon: -75.0 };
+  const green = { lat: 40.003295, lon: -75.0 };
+  // ~250 yds out just right of the line, and ~120 yds out on the line.
+  const pois = [
+    { poi_type: "bunker", lat: 40.002059, lon: -74.99984 },
+    { poi_type: "water", lat: 40.000988, lon: -75.0 }
+  ];
+  const generic = computeHazardsForTee(tee, green, pois, 400);
+  assert.deepEqual(generic.map((h) => h.isInPlay), [true, true]);
+  assert.deepEqual(generic.map((h) => h.inPlayProbability), [null, null]);
+
+  const driver = computeHazardsForTee(tee, green, pois, 400, { pattern: patternForClub("Driver", { clubs: BAG }) });
+  assert.equal(driver[0].isInPlay, true);
+  assert.ok(driver[0].inPlayProbability > 0.1);
+  assert.equal(driver[1].isInPlay, false, "the driver flies the short water");
+  assert.equal(driver[1].inPlayProbability, 0);
+});
+
+test("loadShotHistory groups by club and degrades to null", async () => {
+  const pool = {
+    async query(sql, params) {
+      assert.match(sql, /FROM shot_outcomes/);
+      assert.equal(params[0], "user-1");
+      return {
+        rows: [
+          { club_used: "Driver", shot_result: "miss_right", n: 3 },
+          { club_used: "driver", shot_result: "as_planned", n: 5 },
+          { club_used: "7-Iron", shot_result: "short", n: 2 }
+        ]
+      };
+    }
+  };
+  const h = await loadShotHistory(pool, "user-1");
+  assert.deepEqual(h.byClub.driver, { shots: 8, left: 0, right: 3, short: 0, long: 0 });
+  assert.equal(h.byClub["7iron"].short, 2);
+  assert.equal(h.overall.shots, 10);
+
+  assert.equal(await loadShotHistory({ query: async () => ({ rows: [] }) }, "user-1"), null);
+  assert.equal(await loadShotHistory({ query: async () => { throw new Error("relation does not exist"); } }, "user-1"), null);
+});
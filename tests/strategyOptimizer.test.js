@@ -0,0 +1,121 @@
+"use strict";
+
+/**
+ * Tests for services/strategyOptimizer.js against a fixture hole.
+ *
+ * Run with: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { optimizeStrategy, expectedStrokes, scoreLanding } = require("../services/strategyOptimizer");
+
+// Tee → green due north, ~400 yds. POI latitudes put hazards on the line
+// at the carries named in each test (1 yd ≈ 0.00000823° here).
+const TEE = { lat: 40.0, lon: -75.0 };
+const GREEN = { lat: 40.003295, lon: -75.0 };
+const YARD_LAT = 0.003295 / 401;
+const YARD_LON = YARD_LAT / Math.cos((40 * Math.PI) / 180);
+
+function poi(id, type, carry, lateral = 0) {
+  return { id, type, normalized_type: type, lat: TEE.lat + carry * YARD_LAT, lon: TEE.lon + lateral * YARD_LON };
+}
+
+function contextWith(hazards, par = 4) {
+  return {
+    course: { id: "course-uuid-1", name: "Pine Valley" },
+    holes: [
+      {
+        hole_number: 1,
+        par,
+        green: { center: GREEN, front: null, back: null },
+        tees: [{ tee_set_id: "tee-blue", tee_name: "Blue", coordinate: TEE, yardage: 400, is_synthesized: false }],
+        hole_lengths: [{ tee_set_id: "tee-blue", tee_name: "Blue", yardage: 402 }],
+        tee_front: null,
+        hazard_pois: hazards
+      }
+    ],
+    tees: [{ id: "tee-blue", name: "Blue" }]
+  };
+}
+
+const BAG = [
+  { name: "Driver", carryYards: 250 },
+  { name: "3 Wood", carryYards: 225 },
+  { name: "5 Iron", carryYards: 180 },
+  { name: "7 Iron", carryYards: 150 },
+  { name: "Pitching Wedge", carryYards: 120 }
+];
+
+test("baseline tables: longer and worse lies cost more, putts inside the green radius", () => {
+  assert.ok(expectedStrokes("fairway", 150) < expectedStrokes("rough", 150));
+  assert.ok(expectedStrokes("rough", 150) < expectedStrokes("recovery", 150));
+  assert.ok(expectedStrokes("fairway", 100) < expectedStrokes("fairway", 300));
+  assert.ok(Math.abs(expectedStrokes("green", 10) - 2.0) < 0.05);
+
+  const hole = { distanceToGreen: 400, hazards: [{ type: "water", carryDistance: 250, lateralOffset: 0, severity: 1 }], startStrokes: 4 };
+  assert.equal(scoreLanding(252, 3, hole).kind, "penalty");
+  assert.equal(scoreLanding(400, 5, hole).kind, "green");
+  assert.equal(scoreLanding(250, 60, hole).kind, "recovery");
+  const ob = scoreLanding(250, 0, { ...hole, hazards: [{ type: "out_of_bounds", carryDistance: 250, lateralOffset: 0, severity: 1 }] });
+  assert.equal(ob.strokes, 5, "stroke and distance replays from the tee");
+});
+
+test("open hole: driver down the middle", () => {
+  const { result } = optimizeStrategy({ context: contextWith([]), holeNumber: 1, teeSetId: "tee-blue", clubs: BAG });
+  assert.equal(result.shotType, "tee");
+  assert.equal(result.lie, "tee");
+  assert.equal(result.bagSource, "profile");
+  assert.equal(result.recommended.club, "Driver");
+  assert.equal(result.recommended.targetLine.aimOffsetYards, 0);
+  assert.equal(result.recommended.pattern.source, "default");
+  assert.ok(result.recommended.strokesGained > -0.5);
+  assert.equal(result.alternatives.length, 3);
+  assert.ok(result.alternatives.every((a) => a.expectedStrokes >= result.recommended.expectedStrokes));
+});
+
+test("water across the driver's landing zone: lay back with a shorter club", () => {
+  const { result } = optimizeStrategy({
+    context: contextWith([poi("w1", "water", 245, -10), poi("w2", "water", 245, 10), poi("w3", "water", 260, 0)]),
+    holeNumber: 1,
+    teeSetId: "tee-blue",
+    clubs: BAG
+  });
+  assert.notEqual(result.recommended.club, "Driver");
+  const driver = result.alternatives.find((a) => a.club === "Driver");
+  assert.ok(driver.hazards.water > 0.3, JSON.stringify(driver.hazards));
+  assert.ok((result.recommended.hazards.water || 0) < driver.hazards.water);
+  assert.ok(result.recommended.outcomes.penalty < driver.outcomes.penalty);
+});
+
+test("water right moves the line left; a slicer aims further left", () => {
+  const context = contextWith([poi("w1", "water", 250, 15)]);
+  const generic = optimizeStrategy({ context, holeNumber: 1, teeSetId: "tee-blue", clubs: BAG }).result;
+  assert.equal(generic.recommended.club, "Driver");
+  assert.equal(generic.recommended.targetLine.side, "left");
+
+  const empty = { shots: 0, left: 0, right: 0, short: 0, long: 0 };
+  const slice = { ...empty, shots: 20, right: 12 };
+  const history = { byClub: { driver: slice }, overall: slice };
+  const slicer = optimizeStrategy({ context, holeNumber: 1, teeSetId: "tee-blue", clubs: BAG, history }).result;
+  assert.notEqual(slicer.recommended.pattern.source, "default");
+  assert.ok(slicer.recommended.targetLine.aimOffsetYards < generic.recommended.targetLine.aimOffsetYards);
+});
+
+test("from the fairway out of reach: a layup; green lies and bad requests are refused", () => {
+  const position = { lat: TEE.lat + 20 * YARD_LAT, lon: TEE.lon };
+  const { result } = optimizeStrategy({ context: contextWith([], 5), holeNumber: 1, position, clubs: BAG });
+  assert.equal(result.lie, "fairway");
+  assert.equal(result.shotType, "layup");
+  assert.ok(result.alternatives.concat(result.recommended).every((o) => o.club !== "Driver"));
+
+  // A driver-only bag has nothing to hit off the fairway: the default bag stands in.
+  const driverOnly = optimizeStrategy({ context: contextWith([], 5), holeNumber: 1, position, clubs: [{ name: "Driver", carryYards: 260 }] });
+  assert.equal(driverOnly.result.bagSource, "default");
+  assert.notEqual(driverOnly.result.recommended.club, "Driver");
+
+  assert.equal(optimizeStrategy({ context: contextWith([]), holeNumber: 1, teeSetId: "tee-blue", lie: "green" }).status, 400);
+  assert.equal(optimizeStrategy({ context: contextWith([]), holeNumber: 7, teeSetId: "tee-blue" }).status, 404);
+  assert.equal(optimizeStrategy({ context: contextWith([]), holeNumber: 1 }).status, 400);
+});